@@ -1,9 +1,22 @@
 // Trail Explorer Service Worker
-// Handles offline map tile caching
+// Handles offline map tile caching and the "available offline" caches
+// (see src/lib/offlineCache.js, which fills them from the page)
 
-const CACHE_VERSION = 'v1';
+// Registered as sw.js?build=<build-info.js build>, so every deploy installs a
+// new worker with its own app caches; tiles and pinned trail data are shared
+const BUILD = new URL(self.location.href).searchParams.get('build') || 'dev';
+
+// Tile index (IndexedDB): sizes, last use and offline packs, for the storage
+// budget and per-track removal. Defines self.TileIndex.
+importScripts(`./tile-index.js?build=${BUILD}`);
 const TILE_CACHE = 'trail-explorer-tiles-v1';
-const APP_CACHE = 'trail-explorer-app-v1';
+const OFFLINE_CACHE = 'trail-explorer-offline-v1';
+const PRECACHE = `trail-explorer-precache-${BUILD}`;
+const APP_CACHE = `trail-explorer-app-${BUILD}`;
+const KEEP_CACHES = [TILE_CACHE, OFFLINE_CACHE, PRECACHE, APP_CACHE];
+
+// App shell, relative to the worker (the site is served under a base path)
+const SHELL_URL = new URL('./index.html', self.location.href).href;
 
 // Tile URL patterns to intercept and cache
 const TILE_PATTERNS = [
@@ -18,11 +31,11 @@ self.addEventListener('install', (event) => {
   console.log('[SW] Installing service worker...');
   
   event.waitUntil(
-    caches.open(APP_CACHE).then(cache => {
+    caches.open(PRECACHE).then(cache => {
       // Cache app shell for offline use
       return cache.addAll([
-        '/',
-        '/index.html',
+        new URL('./', self.location.href).href,
+        SHELL_URL,
       ]).catch(err => {
         console.warn('[SW] Failed to cache app shell:', err);
       });
@@ -41,16 +54,15 @@ self.addEventListener('activate', (event) => {
     caches.keys().then(cacheNames => {
       return Promise.all(
         cacheNames.map(cacheName => {
-          // Delete old caches
-          if (cacheName.startsWith('trail-explorer-') && 
-              cacheName !== TILE_CACHE && 
-              cacheName !== APP_CACHE) {
+          // Delete other builds' app caches
+          if (cacheName.startsWith('trail-explorer-') &&
+              !KEEP_CACHES.includes(cacheName)) {
             console.log('[SW] Deleting old cache:', cacheName);
             return caches.delete(cacheName);
           }
         })
       );
-    })
+    }).then(indexExistingTiles)
   );
   
   // Take control immediately
@@ -59,6 +71,9 @@ self.addEventListener('activate', (event) => {
 
 // Fetch event - intercept network requests
 self.addEventListener('fetch', (event) => {
+  // Uploads (GitHub API) go straight to the network
+  if (event.request.method !== 'GET') return;
+
   const url = new URL(event.request.url);
   
   // Check if request is for a map tile
@@ -66,7 +81,7 @@ self.addEventListener('fetch', (event) => {
   
   if (isTile) {
     // Handle map tile requests
-    event.respondWith(handleTileRequest(event.request));
+    event.respondWith(handleTileRequest(event));
   } else {
     // Handle other requests (app files, API calls, etc.)
     event.respondWith(handleAppRequest(event.request));
@@ -74,7 +89,8 @@ self.addEventListener('fetch', (event) => {
 });
 
 // Handle map tile requests - Cache First strategy
-async function handleTileRequest(request) {
+async function handleTileRequest(event) {
+  const request = event.request;
   const cache = await caches.open(TILE_CACHE);
   
   try {
@@ -82,6 +98,7 @@ async function handleTileRequest(request) {
     const cached = await cache.match(request);
     if (cached) {
       // console.log('[SW] ✅ Tile from cache:', new URL(request.url).pathname);
+      touchTile(request.url);
       return cached;
     }
     
@@ -91,7 +108,7 @@ async function handleTileRequest(request) {
     
     // Cache successful responses
     if (response.ok) {
-      cache.put(request, response.clone());
+      event.waitUntil(storeTile(cache, request, response.clone()));
       // console.log('[SW] 💾 Cached tile:', new URL(request.url).pathname);
     }
     
@@ -122,7 +139,7 @@ async function handleAppRequest(request) {
     const response = await fetch(request);
     
     // Cache successful responses for offline use
-    if (response.ok && request.method === 'GET') {
+    if (response.ok) {
       const cache = await caches.open(APP_CACHE);
       cache.put(request, response.clone());
     }
@@ -137,6 +154,12 @@ async function handleAppRequest(request) {
       return cached;
     }
     
+    // Any page of the app opens from the cached shell
+    if (request.mode === 'navigate') {
+      const shell = await caches.match(SHELL_URL);
+      if (shell) return shell;
+    }
+
     // Nothing in cache, return error
     return new Response('Offline and not cached', { 
       status: 503,
@@ -145,52 +168,143 @@ async function handleAppRequest(request) {
   }
 }
 
-// Listen for messages from the app
+// ---- tile index ----
+
+// Tiles still being cached and recorded, by URL, so registering a pack can
+// wait for the ones the page just downloaded
+const storingTiles = new Map();
+
+// Cache a tile and record it; over budget, evict in the background
+function storeTile(cache, request, response) {
+  const url = request.url;
+  const stored = writeTile(cache, request, response).finally(() => {
+    if (storingTiles.get(url) === stored) storingTiles.delete(url);
+  });
+  storingTiles.set(url, stored);
+  return stored;
+}
+
+async function writeTile(cache, request, response) {
+  try {
+    const size = (await response.clone().blob()).size;
+    await cache.put(request, response);
+    if (await TileIndex.recordTile(request.url, size)) scheduleEviction();
+  } catch (error) {
+    console.warn('[SW] Failed to cache tile:', request.url, error);
+  }
+}
+
+// Last-use times are written in batches; a few lost on shutdown don't matter
+const touchedTiles = new Set();
+let touchTimer = null;
+
+function touchTile(url) {
+  touchedTiles.add(url);
+  if (touchTimer) return;
+  touchTimer = setTimeout(() => {
+    const urls = [...touchedTiles];
+    touchedTiles.clear();
+    touchTimer = null;
+    TileIndex.touchTiles(urls).catch(error => console.warn('[SW] Tile index update failed:', error));
+  }, 5000);
+}
+
+// Evictions run one at a time; each is a single read while under budget
+let eviction = Promise.resolve();
+
+function scheduleEviction(keep = []) {
+  eviction = eviction
+    .then(() => evictOverBudget(keep))
+    .catch(error => console.warn('[SW] Eviction failed:', error));
+  return eviction;
+}
+
+async function evictOverBudget(keep) {
+  const { urls, packs } = await TileIndex.enforceBudget({ keep });
+  if (urls.length === 0) return;
+
+  const cache = await caches.open(TILE_CACHE);
+  await Promise.all(urls.map(url => cache.delete(url)));
+  console.log(`[SW] Evicted ${urls.length} tiles to stay under the storage budget`);
+
+  if (packs.length) {
+    const clients = await self.clients.matchAll();
+    clients.forEach(client => client.postMessage({ type: 'TILES_EVICTED', trackIds: packs }));
+  }
+}
+
+// Tiles cached before the index existed are added once, as browsed tiles
+async function indexExistingTiles() {
+  try {
+    if (!(await TileIndex.isEmpty())) return;
+    const cache = await caches.open(TILE_CACHE);
+    for (const request of await cache.keys()) {
+      const size = await tileSize(cache, request.url);
+      if (size != null) await TileIndex.recordTile(request.url, size);
+    }
+  } catch (error) {
+    console.warn('[SW] Tile index backfill failed:', error);
+  }
+}
+
+async function tileSize(cache, url) {
+  const response = await cache.match(url);
+  return response ? (await response.blob()).size : null;
+}
+
+// Listen for messages from the app (src/lib/tileIndex.js); replies go to ports[0]
 self.addEventListener('message', (event) => {
-  if (event.data && event.data.type === 'SKIP_WAITING') {
+  const data = event.data || {};
+  const reply = (work) => event.waitUntil(
+    work
+      .then(result => event.ports[0]?.postMessage(result))
+      .catch(error => event.ports[0]?.postMessage({ error: error.message }))
+  );
+
+  if (data.type === 'SKIP_WAITING') {
     self.skipWaiting();
   }
   
-  if (event.data && event.data.type === 'CLEAR_CACHE') {
-    event.waitUntil(
-      caches.keys().then(cacheNames => {
-        return Promise.all(
-          cacheNames.map(cacheName => caches.delete(cacheName))
-        );
-      }).then(() => {
-        event.ports[0].postMessage({ success: true });
-      })
+  if (data.type === 'CLEAR_CACHE') {
+    reply(
+      caches.keys()
+        .then(cacheNames => Promise.all(cacheNames.map(cacheName => caches.delete(cacheName))))
+        .then(() => TileIndex.clear())
+        .then(() => ({ success: true }))
     );
   }
   
-  if (event.data && event.data.type === 'GET_CACHE_SIZE') {
-    event.waitUntil(
-      getCacheSize().then(size => {
-        event.ports[0].postMessage({ size });
-      })
-    );
+  // Answered from the index: no blobs are read
+  if (data.type === 'GET_CACHE_SIZE') {
+    reply(TileIndex.stats().then(stats => ({ size: stats ? stats.bytes : null, ...stats })));
   }
-});
 
-// Helper: Calculate cache size
-async function getCacheSize() {
-  const cacheNames = await caches.keys();
-  let totalSize = 0;
-  
-  for (const cacheName of cacheNames) {
-    const cache = await caches.open(cacheName);
-    const keys = await cache.keys();
-    
-    for (const request of keys) {
-      const response = await cache.match(request);
-      if (response) {
-        const blob = await response.blob();
-        totalSize += blob.size;
-      }
-    }
+  // The page finished downloading a track's tiles
+  if (data.type === 'REGISTER_TRACK_TILES') {
+    reply((async () => {
+      // Otherwise tiles still being written would be sized as missing and left out
+      await Promise.all(data.urls.map(url => storingTiles.get(url)));
+      const cache = await caches.open(TILE_CACHE);
+      const pack = await TileIndex.registerTrack(data.trackId, data.urls, {
+        sizeOf: url => tileSize(cache, url),
+      });
+      await scheduleEviction([data.trackId]);
+      return { pack };
+    })());
   }
-  
-  return totalSize;
-}
+
+  if (data.type === 'REMOVE_TRACK_TILES') {
+    reply((async () => {
+      const urls = await TileIndex.removeTrack(data.trackId);
+      const cache = await caches.open(TILE_CACHE);
+      await Promise.all(urls.map(url => cache.delete(url)));
+      return { removed: urls.length };
+    })());
+  }
+
+  if (data.type === 'SET_TILE_BUDGET') {
+    reply(TileIndex.setBudget(data.bytes).then(() => scheduleEviction()).then(() => TileIndex.stats()));
+  }
+});
 
 console.log('[SW] Service Worker loaded');
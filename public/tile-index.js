@@ -0,0 +1,303 @@
+// Tile index for the service worker (loaded by sw.js with importScripts).
+// Records every cached map tile in IndexedDB with its size, when it was last
+// shown and which offline tracks reference it, so that:
+//  - the tile cache size is one read instead of re-reading every blob
+//  - removing one track's offline pack deletes only tiles no other track uses
+//  - the tile cache stays under a storage budget: least recently used
+//    browsed tiles go first, then whole offline packs
+// The page talks to it through sw.js messages (src/lib/tileIndex.js).
+// Uses globalThis rather than self so the tests can load it in Node.
+
+(function (root) {
+  const DB_NAME = 'trail-explorer-tile-index';
+  const DB_VERSION = 1;
+  const DEFAULT_BUDGET = 500 * 1024 * 1024;
+
+  function promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  let dbPromise = null;
+
+  function openIndex() {
+    if (!root.indexedDB) return Promise.resolve(null);
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve) => {
+      const request = root.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        const tiles = db.createObjectStore('tiles', { keyPath: 'url' });
+        tiles.createIndex('tracks', 'tracks', { multiEntry: true });
+        db.createObjectStore('packs', { keyPath: 'trackId' });
+        db.createObjectStore('meta', { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('[SW] Tile index unavailable:', request.error);
+        resolve(null);
+      };
+    });
+    return dbPromise;
+  }
+
+  // One transaction over `names`; only IndexedDB requests may be awaited in fn
+  async function transact(names, mode, fn) {
+    const db = await openIndex();
+    if (!db) return null;
+    const tx = db.transaction(names, mode);
+    const done = new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+    const stores = Object.fromEntries(names.map((name) => [name, tx.objectStore(name)]));
+    // Awaited together: when fn fails the transaction aborts, and `done`
+    // rejecting on its own would be an unhandled rejection
+    const [result] = await Promise.all([fn(stores), done]);
+    return result;
+  }
+
+  async function readTotals(meta) {
+    return (await promisify(meta.get('totals'))) || { key: 'totals', bytes: 0, count: 0 };
+  }
+
+  async function readBudget(meta) {
+    const record = await promisify(meta.get('budget'));
+    return record ? record.bytes : DEFAULT_BUDGET;
+  }
+
+  /**
+   * Which tiles to delete to get `bytes` under `budget`:
+   * { urls, packs (evicted track ids), freed (bytes) }.
+   * Tiles no track references go first, least recently shown first. Then
+   * whole packs, least recently used first; a pack's tile is only deleted
+   * once every pack referencing it is evicted. Packs in `keep` (the one just
+   * downloaded) are never evicted.
+   */
+  function planEviction({ tiles, packs, bytes, budget, keep = [] }) {
+    const urls = [];
+    const evicted = [];
+    let over = bytes - budget;
+    let freed = 0;
+    if (over <= 0) return { urls, packs: evicted, freed };
+
+    const drop = (tile) => {
+      urls.push(tile.url);
+      freed += tile.size;
+      over -= tile.size;
+    };
+    const byAge = (a, b) => a.lastUsed - b.lastUsed;
+
+    for (const tile of tiles.filter((t) => t.tracks.length === 0).sort(byAge)) {
+      if (over <= 0) break;
+      drop(tile);
+    }
+
+    const gone = new Set();
+    for (const pack of packs.filter((p) => !keep.includes(p.trackId)).sort(byAge)) {
+      if (over <= 0) break;
+      gone.add(pack.trackId);
+      evicted.push(pack.trackId);
+      for (const tile of tiles) {
+        if (tile.tracks.includes(pack.trackId) && tile.tracks.every((id) => gone.has(id))) drop(tile);
+      }
+    }
+    return { urls, packs: evicted, freed };
+  }
+
+  // A tile was cached (shown on the map or downloaded). Resolves true when
+  // the cache is now over budget.
+  async function recordTile(url, size, now = Date.now()) {
+    const over = await transact(['tiles', 'meta'], 'readwrite', async ({ tiles, meta }) => {
+      const existing = await promisify(tiles.get(url));
+      const totals = await readTotals(meta);
+      totals.bytes += size - (existing ? existing.size : 0);
+      if (!existing) totals.count++;
+      tiles.put({ url, size, tracks: existing ? existing.tracks : [], lastUsed: now });
+      meta.put(totals);
+      return totals.bytes > (await readBudget(meta));
+    });
+    return !!over;
+  }
+
+  // Tiles shown from the cache; their packs count as used too
+  async function touchTiles(urls, now = Date.now()) {
+    await transact(['tiles', 'packs'], 'readwrite', async ({ tiles, packs }) => {
+      const trackIds = new Set();
+      for (const url of urls) {
+        const tile = await promisify(tiles.get(url));
+        if (!tile) continue;
+        tile.lastUsed = now;
+        tiles.put(tile);
+        tile.tracks.forEach((id) => trackIds.add(id));
+      }
+      for (const trackId of trackIds) {
+        const pack = await promisify(packs.get(trackId));
+        if (pack && !pack.evictedAt) packs.put({ ...pack, lastUsed: now });
+      }
+    });
+  }
+
+  /**
+   * Mark `urls` as the offline pack of `trackId`, replacing an earlier pack
+   * for it (tiles it no longer needs stay cached, unreferenced). Tiles the
+   * index hasn't seen yet are sized with `sizeOf(url)` (null: not cached,
+   * skipped). Resolves to the pack { trackId, tiles, bytes, savedAt, lastUsed }.
+   */
+  async function registerTrack(trackId, urls, { sizeOf, now = Date.now() } = {}) {
+    const missing = await transact(['tiles'], 'readonly', async ({ tiles }) => {
+      const known = new Set(await promisify(tiles.getAllKeys()));
+      return urls.filter((url) => !known.has(url));
+    });
+    if (missing === null) return null;
+
+    // Cache reads can't happen inside the transaction
+    const sizes = new Map();
+    for (const url of missing) {
+      const size = await sizeOf(url);
+      if (size != null) sizes.set(url, size);
+    }
+
+    return transact(['tiles', 'packs', 'meta'], 'readwrite', async ({ tiles, packs, meta }) => {
+      const totals = await readTotals(meta);
+      const wanted = new Set(urls);
+
+      for (const tile of await promisify(tiles.index('tracks').getAll(trackId))) {
+        if (!wanted.has(tile.url)) tiles.put({ ...tile, tracks: tile.tracks.filter((id) => id !== trackId) });
+      }
+
+      const pack = { trackId, tiles: 0, bytes: 0, savedAt: now, lastUsed: now, evictedAt: null };
+      for (const url of urls) {
+        let tile = await promisify(tiles.get(url));
+        if (!tile) {
+          if (!sizes.has(url)) continue;
+          tile = { url, size: sizes.get(url), tracks: [], lastUsed: now };
+          totals.bytes += tile.size;
+          totals.count++;
+        }
+        if (!tile.tracks.includes(trackId)) tile.tracks = [...tile.tracks, trackId];
+        tiles.put(tile);
+        pack.tiles++;
+        pack.bytes += tile.size;
+      }
+      packs.put(pack);
+      meta.put(totals);
+      return pack;
+    });
+  }
+
+  // Forget a track's pack; resolves to the tile URLs no other track uses,
+  // which the caller deletes from the tile cache
+  async function removeTrack(trackId) {
+    const urls = await transact(['tiles', 'packs', 'meta'], 'readwrite', async ({ tiles, packs, meta }) => {
+      const totals = await readTotals(meta);
+      const orphans = [];
+      for (const tile of await promisify(tiles.index('tracks').getAll(trackId))) {
+        const tracks = tile.tracks.filter((id) => id !== trackId);
+        if (tracks.length) {
+          tiles.put({ ...tile, tracks });
+        } else {
+          tiles.delete(tile.url);
+          totals.bytes -= tile.size;
+          totals.count--;
+          orphans.push(tile.url);
+        }
+      }
+      packs.delete(trackId);
+      meta.put(totals);
+      return orphans;
+    });
+    return urls || [];
+  }
+
+  /**
+   * Evict per planEviction until the cache fits the budget. Resolves to
+   * { urls, packs } for the caller to delete from the tile cache and report.
+   */
+  async function enforceBudget({ keep = [], now = Date.now() } = {}) {
+    const result = await transact(['tiles', 'packs', 'meta'], 'readwrite', async ({ tiles, packs, meta }) => {
+      const totals = await readTotals(meta);
+      const budget = await readBudget(meta);
+      if (totals.bytes <= budget) return { urls: [], packs: [] };
+
+      const allTiles = await promisify(tiles.getAll());
+      const allPacks = await promisify(packs.getAll());
+      const plan = planEviction({
+        tiles: allTiles,
+        packs: allPacks.filter((p) => !p.evictedAt),
+        bytes: totals.bytes,
+        budget,
+        keep,
+      });
+
+      const deleted = new Set(plan.urls);
+      const evicted = new Set(plan.packs);
+      for (const tile of allTiles) {
+        if (deleted.has(tile.url)) tiles.delete(tile.url);
+        else if (tile.tracks.some((id) => evicted.has(id))) {
+          tiles.put({ ...tile, tracks: tile.tracks.filter((id) => !evicted.has(id)) });
+        }
+      }
+      for (const pack of allPacks) {
+        if (evicted.has(pack.trackId)) packs.put({ ...pack, tiles: 0, bytes: 0, evictedAt: now });
+      }
+      meta.put({ ...totals, bytes: totals.bytes - plan.freed, count: totals.count - plan.urls.length });
+      return { urls: plan.urls, packs: plan.packs };
+    });
+    return result || { urls: [], packs: [] };
+  }
+
+  // { bytes, tiles, budget, packs: [active packs], evicted: [track ids] }, or null without IndexedDB
+  async function stats() {
+    return transact(['packs', 'meta'], 'readonly', async ({ packs, meta }) => {
+      const totals = await readTotals(meta);
+      const all = await promisify(packs.getAll());
+      return {
+        bytes: totals.bytes,
+        tiles: totals.count,
+        budget: await readBudget(meta),
+        packs: all.filter((p) => !p.evictedAt),
+        evicted: all.filter((p) => p.evictedAt).map((p) => p.trackId),
+      };
+    });
+  }
+
+  async function setBudget(bytes) {
+    await transact(['meta'], 'readwrite', async ({ meta }) => {
+      meta.put({ key: 'budget', bytes });
+    });
+  }
+
+  // True when the index has never been filled (first run of this worker version)
+  async function isEmpty() {
+    const totals = await transact(['meta'], 'readonly', async ({ meta }) => promisify(meta.get('totals')));
+    return totals === undefined;
+  }
+
+  // Clear all tiles and packs; the budget is kept
+  async function clear() {
+    await transact(['tiles', 'packs', 'meta'], 'readwrite', async ({ tiles, packs, meta }) => {
+      tiles.clear();
+      packs.clear();
+      meta.delete('totals');
+    });
+  }
+
+  root.TileIndex = {
+    DEFAULT_BUDGET,
+    planEviction,
+    recordTile,
+    touchTiles,
+    registerTrack,
+    removeTrack,
+    enforceBudget,
+    stats,
+    setBudget,
+    isEmpty,
+    clear,
+  };
+})(globalThis);
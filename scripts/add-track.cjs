@@ -5,10 +5,14 @@ const fsp = require("fs/promises");
 const path = require("path");
 const { promisify } = require("util");
 const { execFile } = require("child_process");
-const { validateGpxFile } = require("./validate-gpx.cjs");
+const { validateTrackFile } = require("./validate-gpx.cjs");
 
 const execFileAsync = promisify(execFile);
 
+// GPX is copied as-is; other formats are converted and get a GPX rendition
+// so the app's "Download GPX" keeps working for them
+const SUPPORTED_EXTENSIONS = [".gpx", ".kml", ".kmz", ".tcx", ".fit"];
+
 const color = {
   reset: "\x1b[0m",
   red: "\x1b[31m",
@@ -59,7 +63,9 @@ async function fileExists(filePath) {
 
 async function addTrack(sourcePath, options = {}) {
   if (!sourcePath) {
-    throw new Error("Usage: npm run add-track -- /path/to/file.gpx");
+    throw new Error(
+      "Usage: npm run add-track -- /path/to/file.gpx (or .kml, .kmz, .tcx, .fit)",
+    );
   }
 
   const repoRoot = options.repoRoot || process.cwd();
@@ -81,24 +87,30 @@ async function addTrack(sourcePath, options = {}) {
     throw new Error(`Source file does not exist: ${absoluteSourcePath}`);
   }
 
-  if (path.extname(absoluteSourcePath).toLowerCase() !== ".gpx") {
-    throw new Error(`Expected a .gpx file, got: ${absoluteSourcePath}`);
+  const ext = path.extname(absoluteSourcePath).toLowerCase();
+  if (!SUPPORTED_EXTENSIONS.includes(ext)) {
+    throw new Error(
+      `Expected a ${SUPPORTED_EXTENSIONS.join(", ")} file, got: ${absoluteSourcePath}`,
+    );
   }
+  const isGpx = ext === ".gpx";
+  const formatLabel = ext.slice(1).toUpperCase();
 
-  const validation = validateGpxFile(absoluteSourcePath);
+  const validation = await validateTrackFile(absoluteSourcePath);
 
   if (!validation.ok) {
     throw new Error(
-      `GPX validation failed:\n${validation.errors.map((e) => `- ${e}`).join("\n")}`,
+      `${formatLabel} validation failed:\n${validation.errors.map((e) => `- ${e}`).join("\n")}`,
     );
   }
 
   await ensureDir(gpxDir);
   await ensureDir(tracksDir);
 
-  const sluggedGpxName = slugifyFilename(path.basename(absoluteSourcePath));
+  const sluggedName = slugifyFilename(path.basename(absoluteSourcePath));
+  const sluggedGpxName = sluggedName.replace(/\.[^.]+$/, ".gpx");
   const destinationGpxPath = path.join(gpxDir, sluggedGpxName);
-  const geojsonName = sluggedGpxName.replace(/\.gpx$/i, ".geojson");
+  const geojsonName = sluggedName.replace(/\.[^.]+$/, ".geojson");
   const destinationGeojsonPath = path.join(tracksDir, geojsonName);
   const manifestPath = path.join(tracksDir, "manifest.json");
 
@@ -117,15 +129,23 @@ async function addTrack(sourcePath, options = {}) {
     }
   }
 
-  await fsp.copyFile(absoluteSourcePath, destinationGpxPath);
+  if (isGpx) {
+    await fsp.copyFile(absoluteSourcePath, destinationGpxPath);
 
-  if (verbose) {
-    console.log(green(`Added GPX: ${path.relative(repoRoot, destinationGpxPath)}`));
-  }
+    if (verbose) {
+      console.log(green(`Added GPX: ${path.relative(repoRoot, destinationGpxPath)}`));
+    }
 
-  await exec("node", [converterScript, destinationGpxPath, tracksDir], {
-    cwd: repoRoot,
-  });
+    await exec("node", [converterScript, destinationGpxPath, tracksDir], {
+      cwd: repoRoot,
+    });
+  } else {
+    await exec(
+      "node",
+      [converterScript, absoluteSourcePath, destinationGeojsonPath],
+      { cwd: repoRoot },
+    );
+  }
 
   if (!(await fileExists(destinationGeojsonPath))) {
     throw new Error(
@@ -141,6 +161,20 @@ async function addTrack(sourcePath, options = {}) {
     );
   }
 
+  if (!isGpx) {
+    const { toGpx } = await import("../src/lib/trackExport.js");
+    const feature = JSON.parse(await fsp.readFile(destinationGeojsonPath, "utf8"));
+    await fsp.writeFile(destinationGpxPath, toGpx(feature), "utf8");
+
+    if (verbose) {
+      console.log(
+        green(
+          `Generated GPX from ${formatLabel}: ${path.relative(repoRoot, destinationGpxPath)}`,
+        ),
+      );
+    }
+  }
+
   await exec("node", [manifestScript], {
     cwd: repoRoot,
   });
@@ -155,6 +189,7 @@ async function addTrack(sourcePath, options = {}) {
 
   return {
     sourcePath: absoluteSourcePath,
+    format: ext.slice(1),
     gpxPath: destinationGpxPath,
     geojsonPath: destinationGeojsonPath,
     manifestPath,
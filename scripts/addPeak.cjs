@@ -3,7 +3,10 @@
  * Interactive Peak Adder
  *
  * Usage:
- *   node scripts/add-peak.cjs
+ *   node scripts/addPeak.cjs [--units metric|imperial]
+ *
+ * --units picks the default elevation unit for the prompt (m for metric, ft
+ * otherwise). Elevations are always stored in feet.
  *
  * Writes to: ROOT/public/peaks/peaks.json
  */
@@ -17,6 +20,17 @@ const PEAKS_PATH = path.resolve(process.cwd(), "public/peaks/peaks.json");
 
 const FT_PER_M = 3.280839895;
 
+// "metric" | "imperial", as in the app's units toggle
+function unitsFromArgs(argv) {
+  const i = argv.indexOf("--units");
+  const value = i !== -1 ? argv[i + 1] : argv.find((a) => a.startsWith("--units="))?.slice(8);
+  if (value == null) return "imperial";
+  if (value !== "metric" && value !== "imperial") {
+    throw new Error(`--units must be "metric" or "imperial" (got "${value}")`);
+  }
+  return value;
+}
+
 function parseNumberOrNull(s) {
   const n = Number(String(s).trim());
   return Number.isFinite(n) ? n : null;
@@ -76,10 +90,11 @@ async function askNumber(rl, promptText, { min = null, max = null } = {}) {
   }
 }
 
-async function askUnit(rl) {
+async function askUnit(rl, defaultUnit = "ft") {
   while (true) {
-    const u = normalizeName(await rl.question("Elevation unit? (ft/m) [ft]: ")).toLowerCase();
-    if (!u || u === "ft" || u === "feet" || u === "f") return "ft";
+    const u = normalizeName(await rl.question(`Elevation unit? (ft/m) [${defaultUnit}]: `)).toLowerCase();
+    if (!u) return defaultUnit;
+    if (u === "ft" || u === "feet" || u === "f") return "ft";
     if (u === "m" || u === "meter" || u === "meters") return "m";
     output.write("Please enter 'ft' or 'm'.\n");
   }
@@ -97,6 +112,15 @@ async function askYesNo(rl, promptText, defaultYes = false) {
 }
 
 async function main() {
+  let units;
+  try {
+    units = unitsFromArgs(process.argv.slice(2));
+  } catch (err) {
+    output.write(`✗ ${err.message}\n`);
+    process.exitCode = 1;
+    return;
+  }
+
   const rl = readline.createInterface({ input, output });
 
   try {
@@ -127,7 +151,7 @@ async function main() {
     const lat = await askNumber(rl, "Latitude (e.g. 34.2894): ", { min: -90, max: 90 });
     const lon = await askNumber(rl, "Longitude (e.g. -117.6462): ", { min: -180, max: 180 });
 
-    const elevUnit = await askUnit(rl);
+    const elevUnit = await askUnit(rl, units === "metric" ? "m" : "ft");
     const elevValue = await askNumber(
       rl,
       `Elevation (${elevUnit === "ft" ? "feet" : "meters"}): `,
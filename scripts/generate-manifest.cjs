@@ -6,70 +6,39 @@
  * This script scans your tracks directory and generates manifest.json
  * 
  * Usage:
- *   node generate-manifest.js
+ *   node scripts/generate-manifest.cjs [--gain-algorithm <name>]
+ *       [--difficulty-formula points|shenandoah] [--difficulty-config <file.json>]
+ *   node scripts/generate-manifest.cjs --check [manifest.json]
  * 
  * It will:
  * 1. Find all .geojson files in public/tracks/
- * 2. Calculate distance and elevation for each
- * 3. Generate manifest.json with metadata
+ * 2. Calculate distance, elevation gain/loss and range, climb factor,
+ *    difficulty, loop vs point-to-point and bounds for each, note the start
+ *    point and whether public/tracks/gpx/ has its GPX, and copy the authored
+ *    tags, region, surface, seasons and images properties
+ * 3. Check the result against public/tracks/manifest.schema.json
+ * 4. Generate manifest.json with metadata
+ *
+ * Entries come from src/lib/trackManifest.js and the elevation numbers from
+ * src/lib/elevationStats.js, the same code the app uses. --gain-algorithm
+ * picks one of its algorithms (default: threshold).
+ *
+ * Difficulty comes from src/lib/difficulty.js. Its settings are read from
+ * public/tracks/difficulty.config.json when there is one (so every
+ * regeneration, including add-track's, rates the same way), or from
+ * --difficulty-config; --difficulty-formula overrides the formula:
+ *   { "formula": "points", "thresholds": [8, 15, 25, 40],
+ *     "weights": { "per1000Ft": 3, "grade": { "g25": 6 } } }
+ *
+ * --check only validates
+ * an existing manifest (public/tracks/manifest.json by default) and exits
+ * non-zero when it doesn't match the schema.
  */
 
 const fs = require('fs');
 const path = require('path');
 
-// Constants for calculations
-const EARTH_RADIUS_MILES = 3959;
-
-function toRadians(degrees) {
-  return degrees * (Math.PI / 180);
-}
-
-function calculateDistance(coords) {
-  let total = 0;
-  for (let i = 1; i < coords.length; i++) {
-    const [lon1, lat1] = coords[i - 1];
-    const [lon2, lat2] = coords[i];
-    
-    const dLat = toRadians(lat2 - lat1);
-    const dLon = toRadians(lon2 - lon1);
-    
-    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-              Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
-              Math.sin(dLon / 2) * Math.sin(dLon / 2);
-    
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    total += EARTH_RADIUS_MILES * c;
-  }
-  return total;
-}
-
-function calculateElevationGain(coords) {
-  if (!coords || coords.length < 2) return 0;
-
-  const zs = coords
-    .map(c => Number(c?.[2]))
-    .filter(z => Number.isFinite(z));
-
-  if (zs.length < 2) return 0;
-
-  const start = zs[0];
-  const max = Math.max(...zs);
-  const floor = max - start; // meters
-
-  const NOISE_FT = 5;
-  const M_TO_FT = 3.28084;
-
-  let gainMeters = 0;
-  for (let i = 1; i < zs.length; i++) {
-    const diff = zs[i] - zs[i - 1]; // meters
-    if (diff * M_TO_FT > NOISE_FT) gainMeters += diff;
-  }
-
-  const outMeters = Math.max(gainMeters, floor);
-  return outMeters * M_TO_FT; // return FEET
-}
-
-function processTrack(filepath) {
+function processTrack(filepath, buildManifestEntry, options) {
   try {
     const data = JSON.parse(fs.readFileSync(filepath, 'utf8'));
     
@@ -82,36 +51,92 @@ function processTrack(filepath) {
       return null;
     }
 
-    let coords;
-    if (feature.geometry.type === 'LineString') {
-      coords = feature.geometry.coordinates;
-    } else if (feature.geometry.type === 'MultiLineString') {
-      coords = feature.geometry.coordinates[0];
-    } else {
+    if (!['LineString', 'MultiLineString'].includes(feature.geometry?.type)) {
       return null;
     }
 
-    const filename = path.basename(filepath);
-    const distance = calculateDistance(coords);
-    const elevationGain = calculateElevationGain(coords);
-
-    return {
-      file: filename,
-      name: feature.properties?.name || filename.replace('.geojson', ''),
-      location: feature.properties?.location || '',
-      description: feature.properties?.description || '',
-      distance: Math.round(distance * 100) / 100,
-      elevationGain: Math.round(elevationGain)
-    };
+    // Not every track has its original GPX next to it
+    const gpxFile = path.basename(filepath).replace(/\.geojson$/, '.gpx');
+    const hasGpx = fs.existsSync(path.join(path.dirname(filepath), 'gpx', gpxFile));
+
+    return buildManifestEntry(feature, path.basename(filepath), { ...options, gpxFile: hasGpx ? gpxFile : null });
   } catch (error) {
     console.error(`Error processing ${filepath}:`, error.message);
     return null;
   }
 }
 
-function generateManifest() {
+// The schema ships with this script, whichever project it runs in
+const SCHEMA_PATH = path.join(__dirname, '..', 'public', 'tracks', 'manifest.schema.json');
+
+// Schema errors for `manifest`, printed; true when it's valid
+async function checkManifest(manifest) {
+  const { validateJsonSchema } = await import('../src/lib/jsonSchema.js');
+  const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+  const errors = validateJsonSchema(schema, manifest);
+  errors.forEach((error) => console.error(`  ✗ ${error}`));
+  return errors.length === 0;
+}
+
+// Difficulty settings: the config file, then --difficulty-formula on top
+function readDifficultyConfig(args, tracksDir, formulas) {
+  const flag = args.indexOf('--difficulty-config');
+  const file = flag >= 0 ? args[flag + 1] : path.join(tracksDir, 'difficulty.config.json');
+  let config = {};
+  if (flag >= 0 || fs.existsSync(file)) {
+    try {
+      config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      console.error(`Error: Could not read difficulty config ${file}: ${error.message}`);
+      process.exit(1);
+    }
+    console.log(`Using difficulty config ${file}`);
+  }
+
+  const formulaFlag = args.indexOf('--difficulty-formula');
+  if (formulaFlag >= 0) config = { ...config, formula: args[formulaFlag + 1] };
+  if (config.formula !== undefined && !formulas[config.formula]) {
+    console.error(`Error: difficulty formula must be one of: ${Object.keys(formulas).join(', ')}`);
+    process.exit(1);
+  }
+  return config;
+}
+
+async function generateManifest() {
+  const { buildManifest, buildManifestEntry } = await import('../src/lib/trackManifest.js');
+  const { GAIN_ALGORITHMS } = await import('../src/lib/elevationStats.js');
+  const { DIFFICULTY_FORMULAS } = await import('../src/lib/difficulty.js');
+
+  const args = process.argv.slice(2);
   const tracksDir = path.join(process.cwd(), 'public', 'tracks');
-  
+
+  if (args[0] === '--check') {
+    const file = args[1] || path.join(tracksDir, 'manifest.json');
+    let manifest;
+    try {
+      manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      console.error(`Error: Could not read ${file}: ${error.message}`);
+      process.exit(1);
+    }
+    if (!(await checkManifest(manifest))) {
+      console.error(`\n❌ ${file} does not match the manifest schema`);
+      console.error('   Regenerate it with: node scripts/generate-manifest.cjs');
+      process.exit(1);
+    }
+    console.log(`✅ ${file} matches the manifest schema (version ${manifest.version})`);
+    return;
+  }
+
+  const flag = args.indexOf('--gain-algorithm');
+  const algorithm = flag >= 0 ? args[flag + 1] : undefined;
+  if (algorithm !== undefined && !GAIN_ALGORITHMS[algorithm]) {
+    console.error(`Error: --gain-algorithm must be one of: ${Object.keys(GAIN_ALGORITHMS).join(', ')}`);
+    process.exit(1);
+  }
+
+  const difficulty = readDifficultyConfig(args, tracksDir, DIFFICULTY_FORMULAS);
+
   if (!fs.existsSync(tracksDir)) {
     console.error(`Error: Directory not found: ${tracksDir}`);
     console.error('Make sure you run this from your project root');
@@ -127,11 +152,17 @@ function generateManifest() {
   const tracks = files
     .map(filename => {
       console.log(`Processing ${filename}...`);
-      return processTrack(path.join(tracksDir, filename));
+      return processTrack(path.join(tracksDir, filename), buildManifestEntry, { algorithm, difficulty });
     })
     .filter(Boolean);
 
-  const manifest = { tracks };
+  const manifest = buildManifest(tracks);
+
+  // Authored properties can still be off (a surface share over 100%, say)
+  if (!(await checkManifest(manifest))) {
+    console.error('\n❌ The generated manifest does not match the schema; fix the GeoJSON properties above');
+    process.exit(1);
+  }
 
   const outputPath = path.join(tracksDir, 'manifest.json');
   fs.writeFileSync(outputPath, JSON.stringify(manifest, null, 2));
@@ -142,7 +173,7 @@ function generateManifest() {
   // Print summary
   console.log('\nTracks:');
   tracks.forEach(t => {
-    console.log(`  - ${t.name} (${t.distance} mi, ${t.elevationGain} ft)`);
+    console.log(`  - ${t.name} (${t.distance} mi, +${t.elevationGain}/-${t.elevationLoss} ft, ${t.difficulty.level})`);
   });
 }
 
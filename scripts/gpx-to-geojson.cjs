@@ -1,119 +1,184 @@
 #!/usr/bin/env node
 
 /**
- * GPX to GeoJSON Converter (Node.js)
+ * Track to GeoJSON Converter (Node.js)
+ *
+ * Despite the name, also converts KML, KMZ, TCX and FIT files; all formats
+ * go through src/lib/trackImport.js, the same code the browser uses.
  *
  * Usage:
- *   npm install togeojson xmldom
- *   node gpx-to-geojson.js input.gpx output.geojson
+ *   node gpx-to-geojson.cjs input.gpx output.geojson
+ *
+ * Or convert all track files in a directory:
+ *   node gpx-to-geojson.cjs ./gpx-files ./output-geojson
  *
- * Or convert all GPX files in a directory:
- *   node gpx-to-geojson.js ./gpx-files ./output-geojson
+ * Elevation from DEM tiles (src/lib/elevationService.js):
+ *   --dem fill|replace   fill missing heights, or replace all of them
+ *   --dem-url <template> tile URL or local path with {z}/{x}/{y}
+ *                        (default: the public Terrarium tiles)
+ *   --dem-format terrarium|geotiff
+ *   --dem-zoom <z>
  */
 
 const fs = require("fs");
 const path = require("path");
+const { fileURLToPath } = require("url");
 const { DOMParser } = require("xmldom");
-const toGeoJSON = require("@tmcw/togeojson");
 
-function convertGPXtoGeoJSON(gpxPath, geojsonPath) {
-  try {
-    // Read GPX file
-    const gpxData = fs.readFileSync(gpxPath, "utf8");
+// The browser and the CLI share one import layer (an ES module)
+function loadTrackImport() {
+  return import("../src/lib/trackImport.js");
+}
 
-    // Parse XML
-    const gpx = new DOMParser().parseFromString(gpxData);
+// DEM tiles over HTTP(S), or from disk for a local path/file: URL
+function demFetch(url) {
+  if (/^https?:/i.test(url)) return fetch(url);
+  const file = url.startsWith("file:") ? fileURLToPath(url) : url;
+  return fs.promises.readFile(file).then(
+    (data) => new Response(data),
+    () => new Response(null, { status: 404 }),
+  );
+}
 
-    // Convert to GeoJSON
-    const geoJSON = toGeoJSON.gpx(gpx);
+// Options -> elevation service, or null without --dem
+async function createDemService(options) {
+  if (!options.dem) return null;
+  const { createElevationService, DEFAULT_DEM, DEM_FORMATS, ELEVATION_MODES } = await import(
+    "../src/lib/elevationService.js"
+  );
+  if (!ELEVATION_MODES.includes(options.dem)) {
+    throw new Error(`--dem must be one of: ${ELEVATION_MODES.join(", ")}`);
+  }
+  if (options.demFormat && !DEM_FORMATS[options.demFormat]) {
+    throw new Error(`--dem-format must be one of: ${Object.keys(DEM_FORMATS).join(", ")}`);
+  }
+  return createElevationService({
+    url: options.demUrl || DEFAULT_DEM.url,
+    format: options.demFormat || DEFAULT_DEM.format,
+    zoom: options.demZoom != null ? Number(options.demZoom) : DEFAULT_DEM.zoom,
+    fetchImpl: demFetch,
+  });
+}
 
-    // If it's a FeatureCollection, get the first feature
-    let feature;
-    if (geoJSON.type === "FeatureCollection" && geoJSON.features.length > 0) {
-      feature = geoJSON.features[0];
-    } else if (geoJSON.type === "Feature") {
-      feature = geoJSON;
-    } else {
-      throw new Error("No valid features found in GPX");
+// Corrects every line of the feature in place; returns a summary line
+async function applyDem(feature, service, mode) {
+  const { correctElevations } = await import("../src/lib/elevationService.js");
+  const { geometry } = feature;
+  const lines = geometry.type === "LineString" ? [geometry.coordinates] : geometry.coordinates;
+  let changed = 0;
+  let missing = 0;
+  const corrected = [];
+  for (const line of lines) {
+    const result = await correctElevations(line, service, { mode });
+    corrected.push(result.coordinates);
+    changed += result.changed;
+    missing += result.missing;
+  }
+  geometry.coordinates = geometry.type === "LineString" ? corrected[0] : corrected;
+  return `DEM (${mode}): ${changed} points updated${missing ? `, ${missing} outside the DEM` : ""}`;
+}
+
+async function convertGPXtoGeoJSON(inputPath, geojsonPath, dem = null) {
+  try {
+    const { parseTrackData } = await loadTrackImport();
+    const result = await parseTrackData(fs.readFileSync(inputPath), {
+      filename: path.basename(inputPath),
+      DOMParser,
+    });
+
+    if (!result.ok) {
+      throw new Error(result.errors.join("; "));
     }
 
-    // Clean up and enhance properties
-    const properties = {
-      name: feature.properties.name || path.basename(gpxPath, ".gpx"),
-      description:
-        feature.properties.desc || feature.properties.description || "",
-      // Add any other metadata you want
-    };
-
-    // Create clean GeoJSON feature
-    const cleanFeature = {
-      type: "Feature",
-      properties: properties,
-      geometry: feature.geometry,
-    };
+    if (dem) {
+      console.log(`  ${await applyDem(result.feature, dem.service, dem.mode)}`);
+    }
 
     // Write to file
-    fs.writeFileSync(geojsonPath, JSON.stringify(cleanFeature, null, 2));
-    console.log(`✓ Converted: ${gpxPath} → ${geojsonPath}`);
+    fs.writeFileSync(geojsonPath, JSON.stringify(result.feature, null, 2));
+    console.log(`✓ Converted: ${inputPath} → ${geojsonPath}`);
 
     return true;
   } catch (error) {
-    console.error(`✗ Error converting ${gpxPath}:`, error.message);
+    console.error(`✗ Error converting ${inputPath}:`, error.message);
     return false;
   }
 }
 
-function convertDirectory(inputDir, outputDir) {
+async function convertDirectory(inputDir, outputDir, dem = null) {
+  const { trackFormatFromFilename } = await loadTrackImport();
+
   // Create output directory if it doesn't exist
   if (!fs.existsSync(outputDir)) {
     fs.mkdirSync(outputDir, { recursive: true });
   }
 
-  // Get all GPX files
+  // Get all supported track files
   const files = fs
     .readdirSync(inputDir)
-    .filter((f) => f.toLowerCase().endsWith(".gpx"));
+    .filter((f) => trackFormatFromFilename(f));
 
-  console.log(`Found ${files.length} GPX files to convert...\n`);
+  console.log(`Found ${files.length} track files to convert...\n`);
 
   let successCount = 0;
-  files.forEach((file) => {
-    const gpxPath = path.join(inputDir, file);
+  for (const file of files) {
+    const inputPath = path.join(inputDir, file);
     const geojsonPath = path.join(
       outputDir,
-      file.replace(/\.gpx$/i, ".geojson"),
+      file.replace(/\.[^.]+$/, ".geojson"),
     );
 
-    if (convertGPXtoGeoJSON(gpxPath, geojsonPath)) {
+    if (await convertGPXtoGeoJSON(inputPath, geojsonPath, dem)) {
       successCount++;
     }
-  });
+  }
 
   console.log(
     `\nConverted ${successCount}/${files.length} files successfully!`,
   );
 }
 
+// --name value pairs out of the arguments
+function parseArgs(argv) {
+  const args = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([a-z-]+)$/);
+    if (match) {
+      const key = match[1].replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+      options[key] = argv[++i];
+    } else {
+      args.push(argv[i]);
+    }
+  }
+  return { args, options };
+}
+
 // Main execution
-function main() {
-  const args = process.argv.slice(2);
+async function main() {
+  const { args, options } = parseArgs(process.argv.slice(2));
 
   if (args.length < 2) {
     console.log(`
-GPX to GeoJSON Converter
+Track to GeoJSON Converter (GPX, KML, KMZ, TCX, FIT)
 
 Usage:
-  node gpx-to-geojson.js <input> <output>
+  node gpx-to-geojson.cjs <input> <output>
 
 Examples:
   # Convert single file
-  node gpx-to-geojson.js track.gpx track.geojson
-  
-  # Convert all GPX files in a directory
-  node gpx-to-geojson.js ./gpx-files ./geojson-output
+  node gpx-to-geojson.cjs track.gpx track.geojson
+  node gpx-to-geojson.cjs morning-run.fit public/tracks/
+
+  # Convert all track files in a directory
+  node gpx-to-geojson.cjs ./gpx-files ./geojson-output
+
+  # Fill missing elevation from DEM tiles (or --dem replace)
+  node gpx-to-geojson.cjs drawn.gpx public/tracks/ --dem fill
+  node gpx-to-geojson.cjs track.gpx out.geojson --dem replace --dem-url ./dem/{z}/{x}/{y}.png
 
 Prerequisites:
-  npm install @tmcw/togeojson xmldom
+  npm install
     `);
     process.exit(1);
   }
@@ -121,11 +186,20 @@ Prerequisites:
   const input = args[0];
   const output = args[1];
 
+  let dem = null;
+  try {
+    const service = await createDemService(options);
+    if (service) dem = { service, mode: options.dem };
+  } catch (error) {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+  }
+
   // Check if input is a file or directory
   const inputStats = fs.statSync(input);
 
   if (inputStats.isDirectory()) {
-    convertDirectory(input, output);
+    await convertDirectory(input, output, dem);
   } else if (inputStats.isFile()) {
     let finalOutputPath = output;
 
@@ -143,7 +217,9 @@ Prerequisites:
       finalOutputPath = path.join(output, fileName);
     }
 
-    convertGPXtoGeoJSON(input, finalOutputPath);
+    if (!(await convertGPXtoGeoJSON(input, finalOutputPath, dem))) {
+      process.exit(1);
+    }
   } else {
     console.error("Invalid input path");
     process.exit(1);
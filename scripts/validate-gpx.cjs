@@ -156,6 +156,27 @@ function validateGpxFile(filePath) {
   };
 }
 
+// Any supported track file. GPX keeps the rules above; KML, KMZ, TCX and FIT
+// go through the shared import layer, which reports the same result shape.
+async function validateTrackFile(filePath) {
+  const absolutePath = path.resolve(filePath);
+
+  if (path.extname(absolutePath).toLowerCase() === '.gpx') {
+    return validateGpxFile(absolutePath);
+  }
+
+  if (!fs.existsSync(absolutePath)) {
+    throw new Error(`Track file not found: ${absolutePath}`);
+  }
+
+  const { parseTrackData } = await import('../src/lib/trackImport.js');
+  const { ok, errors, warnings, stats } = await parseTrackData(
+    fs.readFileSync(absolutePath),
+    { filename: path.basename(absolutePath), DOMParser }
+  );
+  return { ok, errors, warnings, stats };
+}
+
 function printReport(result, filePath) {
   console.log(`${bold('Validating:')} ${filePath}`);
 
@@ -194,20 +215,22 @@ if (require.main === module) {
   const input = process.argv[2];
 
   if (!input) {
-    console.error(red('Usage: node scripts/validate-gpx.cjs <file.gpx>'));
+    console.error(red('Usage: node scripts/validate-gpx.cjs <file.gpx|.kml|.kmz|.tcx|.fit>'));
     process.exit(1);
   }
 
-  try {
-    const result = validateGpxFile(input);
-    printReport(result, input);
-    process.exit(result.ok ? 0 : 1);
-  } catch (error) {
-    console.error(red(error.message));
-    process.exit(1);
-  }
+  validateTrackFile(input)
+    .then((result) => {
+      printReport(result, input);
+      process.exit(result.ok ? 0 : 1);
+    })
+    .catch((error) => {
+      console.error(red(error.message));
+      process.exit(1);
+    });
 }
 
 module.exports = {
   validateGpxFile,
+  validateTrackFile,
 };
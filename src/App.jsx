@@ -1,25 +1,97 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useRef, useMemo } from "react";
 import Map from "./components/Map";
 import TrackList from "./components/TrackList";
 import Sidebar from "./components/Sidebar";
+import TrackCompareView from "./components/TrackCompareView";
 import ThemeToggle from "./components/ThemeToggle";
-import { calculateDistance, calculateElevationGain } from "./utils";
+import UnitsToggle from "./components/UnitsToggle";
+import { calculateClimbFactor, calculateDistance } from "./utils";
+import { computeElevationStats, DEFAULT_GAIN_ALGORITHM, GAIN_ALGORITHMS } from "./lib/elevationStats";
+import { slugifyFilename } from "./lib/gpxImport";
+import { computeActivityStats, getTrackTimes } from "./lib/activityStats";
+import { buildTrailPlan, fitFlatPace, parsePaceSettings } from "./lib/paceModel";
+import { MAX_COMPARE_TRACKS } from "./lib/trackCompare";
+import { DEFAULT_FORECAST_OPTIONS } from "./lib/routeForecast";
+import { formatDistance, normalizeUnits } from "./lib/units";
+import { toGpx } from "./lib/trackExport";
+import { normalizeManifest, resolveTrackFilenames } from "./lib/trackManifest";
+import { getDifficultyConfig, gradeMiles, rateDifficulty } from "./lib/difficulty";
+import { stationWaypoints } from "./lib/waypoints";
+import {
+  listUserTracks,
+  saveUserTrack,
+  renameUserTrack,
+  deleteUserTrack,
+  loadCachedGeoJSON,
+} from "./lib/trackStore";
+import BUILD_INFO from "./build-info";
+import {
+  parseUrlState,
+  buildUrlSearch,
+  isNavigationChange,
+} from "./lib/urlState";
 import CesiumView from "./components/CesiumView";
-import useGeolocation from "./hooks/useGeolocation";
+import useGeolocation, { GEO_STATUS } from "./hooks/useGeolocation";
 import useFullscreen from "./hooks/useFullscreen";
+import useRouteForecast from "./hooks/useRouteForecast";
+import useTrackWaypoints from "./hooks/useTrackWaypoints";
+import useNavigation from "./hooks/useNavigation";
+import { DEFAULT_OFF_ROUTE_FT } from "./lib/navigation";
+import useActivityRecorder from "./hooks/useActivityRecorder";
+import useTrailNetwork from "./hooks/useTrailNetwork";
 
 import GpsButton from "./components/GpsButton";
-import { Maximize, Minimize } from 'lucide-react';
+import NavigationPanel from "./components/NavigationPanel";
+import RecorderPanel from "./components/RecorderPanel";
+import { Maximize, Minimize, Pencil, Repeat } from 'lucide-react';
 
 import OfflineIndicator from './components/OfflineIndicator';
 
-// Max number of tracks in browser memory
+// Max number of tracks in browser memory (IndexedDB keeps more on disk)
 const MAX_CACHED_TRACKS = 4;
 
+// Difficulty formula for tracks that aren't in the manifest (lib/difficulty)
+const DIFFICULTY_CONFIG = getDifficultyConfig(import.meta.env);
+
+// Drawn/imported tracks persisted in IndexedDB; failures only cost persistence
+const persistUserTrack = (track) => {
+  saveUserTrack(track).catch((error) =>
+    console.error("Failed to save track locally:", error),
+  );
+};
+
+// Manifest GeoJSON for `filename`. GeoJSON from this build is already on
+// disk; older copies are only a fallback when the network fails
+const fetchTrackGeoJSON = (filename) =>
+  loadCachedGeoJSON(filename, {
+    build: BUILD_INFO.build,
+    load: async () => {
+      const url = `${import.meta.env.BASE_URL}tracks/${filename}`;
+      const response = await fetch(url);
+      if (!response.ok)
+        throw new Error(`Failed to load ${url} (${response.status})`);
+      return response.json();
+    },
+  });
+
+// Track coordinate at `index` as [lat, lon], or null
+const pointAt = (track, index) => {
+  if (!track || index == null) return null;
+  const coords =
+    track.geometry.type === "LineString"
+      ? track.geometry.coordinates
+      : track.geometry.coordinates[0];
+  return coords[index] ? [coords[index][1], coords[index][0]] : null;
+};
+
 function App() {
+  // Deep link state from the address bar, read once on load
+  const [initialUrlState] = useState(() => parseUrlState(window.location.search));
+
   // All state hooks MUST be at the top, in the same order, every render
   const [tracks, setTracks] = useState([]);
   const [selectedTrack, setSelectedTrack] = useState(null);
+  const [compareTracks, setCompareTracks] = useState([]); // full features, in pick order
   const [loading, setLoading] = useState(true);
   const [loadingTrack, setLoadingTrack] = useState(false);
   const [isMenuOpen, setIsMenuOpen] = useState(false);
@@ -28,12 +100,18 @@ function App() {
   const [cursorPosition, setCursorPosition] = useState(null);
   const [graphHoverIndex, setGraphHoverIndex] = useState(null);
   const [drawMode, setDrawMode] = useState(false);
+  const [drawSeed, setDrawSeed] = useState(null); // loop planner suggestion opened in draw mode
+  const [loopPlanner, setLoopPlanner] = useState(false);
   const [isSheetMinimized, setIsSheetMinimized] = useState(false);
   const [isSidebarCollapsed, setIsSidebarCollapsed] = useState(false);
   const [isTrackListCollapsed, setIsTrackListCollapsed] = useState(false);
   const [theme, setTheme] = useState(
     () => localStorage.getItem("theme") || "dark",
   );
+  // Display units (lib/units); data stays in miles and feet
+  const [units, setUnits] = useState(
+    () => normalizeUnits(localStorage.getItem("units")),
+  );
   const [trackCache, setTrackCache] = useState({}); // Use plain object instead of Map
   const [trackCacheOrder, setTrackCacheOrder] = useState([]); // array of filenames, most-recent at end
 
@@ -41,9 +119,24 @@ function App() {
 
   // ✅ NEW: hybrid map mode toggle (Leaflet 2D vs Cesium 2.5D)
   const [mapMode, setMapMode] = useState(
-    () => localStorage.getItem("mapMode") || "2d",
+    () => (initialUrlState.mode === "3d" ? "3d" : localStorage.getItem("mapMode") || "2d"),
   ); // "2d" | "3d"
 
+  // View state mirrored into the URL (see lib/urlState)
+  const [mapView, setMapView] = useState(initialUrlState.map); // { lat, lon, zoom }
+  const [cameraView, setCameraView] = useState(initialUrlState.cam); // Cesium camera
+  const [restoreView, setRestoreView] = useState(
+    Boolean(initialUrlState.map || initialUrlState.cam),
+  ); // true while the map should honour mapView/cameraView instead of auto-fitting
+  const [showGradeOverlay, setShowGradeOverlay] = useState(initialUrlState.grade);
+  const [profileDomain, setProfileDomain] = useState(initialUrlState.profile);
+  const [weatherLayer, setWeatherLayer] = useState(initialUrlState.weather);
+  const [pinnedIndex, setPinnedIndex] = useState(initialUrlState.point);
+  const [trackFilters, setTrackFilters] = useState(initialUrlState.filters); // lib/trackFilters
+  const [urlNotice, setUrlNotice] = useState(null);
+  const urlSyncPausedRef = useRef(true); // no URL writes until the deep link is applied
+  const applyUrlStateRef = useRef(null);
+
   const {
     status: gpsStatus,
     position: gpsPosition,
@@ -54,6 +147,30 @@ function App() {
 
   const [followMe, setFollowMe] = useState(false);
 
+  // Navigation mode: GPS fix snapped to the selected track (see lib/navigation)
+  const [navigating, setNavigating] = useState(false);
+  const [offRouteFt, setOffRouteFt] = useState(
+    () => Number(localStorage.getItem("offRouteFt")) || DEFAULT_OFF_ROUTE_FT,
+  );
+
+  // Gain algorithm picked in the sidebar; navigation's climb left uses it too
+  const [gainAlgorithm, setGainAlgorithm] = useState(() => {
+    const saved = localStorage.getItem("gainAlgorithm");
+    return GAIN_ALGORITHMS[saved] ? saved : DEFAULT_GAIN_ALGORITHM;
+  });
+  const elevationOptions = useMemo(() => ({ algorithm: gainAlgorithm }), [gainAlgorithm]);
+
+  // Activity recording: the GPS breadcrumb, kept in IndexedDB until finished
+  const recorder = useActivityRecorder(gpsPosition, {
+    startGps: () => {
+      if (gpsStatus !== GEO_STATUS.WATCHING && gpsStatus !== GEO_STATUS.PENDING) startWatching();
+    },
+  });
+  const breadcrumb = useMemo(
+    () => recorder.recording?.points.map((p) => [p.lat, p.lon]) ?? null,
+    [recorder.recording],
+  );
+
   const { isFullscreen, toggleFullscreen } = useFullscreen();
 
   // ✅ NEW: peaks data for 3D view
@@ -71,6 +188,14 @@ function App() {
   ); // miles
   const [showSettings, setShowSettings] = useState(false);
 
+  // Pace model for predicted trail times (see lib/paceModel)
+  const [paceSettings, setPaceSettings] = useState(() =>
+    parsePaceSettings(localStorage.getItem("paceSettings")),
+  );
+  const [forecastOptions, setForecastOptions] = useState(DEFAULT_FORECAST_OPTIONS);
+  // Climb or descent picked in the Sidebar's segment table (lib/trackSegments)
+  const [highlightedSegment, setHighlightedSegment] = useState(null);
+
   // ✅ Ensure Leaflet always receives the selectedTrack in its "tracks" list
   const leafletTracks = (() => {
     const arr = Object.values(trackCache || {});
@@ -114,6 +239,10 @@ function App() {
     localStorage.setItem("theme", theme);
   }, [theme]);
 
+  useEffect(() => {
+    localStorage.setItem("units", units);
+  }, [units]);
+
   // ✅ NEW: persist mapMode
   useEffect(() => {
     localStorage.setItem("mapMode", mapMode);
@@ -126,6 +255,7 @@ function App() {
   useEffect(() => {
     // Force 2D default if old localStorage has 3d
     const saved = localStorage.getItem("mapMode");
+    if (initialUrlState.mode === "3d") return; // a deep link asked for 3D
     if (!saved || saved === "3d") {
       localStorage.setItem("mapMode", "2d");
       setMapMode("2d");
@@ -167,6 +297,108 @@ function App() {
     localStorage.setItem("peakRadius", peakRadius);
   }, [peakRadius]);
 
+  useEffect(() => {
+    localStorage.setItem("paceSettings", JSON.stringify(paceSettings));
+  }, [paceSettings]);
+
+  useEffect(() => {
+    localStorage.setItem("offRouteFt", offRouteFt);
+  }, [offRouteFt]);
+
+  useEffect(() => {
+    localStorage.setItem("gainAlgorithm", gainAlgorithm);
+  }, [gainAlgorithm]);
+
+  // Aid stations and other race waypoints on the selected track, placed on it
+  const trackWaypoints = useTrackWaypoints(selectedTrack);
+  const stationPoints = useMemo(
+    () => (selectedTrack?.geometry ? stationWaypoints(selectedTrack, trackWaypoints.stations) : []),
+    [selectedTrack, trackWaypoints.stations],
+  );
+
+  // Arrival times at each mile (or km) marker, nearby peak and aid station for the selected track
+  const trailPlan = useMemo(
+    () =>
+      selectedTrack?.geometry
+        ? buildTrailPlan(selectedTrack, { settings: paceSettings, peaks, stations: stationPoints, units })
+        : null,
+    [selectedTrack, paceSettings, peaks, stationPoints, units],
+  );
+
+  // Segment indices belong to the track they were picked on
+  useEffect(() => {
+    setHighlightedSegment(null);
+  }, [selectedTrack?.properties?.id]);
+
+  // Weather at each sample's predicted arrival, with heat/storm stretches
+  const routeForecast = useRouteForecast(selectedTrack, paceSettings, forecastOptions);
+
+  // Fit the flat pace to every loaded track that was recorded with timestamps
+  const handleCalibratePace = () => {
+    const loaded = {};
+    for (const track of [...Object.values(trackCache), ...tracks]) {
+      if (track?.geometry && getTrackTimes(track)) loaded[track.properties.id] = track;
+    }
+    const fit = fitFlatPace(Object.values(loaded), paceSettings.model);
+    if (fit) setPaceSettings((prev) => ({ ...prev, flatPace: Math.round(fit.flatPace) }));
+    return fit;
+  };
+
+  // Apply the deep link once the track list is ready
+  useEffect(() => {
+    if (loading || !applyUrlStateRef.current) return;
+    if (!urlSyncPausedRef.current) return; // already applied
+    applyUrlStateRef.current(initialUrlState);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [loading]);
+
+  // Back/forward restores whatever the entry encoded
+  useEffect(() => {
+    const onPopState = () => {
+      applyUrlStateRef.current?.(parseUrlState(window.location.search));
+    };
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+  }, []);
+
+  // Mirror view state into the URL. Track/mode changes push a history entry;
+  // everything else replaces the current one.
+  useEffect(() => {
+    if (urlSyncPausedRef.current) return;
+
+    const next = {
+      // Only deployed tracks (with a manifest file) are linkable
+      track: selectedTrack?.properties?.file || null,
+      mode: mapMode,
+      map: mapView,
+      cam: cameraView,
+      grade: showGradeOverlay,
+      profile: profileDomain,
+      weather: weatherLayer,
+      point: pinnedIndex,
+      filters: trackFilters,
+    };
+    const search = buildUrlSearch(next, window.location.search);
+    if (search === window.location.search) return;
+
+    const url = `${window.location.pathname}${search}${window.location.hash}`;
+    if (isNavigationChange(parseUrlState(window.location.search), next)) {
+      window.history.pushState(null, "", url);
+    } else {
+      window.history.replaceState(null, "", url);
+    }
+  }, [
+    selectedTrack,
+    mapMode,
+    mapView,
+    cameraView,
+    showGradeOverlay,
+    profileDomain,
+    weatherLayer,
+    pinnedIndex,
+    trackFilters,
+  ]);
+
   const toggleTheme = () => {
     setTheme((prevTheme) => (prevTheme === "dark" ? "light" : "dark"));
   };
@@ -196,22 +428,18 @@ function App() {
         throw new Error(`Failed to load manifest (${response.status})`);
       const manifest = await response.json();
 
-      const trackStubs = manifest.tracks.map((track) => ({
+      // Older manifests get the newer fields filled in or left empty
+      const trackStubs = normalizeManifest(manifest).tracks.map((entry) => ({
         properties: {
-          id: track.file,
-          name: track.name,
-          location: track.location,
-          description: track.description,
-          distance: track.distance,
-          elevationGain: track.elevationGain,
-          filename: track.file,
-          file: track.file, // "MammothLakes4.geojson"
-          gpxFile: track.file.replace(/\.geojson$/i, ".gpx"), // "MammothLakes4.gpx"
+          ...entry, // lib/trackManifest: stats, difficulty, tags, images...
+          id: entry.file,
+          filename: entry.file, // "MammothLakes4.geojson"
         },
         isStub: true,
       }));
 
-      setTracks(trackStubs);
+      const userTracks = await listUserTracks();
+      setTracks([...trackStubs, ...userTracks]);
       setLoading(false);
     } catch (error) {
       console.error("Error loading manifest:", error);
@@ -239,7 +467,8 @@ function App() {
         }),
       );
 
-      setTracks(loadedTracks.filter(Boolean));
+      const userTracks = await listUserTracks();
+      setTracks([...loadedTracks.filter(Boolean), ...userTracks]);
       setLoading(false);
     } catch (error) {
       console.error("Error loading tracks:", error);
@@ -262,12 +491,7 @@ function App() {
 
     setLoadingTrack(true);
     try {
-      const url = `${import.meta.env.BASE_URL}tracks/${filename}`;
-      const response = await fetch(url);
-      if (!response.ok)
-        throw new Error(`Failed to load ${url} (${response.status})`);
-      const data = await response.json();
-
+      const data = await fetchTrackGeoJSON(filename);
       const processedTrack = processTrack(data, filename, trackStub.properties);
       if (!processedTrack) return null;
 
@@ -323,8 +547,22 @@ function App() {
       }
 
       const distance = existingProps?.distance ?? calculateDistance(coords);
-      const elevationGain =
-        existingProps?.elevationGain ?? calculateElevationGain(coords);
+      const elevation = computeElevationStats(coords);
+      const elevationGain = existingProps?.elevationGain ?? elevation.gain;
+      const elevationLoss = existingProps?.elevationLoss ?? elevation.loss;
+
+      // Manifest tracks come rated; drawn, imported and recorded ones are
+      // rated here with the VITE_DIFFICULTY_* settings
+      const difficulty =
+        existingProps?.difficulty ??
+        feature.properties?.difficulty ??
+        rateDifficulty(
+          { distance, gain: elevationGain, climbFactor: calculateClimbFactor(coords), gradeMiles: gradeMiles(coords) },
+          DIFFICULTY_CONFIG,
+        );
+
+      // Recorded activities only; the Sidebar computes splits on demand
+      const activity = computeActivityStats(coords, getTrackTimes(feature));
 
       feature.properties = {
         ...feature.properties,
@@ -337,6 +575,13 @@ function App() {
         filename: filename,
         distance,
         elevationGain,
+        elevationLoss,
+        difficulty,
+        ...(activity && {
+          startTime: activity.startTime,
+          elapsedTime: activity.elapsedTime,
+          movingTime: activity.movingTime,
+        }),
       };
 
       return feature;
@@ -346,8 +591,58 @@ function App() {
     }
   };
 
+  // Set app state from a parsed URL (initial load or back/forward)
+  const applyUrlState = async (state) => {
+    urlSyncPausedRef.current = true;
+    setUrlNotice(null);
+    setMapMode(state.mode);
+    setMapView(state.map);
+    setCameraView(state.cam);
+    setRestoreView(Boolean(state.map || state.cam));
+    setShowGradeOverlay(state.grade);
+    setProfileDomain(state.profile);
+    setWeatherLayer(state.weather);
+    setPinnedIndex(state.point);
+    setTrackFilters(state.filters);
+
+    try {
+      if (!state.track) {
+        setSelectedTrack(null);
+        return;
+      }
+      if (selectedTrack?.properties?.file === state.track) return;
+
+      const match = tracks.find((t) => t.properties.file === state.track);
+      if (!match) {
+        setSelectedTrack(null);
+        setUrlNotice("Shared trail was not found. It may not be deployed yet.");
+        return;
+      }
+
+      const fullTrack = match.isStub ? await loadTrackGeoJSON(match) : match;
+      if (fullTrack) {
+        setSelectedTrack(fullTrack);
+        setIsSidebarCollapsed(false);
+      } else {
+        setUrlNotice("Shared trail could not be loaded.");
+      }
+    } finally {
+      urlSyncPausedRef.current = false;
+    }
+  };
+  applyUrlStateRef.current = applyUrlState;
+
+  // Fresh selection: drop per-track view state and let the map fit the track
+  const resetTrackViewState = () => {
+    setRestoreView(false);
+    setProfileDomain(null);
+    setPinnedIndex(null);
+    setNavigating(false);
+  };
+
   const handleTrackSelect = async (track) => {
     setIsMenuOpen(false);
+    resetTrackViewState();
 
     if (track.isStub) {
       const fullTrack = await loadTrackGeoJSON(track);
@@ -361,7 +656,46 @@ function App() {
     }
   };
 
+  // Two or more picked tracks replace the sidebar with the compare view
+  const isComparing = compareTracks.length >= 2;
+
+  // Progress along the selected track while navigating; null otherwise
+  const navigation = useNavigation(navigating && !isComparing ? selectedTrack : null, gpsPosition, {
+    offRouteFt,
+    peaks,
+    units,
+    elevationOptions,
+  });
+
+  const toggleNavigation = () => {
+    if (navigating) {
+      setNavigating(false);
+      return;
+    }
+    if (gpsStatus !== GEO_STATUS.WATCHING && gpsStatus !== GEO_STATUS.PENDING) startWatching();
+    setFollowMe(true);
+    setNavigating(true);
+  };
+
+  const handleToggleCompare = async (track) => {
+    const id = track.properties.id;
+    if (compareTracks.some((t) => t.properties.id === id)) {
+      setCompareTracks((prev) => prev.filter((t) => t.properties.id !== id));
+      return;
+    }
+    if (compareTracks.length >= MAX_COMPARE_TRACKS) return;
+
+    const fullTrack = track.isStub ? await loadTrackGeoJSON(track) : track;
+    if (!fullTrack) return;
+    setCompareTracks((prev) =>
+      prev.some((t) => t.properties.id === id) || prev.length >= MAX_COMPARE_TRACKS
+        ? prev
+        : [...prev, fullTrack],
+    );
+  };
+
   const handleCloseSidebar = () => {
+    resetTrackViewState();
     setSelectedTrack(null);
     setCursorPosition(null);
     setGraphHoverIndex(null);
@@ -398,11 +732,158 @@ function App() {
     }
   };
 
+  // Imported track file: result of readTrackFile() from TrackDropZone
+  const handleImportTrack = (result) => {
+    // A different file with the same name gets a timestamp suffix instead of
+    // replacing the local track (and its stored GPX) already there
+    const { geojsonFile: filename } = resolveTrackFilenames(
+      slugifyFilename(result.filename).replace(/\.[^.]+$/, ".gpx"),
+      ({ geojsonFile }) => tracks.some((t) => t.properties.id === `local:${geojsonFile}`),
+    );
+    const processedTrack = processTrack(result.feature, filename, {
+      id: `local:${filename}`,
+      source: "local",
+      importWarnings: result.warnings,
+    });
+    if (!processedTrack) return;
+
+    // Keep a GPX (the original file, or a rendition of KML/TCX/FIT) around
+    // so it can be saved/downloaded later
+    processedTrack.localFile = { name: result.gpxFilename, text: result.gpxText };
+    persistUserTrack(processedTrack);
+
+    setTracks((prev) => [
+      ...prev.filter((t) => t.properties.id !== processedTrack.properties.id),
+      processedTrack,
+    ]);
+    setSelectedTrack(processedTrack);
+    setIsSidebarCollapsed(false);
+  };
+
+  // A local track was committed and a PR opened; keep it local until deployed
+  const handleTrackSaved = (track, info) => {
+    const update = (t) =>
+      t.properties.id === track.properties.id
+        ? { ...t, properties: { ...t.properties, ...info } }
+        : t;
+    setTracks((prev) => prev.map(update));
+    setSelectedTrack((prev) => (prev ? update(prev) : prev));
+    persistUserTrack(update(track));
+  };
+
+  const handleRenameTrack = async (track, name) => {
+    const update = (t) =>
+      t.properties.id === track.properties.id
+        ? { ...t, properties: { ...t.properties, name } }
+        : t;
+    setTracks((prev) => prev.map(update));
+    setSelectedTrack((prev) => (prev ? update(prev) : prev));
+    setCompareTracks((prev) => prev.map(update));
+    try {
+      await renameUserTrack(track.properties.id, name);
+    } catch (error) {
+      console.error("Failed to rename track:", error);
+    }
+  };
+
+  const handleDeleteTrack = async (track) => {
+    const id = track.properties.id;
+    setTracks((prev) => prev.filter((t) => t.properties.id !== id));
+    setSelectedTrack((prev) => (prev?.properties.id === id ? null : prev));
+    setCompareTracks((prev) => prev.filter((t) => t.properties.id !== id));
+    try {
+      await deleteUserTrack(id);
+    } catch (error) {
+      console.error("Failed to delete track:", error);
+    }
+  };
+
+  // Every manifest trail, for the loop planner; bypasses the track cache so
+  // loading the network doesn't evict the tracks being viewed
+  const loadNetworkTrack = async (stub) => {
+    const filename = stub.properties.filename;
+    try {
+      return processTrack(await fetchTrackGeoJSON(filename), filename, stub.properties);
+    } catch (error) {
+      console.error("Error loading trail for the loop planner:", filename, error);
+      return null;
+    }
+  };
+  const trailNetwork = useTrailNetwork(tracks, loadNetworkTrack, loopPlanner);
+
+  const openDrawMode = (seed = null) => {
+    setLoopPlanner(false);
+    setDrawSeed(seed);
+    setDrawMode(true);
+  };
+
+  const closeDrawMode = () => {
+    setDrawMode(false);
+    setDrawSeed(null);
+  };
+
+  const handleOpenLoop = (candidate) => {
+    const kind = candidate.kind === "out-and-back" ? "out & back" : "loop";
+    openDrawMode({
+      name: `${candidate.trails.slice(0, 2).join(" / ")} ${kind}`,
+      coordinates: candidate.coordinates,
+    });
+  };
+
   const handleSaveDrawnTrail = (geojson) => {
-    const processedTrack = processTrack(geojson, `drawn-${Date.now()}.geojson`);
+    const filename = `drawn-${Date.now()}.geojson`;
+    const processedTrack = processTrack(geojson, filename, {
+      id: `drawn:${filename}`,
+      source: "drawn",
+    });
     if (processedTrack) {
       setTracks((prev) => [...prev, processedTrack]);
-      setDrawMode(false);
+      closeDrawMode();
+      persistUserTrack(processedTrack);
+    }
+  };
+
+  // Finished recording -> local track with a GPX (timestamps included) to save
+  // or export. The recording stays in IndexedDB until the track is saved.
+  const handleFinishRecording = async () => {
+    if (!recorder.recording) return;
+    let processedTrack = null;
+    try {
+      const feature = await recorder.finish(async (recorded) => {
+        const gpxFilename = slugifyFilename(`${recorded.properties.name}.gpx`);
+        // The name only goes to the minute; the start time in ms keeps two
+        // recordings from the same minute apart
+        const filename = `recording-${recorded.properties.recordedAt}.geojson`;
+        processedTrack = processTrack(recorded, filename, {
+          id: `local:${filename}`,
+          source: "local",
+        });
+        if (!processedTrack) throw new Error("recording could not be processed");
+        processedTrack.localFile = { name: gpxFilename, text: toGpx(processedTrack) };
+        await saveUserTrack(processedTrack);
+      });
+      if (!feature) {
+        const tooShort = "This recording has fewer than two GPS points, too short to save as a track.";
+        if (window.confirm(`${tooShort} Discard it?`)) recorder.discard();
+        return;
+      }
+    } catch (error) {
+      console.error("Failed to save the recording:", error);
+      window.alert("The recording couldn't be saved as a track. It's still here, so you can try again.");
+      return;
+    }
+
+    setTracks((prev) => [
+      ...prev.filter((t) => t.properties.id !== processedTrack.properties.id),
+      processedTrack,
+    ]);
+    setSelectedTrack(processedTrack);
+    setIsSidebarCollapsed(false);
+  };
+
+  const handleDiscardRecording = () => {
+    if (window.confirm("Discard this recording? The breadcrumb will be lost.")) {
+      recorder.discard();
     }
   };
 
@@ -436,7 +917,21 @@ function App() {
   return (
     <div className="h-screen w-screen flex flex-col lg:flex-row overflow-hidden bg-[var(--bg-primary)]">
       {/* Offline indicator banner */}
-      <OfflineIndicator />
+      <OfflineIndicator selectedTrack={selectedTrack} />
+
+      {/* Deep link could not be resolved; the app still loads normally */}
+      {urlNotice && (
+        <div className="fixed top-16 left-1/2 -translate-x-1/2 z-[2001] px-4 py-2 rounded-full text-sm font-semibold shadow-lg flex items-center gap-3 bg-[var(--bg-secondary)] border border-[var(--border-color)] text-[var(--text-primary)]">
+          <span>{urlNotice}</span>
+          <button
+            onClick={() => setUrlNotice(null)}
+            className="text-[var(--text-secondary)] hover:text-[var(--text-primary)]"
+            title="Dismiss"
+          >
+            ✕
+          </button>
+        </div>
+      )}
 
       <button
         onClick={() => setIsMenuOpen(true)}
@@ -510,7 +1005,23 @@ function App() {
           selectedTrack={selectedTrack}
           onTrackSelect={handleTrackSelect}
           themeToggle={<ThemeToggle theme={theme} onToggle={toggleTheme} />}
+          unitsToggle={<UnitsToggle units={units} onChange={setUnits} />}
+          units={units}
           loadingTrack={loadingTrack}
+          onImportTrack={handleImportTrack}
+          onRenameTrack={handleRenameTrack}
+          onDeleteTrack={handleDeleteTrack}
+          peaks={peaks}
+          compareIds={compareTracks.map((t) => t.properties.id)}
+          maxCompare={MAX_COMPARE_TRACKS}
+          onToggleCompare={handleToggleCompare}
+          onClearCompare={() => setCompareTracks([])}
+          filters={trackFilters}
+          onFiltersChange={setTrackFilters}
+          userPosition={gpsPosition}
+          onRequestPosition={() => {
+            if (gpsStatus !== GEO_STATUS.WATCHING && gpsStatus !== GEO_STATUS.PENDING) startWatching();
+          }}
         />
       </div>
 
@@ -563,6 +1074,38 @@ function App() {
           3D
         </button>
 
+        {/* Draw a trail / plan a loop on the existing trails (2D only) */}
+        {mapMode === "2d" && (
+          <>
+            <button
+              onClick={() => (drawMode ? closeDrawMode() : openDrawMode())}
+              className={`p-2 rounded-lg border shadow
+                ${drawMode
+                  ? "bg-[var(--accent-primary)] text-black border-transparent"
+                  : "bg-[var(--bg-secondary)] text-[var(--text-primary)] border-[var(--border-color)] hover:brightness-110"
+                }`}
+              title="Draw a trail"
+            >
+              <Pencil className="w-5 h-5" />
+            </button>
+            <button
+              onClick={() => {
+                if (loopPlanner) return setLoopPlanner(false);
+                closeDrawMode();
+                setLoopPlanner(true);
+              }}
+              className={`p-2 rounded-lg border shadow
+                ${loopPlanner
+                  ? "bg-[var(--accent-primary)] text-black border-transparent"
+                  : "bg-[var(--bg-secondary)] text-[var(--text-primary)] border-[var(--border-color)] hover:brightness-110"
+                }`}
+              title="Plan a loop"
+            >
+              <Repeat className="w-5 h-5" />
+            </button>
+          </>
+        )}
+
         {/* NEW: Fullscreen Button */}
         <button
           onClick={toggleFullscreen}
@@ -634,7 +1177,7 @@ function App() {
                     }}
                   >
                     <label className="block text-sm text-[var(--text-primary)] mb-1">
-                      Peak Radius: {peakRadius} mi
+                      Peak Radius: {formatDistance(peakRadius, units, 0)}
                     </label>
                     <input
                       type="range"
@@ -659,38 +1202,72 @@ function App() {
           <Map
             key={leafletKey}
             tracks={leafletTracks}
-            selectedTrack={selectedTrack}
+            selectedTrack={isComparing ? null : selectedTrack}
+            compareTracks={isComparing ? compareTracks : []}
             onTrackClick={handleTrackSelect}
             showMileMarkers={showMileMarkers}
             showStartFinish={showStartFinish}
-            cursorPosition={cursorPosition}
-            cursorIndex={graphHoverIndex}
+            cursorPosition={
+              isComparing
+                ? null
+                : cursorPosition ??
+                  (navigation ? [navigation.lat, navigation.lon] : pointAt(selectedTrack, pinnedIndex))
+            }
+            cursorIndex={graphHoverIndex ?? navigation?.index ?? pinnedIndex}
             onMapHover={handleMapHover}
             drawMode={drawMode}
             onSaveDrawnTrail={handleSaveDrawnTrail}
-            onCloseDrawMode={() => setDrawMode(false)}
+            onCloseDrawMode={closeDrawMode}
+            drawSeed={drawSeed}
+            loopPlanner={loopPlanner}
+            trailNetwork={trailNetwork}
+            onOpenLoop={handleOpenLoop}
+            onCloseLoopPlanner={() => setLoopPlanner(false)}
             theme={theme}
-            sidebarOpen={!!selectedTrack && !isSidebarCollapsed}
+            units={units}
+            sidebarOpen={isComparing || (!!selectedTrack && !isSidebarCollapsed)}
             isSidebarCollapsed={isSidebarCollapsed}
             trackListCollapsed={isTrackListCollapsed}
             userPosition={gpsPosition}
             userStatus={gpsStatus}
             followMe={followMe}
+            initialView={restoreView ? mapView : null}
+            onViewChange={setMapView}
+            weatherLayer={weatherLayer}
+            onWeatherLayerChange={setWeatherLayer}
+            trailPlan={trailPlan}
+            weatherRisks={isComparing ? [] : routeForecast.segments}
+            highlightedSegment={isComparing ? null : highlightedSegment}
+            stations={isComparing ? [] : stationPoints}
+            navigation={navigation}
+            breadcrumb={breadcrumb}
           />
         ) : (
           <CesiumView
             geojsonUrl={
-              selectedTrack?.properties?.filename
-                ? `${import.meta.env.BASE_URL}tracks/${selectedTrack.properties.filename}`
+              selectedTrack?.properties?.file
+                ? `${import.meta.env.BASE_URL}tracks/${selectedTrack.properties.file}`
+                : null
+            }
+            // Local/drawn tracks are not deployed, so hand Cesium the feature itself
+            geojson={
+              selectedTrack && !selectedTrack.properties?.file
+                ? selectedTrack
                 : null
             }
             clampToGround={true}
             showMileMarkers={showMileMarkers}
-            cursorIndex={graphHoverIndex}
+            cursorIndex={graphHoverIndex ?? pinnedIndex}
             peaks={peaks}
             showPeaks={showPeaks}
             showPeakLabels={showPeakLabels}
             peakRadius={peakRadius}
+            units={units}
+            trailPlan={trailPlan}
+            highlightedSegment={highlightedSegment}
+            breadcrumb={recorder.recording?.points ?? null}
+            initialCamera={restoreView ? cameraView : null}
+            onCameraChange={setCameraView}
             style={{ width: "100%", height: "100%" }}
           />
         )}
@@ -701,21 +1278,58 @@ function App() {
             className="absolute right-4 z-[1003]"
             style={{ bottom: getGpsButtonBottom() }}
           >
-            <GpsButton
-              status={gpsStatus}
-              position={gpsPosition}
-              error={gpsError}
-              onStart={startWatching}
-              onStop={stopWatching}
-              followMe={followMe}
-              onToggleFollow={() => setFollowMe((f) => !f)}
-            />
+            <div className="flex flex-col items-end gap-2">
+              {navigating && selectedTrack && !isComparing && (
+                <NavigationPanel
+                  status={navigation}
+                  units={units}
+                  waitingForGps={gpsStatus === GEO_STATUS.PENDING || gpsStatus === GEO_STATUS.WATCHING}
+                  offRouteFt={offRouteFt}
+                  onOffRouteFtChange={setOffRouteFt}
+                  onStop={() => setNavigating(false)}
+                />
+              )}
+              {recorder.recording && (
+                <RecorderPanel
+                  recording={recorder.recording}
+                  units={units}
+                  waitingForGps={gpsStatus === GEO_STATUS.PENDING || gpsStatus === GEO_STATUS.WATCHING}
+                  onPause={recorder.pause}
+                  onResume={recorder.resume}
+                  onFinish={handleFinishRecording}
+                  onDiscard={handleDiscardRecording}
+                />
+              )}
+              <GpsButton
+                status={gpsStatus}
+                position={gpsPosition}
+                error={gpsError}
+                onStart={startWatching}
+                onStop={stopWatching}
+                followMe={followMe}
+                onToggleFollow={() => setFollowMe((f) => !f)}
+                navigating={navigating}
+                onToggleNavigation={selectedTrack && !isComparing ? toggleNavigation : undefined}
+                onStartRecording={recorder.recording ? undefined : recorder.start}
+              />
+            </div>
           </div>
         )}
       </div>
 
+      {isComparing && (
+        <div className="fixed bottom-0 left-0 right-0 w-full z-[1003] shadow-2xl rounded-t-3xl overflow-hidden lg:top-0 lg:left-auto lg:w-96 lg:rounded-none lg:border-l border-[var(--border-color)]">
+          <TrackCompareView
+            tracks={compareTracks}
+            units={units}
+            onRemoveTrack={handleToggleCompare}
+            onClose={() => setCompareTracks([])}
+          />
+        </div>
+      )}
+
       {/* ✅ FIX: Always render Sidebar when track selected, but hide container when collapsed */}
-      {selectedTrack && (
+      {selectedTrack && !isComparing && (
         <div
           className={`
   fixed bottom-0 left-0 right-0 w-full z-[1003]
@@ -750,13 +1364,38 @@ function App() {
           <Sidebar
             track={selectedTrack}
             onClose={handleCloseSidebar}
+            units={units}
+            gainAlgorithm={gainAlgorithm}
+            onGainAlgorithmChange={setGainAlgorithm}
             onCursorPosition={handleGraphCursor}
-            mapHoverIndex={graphHoverIndex}
+            mapHoverIndex={graphHoverIndex ?? navigation?.index ?? pinnedIndex}
+            onTrackSaved={handleTrackSaved}
+            showGradeOverlay={showGradeOverlay}
+            onGradeOverlayChange={setShowGradeOverlay}
+            zoomDomain={profileDomain}
+            onZoomDomainChange={setProfileDomain}
+            pinnedIndex={pinnedIndex}
+            onPinPoint={setPinnedIndex}
+            peaks={peaks}
+            trailPlan={trailPlan}
+            paceSettings={paceSettings}
+            onPaceSettingsChange={setPaceSettings}
+            onCalibratePace={handleCalibratePace}
+            routeForecast={routeForecast}
+            forecastOptions={forecastOptions}
+            onForecastOptionsChange={setForecastOptions}
+            highlightedSegment={highlightedSegment}
+            onHighlightSegment={setHighlightedSegment}
+            stations={trackWaypoints.stations}
+            stationPoints={stationPoints}
+            stationsEdited={trackWaypoints.edited}
+            onStationsChange={trackWaypoints.setStations}
+            onResetStations={trackWaypoints.reset}
           />
         </div>
       )}
 
-      {selectedTrack && isSidebarCollapsed && (
+      {selectedTrack && isSidebarCollapsed && !isComparing && (
         <button
           onClick={() => setIsSidebarCollapsed(false)}
           className="hidden lg:flex fixed right-4 top-1/2 -translate-y-1/2 z-[1004] p-2.5 bg-[var(--bg-secondary)] border border-[var(--border-color)] rounded-lg text-[var(--accent-primary)] hover:brightness-110 shadow-lg items-center justify-center"
@@ -3,6 +3,10 @@
 import "cesium/Build/Cesium/Widgets/widgets.css";
 import { useEffect, useRef, useState } from "react";
 import * as Cesium from "cesium";
+import { formatDuration } from "../lib/activityStats";
+import { formatClock } from "../lib/paceModel";
+import { formatElevation, markerInterval, markerName, METERS_PER_MILE } from "../lib/units";
+import { SEGMENT_KINDS } from "../lib/trackSegments";
 
 // ✅ Cesium needs its static assets (Workers, etc.).
 // In Vite, the common approach is to set CESIUM_BASE_URL to where you copy Cesium assets.
@@ -13,6 +17,8 @@ window.CESIUM_BASE_URL =
 export default function CesiumView({
   // Point this at one of your existing files like: `${import.meta.env.BASE_URL}tracks/Lukens.geojson`
   geojsonUrl,
+  // Optional: an in-memory Feature/FeatureCollection (local imports) used instead of geojsonUrl
+  geojson = null,
   // Optional: if you want to pass a token explicitly; otherwise it uses VITE_CESIUM_ION_TOKEN
   ionToken,
   // Optional: clamp line to terrain (requires terrain)
@@ -29,11 +35,37 @@ export default function CesiumView({
   showPeaks = true, // NEW
   showPeakLabels = true, // NEW
   peakRadius = 10, // NEW
+
+  // Display units (lib/units): km markers and meters in labels when "metric"
+  units,
+
+  // Optional: predicted arrival times (lib/paceModel), shown when hovering a mile marker
+  trailPlan = null,
+
+  // Optional: the activity being recorded, [{ lat, lon, ele }] (lib/activityRecorder)
+  breadcrumb = null,
+
+  // Optional: a segment from lib/trackSegments ({ startIndex, endIndex, kind })
+  // drawn over the track
+  highlightedSegment = null,
+
+  // Optional: restore a camera from a deep link instead of flying to the track
+  // { lon, lat, height (m), heading (deg), pitch (deg) }
+  initialCamera = null,
+  // Optional: called with the same shape whenever the camera stops moving
+  onCameraChange,
 }) {
+  // Whatever Cesium should load: the in-memory feature wins over the URL
+  const source = geojson || geojsonUrl;
+
   const containerRef = useRef(null);
   const viewerRef = useRef(null);
   const dsRef = useRef(null);
   const [err, setErr] = useState(null);
+  const [mileTip, setMileTip] = useState(null); // { x, y, text }
+
+  const trailPlanRef = useRef(trailPlan);
+  trailPlanRef.current = trailPlan;
 
   // ✅ NEW: keep track of whether we already injected OSM imagery fallback
   const osmLayerAddedRef = useRef(false);
@@ -42,12 +74,22 @@ export default function CesiumView({
   const trackCoordsRef = useRef(null); // Cartesian3[]
   const mileMarkerEntitiesRef = useRef([]); // Entity[]
   const cursorEntityRef = useRef(null); // Entity
+  const breadcrumbEntityRef = useRef(null); // Entity
+  const segmentEntityRef = useRef(null); // Entity
   const peakEntitiesRef = useRef([]); // Entity[] for peaks
 
   // ✅ NEW: refs for the track polyline entities (outline + core)
   const trackOutlineEntityRef = useRef(null);
   const trackCoreEntityRef = useRef(null);
 
+  // Deep-link camera is used once, for the first view only
+  const initialCameraRef = useRef(initialCamera);
+  const onCameraChangeRef = useRef(onCameraChange);
+  onCameraChangeRef.current = onCameraChange;
+  useEffect(() => {
+    if (!initialCamera) initialCameraRef.current = null;
+  }, [initialCamera]);
+
   // ✅ NEW: "positions ready" tick to prevent markers from using stale coords
   const [trackPositionsTick, setTrackPositionsTick] = useState(0);
 
@@ -148,6 +190,23 @@ export default function CesiumView({
     return canvas;
   }
 
+  // Jump to the deep-link camera; returns true if it did. Only the first
+  // track load consumes it, so a linked track still opens on the linked view.
+  function restoreInitialCamera(viewer, consume = true) {
+    const cam = initialCameraRef.current;
+    if (!cam || !viewer) return false;
+    if (consume) initialCameraRef.current = null;
+    viewer.camera.setView({
+      destination: Cesium.Cartesian3.fromDegrees(cam.lon, cam.lat, cam.height),
+      orientation: {
+        heading: Cesium.Math.toRadians(cam.heading),
+        pitch: Cesium.Math.toRadians(cam.pitch),
+        roll: 0,
+      },
+    });
+    return true;
+  }
+
   // ✅ Helper to create shadow canvas (separate from pin)
   function createShadowCanvas() {
     const canvas = document.createElement("canvas");
@@ -201,7 +260,7 @@ export default function CesiumView({
         viewer.scene.requestRender();
       }
     } catch (_) { }
-  }, [geojsonUrl]);
+  }, [source]);
 
   useEffect(() => {
     let cancelled = false;
@@ -262,6 +321,20 @@ export default function CesiumView({
           viewerRef.current.scene.requestRenderMode = true;
           viewerRef.current.scene.maximumRenderTimeChange = Infinity;
 
+          // Report camera moves (for URL state)
+          viewerRef.current.camera.moveEnd.addEventListener(() => {
+            const camera = viewerRef.current?.camera;
+            if (!camera || !onCameraChangeRef.current) return;
+            const pos = camera.positionCartographic;
+            onCameraChangeRef.current({
+              lon: Cesium.Math.toDegrees(pos.longitude),
+              lat: Cesium.Math.toDegrees(pos.latitude),
+              height: pos.height,
+              heading: Cesium.Math.toDegrees(camera.heading),
+              pitch: Cesium.Math.toDegrees(camera.pitch),
+            });
+          });
+
           // Nice defaults
           viewerRef.current.scene.globe.depthTestAgainstTerrain = true;
           viewerRef.current.scene.globe.enableLighting = false;
@@ -338,7 +411,11 @@ export default function CesiumView({
         }, 750);
 
         // If no URL provided, just show globe
-        if (!geojsonUrl) return;
+        if (!source) {
+          restoreInitialCamera(viewerRef.current, false);
+          setTrackPositionsTick((t) => t + 1); // the viewer exists now (breadcrumb)
+          return;
+        }
 
         // ✅ NEW: clear positions before loading new datasource (prevents stale marker build)
         trackCoordsRef.current = null;
@@ -362,7 +439,7 @@ export default function CesiumView({
 
         // Load GeoJSON
         const viewer = viewerRef.current;
-        const dataSource = await Cesium.GeoJsonDataSource.load(geojsonUrl, {
+        const dataSource = await Cesium.GeoJsonDataSource.load(source, {
           clampToGround: false, // We'll manually create polylines with proper styling
         });
 
@@ -423,7 +500,11 @@ export default function CesiumView({
         trackCoordsRef.current = positions;
         setTrackPositionsTick((t) => t + 1);
 
-        // Zoom to track using bounding sphere
+        // Zoom to track using bounding sphere (unless a deep link set the camera)
+        if (restoreInitialCamera(viewer)) {
+          viewer.scene.requestRender();
+          return;
+        }
         try {
           const boundingSphere = Cesium.BoundingSphere.fromPoints(positions);
           await viewer.camera.flyToBoundingSphere(boundingSphere, {
@@ -453,7 +534,7 @@ export default function CesiumView({
     return () => {
       cancelled = true;
     };
-  }, [geojsonUrl, ionToken, clampToGround]);
+  }, [source, ionToken, clampToGround]);
 
   // Destroy viewer on unmount (important!)
   useEffect(() => {
@@ -540,11 +621,11 @@ export default function CesiumView({
         total += metersBetween(positions[i - 1], positions[i]);
       }
 
-      const metersPerMile = 1609.344;
-      const mileCount = Math.floor(total / metersPerMile);
+      const metersPerMarker = markerInterval(units) * METERS_PER_MILE;
+      const mileCount = Math.floor(total / metersPerMarker);
 
       for (let m = 1; m <= mileCount; m++) {
-        const pos = interpolateAlong(positions, m * metersPerMile);
+        const pos = interpolateAlong(positions, m * metersPerMarker);
 
         const ent = viewer.entities.add({
           position: pos,
@@ -556,6 +637,7 @@ export default function CesiumView({
             disableDepthTestDistance: Number.POSITIVE_INFINITY,
           },
           // NO LABEL - text is part of the billboard now
+          properties: { mile: m }, // looked up by the hover tooltip
         });
 
         mileMarkerEntitiesRef.current.push(ent);
@@ -565,9 +647,40 @@ export default function CesiumView({
     } catch (e) {
       console.warn("Failed to build mile markers:", e);
     }
-  }, [showMileMarkers, geojsonUrl, trackPositionsTick]);
+  }, [showMileMarkers, source, trackPositionsTick, units]);
 
 
+  // Hovering a mile (or km) marker shows its predicted arrival time
+  useEffect(() => {
+    const viewer = viewerRef.current;
+    if (!viewer) return;
+
+    const handler = new Cesium.ScreenSpaceEventHandler(viewer.scene.canvas);
+    handler.setInputAction((movement) => {
+      const picked = viewer.scene.pick(movement.endPosition);
+      const mile = picked?.id?.properties?.mile?.getValue();
+      const checkpoint = mile
+        ? trailPlanRef.current?.checkpoints.find((c) => c.kind === "mile" && c.mile === mile)
+        : null;
+      setMileTip(
+        checkpoint
+          ? {
+              x: movement.endPosition.x,
+              y: movement.endPosition.y,
+              text: `${markerName(mile, units)} · ${formatDuration(checkpoint.elapsed)} · ETA ${formatClock(checkpoint.arrival)}`,
+            }
+          : null,
+      );
+    }, Cesium.ScreenSpaceEventType.MOUSE_MOVE);
+
+    return () => {
+      try {
+        handler.destroy();
+      } catch (_) { }
+      setMileTip(null);
+    };
+  }, [trackPositionsTick, units]);
+
   // ✅ Peak markers effect with radius filtering
   useEffect(() => {
     const viewer = viewerRef.current;
@@ -636,7 +749,7 @@ export default function CesiumView({
             terrainHeight
           );
 
-          const elevText = elevation ? `${Math.round(elevation).toLocaleString()} ft` : '';
+          const elevText = elevation ? formatElevation(elevation, units) : '';
 
           // Add shadow (clamped to ground)
           const shadowEnt = viewer.entities.add({
@@ -675,7 +788,7 @@ export default function CesiumView({
     };
 
     setTimeout(addPeaksWithTerrain, 1000);
-  }, [peaks, showPeaks, showPeakLabels, peakRadius]);
+  }, [peaks, showPeaks, showPeakLabels, peakRadius, units]);
 
   // ✅ NEW: cursor entity driven by cursorIndex (hook up to your graph hover)
   useEffect(() => {
@@ -723,19 +836,107 @@ export default function CesiumView({
         const elevFt = (c.height || 0) * 3.28084;
         cursorEntityRef.current.label.text = `${Math.round(
           idx,
-        )} • ${Math.round(elevFt)} ft`;
+        )} • ${formatElevation(elevFt, units)}`;
       } catch (_) { }
 
       viewer.scene.requestRender();
     } catch (e) {
       console.warn("Failed to update cursor entity:", e);
     }
-  }, [cursorIndex, geojsonUrl, trackPositionsTick]);
+  }, [cursorIndex, source, trackPositionsTick, units]);
+
+  // Recorded breadcrumb, red like the 2D map, redrawn as points come in
+  useEffect(() => {
+    const viewer = viewerRef.current;
+    if (!viewer) return;
+
+    try {
+      if (!breadcrumb || breadcrumb.length < 2) {
+        if (breadcrumbEntityRef.current) {
+          viewer.entities.remove(breadcrumbEntityRef.current);
+          breadcrumbEntityRef.current = null;
+          viewer.scene.requestRender();
+        }
+        return;
+      }
+
+      const positions = Cesium.Cartesian3.fromDegreesArray(breadcrumb.flatMap((p) => [p.lon, p.lat]));
+      if (breadcrumbEntityRef.current) {
+        breadcrumbEntityRef.current.polyline.positions = positions;
+      } else {
+        breadcrumbEntityRef.current = viewer.entities.add({
+          polyline: {
+            positions,
+            width: 5,
+            material: Cesium.Color.fromCssColorString("#ef4444"),
+            clampToGround: true,
+          },
+        });
+      }
+      viewer.scene.requestRender();
+    } catch (e) {
+      console.warn("Failed to draw breadcrumb:", e);
+    }
+  }, [breadcrumb, trackPositionsTick]);
+
+  // Highlighted segment: the same stretch of the track positions, in the
+  // segment's color on top of the track
+  useEffect(() => {
+    const viewer = viewerRef.current;
+    if (!viewer) return;
+
+    try {
+      if (segmentEntityRef.current) {
+        viewer.entities.remove(segmentEntityRef.current);
+        segmentEntityRef.current = null;
+      }
+
+      const positions = trackCoordsRef.current?.slice(
+        highlightedSegment?.startIndex,
+        (highlightedSegment?.endIndex ?? 0) + 1,
+      );
+      if (highlightedSegment && positions?.length > 1) {
+        segmentEntityRef.current = viewer.entities.add({
+          polyline: {
+            positions,
+            width: 12,
+            material: Cesium.Color.fromCssColorString(SEGMENT_KINDS[highlightedSegment.kind].color),
+            clampToGround: clampToGround,
+            classificationType: clampToGround ? Cesium.ClassificationType.TERRAIN : undefined,
+            zIndex: 1,
+          },
+        });
+      }
+      viewer.scene.requestRender();
+    } catch (e) {
+      console.warn("Failed to draw segment:", e);
+    }
+  }, [highlightedSegment, source, trackPositionsTick, clampToGround]);
 
   return (
     <div style={{ position: "relative", ...style }}>
       <div ref={containerRef} style={{ width: "100%", height: "100%" }} />
 
+      {mileTip ? (
+        <div
+          style={{
+            position: "absolute",
+            left: mileTip.x,
+            top: mileTip.y - 16,
+            transform: "translate(-50%, -100%)",
+            padding: "4px 8px",
+            background: "rgba(0,0,0,0.75)",
+            color: "white",
+            borderRadius: 6,
+            fontSize: 12,
+            whiteSpace: "nowrap",
+            pointerEvents: "none",
+          }}
+        >
+          {mileTip.text}
+        </div>
+      ) : null}
+
       {err ? (
         <div
           style={{
@@ -1,234 +1,251 @@
-import { useState, useRef, useEffect } from 'react';
+import { useState, useRef, useEffect, useMemo, useReducer } from 'react';
 import { useMap, Polyline, Marker, Popup } from 'react-leaflet';
 import L from 'leaflet';
-import { Download, Save, X, Pencil, Trash2, Check } from 'lucide-react';
+import { AreaChart, Area, XAxis, YAxis, Tooltip, ResponsiveContainer } from 'recharts';
+import { Download, X, Pencil, Trash2, Check, Undo2, Redo2 } from 'lucide-react';
+import ExportMenu from './ExportMenu';
+import { exportTrack, downloadExport } from '../lib/trackExport';
+import { correctElevations, getDemConfig, getElevationService, hasElevationData } from '../lib/elevationService';
+import { calculateElevationGain } from '../lib/elevationStats';
+import { availableBackends, createRoutingBackend, getRoutingConfig, ROUTING_BACKENDS, routeLegs } from '../lib/routing';
+import { editorReducer, initialEditorState } from '../lib/routeEditor';
+import { waypointsForLine } from '../lib/trailGraph';
+import {
+  formatDistance,
+  formatElevation,
+  METERS_PER_MILE,
+  toDisplayDistance,
+  toDisplayElevation,
+  unitLabels,
+} from '../lib/units';
+import { calculateEquivalentFlatDistance, getElevationProfile } from '../utils';
 
-// OSRM public demo server for map matching
-const OSRM_SERVER = 'https://router.project-osrm.org';
+const ROUTING_CONFIG = getRoutingConfig(import.meta.env);
+const BACKENDS = availableBackends(ROUTING_CONFIG);
 
-export default function DrawTrailMode({ onSave, onClose }) {
-  const [drawnPoints, setDrawnPoints] = useState([]);
-  const [snappedRoute, setSnappedRoute] = useState(null);
+// Drawn routes have no elevation of their own; look it up in the DEM.
+// Without the DEM the route is saved without elevation rather than at 0.
+async function withDemElevation(coords) {
+  try {
+    const service = getElevationService(getDemConfig(import.meta.env));
+    const { coordinates } = await correctElevations(coords, service, { mode: 'fill' });
+    return coordinates;
+  } catch (err) {
+    console.warn('DEM elevation lookup failed:', err);
+    return coords;
+  }
+}
+
+const waypointIcon = L.divIcon({
+  className: 'custom-div-icon',
+  html: `<div style="background-color: #ff6b6b; width: 12px; height: 12px; border-radius: 50%; border: 2px solid white; cursor: grab;"></div>`,
+  iconSize: [12, 12],
+  iconAnchor: [6, 6]
+});
+
+// Elevation profile of the route so far, before it is saved
+function ProfilePreview({ coordinates, units }) {
+  const labels = unitLabels(units);
+  const data = useMemo(
+    () => getElevationProfile(coordinates).map((p) => ({
+      distance: toDisplayDistance(p.distance, units),
+      elevation: toDisplayElevation(p.elevation, units)
+    })),
+    [coordinates, units]
+  );
+  if (!data.length) return null;
+
+  return (
+    <div className="p-2 bg-[var(--bg-tertiary)] rounded-lg">
+      <div className="text-xs text-[var(--text-secondary)] mb-1">Elevation Profile</div>
+      <ResponsiveContainer width="100%" height={90}>
+        <AreaChart data={data} margin={{ top: 4, right: 4, bottom: 0, left: 0 }}>
+          <XAxis
+            dataKey="distance"
+            type="number"
+            domain={[0, 'dataMax']}
+            tickFormatter={(v) => v.toFixed(1)}
+            tick={{ fontSize: 10, fill: 'var(--text-secondary)' }}
+            tickLine={false}
+          />
+          <YAxis
+            domain={['dataMin', 'dataMax']}
+            width={40}
+            tickFormatter={(v) => Math.round(v).toLocaleString()}
+            tick={{ fontSize: 10, fill: 'var(--text-secondary)' }}
+            tickLine={false}
+          />
+          <Tooltip
+            formatter={(v) => [`${Math.round(v).toLocaleString()} ${labels.elevation}`, 'Elevation']}
+            labelFormatter={(v) => `${Number(v).toFixed(2)} ${labels.distance}`}
+            contentStyle={{ background: 'var(--bg-secondary)', border: '1px solid var(--border-color)', fontSize: 12 }}
+          />
+          <Area type="monotone" dataKey="elevation" stroke="#5ab887" fill="#5ab887" fillOpacity={0.25} isAnimationActive={false} />
+        </AreaChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+// `initialRoute` ({ name, coordinates }, e.g. a loop planner suggestion) is
+// loaded as waypoints joined by straight lines, so its shape is kept
+export default function DrawTrailMode({ units, initialRoute = null, onSave, onClose }) {
+  const [editor, dispatch] = useReducer(editorReducer, initialRoute, (seed) =>
+    seed ? { ...initialEditorState, waypoints: waypointsForLine(seed.coordinates) } : initialEditorState
+  );
+  const waypoints = editor.waypoints;
+  const [route, setRoute] = useState(null);
   const [isDrawing, setIsDrawing] = useState(false);
-  const [trailName, setTrailName] = useState('');
+  const [trailName, setTrailName] = useState(initialRoute?.name ?? '');
   const [trailDescription, setTrailDescription] = useState('');
   const [trailLocation, setTrailLocation] = useState('');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  const [routeMode, setRouteMode] = useState('road'); // 'road' or 'direct'
+  const [backendId, setBackendId] = useState(() => {
+    if (initialRoute) return 'direct';
+    const saved = localStorage.getItem('routingBackend');
+    return BACKENDS.includes(saved) ? saved : ROUTING_CONFIG.backend;
+  });
+  const legCache = useRef(new Map());
   const mapRef = useRef(null);
-  
+  const panelRef = useRef(null);
+
+  const backend = useMemo(() => createRoutingBackend(backendId, ROUTING_CONFIG), [backendId]);
+
+  const chooseBackend = (id) => {
+    setBackendId(id);
+    localStorage.setItem('routingBackend', id);
+  };
+
+  // Clicks on the panel shouldn't add waypoints
+  useEffect(() => {
+    if (panelRef.current) L.DomEvent.disableClickPropagation(panelRef.current);
+  }, []);
+
+  // Re-route whenever the waypoints or backend change; unchanged legs come
+  // from the cache, and a result that arrives after a newer edit is dropped
+  useEffect(() => {
+    if (waypoints.length < 2) {
+      setRoute(null);
+      setLoading(false);
+      return;
+    }
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+    routeLegs(waypoints, backend, { cache: legCache.current, elevate: withDemElevation })
+      .then((result) => {
+        if (!cancelled) setRoute(result);
+      })
+      .catch((err) => {
+        console.error('Routing error:', err);
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [waypoints, backend]);
+
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes (not while typing)
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || /^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z') {
+        e.preventDefault();
+        dispatch({ type: e.shiftKey ? 'redo' : 'undo' });
+      } else if (key === 'y') {
+        e.preventDefault();
+        dispatch({ type: 'redo' });
+      }
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, []);
+
+  const stats = useMemo(() => {
+    if (!route) return null;
+    const withElevation = hasElevationData(route.coordinates);
+    return {
+      distance: route.distance / METERS_PER_MILE,
+      gain: withElevation ? calculateElevationGain(route.coordinates) : null,
+      equivalentFlat: withElevation ? calculateEquivalentFlatDistance(route.coordinates) : null
+    };
+  }, [route]);
+
+  const failedLegs = route?.legs.filter((leg) => leg.error) ?? [];
+
   const DrawingHandler = () => {
     const map = useMap();
     mapRef.current = map;
-    
+
     useEffect(() => {
       if (!isDrawing) return;
-      
+
       const handleClick = (e) => {
-        const newPoint = [e.latlng.lat, e.latlng.lng];
-        setDrawnPoints(prev => [...prev, newPoint]);
+        dispatch({ type: 'add', point: e.latlng });
       };
-      
+
       map.on('click', handleClick);
       map.getContainer().style.cursor = 'crosshair';
-      
+
       return () => {
         map.off('click', handleClick);
         map.getContainer().style.cursor = '';
       };
     }, [map, isDrawing]);
-    
+
     return null;
   };
-  
-  // Direct connect mode - simply connects the points with straight lines
-  const directConnect = () => {
-    if (drawnPoints.length < 2) {
-      setError('Please draw at least 2 points');
-      return;
-    }
-    
-    setLoading(true);
-    setError(null);
-    
-    // Calculate distance
-    let totalDistance = 0;
-    for (let i = 1; i < drawnPoints.length; i++) {
-      const lat1 = drawnPoints[i-1][0];
-      const lon1 = drawnPoints[i-1][1];
-      const lat2 = drawnPoints[i][0];
-      const lon2 = drawnPoints[i][1];
-      
-      // Haversine distance
-      const R = 6371000; // Earth's radius in meters
-      const dLat = (lat2 - lat1) * Math.PI / 180;
-      const dLon = (lon2 - lon1) * Math.PI / 180;
-      const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-                Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-                Math.sin(dLon/2) * Math.sin(dLon/2);
-      const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-      totalDistance += R * c;
-    }
-    
-    // Convert points to [lon, lat, 0] format
-    const coords = drawnPoints.map(point => [point[1], point[0], 0]);
-    
-    setSnappedRoute({
-      coordinates: coords,
-      distance: totalDistance,
-      duration: 0
-    });
-    
-    setLoading(false);
-  };
-  
-  // Snap the drawn points to roads using OSRM
-  const snapToRoads = async () => {
-    if (drawnPoints.length < 2) {
-      setError('Please draw at least 2 points');
-      return;
-    }
-    
-    // If direct mode, just connect the points
-    if (routeMode === 'direct') {
-      directConnect();
-      return;
-    }
-    
-    setLoading(true);
-    setError(null);
-    
-    try {
-      // Format coordinates for OSRM (lon,lat;lon,lat)
-      const coordinates = drawnPoints
-        .map(point => `${point[1].toFixed(6)},${point[0].toFixed(6)}`)
-        .join(';');
-      
-      // Use OSRM route service instead of match (more reliable)
-      // The route service finds the best route between points
-      const response = await fetch(
-        `${OSRM_SERVER}/route/v1/foot/${coordinates}?overview=full&geometries=geojson&steps=true`
-      );
-      
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        console.error('OSRM error:', errorData);
-        throw new Error('Failed to snap to roads. Try Direct Mode for trails.');
-      }
-      
-      const data = await response.json();
-      
-      if (data.code !== 'Ok' || !data.routes || data.routes.length === 0) {
-        throw new Error('Could not find a route. Try Direct Mode or draw points closer together.');
-      }
-      
-      // Get the route geometry
-      const route = data.routes[0];
-      const routeCoords = route.geometry.coordinates;
-      
-      // Convert to [lon, lat, elevation] format
-      const snappedCoords = routeCoords.map(coord => {
-        // OSRM returns [lon, lat], we add elevation as 0
-        return [coord[0], coord[1], 0];
-      });
-      
-      setSnappedRoute({
-        coordinates: snappedCoords,
-        distance: route.distance,
-        duration: route.duration
-      });
-      
-      setLoading(false);
-    } catch (err) {
-      console.error('Snap to roads error:', err);
-      setError(err.message);
-      setLoading(false);
-    }
-  };
-  
-  // Clear the drawing
+
+  // Clear the drawing (undoable)
   const clearDrawing = () => {
-    setDrawnPoints([]);
-    setSnappedRoute(null);
+    dispatch({ type: 'clear' });
     setError(null);
   };
-  
+
+  // Feature for the current route, shared by every export
+  const buildFeature = () => ({
+    type: 'Feature',
+    properties: {
+      name: trailName || 'Untitled Trail',
+      description: trailDescription || '',
+      location: trailLocation || '',
+      distance: (route.distance / METERS_PER_MILE).toFixed(2), // Convert meters to miles
+      created: new Date().toISOString()
+    },
+    geometry: {
+      type: 'LineString',
+      coordinates: route.coordinates
+    }
+  });
+
   // Save as GeoJSON
   const saveAsGeoJSON = () => {
-    if (!snappedRoute) return;
-    
-    const geojson = {
-      type: 'Feature',
-      properties: {
-        name: trailName || 'Untitled Trail',
-        description: trailDescription || '',
-        location: trailLocation || '',
-        distance: (snappedRoute.distance / 1609.34).toFixed(2), // Convert meters to miles
-        created: new Date().toISOString()
-      },
-      geometry: {
-        type: 'LineString',
-        coordinates: snappedRoute.coordinates
-      }
-    };
-    
-    // Download as file
-    const blob = new Blob([JSON.stringify(geojson, null, 2)], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${trailName || 'trail'}.geojson`;
-    a.click();
-    URL.revokeObjectURL(url);
-    
+    if (!route) return;
+
+    const geojson = buildFeature();
+    downloadExport(exportTrack(geojson, 'geojson'));
+
     // Also call the onSave callback
     if (onSave) {
       onSave(geojson);
     }
   };
-  
-  // Save as GPX
-  const saveAsGPX = () => {
-    if (!snappedRoute) return;
-    
-    const gpx = `<?xml version="1.0" encoding="UTF-8"?>
-<gpx version="1.1" creator="Trail Explorer" xmlns="http://www.topografix.com/GPX/1/1">
-  <metadata>
-    <name>${trailName || 'Untitled Trail'}</name>
-    <desc>${trailDescription || ''}</desc>
-    <time>${new Date().toISOString()}</time>
-  </metadata>
-  <trk>
-    <name>${trailName || 'Untitled Trail'}</name>
-    <desc>${trailDescription || ''}</desc>
-    <trkseg>
-${snappedRoute.coordinates.map(coord => 
-  `      <trkpt lat="${coord[1]}" lon="${coord[0]}">
-        <ele>${coord[2] || 0}</ele>
-      </trkpt>`
-).join('\n')}
-    </trkseg>
-  </trk>
-</gpx>`;
-    
-    const blob = new Blob([gpx], { type: 'application/gpx+xml' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `${trailName || 'trail'}.gpx`;
-    a.click();
-    URL.revokeObjectURL(url);
-  };
-  
+
+  const showDetails = route && !isDrawing;
+
   return (
     <>
       <DrawingHandler />
-      
-      {/* Drawing polyline (user's raw clicks) */}
-      {drawnPoints.length > 1 && !snappedRoute && (
+
+      {/* Straight preview until the first route comes back */}
+      {waypoints.length > 1 && !route && (
         <Polyline
-          positions={drawnPoints}
+          positions={waypoints.map((w) => [w.lat, w.lng])}
           pathOptions={{
             color: '#ff6b6b',
             weight: 3,
@@ -237,37 +254,56 @@ ${snappedRoute.coordinates.map(coord =>
           }}
         />
       )}
-      
-      {/* Drawn point markers */}
-      {drawnPoints.map((point, idx) => (
-        <Marker
-          key={`drawn-${idx}`}
-          position={point}
-          icon={L.divIcon({
-            className: 'custom-div-icon',
-            html: `<div style="background-color: #ff6b6b; width: 12px; height: 12px; border-radius: 50%; border: 2px solid white;"></div>`,
-            iconSize: [12, 12],
-            iconAnchor: [6, 6]
-          })}
-        >
-          <Popup>{idx === 0 ? 'Start' : idx === drawnPoints.length - 1 ? 'End' : `Point ${idx + 1}`}</Popup>
-        </Marker>
-      ))}
-      
-      {/* Snapped route polyline */}
-      {snappedRoute && (
+
+      {/* Routed legs; clicking one inserts a waypoint there. Legs the
+          backend couldn't route are dashed straight lines. */}
+      {route?.legs.map((leg, idx) => (
         <Polyline
-          positions={snappedRoute.coordinates.map(c => [c[1], c[0]])}
+          key={`leg-${idx}-${leg.coordinates.length}`}
+          positions={leg.coordinates.map(c => [c[1], c[0]])}
           pathOptions={{
-            color: '#5ab887',
+            color: leg.error ? '#f5a623' : '#5ab887',
             weight: 4,
-            opacity: 0.9
+            opacity: 0.9,
+            dashArray: leg.error ? '8, 8' : null,
+            bubblingMouseEvents: false
+          }}
+          eventHandlers={{
+            click: (e) => dispatch({ type: 'insert', index: idx + 1, point: e.latlng })
           }}
         />
-      )}
-      
+      ))}
+
+      {/* Waypoints: drag to move, right-click or popup to delete */}
+      {waypoints.map((point, idx) => (
+        <Marker
+          key={`waypoint-${idx}`}
+          position={[point.lat, point.lng]}
+          icon={waypointIcon}
+          draggable
+          eventHandlers={{
+            dragend: (e) => dispatch({ type: 'move', index: idx, point: e.target.getLatLng() }),
+            contextmenu: () => dispatch({ type: 'remove', index: idx })
+          }}
+        >
+          <Popup>
+            <div className="text-sm">
+              <div className="font-medium mb-1">
+                {idx === 0 ? 'Start' : idx === waypoints.length - 1 ? 'End' : `Point ${idx + 1}`}
+              </div>
+              <button
+                onClick={() => dispatch({ type: 'remove', index: idx })}
+                className="text-red-500 hover:underline"
+              >
+                Delete point
+              </button>
+            </div>
+          </Popup>
+        </Marker>
+      ))}
+
       {/* Control Panel */}
-      <div className="absolute top-4 right-4 z-[1000] w-80 bg-[var(--bg-secondary)] border border-[var(--border-color)] rounded-lg shadow-xl p-4">
+      <div ref={panelRef} className="absolute top-4 right-4 z-[1000] w-80 max-h-[calc(100%-2rem)] overflow-y-auto bg-[var(--bg-secondary)] border border-[var(--border-color)] rounded-lg shadow-xl p-4">
         <div className="flex items-center justify-between mb-4">
           <h3 className="text-lg font-display font-bold text-[var(--accent-primary)]">
             Draw Trail Mode
@@ -279,125 +315,136 @@ ${snappedRoute.coordinates.map(coord =>
             <X className="w-5 h-5" />
           </button>
         </div>
-        
-        {/* Mode Selector */}
-        {!snappedRoute && (
-          <div className="mb-4">
-            <label className="block text-xs text-[var(--text-secondary)] mb-2">Route Mode</label>
-            <div className="grid grid-cols-2 gap-2">
-              <button
-                onClick={() => setRouteMode('road')}
-                className={`px-3 py-2 rounded-lg text-sm font-medium transition-all ${
-                  routeMode === 'road'
-                    ? 'bg-[var(--accent-primary)] text-black'
-                    : 'bg-[var(--bg-tertiary)] text-[var(--text-primary)] border border-[var(--border-color)]'
-                }`}
-              >
-                🛣️ Road Mode
-              </button>
-              <button
-                onClick={() => setRouteMode('direct')}
-                className={`px-3 py-2 rounded-lg text-sm font-medium transition-all ${
-                  routeMode === 'direct'
-                    ? 'bg-[var(--accent-primary)] text-black'
-                    : 'bg-[var(--bg-tertiary)] text-[var(--text-primary)] border border-[var(--border-color)]'
-                }`}
-              >
-                🥾 Trail Mode
-              </button>
-            </div>
-            <p className="text-xs text-[var(--text-secondary)] mt-2">
-              {routeMode === 'road' 
-                ? 'Snaps to roads and mapped trails. Best for streets.' 
-                : 'Directly connects points. Best for unmarked trails.'}
-            </p>
-          </div>
-        )}
-        
+
+        {/* Routing backend */}
+        <div className="mb-4">
+          <label className="block text-xs text-[var(--text-secondary)] mb-2">Routing</label>
+          <select
+            value={backendId}
+            onChange={(e) => chooseBackend(e.target.value)}
+            className="w-full px-3 py-2 bg-[var(--bg-tertiary)] border border-[var(--border-color)] rounded-lg text-[var(--text-primary)] focus:outline-none focus:border-[var(--accent-primary)] transition-colors text-sm"
+          >
+            {BACKENDS.map((id) => (
+              <option key={id} value={id}>{ROUTING_BACKENDS[id].label}</option>
+            ))}
+          </select>
+          <p className="text-xs text-[var(--text-secondary)] mt-2">
+            {ROUTING_BACKENDS[backendId].description}
+          </p>
+        </div>
+
         {/* Instructions */}
         <div className="mb-4 p-3 bg-[var(--bg-tertiary)] rounded-lg text-sm text-[var(--text-secondary)]">
-          {!isDrawing && drawnPoints.length === 0 && (
-            <p>
-              {routeMode === 'road' 
-                ? 'Road Mode: Points will be connected along streets and paved paths.'
-                : 'Trail Mode: Points will be connected directly. Perfect for trails not on the map.'}
-            </p>
+          {!isDrawing && waypoints.length === 0 && (
+            <p>Click Start Drawing, then click the map to place points. The route is planned between them as you go.</p>
           )}
           {isDrawing && (
-            <p>
-              {routeMode === 'road'
-                ? 'Click points along roads. Route will snap to streets between points.'
-                : 'Click points along the trail. Points will be connected directly with straight lines.'}
-            </p>
+            <p>Click to add points, click the route to insert one, drag a point to move it, and right-click a point to delete it.</p>
           )}
-          {snappedRoute && (
-            <p>✓ Route created! Enter details and save as GeoJSON or GPX.</p>
+          {showDetails && (
+            <p>✓ Route created! Enter details, then save as GeoJSON or export for GPS devices.</p>
           )}
         </div>
-        
+
         {/* Drawing Controls */}
-        {!snappedRoute && (
-          <div className="space-y-2 mb-4">
-            {!isDrawing ? (
-              <button
-                onClick={() => setIsDrawing(true)}
-                className="w-full px-4 py-2 bg-[var(--accent-primary)] text-black rounded-lg font-medium hover:brightness-110 transition-all flex items-center justify-center gap-2"
-              >
-                <Pencil className="w-4 h-4" />
-                Start Drawing
-              </button>
-            ) : (
-              <>
-                <button
-                  onClick={() => {
-                    setIsDrawing(false);
-                    snapToRoads();
-                  }}
-                  disabled={drawnPoints.length < 2 || loading}
-                  className="w-full px-4 py-2 bg-[var(--accent-primary)] text-black rounded-lg font-medium hover:brightness-110 transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
-                >
-                  <Check className="w-4 h-4" />
-                  {loading 
-                    ? 'Creating Route...' 
-                    : routeMode === 'road' 
-                      ? 'Snap to Roads' 
-                      : 'Connect Points'}
-                </button>
-                <button
-                  onClick={clearDrawing}
-                  className="w-full px-4 py-2 bg-[var(--bg-tertiary)] text-[var(--text-primary)] border border-[var(--border-color)] rounded-lg font-medium hover:bg-[var(--bg-secondary)] transition-all flex items-center justify-center gap-2"
-                >
-                  <Trash2 className="w-4 h-4" />
-                  Clear Drawing
-                </button>
-              </>
-            )}
-            
-            {drawnPoints.length > 0 && (
-              <div className="text-xs text-[var(--text-secondary)] text-center">
-                {drawnPoints.length} points drawn
-              </div>
-            )}
+        <div className="space-y-2 mb-4">
+          {!isDrawing ? (
+            <button
+              onClick={() => setIsDrawing(true)}
+              className="w-full px-4 py-2 bg-[var(--accent-primary)] text-black rounded-lg font-medium hover:brightness-110 transition-all flex items-center justify-center gap-2"
+            >
+              <Pencil className="w-4 h-4" />
+              {waypoints.length ? 'Edit Route' : 'Start Drawing'}
+            </button>
+          ) : (
+            <button
+              onClick={() => setIsDrawing(false)}
+              disabled={waypoints.length < 2}
+              className="w-full px-4 py-2 bg-[var(--accent-primary)] text-black rounded-lg font-medium hover:brightness-110 transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+            >
+              <Check className="w-4 h-4" />
+              Done Drawing
+            </button>
+          )}
+
+          <div className="grid grid-cols-3 gap-2">
+            <button
+              onClick={() => dispatch({ type: 'undo' })}
+              disabled={!editor.past.length}
+              title="Undo (Ctrl+Z)"
+              className="px-2 py-2 bg-[var(--bg-tertiary)] text-[var(--text-primary)] border border-[var(--border-color)] rounded-lg text-sm hover:bg-[var(--bg-secondary)] transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-1"
+            >
+              <Undo2 className="w-4 h-4" />
+              Undo
+            </button>
+            <button
+              onClick={() => dispatch({ type: 'redo' })}
+              disabled={!editor.future.length}
+              title="Redo (Ctrl+Shift+Z)"
+              className="px-2 py-2 bg-[var(--bg-tertiary)] text-[var(--text-primary)] border border-[var(--border-color)] rounded-lg text-sm hover:bg-[var(--bg-secondary)] transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-1"
+            >
+              <Redo2 className="w-4 h-4" />
+              Redo
+            </button>
+            <button
+              onClick={clearDrawing}
+              disabled={!waypoints.length}
+              className="px-2 py-2 bg-[var(--bg-tertiary)] text-[var(--text-primary)] border border-[var(--border-color)] rounded-lg text-sm hover:bg-[var(--bg-secondary)] transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-1"
+            >
+              <Trash2 className="w-4 h-4" />
+              Clear
+            </button>
           </div>
-        )}
-        
+
+          {waypoints.length > 0 && (
+            <div className="text-xs text-[var(--text-secondary)] text-center">
+              {waypoints.length} points{loading && ' · Routing...'}
+            </div>
+          )}
+        </div>
+
         {/* Error Message */}
         {error && (
           <div className="mb-4 p-3 bg-red-900/20 border border-red-500/50 rounded-lg text-sm text-red-400">
             {error}
           </div>
         )}
-        
-        {/* Trail Details Form */}
-        {snappedRoute && (
-          <div className="space-y-3 mb-4">
-            <div className="p-3 bg-[var(--bg-tertiary)] rounded-lg">
-              <div className="text-xs text-[var(--text-secondary)] mb-1">Distance</div>
-              <div className="text-lg font-display font-bold text-[var(--accent-primary)]">
-                {(snappedRoute.distance / 1609.34).toFixed(2)} mi
+        {failedLegs.length > 0 && (
+          <div className="mb-4 p-3 bg-amber-900/20 border border-amber-500/50 rounded-lg text-sm text-amber-400">
+            {backend.label} couldn't route {failedLegs.length === 1 ? '1 leg' : `${failedLegs.length} legs`} ({failedLegs[0].error}), so {failedLegs.length === 1 ? 'it is' : 'they are'} drawn as straight lines.
+          </div>
+        )}
+
+        {/* Live stats and profile */}
+        {stats && (
+          <div className="space-y-2 mb-4">
+            <div className="grid grid-cols-3 gap-2">
+              <div className="p-2 bg-[var(--bg-tertiary)] rounded-lg">
+                <div className="text-xs text-[var(--text-secondary)] mb-1">Distance</div>
+                <div className="text-sm font-display font-bold text-[var(--accent-primary)]">
+                  {formatDistance(stats.distance, units)}
+                </div>
+              </div>
+              <div className="p-2 bg-[var(--bg-tertiary)] rounded-lg">
+                <div className="text-xs text-[var(--text-secondary)] mb-1">Gain</div>
+                <div className="text-sm font-display font-bold text-[var(--accent-primary)]">
+                  {stats.gain != null ? formatElevation(stats.gain, units) : '—'}
+                </div>
+              </div>
+              <div className="p-2 bg-[var(--bg-tertiary)] rounded-lg" title="Equivalent flat distance: the effort of the route as flat ground">
+                <div className="text-xs text-[var(--text-secondary)] mb-1">Flat equiv.</div>
+                <div className="text-sm font-display font-bold text-[var(--accent-primary)]">
+                  {stats.equivalentFlat != null ? formatDistance(stats.equivalentFlat, units) : '—'}
+                </div>
               </div>
             </div>
-            
+            <ProfilePreview coordinates={route.coordinates} units={units} />
+          </div>
+        )}
+
+        {/* Trail Details Form */}
+        {showDetails && (
+          <div className="space-y-3 mb-4">
             <div>
               <label className="block text-xs text-[var(--text-secondary)] mb-1">Trail Name *</label>
               <input
@@ -408,7 +455,7 @@ ${snappedRoute.coordinates.map(coord =>
                 className="w-full px-3 py-2 bg-[var(--bg-tertiary)] border border-[var(--border-color)] rounded-lg text-[var(--text-primary)] placeholder-[var(--text-secondary)] focus:outline-none focus:border-[var(--accent-primary)] transition-colors text-sm"
               />
             </div>
-            
+
             <div>
               <label className="block text-xs text-[var(--text-secondary)] mb-1">Location</label>
               <input
@@ -419,7 +466,7 @@ ${snappedRoute.coordinates.map(coord =>
                 className="w-full px-3 py-2 bg-[var(--bg-tertiary)] border border-[var(--border-color)] rounded-lg text-[var(--text-primary)] placeholder-[var(--text-secondary)] focus:outline-none focus:border-[var(--accent-primary)] transition-colors text-sm"
               />
             </div>
-            
+
             <div>
               <label className="block text-xs text-[var(--text-secondary)] mb-1">Description</label>
               <textarea
@@ -432,35 +479,27 @@ ${snappedRoute.coordinates.map(coord =>
             </div>
           </div>
         )}
-        
+
         {/* Save Buttons */}
-        {snappedRoute && (
+        {showDetails && (
           <div className="space-y-2">
             <button
               onClick={saveAsGeoJSON}
-              disabled={!trailName}
+              disabled={!trailName || loading}
               className="w-full px-4 py-2 bg-[var(--accent-primary)] text-black rounded-lg font-medium hover:brightness-110 transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
             >
               <Download className="w-4 h-4" />
               Download GeoJSON
             </button>
-            
-            <button
-              onClick={saveAsGPX}
-              disabled={!trailName}
-              className="w-full px-4 py-2 bg-[var(--bg-tertiary)] text-[var(--text-primary)] border border-[var(--border-color)] rounded-lg font-medium hover:bg-[var(--bg-secondary)] transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
-            >
-              <Download className="w-4 h-4" />
-              Download GPX
-            </button>
-            
-            <button
-              onClick={clearDrawing}
-              className="w-full px-4 py-2 bg-[var(--bg-tertiary)] text-[var(--text-secondary)] border border-[var(--border-color)] rounded-lg font-medium hover:bg-[var(--bg-secondary)] transition-all flex items-center justify-center gap-2 text-sm"
-            >
-              <Trash2 className="w-4 h-4" />
-              Start New Trail
-            </button>
+
+            <ExportMenu
+              track={route && buildFeature()}
+              units={units}
+              formats={['gpx', 'kml', 'tcx', 'fit']}
+              disabled={!trailName || loading}
+              label="Export GPX / KML / TCX / FIT"
+              className="w-full px-4 py-2 bg-[var(--bg-tertiary)] text-[var(--text-primary)] border border-[var(--border-color)] rounded-lg font-medium hover:bg-[var(--bg-secondary)] transition-all flex items-center justify-center gap-2"
+            />
           </div>
         )}
       </div>
@@ -0,0 +1,129 @@
+import { useEffect, useLayoutEffect, useRef, useState } from "react";
+import { createPortal } from "react-dom";
+import { FileDown } from "lucide-react";
+import { EXPORT_FORMATS, exportTrack, downloadExport } from "../lib/trackExport";
+
+/**
+ * ExportMenu
+ *
+ * Button + dropdown that exports a loaded track as GPX, KML, TCX, FIT or
+ * GeoJSON via lib/trackExport, with distance markers in the current units
+ * and any aid stations (`stations`, lib/waypoints stationWaypoints).
+ * The menu is portalled and positioned against the button so it isn't
+ * clipped by scrolling lists. Clicks inside never reach the surrounding
+ * card, so it can sit inside clickable track cards.
+ */
+export default function ExportMenu({
+  track,
+  peaks = [],
+  units,
+  stations = [],
+  formats = Object.keys(EXPORT_FORMATS),
+  label,
+  disabled = false,
+  className = "p-1.5 rounded-md hover:bg-[var(--bg-secondary)] text-[var(--text-secondary)] hover:text-[var(--accent-primary)] transition-colors",
+  iconClassName = "w-4 h-4",
+}) {
+  const [open, setOpen] = useState(false);
+  const [position, setPosition] = useState(null);
+  const [error, setError] = useState(null);
+  const buttonRef = useRef(null);
+  const menuRef = useRef(null);
+
+  useLayoutEffect(() => {
+    if (!open || !buttonRef.current) return;
+    const rect = buttonRef.current.getBoundingClientRect();
+    setPosition({
+      top: rect.bottom + 4,
+      right: Math.max(8, window.innerWidth - rect.right),
+    });
+  }, [open]);
+
+  useEffect(() => {
+    if (!open) return;
+    const close = (e) => {
+      if (menuRef.current?.contains(e.target) || buttonRef.current?.contains(e.target)) return;
+      setOpen(false);
+    };
+    const dismiss = () => setOpen(false);
+    document.addEventListener("mousedown", close);
+    document.addEventListener("touchstart", close);
+    window.addEventListener("resize", dismiss);
+    window.addEventListener("scroll", dismiss, true);
+    return () => {
+      document.removeEventListener("mousedown", close);
+      document.removeEventListener("touchstart", close);
+      window.removeEventListener("resize", dismiss);
+      window.removeEventListener("scroll", dismiss, true);
+    };
+  }, [open]);
+
+  const handleExport = (format) => {
+    setError(null);
+    try {
+      downloadExport(exportTrack(track, format, { peaks, units, stations }));
+      setOpen(false);
+    } catch (e) {
+      console.error("Export failed:", format, e);
+      setError(e.message);
+    }
+  };
+
+  return (
+    <>
+      <button
+        ref={buttonRef}
+        type="button"
+        onClick={(e) => {
+          e.stopPropagation();
+          setError(null);
+          setOpen((v) => !v);
+        }}
+        disabled={disabled || !track?.geometry}
+        title="Export track"
+        aria-label="Export track"
+        aria-haspopup="menu"
+        aria-expanded={open}
+        className={`${className} disabled:opacity-40 disabled:cursor-not-allowed`}
+      >
+        <FileDown className={iconClassName} />
+        {label}
+      </button>
+
+      {open &&
+        position &&
+        createPortal(
+          <div
+            ref={menuRef}
+            role="menu"
+            onClick={(e) => e.stopPropagation()}
+            style={{ top: position.top, right: position.right }}
+            className="fixed z-[2000] w-56 py-1 bg-[var(--bg-secondary)] border border-[var(--border-color)] rounded-lg shadow-xl"
+          >
+            {formats.map((format) => (
+              <button
+                key={format}
+                role="menuitem"
+                type="button"
+                onClick={() => handleExport(format)}
+                className="w-full flex items-baseline justify-between gap-3 px-3 py-2 text-left text-sm hover:bg-[var(--bg-tertiary)] transition-colors"
+              >
+                <span className="font-medium text-[var(--text-primary)]">
+                  {EXPORT_FORMATS[format].label}
+                </span>
+                <span className="text-xs text-[var(--text-secondary)]">
+                  {EXPORT_FORMATS[format].description}
+                </span>
+              </button>
+            ))}
+            {error && (
+              <p className="px-3 py-2 text-xs text-red-400 border-t border-[var(--border-color)]">
+                {error}
+              </p>
+            )}
+          </div>,
+          document.body,
+        )}
+    </>
+  );
+}
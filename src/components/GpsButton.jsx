@@ -16,7 +16,13 @@ import { GEO_STATUS } from '../hooks/useGeolocation';
  *     onStop={stopWatching}
  *     followMe={followMe}
  *     onToggleFollow={() => setFollowMe(f => !f)}
+ *     navigating={navigating}
+ *     onToggleNavigation={selectedTrack ? toggleNavigation : undefined}
+ *     onStartRecording={recording ? undefined : startRecording}
  *   />
+ *
+ * The navigate button only shows with onToggleNavigation (a trail is selected),
+ * the record button with onStartRecording (nothing is being recorded).
  */
 export default function GpsButton({
   status,
@@ -26,6 +32,9 @@ export default function GpsButton({
   onStop,
   followMe,
   onToggleFollow,
+  navigating = false,
+  onToggleNavigation,
+  onStartRecording,
 }) {
   const isActive = status === GEO_STATUS.WATCHING;
   const isPending = status === GEO_STATUS.PENDING;
@@ -111,6 +120,35 @@ export default function GpsButton({
       )}
 
       <div className="flex items-center gap-1.5">
+        {/* Record an activity (starts GPS if needed) */}
+        {onStartRecording && (
+          <button
+            onClick={onStartRecording}
+            title="Record my activity"
+            className="flex items-center gap-1.5 px-3 py-2.5 rounded-lg border shadow-lg transition-all duration-200 text-sm font-semibold bg-[var(--bg-secondary)] border-[var(--border-color)] text-[var(--text-secondary)] hover:text-red-400 hover:border-red-400"
+          >
+            <span className="w-2.5 h-2.5 rounded-full bg-red-500" />
+            Record
+          </button>
+        )}
+
+        {/* Navigate the selected trail (starts GPS if needed) */}
+        {onToggleNavigation && (
+          <button
+            onClick={onToggleNavigation}
+            title={navigating ? 'Stop navigating' : 'Navigate this trail'}
+            className={`
+              px-3 py-2.5 rounded-lg border shadow-lg transition-all duration-200 text-sm font-semibold
+              ${navigating
+                ? 'bg-[var(--accent-primary)] border-[var(--accent-primary)] text-white hover:brightness-110'
+                : 'bg-[var(--bg-secondary)] border-[var(--border-color)] text-[var(--text-secondary)] hover:text-[var(--accent-primary)] hover:border-[var(--accent-primary)]'
+              }
+            `}
+          >
+            {navigating ? 'Stop' : 'Navigate'}
+          </button>
+        )}
+
         {/* Follow-me toggle (only when GPS is active) */}
         {isActive && (
           <button
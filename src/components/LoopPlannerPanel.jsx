@@ -0,0 +1,214 @@
+import { useEffect, useMemo, useRef, useState } from "react";
+import { Marker, Polyline, useMapEvents } from "react-leaflet";
+import L from "leaflet";
+import { Pencil, Repeat, X } from "lucide-react";
+import { suggestRoutes } from "../lib/trailGraph";
+import {
+  formatDistance,
+  formatElevation,
+  fromDisplayDistance,
+  fromDisplayElevation,
+  unitLabels,
+} from "../lib/units";
+
+const KINDS = [
+  { key: "any", label: "Any", kinds: ["loop", "out-and-back"] },
+  { key: "loop", label: "Loops", kinds: ["loop"] },
+  { key: "out-and-back", label: "Out & back", kinds: ["out-and-back"] },
+];
+
+const KIND_LABELS = { loop: "Loop", lollipop: "Lollipop loop", "out-and-back": "Out & back" };
+
+const startIcon = L.divIcon({
+  className: "custom-div-icon",
+  html: `<div style="background-color: #5ab887; width: 16px; height: 16px; border-radius: 50%; border: 3px solid white; box-shadow: 0 0 4px rgba(0,0,0,0.5);"></div>`,
+  iconSize: [16, 16],
+  iconAnchor: [8, 8],
+});
+
+function StartPicker({ onPick }) {
+  useMapEvents({ click: (e) => onPick({ lat: e.latlng.lat, lng: e.latlng.lng }) });
+  return null;
+}
+
+/**
+ * LoopPlannerPanel
+ *
+ * Suggests loops and out-and-backs on the manifest trails (lib/trailGraph)
+ * from a start point clicked on the map, for a target distance and optional
+ * gain. The ranked suggestions are drawn on the map; one can be opened in
+ * draw mode for tweaking. `network` comes from useTrailNetwork (App).
+ */
+export default function LoopPlannerPanel({ network, units, onOpen, onClose }) {
+  const labels = unitLabels(units);
+  const [start, setStart] = useState(null);
+  const [distanceText, setDistanceText] = useState(units === "metric" ? "15" : "10");
+  const [gainText, setGainText] = useState("");
+  const [kind, setKind] = useState("any");
+  const [selected, setSelected] = useState(0);
+  const panelRef = useRef(null);
+
+  // Clicks on the panel shouldn't move the start point
+  useEffect(() => {
+    if (panelRef.current) L.DomEvent.disableClickPropagation(panelRef.current);
+  }, []);
+
+  const distance = fromDisplayDistance(Number(distanceText), units);
+  const gain = gainText.trim() ? fromDisplayElevation(Number(gainText), units) : null;
+  const validTarget = distance > 0 && (gain == null || gain >= 0);
+
+  const { candidates, error } = useMemo(() => {
+    if (!network.graph || !start || !validTarget) return { candidates: [], error: null };
+    try {
+      const kinds = KINDS.find((k) => k.key === kind).kinds;
+      return { candidates: suggestRoutes(network.graph, start, { distance, gain, kinds }), error: null };
+    } catch (err) {
+      return { candidates: [], error: err.message };
+    }
+  }, [network.graph, start, distance, gain, kind, validTarget]);
+
+  const pickStart = (point) => {
+    setStart(point);
+    setSelected(0);
+  };
+
+  const current = candidates[selected];
+
+  return (
+    <>
+      <StartPicker onPick={pickStart} />
+
+      {start && <Marker position={[start.lat, start.lng]} icon={startIcon} />}
+
+      {candidates.map((candidate, i) =>
+        i === selected ? null : (
+          <Polyline
+            key={`candidate-${i}`}
+            positions={candidate.coordinates.map((c) => [c[1], c[0]])}
+            pathOptions={{ color: "#8899aa", weight: 3, opacity: 0.6, bubblingMouseEvents: false }}
+            eventHandlers={{ click: () => setSelected(i) }}
+          />
+        ),
+      )}
+      {current && (
+        <Polyline
+          positions={current.coordinates.map((c) => [c[1], c[0]])}
+          pathOptions={{ color: "#5ab887", weight: 5, opacity: 0.95, bubblingMouseEvents: false }}
+        />
+      )}
+
+      <div ref={panelRef} className="absolute top-4 right-4 z-[1000] w-80 max-h-[calc(100%-2rem)] overflow-y-auto bg-[var(--bg-secondary)] border border-[var(--border-color)] rounded-lg shadow-xl p-4 text-sm">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="text-lg font-display font-bold text-[var(--accent-primary)] flex items-center gap-2">
+            <Repeat className="w-5 h-5" />
+            Plan a Loop
+          </h3>
+          <button
+            type="button"
+            onClick={onClose}
+            className="text-[var(--text-secondary)] hover:text-[var(--text-primary)] transition-colors"
+            aria-label="Close loop planner"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+
+        <div className="grid grid-cols-2 gap-2 mb-3">
+          <label className="block">
+            <span className="block text-xs text-[var(--text-secondary)] mb-1">Distance ({labels.distance})</span>
+            <input
+              type="number"
+              min="0"
+              step="0.5"
+              value={distanceText}
+              onChange={(e) => setDistanceText(e.target.value)}
+              className="w-full px-3 py-2 bg-[var(--bg-tertiary)] border border-[var(--border-color)] rounded-lg text-[var(--text-primary)] focus:outline-none focus:border-[var(--accent-primary)]"
+            />
+          </label>
+          <label className="block">
+            <span className="block text-xs text-[var(--text-secondary)] mb-1">Gain ({labels.elevation})</span>
+            <input
+              type="number"
+              min="0"
+              step="100"
+              value={gainText}
+              onChange={(e) => setGainText(e.target.value)}
+              placeholder="Any"
+              className="w-full px-3 py-2 bg-[var(--bg-tertiary)] border border-[var(--border-color)] rounded-lg text-[var(--text-primary)] placeholder-[var(--text-secondary)] focus:outline-none focus:border-[var(--accent-primary)]"
+            />
+          </label>
+        </div>
+
+        <div className="grid grid-cols-3 gap-1 mb-3">
+          {KINDS.map((k) => (
+            <button
+              key={k.key}
+              type="button"
+              onClick={() => {
+                setKind(k.key);
+                setSelected(0);
+              }}
+              className={`px-2 py-1.5 rounded-lg text-xs font-medium transition-all ${
+                kind === k.key
+                  ? "bg-[var(--accent-primary)] text-black"
+                  : "bg-[var(--bg-tertiary)] text-[var(--text-primary)] border border-[var(--border-color)]"
+              }`}
+            >
+              {k.label}
+            </button>
+          ))}
+        </div>
+
+        {network.status === "loading" && (
+          <p className="text-[var(--text-secondary)]">Loading trails…</p>
+        )}
+        {network.status === "error" && (
+          <p className="text-red-400">Couldn't load the trails: {network.error}</p>
+        )}
+        {network.status === "ready" && !start && (
+          <p className="text-[var(--text-secondary)]">Click the map to set the start point.</p>
+        )}
+        {error && <p className="text-red-400">{error}</p>}
+        {start && network.status === "ready" && !error && candidates.length === 0 && validTarget && (
+          <p className="text-[var(--text-secondary)]">No routes found from here. Try another start or distance.</p>
+        )}
+
+        {candidates.length > 0 && (
+          <div className="space-y-2">
+            {candidates.map((candidate, i) => (
+              <button
+                key={i}
+                type="button"
+                onClick={() => setSelected(i)}
+                className={`w-full text-left p-2 rounded-lg border transition-colors ${
+                  i === selected
+                    ? "border-[var(--accent-primary)] bg-[var(--bg-tertiary)]"
+                    : "border-[var(--border-color)] hover:bg-[var(--bg-tertiary)]"
+                }`}
+              >
+                <div className="flex items-center justify-between">
+                  <span className="font-semibold text-[var(--text-primary)]">{KIND_LABELS[candidate.kind]}</span>
+                  <span className="tabular-nums text-[var(--text-primary)]">
+                    {formatDistance(candidate.distance, units, 1)} · {formatElevation(candidate.gain, units)}
+                  </span>
+                </div>
+                <div className="text-xs text-[var(--text-secondary)] truncate" title={candidate.trails.join(", ")}>
+                  {candidate.trails.join(", ")}
+                </div>
+              </button>
+            ))}
+
+            <button
+              type="button"
+              onClick={() => onOpen(current)}
+              className="w-full px-4 py-2 bg-[var(--accent-primary)] text-black rounded-lg font-medium hover:brightness-110 transition-all flex items-center justify-center gap-2"
+            >
+              <Pencil className="w-4 h-4" />
+              Open in Draw Mode
+            </button>
+          </div>
+        )}
+      </div>
+    </>
+  );
+}
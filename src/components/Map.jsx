@@ -7,15 +7,37 @@ import {
   useMap,
   Marker,
   Popup,
+  Tooltip,
   Polyline,
   CircleMarker,
   LayersControl,
+  useMapEvents,
 } from "react-leaflet";
 import L from "leaflet";
 import DrawTrailMode from "./DrawTrailMode";
+import LoopPlannerPanel from "./LoopPlannerPanel";
 import WeatherLayer from "./WeatherLayer";
+import { getMileMarkers, getTrackCoordinates } from "../utils";
+import {
+  formatDistance,
+  formatElevation,
+  markerInterval,
+  markerName,
+  METERS_PER_MILE,
+  toDisplayDistance,
+  unitLabels,
+} from "../lib/units";
+import { formatDuration } from "../lib/activityStats";
+import { formatClock } from "../lib/paceModel";
+import { compareColor } from "../lib/trackCompare";
+import { RISKS } from "../lib/routeForecast";
+import { SEGMENT_KINDS } from "../lib/trackSegments";
+import { WAYPOINT_KINDS } from "../lib/waypoints";
+import { getBaseLayers } from "../lib/baseLayers";
 import "leaflet/dist/leaflet.css";
 
+const BASE_LAYERS = getBaseLayers(import.meta.env);
+
 // Fix for default marker icons in Leaflet
 delete L.Icon.Default.prototype._getIconUrl;
 L.Icon.Default.mergeOptions({
@@ -82,6 +104,34 @@ const mileMarkerIcon = (n) =>
     iconAnchor: [13, 13],
   });
 
+// Aid station / waypoint icon: rounded square in the kind's color with its letter
+const stationIcon = (kind) =>
+  L.divIcon({
+    className: "",
+    html: `
+      <div style="
+        width: 24px;
+        height: 24px;
+        border-radius: 6px;
+        background: ${kind.color};
+        border: 2px solid #ffffff;
+        box-shadow: 0 1px 6px rgba(0,0,0,0.35);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        font-family: ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Arial;
+        font-weight: 800;
+        font-size: 12px;
+        color: #ffffff;
+        line-height: 1;
+      ">
+        ${kind.letter}
+      </div>
+    `,
+    iconSize: [24, 24],
+    iconAnchor: [12, 12],
+  });
+
 // --- Shared math helpers (must be top-level so CursorMarker can use them) ---
 const toRad = (degrees) => degrees * (Math.PI / 180);
 
@@ -103,7 +153,7 @@ const haversineDistance = (lat1, lon1, lat2, lon2) => {
 };
 
 // Component for cursor position marker
-function CursorMarker({ position, track, index }) {
+function CursorMarker({ position, track, index, units }) {
   if (!position || !track || index == null) return null;
 
   const coords =
@@ -139,9 +189,9 @@ function CursorMarker({ position, track, index }) {
     >
       <Popup>
         <div className="font-display font-semibold space-y-1">
-          <div>Mile {distance.toFixed(2)}</div>
+          <div>{formatDistance(distance, units)}</div>
           <div className="text-sm text-[var(--text-secondary)]">
-            {Math.round(elevation)} ft
+            {formatElevation(elevation, units)}
           </div>
         </div>
       </Popup>
@@ -149,13 +199,27 @@ function CursorMarker({ position, track, index }) {
   );
 }
 
+// Reports the view after every pan/zoom (for URL state)
+function ViewReporter({ onViewChange }) {
+  useMapEvents({
+    moveend: (e) => {
+      const map = e.target;
+      const center = map.getCenter();
+      onViewChange({ lat: center.lat, lon: center.lng, zoom: map.getZoom() });
+    },
+  });
+  return null;
+}
+
 // Component to fit map bounds to all tracks or selected track
 function FitBounds({
   bounds,
   selectedTrack,
+  compareTracks = [],
   sidebarOpen,
   isSidebarCollapsed,
   trackListCollapsed,
+  skipInitialFit = false,
 }) {
   const map = useMap();
   const [hasInitialized, setHasInitialized] = useState(false);
@@ -165,8 +229,16 @@ function FitBounds({
     trackList: trackListCollapsed,
   });
 
+  // Compared tracks are framed together, like a single selected track
+  const focusTracks = compareTracks.length
+    ? compareTracks
+    : selectedTrack
+      ? [selectedTrack]
+      : [];
+  const focusId = focusTracks.map((t) => t.properties.id).join("|");
+
   useEffect(() => {
-    const currentTrackId = selectedTrack?.properties?.id || null;
+    const currentTrackId = focusId || null;
     const collapseStateChanged =
       lastCollapseState.sidebar !== isSidebarCollapsed ||
       lastCollapseState.trackList !== trackListCollapsed;
@@ -176,20 +248,20 @@ function FitBounds({
 
     if (!shouldRecenter) return;
 
+    // A deep link already placed the map; keep it for the first render
+    if (!hasInitialized && skipInitialFit) {
+      setHasInitialized(true);
+      setLastTrackId(currentTrackId);
+      return;
+    }
+
     const recenterDelay = collapseStateChanged ? 350 : 0;
 
     const recenterTimer = setTimeout(() => {
-      if (selectedTrack) {
-        const coords =
-          selectedTrack.geometry.type === "LineString"
-            ? selectedTrack.geometry.coordinates.map((coord) => [
-                coord[1],
-                coord[0],
-              ])
-            : selectedTrack.geometry.coordinates[0].map((coord) => [
-                coord[1],
-                coord[0],
-              ]);
+      if (focusTracks.length) {
+        const coords = focusTracks.flatMap((track) =>
+          getTrackCoordinates(track).map((coord) => [coord[1], coord[0]]),
+        );
 
         const trackBounds = L.latLngBounds(coords);
 
@@ -267,7 +339,7 @@ function FitBounds({
 
     return () => clearTimeout(recenterTimer);
   }, [
-    selectedTrack,
+    focusId,
     bounds,
     map,
     hasInitialized,
@@ -276,6 +348,7 @@ function FitBounds({
     isSidebarCollapsed,
     trackListCollapsed,
     lastCollapseState,
+    skipInitialFit,
   ]);
 
   return null;
@@ -297,10 +370,27 @@ export default function Map(props = {}) {
     drawMode,
     onSaveDrawnTrail,
     onCloseDrawMode,
+    drawSeed = null, // loop planner suggestion to start drawing from
+    loopPlanner = false,
+    trailNetwork,
+    onOpenLoop,
+    onCloseLoopPlanner,
     theme,
+    units,
     userPosition,
     userStatus,
     followMe,
+    initialView = null, // { lat, lon, zoom } from a deep link
+    onViewChange,
+    weatherLayer,
+    onWeatherLayerChange,
+    trailPlan = null, // predicted arrival times (lib/paceModel)
+    compareTracks = [], // drawn in compare colors instead of the selection
+    weatherRisks = [], // heat/storm stretches from the route forecast
+    highlightedSegment = null, // climb or descent picked in the segment table
+    stations = [], // aid stations and other race waypoints (lib/waypoints stationWaypoints)
+    navigation = null, // useNavigation status while navigating
+    breadcrumb = null, // [lat, lon][] of the activity being recorded
   } = props;
 
   const mapRef = useRef();
@@ -314,56 +404,23 @@ export default function Map(props = {}) {
     tracks?.length,
   );
 
-  // Calculate mile markers for selected track
-  const getMileMarkers = (track) => {
-    if (!track || !showMileMarkers) return [];
-
-    const coords =
-      track.geometry.type === "LineString"
-        ? track.geometry.coordinates
-        : track.geometry.coordinates[0];
-
-    const markers = [];
-    let totalDistance = 0;
-    let nextMarkerDistance = 1;
-
-    markers.push({
-      position: [coords[0][1], coords[0][0]],
-      distance: 0,
-    });
+  // Mile (or km) markers for selected track
+  const mileMarkers =
+    selectedTrack && showMileMarkers
+      ? getMileMarkers(getTrackCoordinates(selectedTrack), markerInterval(units))
+      : [];
 
-    for (let i = 1; i < coords.length; i++) {
-      const dist = haversineDistance(
-        coords[i - 1][1],
-        coords[i - 1][0],
-        coords[i][1],
-        coords[i][0],
-      );
-      totalDistance += dist;
-
-      while (totalDistance >= nextMarkerDistance) {
-        const excess = totalDistance - nextMarkerDistance;
-        const segmentDist = dist;
-        const ratio = 1 - excess / segmentDist;
-
-        const lat =
-          coords[i - 1][1] + (coords[i][1] - coords[i - 1][1]) * ratio;
-        const lon =
-          coords[i - 1][0] + (coords[i][0] - coords[i - 1][0]) * ratio;
-
-        markers.push({
-          position: [lat, lon],
-          distance: nextMarkerDistance,
-        });
-
-        nextMarkerDistance += 1;
-      }
-    }
-
-    return markers;
-  };
+  // Predicted arrival at each marker, keyed by marker number
+  const mileEtas = {};
+  for (const checkpoint of trailPlan?.checkpoints || []) {
+    if (checkpoint.kind === "mile") mileEtas[checkpoint.mile] = checkpoint;
+  }
 
-  const mileMarkers = selectedTrack ? getMileMarkers(selectedTrack) : [];
+  // ...and at each aid station, keyed by station id
+  const stationEtas = {};
+  for (const checkpoint of trailPlan?.checkpoints || []) {
+    if (checkpoint.id) stationEtas[checkpoint.id] = checkpoint;
+  }
 
   // Get start and finish positions
   const getStartFinishPositions = (track) => {
@@ -464,9 +521,6 @@ export default function Map(props = {}) {
   const SELECTED_LINE_WEIGHT = 5;
   const SELECTED_OUTLINE_WEIGHT = 8;
 
-  const THUNDERFOREST_KEY = import.meta.env.VITE_THUNDERFOREST_API_KEY || "";
-  const TRACESTRACK_KEY = import.meta.env.VITE_TRACESTRACK_API_KEY || "";
-
   const getSelectedOutlineStyle = () => ({
     color: SELECTED_TRACK_OUTLINE_COLOR,
     weight: SELECTED_OUTLINE_WEIGHT,
@@ -488,8 +542,11 @@ export default function Map(props = {}) {
   const getTrackStyle = (feature) => {
     const isSelected =
       selectedTrack && feature.properties.id === selectedTrack.properties.id;
+    const isCompared = compareTracks.some(
+      (t) => t.properties.id === feature.properties.id,
+    );
 
-    if (isSelected) return { opacity: 0, weight: 0 };
+    if (isSelected || isCompared) return { opacity: 0, weight: 0 };
 
     return {
       color: "#8cd2ad",
@@ -532,56 +589,31 @@ export default function Map(props = {}) {
   return (
     <div className="h-full w-full">
       <MapContainer
-        center={center}
-        zoom={10}
+        center={initialView ? [initialView.lat, initialView.lon] : center}
+        zoom={initialView ? initialView.zoom : 10}
         className="h-full w-full rounded-lg border border-[var(--border-color)]"
         ref={mapRef}
       >
         <LayersControl position="topright">
-          {/* ── Base Layers ── */}
-          <LayersControl.BaseLayer checked name="OSM Standard">
-            <TileLayer
-              attribution="© OpenStreetMap contributors"
-              url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
-              className={theme === "dark" ? "brightness-115 contrast-105" : ""}
-            />
-          </LayersControl.BaseLayer>
-
-          <LayersControl.BaseLayer name="CyclOSM">
-            <TileLayer
-              attribution="© OpenStreetMap contributors · CyclOSM"
-              url="https://{s}.tile-cyclosm.openstreetmap.fr/cyclosm/{z}/{x}/{y}.png"
-              className={theme === "dark" ? "brightness-115 contrast-105" : ""}
-            />
-          </LayersControl.BaseLayer>
-
-          {THUNDERFOREST_KEY && (
-            <LayersControl.BaseLayer name="Cycle Map (Thunderforest)">
-              <TileLayer
-                attribution="Maps © Thunderforest · Data © OpenStreetMap contributors"
-                url={`https://tile.thunderforest.com/cycle/{z}/{x}/{y}.png?apikey=${THUNDERFOREST_KEY}`}
-                className={
-                  theme === "dark" ? "brightness-115 contrast-105" : ""
-                }
-              />
-            </LayersControl.BaseLayer>
-          )}
-
-          {TRACESTRACK_KEY && (
-            <LayersControl.BaseLayer name="Tracestrack Topo">
+          {/* ── Base Layers (lib/baseLayers, shared with the offline downloader) ── */}
+          {BASE_LAYERS.map((layer, i) => (
+            <LayersControl.BaseLayer key={layer.id} checked={i === 0} name={layer.name}>
               <TileLayer
-                attribution="© OpenStreetMap contributors · Tracestrack"
-                url={`https://tile.tracestrack.com/topo__/{z}/{x}/{y}.png?key=${TRACESTRACK_KEY}`}
-                className={
-                  theme === "dark" ? "brightness-115 contrast-105" : ""
-                }
+                attribution={layer.attribution}
+                url={layer.url}
+                className={theme === "dark" ? "brightness-115 contrast-105" : ""}
               />
             </LayersControl.BaseLayer>
-          )}
+          ))}
         </LayersControl>
 
         {/* Custom weather canvas overlay — free, no API key needed */}
-        <WeatherLayer selectedTrack={selectedTrack} />
+        <WeatherLayer
+          selectedTrack={selectedTrack}
+          activeLayer={weatherLayer}
+          onActiveLayerChange={onWeatherLayerChange}
+          units={units}
+        />
 
         {/* GPS Location Layer */}
         <UserLocationLayer
@@ -624,24 +656,136 @@ export default function Map(props = {}) {
           </>
         )}
 
+        {/* Compared tracks: white outline + one color per track */}
+        {compareTracks.map((track) => (
+          <GeoJSON
+            key={`compare-outline-${track.properties.id}`}
+            data={track}
+            style={getSelectedOutlineStyle}
+            onEachFeature={onEachFeature}
+          />
+        ))}
+        {compareTracks.map((track, i) => (
+          <GeoJSON
+            key={`compare-core-${track.properties.id}-${i}`}
+            data={track}
+            style={() => ({
+              ...getSelectedCoreStyle(),
+              color: compareColor(i),
+            })}
+            onEachFeature={onEachFeature}
+          />
+        ))}
+
+        {/* Heat / storm stretches: dashed over the selected track */}
+        {weatherRisks.map((segment) => (
+          <Polyline
+            key={`risk-${segment.from}-${segment.risks.join("-")}`}
+            positions={segment.positions}
+            pathOptions={{
+              color: RISKS[segment.risks[0]].color,
+              weight: 5,
+              opacity: 0.95,
+              dashArray: "8 8",
+              lineCap: "butt",
+            }}
+          >
+            <Tooltip sticky>
+              {segment.risks.map((risk) => RISKS[risk].label).join(" + ")} risk · {unitLabels(units).distance}{" "}
+              {toDisplayDistance(segment.from, units).toFixed(1)}–{toDisplayDistance(segment.to, units).toFixed(1)}
+            </Tooltip>
+          </Polyline>
+        ))}
+
+        {/* Segment picked in the Sidebar, over the selected track */}
+        {highlightedSegment && selectedTrack && (
+          <Polyline
+            positions={getTrackCoordinates(selectedTrack)
+              .slice(highlightedSegment.startIndex, highlightedSegment.endIndex + 1)
+              .map((c) => [c[1], c[0]])}
+            pathOptions={{
+              color: SEGMENT_KINDS[highlightedSegment.kind].color,
+              weight: 7,
+              opacity: 0.95,
+              lineJoin: "round",
+            }}
+          >
+            <Tooltip sticky>
+              {SEGMENT_KINDS[highlightedSegment.kind].label} · {formatDistance(highlightedSegment.from, units, 1)}–
+              {formatDistance(highlightedSegment.to, units, 1)}
+            </Tooltip>
+          </Polyline>
+        )}
+
+        {/* Off route: the way back to the nearest point on the trail */}
+        {navigation?.offRoute && userPosition && (
+          <Polyline
+            positions={[
+              [userPosition.lat, userPosition.lng],
+              [navigation.lat, navigation.lon],
+            ]}
+            pathOptions={{ color: "#ef4444", weight: 3, opacity: 0.9, dashArray: "4 6" }}
+          />
+        )}
+
+        {/* Activity being recorded */}
+        {breadcrumb?.length > 1 && (
+          <Polyline
+            positions={breadcrumb}
+            pathOptions={{ color: "#ef4444", weight: 4, opacity: 0.85, lineJoin: "round" }}
+            interactive={false}
+          />
+        )}
+
         {/* Mile Markers */}
         {mileMarkers
-          .filter((m) => m.distance > 0)
+          .filter((m) => m.number > 0)
           .map((marker) => (
             <Marker
-              key={`mile-${marker.distance}`}
+              key={`mile-${marker.number}`}
               position={marker.position}
-              icon={mileMarkerIcon(marker.distance)}
+              icon={mileMarkerIcon(marker.number)}
               keyboard={false}
             >
               <Popup>
                 <div className="font-display font-semibold">
-                  Mile {marker.distance}
+                  {markerName(marker.number, units)}
                 </div>
               </Popup>
+              {mileEtas[marker.number] && (
+                <Tooltip direction="top" offset={[0, -14]}>
+                  {markerName(marker.number, units)} · {formatDuration(mileEtas[marker.number].elapsed)} · ETA{" "}
+                  {formatClock(mileEtas[marker.number].arrival)}
+                </Tooltip>
+              )}
             </Marker>
           ))}
 
+        {/* Aid stations and waypoints */}
+        {selectedTrack &&
+          stations.map((station) => {
+            const kind = WAYPOINT_KINDS[station.kind];
+            const eta = stationEtas[station.id];
+            return (
+              <Marker
+                key={`station-${station.id}`}
+                position={[station.lat, station.lon]}
+                icon={stationIcon(kind)}
+                keyboard={false}
+                zIndexOffset={500}
+              >
+                <Tooltip direction="top" offset={[0, -12]}>
+                  <div className="font-semibold">{station.name}</div>
+                  <div>
+                    {kind.label} · {formatDistance(station.distance / METERS_PER_MILE, units)}
+                    {eta && ` · ETA ${formatClock(eta.arrival)}`}
+                  </div>
+                  {station.description && <div className="whitespace-pre-line">{station.description}</div>}
+                </Tooltip>
+              </Marker>
+            );
+          })}
+
         {/* Start Marker */}
         {start && (
           <Marker position={start} icon={startIcon}>
@@ -669,6 +813,7 @@ export default function Map(props = {}) {
           position={cursorPosition}
           track={selectedTrack}
           index={cursorIndex}
+          units={units}
         />
 
         {/* Map Event Handler */}
@@ -679,15 +824,34 @@ export default function Map(props = {}) {
           <FitBounds
             bounds={bounds}
             selectedTrack={selectedTrack}
+            compareTracks={compareTracks}
             sidebarOpen={sidebarOpen}
             isSidebarCollapsed={isSidebarCollapsed}
             trackListCollapsed={trackListCollapsed}
+            skipInitialFit={!!initialView}
           />
         )}
 
+        {onViewChange && <ViewReporter onViewChange={onViewChange} />}
+
         {/* Draw Trail Mode */}
         {drawMode && (
-          <DrawTrailMode onSave={onSaveDrawnTrail} onClose={onCloseDrawMode} />
+          <DrawTrailMode
+            units={units}
+            initialRoute={drawSeed}
+            onSave={onSaveDrawnTrail}
+            onClose={onCloseDrawMode}
+          />
+        )}
+
+        {/* Loop Planner */}
+        {loopPlanner && trailNetwork && (
+          <LoopPlannerPanel
+            network={trailNetwork}
+            units={units}
+            onOpen={onOpenLoop}
+            onClose={onCloseLoopPlanner}
+          />
         )}
       </MapContainer>
     </div>
@@ -0,0 +1,98 @@
+import { AlertTriangle, Flag, Mountain, Navigation, X } from "lucide-react";
+import { OFF_ROUTE_OPTIONS_FT } from "../lib/navigation";
+import { FEET_PER_METER, formatElevation, toDisplayDistance, unitLabels } from "../lib/units";
+
+const distance = (miles, units) => {
+  const value = toDisplayDistance(miles, units);
+  return `${value.toFixed(value < 10 ? 2 : 1)} ${unitLabels(units).distance}`;
+};
+
+/**
+ * NavigationPanel
+ *
+ * Floating card over the map while navigating the selected trail: distance
+ * done and left, climbing left, next mile (or km) marker and peak, and an off-route
+ * warning. `status` comes from useNavigation (App), which also raises the
+ * vibrate/beep alert.
+ */
+export default function NavigationPanel({ status, units, waitingForGps, offRouteFt, onOffRouteFtChange, onStop }) {
+  return (
+    <div className="w-64 rounded-lg border border-[var(--border-color)] bg-[var(--bg-secondary)] shadow-lg p-3 text-sm">
+      <div className="flex items-center justify-between gap-2 mb-2">
+        <div className="flex items-center gap-2">
+          <Navigation className="w-4 h-4 text-[var(--accent-primary)]" />
+          <div className="stat-label">Navigating</div>
+        </div>
+        <button
+          type="button"
+          onClick={onStop}
+          className="p-1 text-[var(--text-secondary)] hover:text-[var(--accent-primary)] transition-colors"
+          title="Stop navigating"
+          aria-label="Stop navigating"
+        >
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      {!status ? (
+        <p className="text-xs text-[var(--text-secondary)]">
+          {waitingForGps ? "Waiting for GPS…" : "Turn on GPS to navigate this trail."}
+        </p>
+      ) : (
+        <>
+          {status.offRoute && (
+            <div className="mb-2 flex items-center gap-2 rounded-md border border-red-400/40 bg-red-500/10 px-2 py-1.5 text-xs font-semibold text-red-400">
+              <AlertTriangle className="w-4 h-4 shrink-0" />
+              Off route, {formatElevation(status.offset * FEET_PER_METER, units)} from the trail
+            </div>
+          )}
+
+          <div className="grid grid-cols-3 gap-2 mb-2 tabular-nums">
+            <div>
+              <div className="text-[10px] uppercase text-[var(--text-secondary)]">Done</div>
+              <div className="font-semibold text-[var(--text-primary)]">{distance(status.done, units)}</div>
+            </div>
+            <div>
+              <div className="text-[10px] uppercase text-[var(--text-secondary)]">Left</div>
+              <div className="font-semibold text-[var(--text-primary)]">{distance(status.remaining, units)}</div>
+            </div>
+            <div>
+              <div className="text-[10px] uppercase text-[var(--text-secondary)]">Climb left</div>
+              <div className="font-semibold text-[var(--text-primary)]">{formatElevation(status.climbRemaining, units)}</div>
+            </div>
+          </div>
+
+          <ul className="space-y-1 text-xs text-[var(--text-primary)] tabular-nums">
+            <li className="flex items-center gap-1.5">
+              <Flag className="w-3.5 h-3.5 text-[var(--accent-primary)]" />
+              {status.nextMile
+                ? `${status.nextMile.name} in ${distance(status.nextMile.distanceTo, units)}`
+                : `Last ${unitLabels(units).marker.toLowerCase()} marker passed`}
+            </li>
+            {status.nextPeak && (
+              <li className="flex items-center gap-1.5">
+                <Mountain className="w-3.5 h-3.5 text-[var(--accent-primary)]" />
+                {status.nextPeak.name} in {distance(status.nextPeak.distanceTo, units)}
+              </li>
+            )}
+          </ul>
+        </>
+      )}
+
+      <label className="mt-2 flex items-center justify-between gap-2 text-xs text-[var(--text-secondary)]">
+        Alert when off route by
+        <select
+          value={offRouteFt}
+          onChange={(e) => onOffRouteFtChange(Number(e.target.value))}
+          className="px-1.5 py-1 bg-[var(--bg-tertiary)] border border-[var(--border-color)] rounded-md text-xs text-[var(--text-primary)] focus:outline-none focus:border-[var(--accent-primary)]"
+        >
+          {OFF_ROUTE_OPTIONS_FT.map((feet) => (
+            <option key={feet} value={feet}>
+              {formatElevation(feet, units)}
+            </option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+}
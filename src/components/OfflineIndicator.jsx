@@ -1,18 +1,21 @@
 import { useState, useEffect } from 'react';
-import { WifiOff, Wifi } from 'lucide-react';
+import { WifiOff, Wifi, Check, X, ChevronDown } from 'lucide-react';
+import { getOfflineEntry, listOfflineEntries, offlineFeatures, offlineTrackId } from '../lib/offlineCache';
 
 /**
  * OfflineIndicator
  * 
  * Shows a banner when the app is offline.
- * GPS will still work offline!
+ * GPS will still work offline! Tap the banner for what else does, based on
+ * what was saved with "Make this trail available offline".
  * 
  * Usage in App.jsx:
- *   <OfflineIndicator />
+ *   <OfflineIndicator selectedTrack={selectedTrack} />
  */
-export default function OfflineIndicator() {
+export default function OfflineIndicator({ selectedTrack = null }) {
   const [isOnline, setIsOnline] = useState(navigator.onLine);
   const [showTransition, setShowTransition] = useState(false);
+  const [expanded, setExpanded] = useState(false);
 
   useEffect(() => {
     const handleOnline = () => {
@@ -39,24 +42,51 @@ export default function OfflineIndicator() {
   // Don't show anything if online (unless just came back online)
   if (isOnline && !showTransition) return null;
 
+  if (isOnline) {
+    return (
+      <div className="fixed top-4 left-1/2 -translate-x-1/2 z-[2001] px-4 py-2 rounded-full text-sm font-semibold shadow-lg flex items-center gap-2 transition-all duration-300"
+        style={{ backgroundColor: '#22c55e', color: '#fff' }}
+      >
+        <Wifi className="w-4 h-4" />
+        Back Online
+      </div>
+    );
+  }
+
+  const features = offlineFeatures(
+    selectedTrack ? getOfflineEntry(offlineTrackId(selectedTrack)) : null,
+    listOfflineEntries(),
+  );
+
   return (
-    <div 
-      className="fixed top-4 left-1/2 -translate-x-1/2 z-[2001] px-4 py-2 rounded-full text-sm font-semibold shadow-lg flex items-center gap-2 transition-all duration-300"
-      style={{
-        backgroundColor: isOnline ? '#22c55e' : '#eab308',
-        color: isOnline ? '#fff' : '#000',
-      }}
-    >
-      {isOnline ? (
-        <>
-          <Wifi className="w-4 h-4" />
-          Back Online
-        </>
-      ) : (
-        <>
-          <WifiOff className="w-4 h-4" />
-          Offline Mode - GPS Active
-        </>
+    <div className="fixed top-4 left-1/2 -translate-x-1/2 z-[2001] flex flex-col items-center gap-2">
+      <button
+        onClick={() => setExpanded((v) => !v)}
+        aria-expanded={expanded}
+        className="px-4 py-2 rounded-full text-sm font-semibold shadow-lg flex items-center gap-2 transition-all duration-300"
+        style={{ backgroundColor: '#eab308', color: '#000' }}
+      >
+        <WifiOff className="w-4 h-4" />
+        Offline Mode - GPS Active
+        <ChevronDown className={`w-4 h-4 transition-transform ${expanded ? 'rotate-180' : ''}`} />
+      </button>
+
+      {expanded && (
+        <ul className="w-72 p-3 space-y-1.5 rounded-xl shadow-lg text-sm bg-[var(--bg-secondary)] border border-[var(--border-color)]">
+          {features.map((feature) => (
+            <li key={feature.key} className="flex items-start gap-2">
+              {feature.available ? (
+                <Check className="w-4 h-4 mt-0.5 shrink-0 text-green-500" />
+              ) : (
+                <X className="w-4 h-4 mt-0.5 shrink-0 text-red-400" />
+              )}
+              <div>
+                <div className="text-[var(--text-primary)] font-medium">{feature.label}</div>
+                <div className="text-xs text-[var(--text-secondary)]">{feature.detail}</div>
+              </div>
+            </li>
+          ))}
+        </ul>
       )}
     </div>
   );
@@ -1,132 +1,217 @@
-import { useState, useEffect } from 'react';
-import { Download, Check, Loader2, MapPin, Trash2, HardDrive } from 'lucide-react';
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { Download, Check, Loader2, MapPin, Trash2, HardDrive, X, Pause, Play } from 'lucide-react';
+import { getStorageEstimate } from '../lib/storageEstimate';
+import {
+  clearOfflineEntries,
+  getOfflineEntry,
+  listOfflineEntries,
+  markTilesEvicted,
+  offlineTrackId,
+  pinTrackOffline,
+  removeTrackOffline,
+  TILE_CACHE,
+} from '../lib/offlineCache';
+import {
+  clearAllOffline,
+  formatBytes,
+  getTileStats,
+  registerTrackTiles,
+  removeTrackTiles,
+  setTileBudget,
+  TILE_BUDGET_OPTIONS,
+} from '../lib/tileIndex';
+import { getBaseLayers } from '../lib/baseLayers';
+import {
+  BUFFER_OPTIONS,
+  clearDownloadJob,
+  DEFAULT_DOWNLOAD_OPTIONS,
+  downloadTiles,
+  loadDownloadJob,
+  MAX_DOWNLOAD_TILES,
+  planTileDownload,
+  saveDownloadJob,
+  ZOOM_RANGE,
+} from '../lib/tileDownload';
+import { getTrackCoordinates } from '../utils';
+import BUILD_INFO from '../build-info';
+
+const BASE_LAYERS = getBaseLayers(import.meta.env);
+
+// Inventory rows for the selected trail, in the order they're shown
+const INVENTORY_ITEMS = [
+  ['tiles', 'Map tiles'],
+  ['geojson', 'Track data'],
+  ['manifest', 'Trail list'],
+  ['peaks', 'Peaks'],
+  ['weather', 'Last weather & AQI'],
+  ['app', 'App'],
+  ['cesium', '3D viewer files'],
+];
+
+const selectClass =
+  'w-full mt-1 px-2 py-1.5 bg-[var(--bg-tertiary)] border border-[var(--border-color)] rounded-lg text-sm text-[var(--text-primary)] focus:outline-none focus:border-[var(--accent-primary)]';
+
+const formatBuffer = (meters) => (meters >= 1000 ? `${meters / 1000} km` : `${meters} m`);
+
+const zoomChoices = (maxZoom) =>
+  Array.from({ length: Math.min(ZOOM_RANGE[1], maxZoom) - ZOOM_RANGE[0] + 1 }, (_, i) => ZOOM_RANGE[0] + i);
+
+// Options are clamped to what the chosen layer serves
+function normalizeOptions(options) {
+  const layer = BASE_LAYERS.find((l) => l.id === options.layerId) || BASE_LAYERS[0];
+  const top = Math.min(ZOOM_RANGE[1], layer.maxZoom);
+  const maxZoom = Math.min(options.maxZoom, top);
+  return { ...options, layerId: layer.id, maxZoom, minZoom: Math.min(options.minZoom, maxZoom) };
+}
 
 /**
  * OfflineMapDownloader
  * 
  * Shows cache status, download button, and clear cache option.
- * Tracks which trails have been downloaded.
+ * "Make available offline" downloads the map tiles of the chosen base layer
+ * along a corridor around the track (lib/tileDownload), then pins the track
+ * data, manifest, peaks, app bundle and last forecast (lib/offlineCache).
+ * A tile download can be paused, and an interrupted one resumed, even after
+ * a reload. Tracks which trails have been downloaded and what was saved for
+ * each; a single trail can be removed, and the service worker keeps map
+ * tiles under the chosen storage budget (lib/tileIndex).
  */
-export default function OfflineMapDownloader({ track }) {
+export default function OfflineMapDownloader({ track, units }) {
   const [downloading, setDownloading] = useState(false);
   const [progress, setProgress] = useState(0);
   const [complete, setComplete] = useState(false);
   const [error, setError] = useState(null);
   const [cacheSize, setCacheSize] = useState(null);
-  const [isDownloaded, setIsDownloaded] = useState(false);
+  const [entry, setEntry] = useState(null); // offline inventory for this track
+  const [savedCount, setSavedCount] = useState(0);
+  const [phase, setPhase] = useState('tiles'); // 'tiles' | 'data'
   const [clearing, setClearing] = useState(false);
+  const [options, setOptions] = useState(DEFAULT_DOWNLOAD_OPTIONS);
+  const [job, setJob] = useState(null); // interrupted tile download, if any
+  const [tileStats, setTileStats] = useState(null); // from the service worker's tile index
+  const [removing, setRemoving] = useState(false);
+  const abortRef = useRef(null);
+
+  const trackId = track ? offlineTrackId(track) : null;
+  const layer = BASE_LAYERS.find((l) => l.id === options.layerId) || BASE_LAYERS[0];
+
+  const plan = useMemo(
+    () => (track ? planTileDownload(getTrackCoordinates(track), { ...options, layer }) : null),
+    [track, options, layer]
+  );
+  const tooMany = plan && plan.count > MAX_DOWNLOAD_TILES;
+  const overBudget = plan && tileStats?.budget && plan.bytes > tileStats.budget;
 
   // Check cache size and if this track is downloaded
   useEffect(() => {
     updateCacheInfo();
+    const saved = trackId ? loadDownloadJob(trackId) : null;
+    setJob(saved);
+    if (saved) setOptions(normalizeOptions(saved));
+  }, [track]);
+
+  // Leaving the trail (or the page) pauses the download; it can be resumed later
+  useEffect(() => () => abortRef.current?.abort(), [track]);
+
+  // The service worker evicted whole trails to stay under the budget
+  useEffect(() => {
+    const container = navigator.serviceWorker;
+    if (!container) return;
+    const onMessage = ({ data }) => {
+      if (data?.type !== 'TILES_EVICTED') return;
+      markTilesEvicted(data.trackIds);
+      updateCacheInfo();
+    };
+    container.addEventListener('message', onMessage);
+    return () => container.removeEventListener('message', onMessage);
   }, [track]);
 
   const updateCacheInfo = async () => {
     try {
       // Get cache size
-      if ('storage' in navigator && 'estimate' in navigator.storage) {
-        const estimate = await navigator.storage.estimate();
-        const usedMB = (estimate.usage / 1024 / 1024).toFixed(1);
-        const quotaMB = (estimate.quota / 1024 / 1024).toFixed(0);
-        setCacheSize({ used: usedMB, quota: quotaMB });
+      const estimate = await getStorageEstimate();
+      if (estimate) setCacheSize(estimate);
+
+      // Tile cache size and budget; catch up on evictions while the page was closed
+      const stats = await getTileStats().catch(() => null);
+      if (stats) {
+        setTileStats(stats);
+        markTilesEvicted(stats.evicted);
       }
 
       // Check if this track is downloaded
-      if (track) {
-        const trackId = track.properties?.id || track.properties?.filename;
-        const downloaded = localStorage.getItem(`offline-track-${trackId}`);
-        setIsDownloaded(!!downloaded);
-      }
+      if (track) setEntry(getOfflineEntry(offlineTrackId(track)));
+      setSavedCount(listOfflineEntries().length);
     } catch (err) {
       console.error('Error checking cache:', err);
     }
   };
 
+  const updateOptions = (patch) => {
+    setOptions((current) => normalizeOptions({ ...current, ...patch }));
+    // A different selection is a different download
+    if (job) {
+      clearDownloadJob(trackId);
+      setJob(null);
+    }
+  };
+
   const downloadTilesForTrack = async () => {
-    if (!track) return;
+    if (!track || !plan || tooMany) return;
+
+    const startAt = job && job.total === plan.count ? job.done : 0;
+    const controller = new AbortController();
+    abortRef.current = controller;
 
     setDownloading(true);
-    setProgress(0);
+    setPhase('tiles');
+    setProgress(Math.round((startAt / plan.count) * 100));
     setComplete(false);
     setError(null);
 
     try {
-      // Get track bounds
-      const coords = track.geometry.type === 'LineString' 
-        ? track.geometry.coordinates 
-        : track.geometry.coordinates[0];
-
-      const lats = coords.map(c => c[1]);
-      const lngs = coords.map(c => c[0]);
-      const bounds = {
-        north: Math.max(...lats),
-        south: Math.min(...lats),
-        east: Math.max(...lngs),
-        west: Math.min(...lngs),
-      };
-
-      // Add padding (0.02 degrees ≈ 2km)
-      const padding = 0.02;
-      bounds.north += padding;
-      bounds.south -= padding;
-      bounds.east += padding;
-      bounds.west -= padding;
-
-      // Download tiles for zoom levels 10-15
-      // **Zoom level reference**:
-      // - **Level 10**: Regional view (shows 50+ mile area)
-      // - **Level 12**: Area view (shows 10-20 mile area)
-      // - **Level 14**: Trail view (shows 2-5 mile area)
-      // - **Level 16**: Detail view (shows 0.5-1 mile area, ~2 feet per pixel)
-      const zoomLevels = [13, 14, 15, 16, 17];
-      const tileUrls = [];
-
-      for (const zoom of zoomLevels) {
-        const tiles = getTilesInBounds(bounds, zoom);
-        tiles.forEach(({ x, y, z }) => {
-          const url = `https://tile.openstreetmap.org/${z}/${x}/${y}.png`;
-          tileUrls.push(url);
-        });
-      }
-
-      console.log(`📥 Downloading ${tileUrls.length} tiles for offline use...`);
-
-      // Download tiles in batches
-      const batchSize = 6;
-      let completed = 0;
-
-      for (let i = 0; i < tileUrls.length; i += batchSize) {
-        const batch = tileUrls.slice(i, i + batchSize);
-        
-        await Promise.all(
-          batch.map(url => 
-            fetch(url, { mode: 'cors' })
-              .then(response => {
-                if (response.ok) {
-                  return response.blob();
-                }
-              })
-              .catch(err => {
-                console.warn('Tile fetch failed:', url, err);
-              })
-          )
-        );
-
-        completed += batch.length;
-        setProgress(Math.round((completed / tileUrls.length) * 100));
+      console.log(`📥 Downloading ${plan.count - startAt} of ${plan.count} ${layer.name} tiles for offline use...`);
+
+      const record = { ...options, total: plan.count, done: startAt };
+      saveDownloadJob(trackId, record);
+
+      // The service worker stores what we fetch; skip what it already has
+      const tileCache = globalThis.caches ? await caches.open(TILE_CACHE) : null;
+      const result = await downloadTiles(plan.urls, {
+        rateLimit: layer.rateLimit,
+        startAt,
+        signal: controller.signal,
+        isCached: async (url) => !!(await tileCache?.match(url)),
+        onProgress: ({ done, total }) => {
+          setProgress(Math.round((done / total) * 100));
+          saveDownloadJob(trackId, { ...record, done });
+        },
+      });
 
-        // Throttle to avoid rate limiting
-        if (i + batchSize < tileUrls.length) {
-          await new Promise(resolve => setTimeout(resolve, 500));
-        }
+      if (result.stopped) {
+        setJob(loadDownloadJob(trackId));
+        setDownloading(false);
+        return;
       }
-
-      // Mark as downloaded
-      const trackId = track.properties?.id || track.properties?.filename;
-      localStorage.setItem(`offline-track-${trackId}`, new Date().toISOString());
+      clearDownloadJob(trackId);
+      setJob(null);
+
+      // Tie the tiles to this trail, so removing or evicting another keeps them
+      await registerTrackTiles(trackId, plan.urls).catch((err) => console.warn('Tile index update failed:', err));
+
+      // Pin everything else the trail needs, and record what was saved
+      setPhase('data');
+      const newEntry = await pinTrackOffline(track, {
+        base: import.meta.env.BASE_URL,
+        origin: window.location.origin,
+        resources: performance.getEntriesByType('resource').map((r) => r.name),
+        units,
+        build: BUILD_INFO?.build || 'dev',
+        tiles: result.total - result.failed,
+      });
       
       setComplete(true);
-      setIsDownloaded(true);
+      setEntry(newEntry);
       console.log('✅ Offline download complete!');
       
       // Update cache info
@@ -142,39 +227,71 @@ export default function OfflineMapDownloader({ track }) {
     } catch (err) {
       console.error('Download failed:', err);
       setError(err.message || 'Download failed');
+      setJob(loadDownloadJob(trackId));
       setTimeout(() => {
         setDownloading(false);
         setError(null);
       }, 3000);
+    } finally {
+      if (abortRef.current === controller) abortRef.current = null;
+    }
+  };
+
+  const pauseDownload = () => abortRef.current?.abort();
+
+  // This trail only: tiles other saved trails share are kept
+  const removeThisTrail = async () => {
+    if (!track) return;
+    setRemoving(true);
+    try {
+      await removeTrackTiles(trackId);
+      await removeTrackOffline(track, { base: import.meta.env.BASE_URL });
+      clearDownloadJob(trackId);
+      setJob(null);
+      await updateCacheInfo();
+    } catch (err) {
+      console.error('Remove offline trail failed:', err);
+      alert('Failed to remove this trail. Check console for details.');
+    } finally {
+      setRemoving(false);
+    }
+  };
+
+  const changeBudget = async (bytes) => {
+    try {
+      const stats = await setTileBudget(bytes);
+      if (stats) setTileStats(stats);
+      await updateCacheInfo();
+    } catch (err) {
+      console.error('Setting the storage budget failed:', err);
     }
   };
 
   const clearOfflineCache = async () => {
-    if (!window.confirm('Clear all offline map tiles? You will need to re-download them for offline use.')) {
+    if (!window.confirm('Clear all offline maps and trail data? You will need to re-download them for offline use.')) {
       return;
     }
 
     setClearing(true);
 
     try {
-      const cacheNames = await caches.keys();
-      await Promise.all(
-        cacheNames.map(name => caches.delete(name))
-      );
+      // The service worker also empties its tile index; without one, delete directly
+      const cleared = await clearAllOffline().catch(() => null);
+      if (!cleared) {
+        const cacheNames = await caches.keys();
+        await Promise.all(
+          cacheNames.map(name => caches.delete(name))
+        );
+      }
       
       // Clear localStorage markers
-      const keys = Object.keys(localStorage);
-      keys.forEach(key => {
-        if (key.startsWith('offline-track-')) {
-          localStorage.removeItem(key);
-        }
-      });
+      clearOfflineEntries();
 
       console.log('✅ Offline cache cleared!');
       
       // Update UI
       setCacheSize({ used: 0, quota: cacheSize?.quota || 0 });
-      setIsDownloaded(false);
+      setEntry(null);
       
       // Reload to reinstall service worker
       setTimeout(() => {
@@ -209,21 +326,127 @@ export default function OfflineMapDownloader({ track }) {
       </div>
 
       {/* Download status */}
-      {isDownloaded && !downloading && !complete && (
-        <div className="mb-3 p-2 bg-green-500/10 border border-green-500/30 rounded-lg flex items-center gap-2 text-sm text-green-600">
-          <Check className="w-4 h-4" />
-          <span>This trail is available offline</span>
+      {entry && !downloading && !complete && (
+        <div className="mb-3 p-2 bg-green-500/10 border border-green-500/30 rounded-lg text-sm text-green-600">
+          <div className="flex items-center gap-2">
+            <Check className="w-4 h-4" />
+            <span>This trail is available offline</span>
+          </div>
+          {/* Per-track inventory (older saves only recorded the tiles) */}
+          {entry.build !== null && (
+            <ul className="mt-2 grid grid-cols-2 gap-x-3 gap-y-0.5 text-xs">
+              {INVENTORY_ITEMS.map(([key, label]) => {
+                const count = key === 'tiles' ? entry.tiles : entry.items?.[key];
+                return (
+                  <li key={key} className={`flex items-center gap-1 ${count > 0 ? '' : 'text-[var(--text-secondary)]'}`}>
+                    {count > 0 ? <Check className="w-3 h-3" /> : <X className="w-3 h-3" />}
+                    {label}
+                    {key === 'tiles' && count > 0 && <span className="font-mono">({count})</span>}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+          <div className="mt-1 text-xs text-[var(--text-secondary)]">
+            Saved {new Date(entry.savedAt).toLocaleString()}
+            {entry.build && entry.build !== BUILD_INFO?.build && ' · app updated since, re-download to refresh'}
+            {entry.tilesEvicted && ' · map tiles were removed to stay under the storage budget'}
+          </div>
+          <button
+            onClick={removeThisTrail}
+            disabled={removing}
+            className="mt-2 flex items-center gap-1 text-xs text-red-400 hover:underline disabled:opacity-50"
+          >
+            {removing ? <Loader2 className="w-3 h-3 animate-spin" /> : <Trash2 className="w-3 h-3" />}
+            Remove this trail's offline data
+          </button>
         </div>
       )}
 
       <p className="text-sm text-[var(--text-secondary)] mb-4">
-        Download map tiles for this trail area to use without internet connection.
+        Save map tiles, track data, peaks and the latest forecast for this trail to use without internet connection.
       </p>
 
+      {/* What to download: layer, zoom range and corridor width */}
+      <div className="grid grid-cols-2 gap-2 mb-2">
+        <label className="col-span-2 text-xs text-[var(--text-secondary)]">
+          Map layer
+          <select
+            value={options.layerId}
+            onChange={(e) => updateOptions({ layerId: e.target.value })}
+            disabled={downloading}
+            className={selectClass}
+          >
+            {BASE_LAYERS.map((l) => (
+              <option key={l.id} value={l.id}>
+                {l.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="text-xs text-[var(--text-secondary)]">
+          Zoom from
+          <select
+            value={options.minZoom}
+            onChange={(e) => updateOptions({ minZoom: Number(e.target.value) })}
+            disabled={downloading}
+            className={selectClass}
+          >
+            {zoomChoices(options.maxZoom).map((z) => (
+              <option key={z} value={z}>
+                {z}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="text-xs text-[var(--text-secondary)]">
+          to
+          <select
+            value={options.maxZoom}
+            onChange={(e) => updateOptions({ maxZoom: Number(e.target.value) })}
+            disabled={downloading}
+            className={selectClass}
+          >
+            {zoomChoices(layer.maxZoom)
+              .filter((z) => z >= options.minZoom)
+              .map((z) => (
+                <option key={z} value={z}>
+                  {z}
+                </option>
+              ))}
+          </select>
+        </label>
+        <label className="col-span-2 text-xs text-[var(--text-secondary)]">
+          Corridor around the track
+          <select
+            value={options.bufferMeters}
+            onChange={(e) => updateOptions({ bufferMeters: Number(e.target.value) })}
+            disabled={downloading}
+            className={selectClass}
+          >
+            {BUFFER_OPTIONS.map((meters) => (
+              <option key={meters} value={meters}>
+                {formatBuffer(meters)} either side
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {/* Estimate before downloading */}
+      {plan && (
+        <p className={`text-xs mb-3 ${tooMany ? 'text-red-400' : 'text-[var(--text-secondary)]'}`}>
+          ~{plan.count.toLocaleString()} tiles · ~{(plan.bytes / 1024 / 1024).toFixed(1)} MB
+          {tooMany && ` · over the ${MAX_DOWNLOAD_TILES.toLocaleString()} tile limit, narrow the zoom range or corridor`}
+          {!tooMany && job && job.total === plan.count && ` · ${job.done.toLocaleString()} already downloaded`}
+          {!tooMany && overBudget && ' · larger than the storage budget, other trails will be evicted'}
+        </p>
+      )}
+
       {/* Download button */}
       <button
         onClick={downloadTilesForTrack}
-        disabled={downloading || !track}
+        disabled={downloading || !track || tooMany}
         className="w-full flex items-center justify-center gap-2 px-4 py-3 rounded-lg border transition-all disabled:opacity-50 disabled:cursor-not-allowed mb-3"
         style={{
           backgroundColor: complete ? 'rgba(34, 197, 94, 0.1)' : 'var(--bg-tertiary)',
@@ -235,8 +458,8 @@ export default function OfflineMapDownloader({ track }) {
           <>
             <Loader2 className="w-5 h-5 animate-spin" />
             <div className="flex-1 text-left">
-              <div className="font-semibold">Downloading...</div>
-              <div className="text-xs opacity-75">{progress}% complete</div>
+              <div className="font-semibold">{phase === 'tiles' ? 'Downloading map tiles...' : 'Saving trail data...'}</div>
+              <div className="text-xs opacity-75">{phase === 'tiles' ? `${progress}% complete` : 'Almost done'}</div>
             </div>
           </>
         ) : complete ? (
@@ -250,14 +473,46 @@ export default function OfflineMapDownloader({ track }) {
           </>
         ) : (
           <>
-            <Download className="w-5 h-5" />
+            {job ? <Play className="w-5 h-5" /> : <Download className="w-5 h-5" />}
             <span className="font-semibold">
-              {isDownloaded ? 'Re-download for Offline' : 'Download for Offline'}
+              {job ? 'Resume Download' : entry ? 'Re-download for Offline' : 'Make This Trail Available Offline'}
             </span>
           </>
         )}
       </button>
 
+      {/* Pause: the tiles so far stay cached and the download can be resumed */}
+      {downloading && phase === 'tiles' && !complete && !error && (
+        <button
+          onClick={pauseDownload}
+          className="w-full flex items-center justify-center gap-2 px-4 py-2 rounded-lg border border-[var(--border-color)] bg-[var(--bg-tertiary)] text-[var(--text-primary)] hover:border-[var(--accent-primary)] transition-all text-sm mb-3"
+        >
+          <Pause className="w-4 h-4" />
+          <span>Pause</span>
+        </button>
+      )}
+
+      {/* Tile storage budget: the service worker evicts least recently used tiles above it */}
+      {tileStats && (
+        <label className="block text-xs text-[var(--text-secondary)] mb-3">
+          Map tiles: {formatBytes(tileStats.bytes)} of
+          <select
+            value={tileStats.budget}
+            onChange={(e) => changeBudget(Number(e.target.value))}
+            disabled={downloading}
+            className={selectClass}
+          >
+            {[...new Set([...TILE_BUDGET_OPTIONS, tileStats.budget])]
+              .sort((a, b) => a - b)
+              .map((bytes) => (
+                <option key={bytes} value={bytes}>
+                  {formatBytes(bytes)} budget
+                </option>
+              ))}
+          </select>
+        </label>
+      )}
+
       {/* Clear cache button */}
       {cacheSize && parseFloat(cacheSize.used) > 0 && (
         <button
@@ -283,11 +538,16 @@ export default function OfflineMapDownloader({ track }) {
       {!downloading && !complete && !error && (
         <div className="mt-3 space-y-1">
           <p className="text-xs text-[var(--text-secondary)] italic">
-            • Downloads ~50-200 MB
+            • Downloads slowly on purpose, to respect {layer.name}'s usage policy
           </p>
           <p className="text-xs text-[var(--text-secondary)] italic">
             • Works in 2D mode only
           </p>
+          {savedCount > 0 && (
+            <p className="text-xs text-[var(--text-secondary)] italic">
+              • {savedCount} {savedCount === 1 ? 'trail' : 'trails'} saved on this device
+            </p>
+          )}
           {cacheSize && (
             <p className="text-xs text-[var(--text-secondary)] italic">
               • {cacheSize.used} MB / {cacheSize.quota} MB used
@@ -298,26 +558,3 @@ export default function OfflineMapDownloader({ track }) {
     </div>
   );
 }
-
-// Helper functions (unchanged)
-function getTilesInBounds(bounds, zoom) {
-  const tiles = [];
-  const topLeft = latLngToTile(bounds.north, bounds.west, zoom);
-  const bottomRight = latLngToTile(bounds.south, bounds.east, zoom);
-
-  for (let x = topLeft.x; x <= bottomRight.x; x++) {
-    for (let y = topLeft.y; y <= bottomRight.y; y++) {
-      tiles.push({ x, y, z: zoom });
-    }
-  }
-
-  return tiles;
-}
-
-function latLngToTile(lat, lng, zoom) {
-  const n = Math.pow(2, zoom);
-  const x = Math.floor((lng + 180) / 360 * n);
-  const latRad = lat * Math.PI / 180;
-  const y = Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n);
-  return { x, y };
-}
@@ -0,0 +1,86 @@
+import { Circle, Pause, Play, Square, Trash2 } from "lucide-react";
+import { RECORDING_STATUS } from "../lib/activityRecorder";
+import { formatDistance, METERS_PER_MILE } from "../lib/units";
+
+function formatDuration(ms) {
+  const total = Math.max(0, Math.round(ms / 1000));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  return h > 0 ? `${h}:${String(m).padStart(2, "0")}:${String(s).padStart(2, "0")}` : `${m}:${String(s).padStart(2, "0")}`;
+}
+
+/**
+ * RecorderPanel
+ *
+ * Floating card over the map while recording an activity: distance, time
+ * from the first to the last point, and Pause/Resume, Finish and Discard.
+ * `recording` comes from useActivityRecorder (App); Finish turns it into a
+ * local track.
+ */
+export default function RecorderPanel({ recording, units, waitingForGps, onPause, onResume, onFinish, onDiscard }) {
+  const { points, status, autoPaused } = recording;
+  const paused = status === RECORDING_STATUS.PAUSED;
+  const elapsed = points.length > 1 ? points[points.length - 1].time - points[0].time : 0;
+
+  const label = paused ? "Paused" : autoPaused ? "Auto-paused" : "Recording";
+  const buttonClass =
+    "flex-1 flex items-center justify-center gap-1.5 px-2 py-1.5 rounded-md border border-[var(--border-color)] bg-[var(--bg-tertiary)] text-xs font-semibold text-[var(--text-primary)] hover:border-[var(--accent-primary)] hover:text-[var(--accent-primary)] transition-colors";
+
+  return (
+    <div className="w-64 rounded-lg border border-[var(--border-color)] bg-[var(--bg-secondary)] shadow-lg p-3 text-sm">
+      <div className="flex items-center gap-2 mb-2">
+        <Circle className={`w-3 h-3 ${paused || autoPaused ? "text-[var(--text-secondary)]" : "text-red-500 fill-red-500 animate-pulse"}`} />
+        <div className="stat-label">{label}</div>
+      </div>
+
+      <div className="grid grid-cols-3 gap-2 mb-2 tabular-nums">
+        <div>
+          <div className="text-[10px] uppercase text-[var(--text-secondary)]">Distance</div>
+          <div className="font-semibold text-[var(--text-primary)]">{formatDistance(recording.distance / METERS_PER_MILE, units)}</div>
+        </div>
+        <div>
+          <div className="text-[10px] uppercase text-[var(--text-secondary)]">Time</div>
+          <div className="font-semibold text-[var(--text-primary)]">{formatDuration(elapsed)}</div>
+        </div>
+        <div>
+          <div className="text-[10px] uppercase text-[var(--text-secondary)]">Points</div>
+          <div className="font-semibold text-[var(--text-primary)]">{points.length.toLocaleString()}</div>
+        </div>
+      </div>
+
+      {!paused && points.length === 0 && (
+        <p className="mb-2 text-xs text-[var(--text-secondary)]">
+          {waitingForGps ? "Waiting for an accurate GPS fix…" : "Turn on GPS to record."}
+        </p>
+      )}
+
+      <div className="flex gap-2">
+        {paused ? (
+          <button type="button" onClick={onResume} className={buttonClass}>
+            <Play className="w-3.5 h-3.5" />
+            Resume
+          </button>
+        ) : (
+          <button type="button" onClick={onPause} className={buttonClass}>
+            <Pause className="w-3.5 h-3.5" />
+            Pause
+          </button>
+        )}
+        <button type="button" onClick={onFinish} className={buttonClass} title="Save as a local track">
+          <Square className="w-3.5 h-3.5" />
+          Finish
+        </button>
+        <button
+          type="button"
+          onClick={onDiscard}
+          className="p-1.5 rounded-md border border-[var(--border-color)] text-[var(--text-secondary)] hover:border-red-400 hover:text-red-400 transition-colors"
+          title="Discard recording"
+          aria-label="Discard recording"
+        >
+          <Trash2 className="w-3.5 h-3.5" />
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,173 @@
+import { CloudSun, RefreshCw } from "lucide-react";
+import { formatClock } from "../lib/paceModel";
+import { FORECAST_DAYS, FORECAST_INTERVALS, RISKS } from "../lib/routeForecast";
+import { getAQICategory } from "../utils";
+import { toDisplayDistance, toDisplaySpeed, toDisplayTemperature, unitLabels } from "../lib/units";
+
+const selectClass =
+  "w-full mt-1 px-2 py-1.5 bg-[var(--bg-tertiary)] border border-[var(--border-color)] rounded-lg text-sm text-[var(--text-primary)] focus:outline-none focus:border-[var(--accent-primary)]";
+
+const show = (value, unit = "", convert = (v) => v) => (value == null ? "—" : `${Math.round(convert(value))}${unit}`);
+
+/**
+ * RouteForecastPanel
+ *
+ * Sidebar section listing the forecast at points along the trail, each at
+ * the time the Trail Plan says you will get there. Sampling and fetching
+ * happen in useRouteForecast (App) so the map can flag the same stretches.
+ * The forecast comes in °F and mph (the risk thresholds); `units` only
+ * changes what is shown.
+ */
+export default function RouteForecastPanel({ forecast, units, options, onOptionsChange }) {
+  if (!forecast) return null;
+
+  const labels = unitLabels(units);
+
+  const { status, samples, error, refresh } = forecast;
+  const update = (patch) => onOptionsChange({ ...options, ...patch });
+  const flagged = samples.filter((s) => s.risks.length > 0).length;
+
+  return (
+    <div className="sidebar-section">
+      <div className="flex items-center justify-between gap-2 mb-3">
+        <div className="flex items-center gap-2">
+          <CloudSun className="w-4 h-4 text-[var(--accent-primary)]" />
+          <div className="stat-label">Forecast Along Route</div>
+        </div>
+        <button
+          type="button"
+          onClick={refresh}
+          disabled={status === "loading"}
+          className="p-1 text-[var(--text-secondary)] hover:text-[var(--accent-primary)] transition-colors disabled:opacity-40"
+          title="Refresh forecast"
+          aria-label="Refresh forecast"
+        >
+          <RefreshCw className={`w-3.5 h-3.5 ${status === "loading" ? "animate-spin" : ""}`} />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2 mb-3">
+        <label className="text-xs text-[var(--text-secondary)]">
+          Every
+          <select
+            value={options.interval}
+            onChange={(e) => update({ interval: Number(e.target.value) })}
+            className={selectClass}
+          >
+            {FORECAST_INTERVALS.map((miles) => (
+              <option key={miles} value={miles}>
+                {Number(toDisplayDistance(miles, units).toFixed(1))} {labels.distance}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="text-xs text-[var(--text-secondary)]">
+          Day
+          <select
+            value={options.day}
+            onChange={(e) => update({ day: Number(e.target.value) })}
+            className={selectClass}
+          >
+            {FORECAST_DAYS.map((label, day) => (
+              <option key={label} value={day}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {status === "loading" && (
+        <div className="text-[var(--text-secondary)] text-center py-4 loading-pulse">Loading forecast...</div>
+      )}
+      {status === "error" && (
+        <div className="text-[var(--text-secondary)] text-center py-4">Forecast unavailable ({error})</div>
+      )}
+
+      {status === "ready" && (
+        <>
+          <table className="w-full text-sm tabular-nums">
+            <thead>
+              <tr className="text-xs text-[var(--text-secondary)] border-b border-[var(--border-color)]">
+                <th className="text-left font-normal py-1">{labels.marker}</th>
+                <th className="text-right font-normal py-1">ETA</th>
+                <th className="text-right font-normal py-1">Temp</th>
+                <th className="text-right font-normal py-1">Wind</th>
+                <th className="text-right font-normal py-1">Rain</th>
+                <th className="text-right font-normal py-1">AQI</th>
+              </tr>
+            </thead>
+            <tbody>
+              {samples.map((sample) => {
+                const aqi = sample.aqi != null ? getAQICategory(sample.aqi) : null;
+                return (
+                  <tr key={sample.distance} className="border-b border-[var(--border-color)]">
+                    <td className="py-1 text-[var(--text-primary)]">
+                      <span className="flex items-center gap-1">
+                        {toDisplayDistance(sample.distance, units).toFixed(1)}
+                        {sample.risks.map((risk) => (
+                          <span
+                            key={risk}
+                            className="inline-block w-2 h-2 rounded-full"
+                            style={{ backgroundColor: RISKS[risk].color }}
+                            title={`${RISKS[risk].label}: ${RISKS[risk].description}`}
+                          />
+                        ))}
+                      </span>
+                    </td>
+                    <td className="py-1 text-right text-[var(--text-secondary)]">{formatClock(sample.arrival)}</td>
+                    <td
+                      className="py-1 text-right text-[var(--text-primary)]"
+                      title={
+                        sample.apparentTemperature != null
+                          ? `Feels like ${Math.round(toDisplayTemperature(sample.apparentTemperature, units))}${labels.temperature}`
+                          : undefined
+                      }
+                    >
+                      {show(sample.temperature, "°", (f) => toDisplayTemperature(f, units))}
+                    </td>
+                    <td
+                      className="py-1 text-right text-[var(--text-secondary)]"
+                      title={sample.gusts != null ? `Gusts ${Math.round(toDisplaySpeed(sample.gusts, units))} ${labels.speed}` : undefined}
+                    >
+                      {show(sample.windSpeed, "", (mph) => toDisplaySpeed(mph, units))}
+                    </td>
+                    <td className="py-1 text-right text-[var(--text-secondary)]">{show(sample.precipitationProbability, "%")}</td>
+                    <td className="py-1 text-right">
+                      {aqi ? (
+                        <span
+                          className="px-1.5 rounded text-xs font-semibold"
+                          style={{ backgroundColor: aqi.color, color: aqi.textColor }}
+                          title={aqi.name}
+                        >
+                          {sample.aqi}
+                        </span>
+                      ) : (
+                        "—"
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          <div className="flex flex-wrap gap-x-3 gap-y-1 mt-2 text-xs text-[var(--text-secondary)]">
+            {Object.entries(RISKS).map(([key, risk]) => (
+              <span key={key} className="flex items-center gap-1" title={risk.description}>
+                <span className="inline-block w-2 h-2 rounded-full" style={{ backgroundColor: risk.color }} />
+                {risk.label} risk
+              </span>
+            ))}
+          </div>
+          <p className="text-xs text-[var(--text-secondary)] mt-2 italic">
+            {flagged > 0
+              ? `${flagged} of ${samples.length} points flagged; those stretches are highlighted on the map.`
+              : "No heat or storm risk along the route."}{" "}
+            Wind in {labels.speed}. Times follow the Trail Plan start and pace.
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,274 @@
+import { useState } from "react";
+import { createPortal } from "react-dom";
+import {
+  Github,
+  X,
+  Check,
+  Loader2,
+  AlertTriangle,
+  ExternalLink,
+  KeyRound,
+} from "lucide-react";
+import {
+  SAVE_STAGES,
+  createGitHubClient,
+  parseRepoSlug,
+  saveTrackPullRequest,
+  loadGitHubToken,
+  storeGitHubToken,
+  clearGitHubToken,
+} from "../lib/githubClient";
+import { slugifyFilename } from "../lib/gpxImport";
+
+const STAGE_LABELS = {
+  "read-base": "Read main branch and manifest",
+  "create-branch": "Create upload branch",
+  "commit-gpx": "Commit GPX file",
+  "commit-geojson": "Commit GeoJSON file",
+  "commit-manifest": "Commit updated manifest.json",
+  "open-pr": "Open pull request",
+};
+
+const DEFAULT_REPO = "spaceshiptrip/trail-viewer";
+
+export function futureShareUrl(geojsonFile) {
+  const url = new URL(import.meta.env.BASE_URL, window.location.origin);
+  url.searchParams.set("track", geojsonFile);
+  return url.toString();
+}
+
+/**
+ * SaveToGitHubDialog
+ *
+ * Commits a locally imported track (GPX + GeoJSON + manifest entry) to a new
+ * branch and opens a pull request. The token is kept in sessionStorage only.
+ * If a step fails, the steps that did complete are shown so a half-made
+ * branch is never a surprise.
+ */
+export default function SaveToGitHubDialog({ track, onClose, onSaved }) {
+  const [repoSlug, setRepoSlug] = useState(
+    () => localStorage.getItem("githubRepo") || import.meta.env.VITE_GITHUB_REPO || DEFAULT_REPO,
+  );
+  const [token, setToken] = useState(() => loadGitHubToken());
+  const [saving, setSaving] = useState(false);
+  const [completed, setCompleted] = useState([]);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(track.properties.pullRequest ? track.properties : null);
+
+  const handleClearToken = () => {
+    clearGitHubToken();
+    setToken("");
+  };
+
+  const handleSave = async () => {
+    setError(null);
+    setCompleted([]);
+
+    if (!token.trim()) {
+      setError({ message: "Enter a GitHub token with Contents and Pull requests write access." });
+      return;
+    }
+
+    let repo;
+    try {
+      repo = parseRepoSlug(repoSlug);
+    } catch (e) {
+      setError({ message: e.message });
+      return;
+    }
+
+    storeGitHubToken(token.trim());
+    localStorage.setItem("githubRepo", repoSlug.trim());
+    setSaving(true);
+
+    try {
+      const client = createGitHubClient({ token: token.trim(), ...repo });
+      const saved = await saveTrackPullRequest(client, {
+        feature: track,
+        gpxText: track.localFile.text,
+        gpxFilename: slugifyFilename(track.localFile.name),
+        onProgress: (stage) => setCompleted((prev) => [...prev, stage]),
+      });
+      const info = {
+        pullRequest: saved.pullRequest,
+        savedFile: saved.geojsonFile,
+        collided: saved.collided,
+      };
+      setResult(info);
+      onSaved?.(info);
+    } catch (e) {
+      console.error("Save to GitHub failed:", e);
+      setError({ message: e.message, stage: e.stage, completed: e.completed || [] });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const stageState = (stage) => {
+    if (completed.includes(stage)) return "done";
+    if (error?.stage === stage) return "failed";
+    if (saving && SAVE_STAGES[completed.length] === stage) return "running";
+    return "pending";
+  };
+
+  return createPortal(
+    <div
+      className="fixed inset-0 z-[2000] flex items-center justify-center bg-black/50 backdrop-blur-sm"
+      onClick={saving ? undefined : onClose}
+    >
+      <div
+        className="bg-[var(--bg-secondary)] border border-[var(--border-color)] rounded-xl shadow-2xl p-6 max-w-md w-[90%] mx-4"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="flex items-start justify-between mb-4">
+          <div className="flex items-center gap-3">
+            <div className="w-12 h-12 rounded-lg bg-[var(--accent-primary)]/10 flex items-center justify-center">
+              <Github className="w-6 h-6 text-[var(--accent-primary)]" />
+            </div>
+            <div>
+              <h3 className="text-lg font-display font-bold text-[var(--text-primary)]">
+                Save to GitHub PR
+              </h3>
+              <p className="text-xs text-[var(--text-secondary)]">
+                {track.properties.name}
+              </p>
+            </div>
+          </div>
+          {!saving && (
+            <button
+              onClick={onClose}
+              className="text-[var(--text-secondary)] hover:text-[var(--text-primary)] transition-colors"
+            >
+              <X className="w-5 h-5" />
+            </button>
+          )}
+        </div>
+
+        {result?.pullRequest ? (
+          <div className="space-y-3 text-sm">
+            <div className="flex items-center gap-2 text-green-500 font-medium">
+              <Check className="w-4 h-4" />
+              Pull request #{result.pullRequest.number} created
+            </div>
+            <a
+              href={result.pullRequest.url}
+              target="_blank"
+              rel="noreferrer"
+              className="flex items-center gap-1.5 text-[var(--accent-primary)] hover:underline break-all"
+            >
+              <ExternalLink className="w-4 h-4 shrink-0" />
+              {result.pullRequest.url}
+            </a>
+            {result.collided && (
+              <p className="text-yellow-500 text-xs">
+                A track with this name already exists, so it was saved as {result.savedFile}.
+              </p>
+            )}
+            <div className="p-3 bg-[var(--bg-tertiary)] rounded-lg">
+              <p className="text-xs text-[var(--text-secondary)] mb-1">
+                Future share URL, available after this PR is merged and deployed:
+              </p>
+              <input
+                readOnly
+                value={futureShareUrl(result.savedFile)}
+                onFocus={(e) => e.target.select()}
+                className="w-full bg-transparent text-xs text-[var(--text-primary)] outline-none"
+              />
+            </div>
+          </div>
+        ) : (
+          <>
+            <div className="space-y-3 mb-4">
+              <label className="block text-xs text-[var(--text-secondary)]">
+                Repository
+                <input
+                  value={repoSlug}
+                  onChange={(e) => setRepoSlug(e.target.value)}
+                  disabled={saving}
+                  placeholder="owner/repo"
+                  className="mt-1 w-full px-3 py-2 bg-[var(--bg-tertiary)] border border-[var(--border-color)] rounded-lg text-sm text-[var(--text-primary)] focus:outline-none focus:border-[var(--accent-primary)]"
+                />
+              </label>
+              <label className="block text-xs text-[var(--text-secondary)]">
+                Fine-grained token
+                <div className="mt-1 flex gap-2">
+                  <input
+                    type="password"
+                    value={token}
+                    onChange={(e) => setToken(e.target.value)}
+                    disabled={saving}
+                    placeholder="github_pat_..."
+                    autoComplete="off"
+                    className="flex-1 px-3 py-2 bg-[var(--bg-tertiary)] border border-[var(--border-color)] rounded-lg text-sm text-[var(--text-primary)] focus:outline-none focus:border-[var(--accent-primary)]"
+                  />
+                  {token && (
+                    <button
+                      onClick={handleClearToken}
+                      disabled={saving}
+                      className="px-3 text-xs rounded-lg border border-[var(--border-color)] text-[var(--text-secondary)] hover:text-[var(--text-primary)]"
+                      title="Forget token"
+                    >
+                      Clear
+                    </button>
+                  )}
+                </div>
+              </label>
+              <p className="flex items-start gap-1.5 text-xs text-[var(--text-secondary)]">
+                <KeyRound className="w-3.5 h-3.5 mt-0.5 shrink-0" />
+                Needs Contents and Pull requests read/write on this repo. Kept for
+                this browser session only.
+              </p>
+            </div>
+
+            {(saving || completed.length > 0 || error?.stage) && (
+              <ul className="mb-4 space-y-1 text-xs">
+                {SAVE_STAGES.map((stage) => {
+                  const state = stageState(stage);
+                  return (
+                    <li
+                      key={stage}
+                      className={`flex items-center gap-2 ${state === "done"
+                        ? "text-green-500"
+                        : state === "failed"
+                          ? "text-red-400"
+                          : "text-[var(--text-secondary)]"
+                        }`}
+                    >
+                      {state === "done" && <Check className="w-3.5 h-3.5" />}
+                      {state === "failed" && <X className="w-3.5 h-3.5" />}
+                      {state === "running" && <Loader2 className="w-3.5 h-3.5 animate-spin" />}
+                      {state === "pending" && <span className="w-3.5 h-3.5" />}
+                      {STAGE_LABELS[stage]}
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+
+            {error && (
+              <div className="mb-4 p-3 rounded-lg border bg-red-500/5 border-red-500/40 text-xs text-red-400 flex items-start gap-2">
+                <AlertTriangle className="w-4 h-4 shrink-0" />
+                <span>
+                  {error.message}
+                  {error.stage &&
+                    " The track is still available locally; you can retry."}
+                </span>
+              </div>
+            )}
+
+            <button
+              onClick={handleSave}
+              disabled={saving}
+              className="w-full flex items-center justify-center gap-2 px-4 py-2.5 rounded-lg bg-[var(--accent-primary)] text-white font-medium hover:brightness-110 disabled:opacity-60"
+            >
+              {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <Github className="w-4 h-4" />}
+              {saving ? "Saving..." : error ? "Retry" : "Create pull request"}
+            </button>
+          </>
+        )}
+      </div>
+    </div>,
+    document.body,
+  );
+}
@@ -0,0 +1,125 @@
+import { Scissors, X } from "lucide-react";
+import { SEGMENT_KINDS } from "../lib/trackSegments";
+import { formatDistance, toDisplayDistance, toDisplayElevation, unitLabels } from "../lib/units";
+
+const grade = (pct) => `${pct > 0 ? "+" : ""}${pct.toFixed(1)}%`;
+
+/**
+ * SegmentsPanel
+ *
+ * Sidebar section listing the track's climbs and descents (lib/trackSegments)
+ * with distance, gain and loss, average and max grade and equivalent flat
+ * distance. Splits are added by clicking the elevation profile while split
+ * mode is on; clicking a row highlights that segment on the profile and map.
+ */
+export default function SegmentsPanel({
+  segments,
+  units,
+  auto,
+  onAutoChange,
+  splitMode,
+  onSplitModeChange,
+  splitCount,
+  onClearSplits,
+  highlighted = null,
+  onHighlight,
+}) {
+  if (!segments?.length) return null;
+
+  const labels = unitLabels(units);
+  const distance = (miles) => toDisplayDistance(miles, units).toFixed(1);
+  const elevation = (feet) => Math.round(toDisplayElevation(feet, units)).toLocaleString();
+  const isHighlighted = (segment) =>
+    highlighted?.startIndex === segment.startIndex && highlighted?.endIndex === segment.endIndex;
+
+  return (
+    <div className="sidebar-section">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-display font-semibold text-[var(--accent-primary)]">Segments</h3>
+        <button
+          type="button"
+          onClick={() => onSplitModeChange(!splitMode)}
+          aria-pressed={splitMode}
+          className={`flex items-center gap-1.5 px-2 py-1 rounded-md text-xs border transition-colors ${splitMode
+            ? "bg-[var(--accent-primary)] text-black border-transparent"
+            : "bg-[var(--bg-tertiary)] text-[var(--text-secondary)] border-[var(--border-color)] hover:text-[var(--text-primary)]"
+            }`}
+          title="Click the elevation profile to add or remove a split"
+        >
+          <Scissors className="w-3.5 h-3.5" />
+          Split
+        </button>
+      </div>
+
+      <div className="flex items-center justify-between mb-2 text-xs text-[var(--text-secondary)]">
+        <label className="flex items-center gap-1.5 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={auto}
+            onChange={(e) => onAutoChange(e.target.checked)}
+            className="accent-[var(--accent-primary)]"
+          />
+          Split at climbs and descents
+        </label>
+        {splitCount > 0 && (
+          <button
+            type="button"
+            onClick={onClearSplits}
+            className="flex items-center gap-1 hover:text-[var(--accent-primary)] transition-colors"
+          >
+            <X className="w-3 h-3" />
+            Clear {splitCount} {splitCount === 1 ? "split" : "splits"}
+          </button>
+        )}
+      </div>
+      {splitMode && (
+        <p className="text-xs text-[var(--text-secondary)] mb-2">
+          Click the profile to add a split, or click a split line to remove it.
+        </p>
+      )}
+
+      <table className="w-full text-xs tabular-nums">
+        <thead>
+          <tr className="text-[var(--text-secondary)] border-b border-[var(--border-color)]">
+            <th className="text-left font-normal py-1">#</th>
+            <th className="text-right font-normal py-1">{labels.distance}</th>
+            <th className="text-right font-normal py-1">+/− {labels.elevation}</th>
+            <th className="text-right font-normal py-1">Avg</th>
+            <th className="text-right font-normal py-1">Max</th>
+            <th className="text-right font-normal py-1" title={`Equivalent flat distance (${labels.distance})`}>
+              EFD
+            </th>
+          </tr>
+        </thead>
+        <tbody>
+          {segments.map((segment, i) => (
+            <tr
+              key={`${segment.startIndex}-${segment.endIndex}`}
+              onClick={() => onHighlight(isHighlighted(segment) ? null : segment)}
+              className={`border-b border-[var(--border-color)] last:border-0 cursor-pointer transition-colors ${isHighlighted(segment) ? "bg-[var(--bg-tertiary)]" : "hover:bg-[var(--bg-tertiary)]"
+                }`}
+              title={`${SEGMENT_KINDS[segment.kind].label}, ${formatDistance(segment.from, units, 1)}–${formatDistance(segment.to, units, 1)}`}
+            >
+              <td className="py-1.5 text-[var(--text-primary)]">
+                <span className="inline-flex items-center gap-1.5">
+                  <span
+                    className="inline-block w-2.5 h-2.5 rounded-sm shrink-0"
+                    style={{ backgroundColor: SEGMENT_KINDS[segment.kind].color }}
+                  />
+                  {i + 1}
+                </span>
+              </td>
+              <td className="py-1.5 text-right text-[var(--text-primary)]">{distance(segment.distance)}</td>
+              <td className="py-1.5 text-right text-[var(--text-secondary)]">
+                +{elevation(segment.gain)} / −{elevation(segment.loss)}
+              </td>
+              <td className="py-1.5 text-right text-[var(--text-primary)]">{grade(segment.avgGrade)}</td>
+              <td className="py-1.5 text-right text-[var(--text-secondary)]">{grade(segment.maxGrade)}</td>
+              <td className="py-1.5 text-right text-[var(--text-secondary)]">{distance(segment.equivalentDistance)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
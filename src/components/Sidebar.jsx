@@ -9,6 +9,8 @@ import {
   Tooltip,
   ResponsiveContainer,
   ReferenceDot,
+  ReferenceArea,
+  ReferenceLine,
   Customized,
 } from "recharts";
 import {
@@ -22,6 +24,8 @@ import {
   Activity,
   Share2,
   Download,
+  Github,
+  ExternalLink,
   Zap,
   ZoomIn,
   ZoomOut,
@@ -30,6 +34,7 @@ import {
   ChevronRight,
   Expand,
   Minimize2,
+  Timer,
 } from "lucide-react";
 import {
   getElevationProfile,
@@ -38,10 +43,39 @@ import {
   calculateEquivalentFlatDistance,
   calculateClimbFactor,
   calculateGradePerPoint,
+  calculateGradeMetrics,
   gradeColorForPct,
 } from "../utils";
+import { computeElevationStats, DEFAULT_GAIN_ALGORITHM, GAIN_ALGORITHMS } from "../lib/elevationStats";
+import { hasElevationData } from "../lib/elevationService";
+import { DIFFICULTY_FORMULAS, difficultyLevel } from "../lib/difficulty";
+import { SEGMENT_KINDS, segmentTrack, toggleSplit } from "../lib/trackSegments";
+import {
+  distanceTicks,
+  formatDistance,
+  formatElevation,
+  markerInterval,
+  toDisplayDistance,
+  toDisplayElevation,
+  toDisplayPace,
+  unitLabels,
+} from "../lib/units";
+import useElevationCorrection from "../hooks/useElevationCorrection";
+
+import {
+  computeActivityStats,
+  getTrackTimes,
+  formatDuration,
+  formatPace,
+} from "../lib/activityStats";
 
 import OfflineMapDownloader from './OfflineMapDownloader';
+import ExportMenu from './ExportMenu';
+import TrailPlanPanel from './TrailPlanPanel';
+import RouteForecastPanel from './RouteForecastPanel';
+import SegmentsPanel from './SegmentsPanel';
+import WaypointsPanel from './WaypointsPanel';
+import SaveToGitHubDialog from './SaveToGitHubDialog';
 
 function gpxUrlForTrack(track) {
   const file = track?.file;
@@ -58,11 +92,61 @@ function gpxUrlForTrack(track) {
   return "#";
 }
 
+// Profile points for the charts: distance in miles, elevation in display units
+function chartProfile(coords, units) {
+  return getElevationProfile(coords).map((p) => ({ ...p, elevation: toDisplayElevation(p.elevation, units) }));
+}
+
+// Local imports are not deployed yet, so serve the original file from memory
+function downloadLocalGpx(track) {
+  const { name, text } = track.localFile;
+  const blobUrl = URL.createObjectURL(new Blob([text], { type: "application/gpx+xml" }));
+  const link = document.createElement("a");
+  link.href = blobUrl;
+  link.download = name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(blobUrl);
+}
+
 export default function Sidebar({
   track,
   onClose,
+  units,
+  // Gain algorithm (lib/elevationStats), kept by App for navigation too
+  gainAlgorithm = DEFAULT_GAIN_ALGORITHM,
+  onGainAlgorithmChange,
   onCursorPosition,
   mapHoverIndex,
+  onTrackSaved,
+  // Optional controlled view state (deep links); falls back to local state
+  showGradeOverlay: controlledGradeOverlay,
+  onGradeOverlayChange,
+  zoomDomain: controlledZoomDomain,
+  onZoomDomainChange,
+  pinnedIndex = null,
+  onPinPoint,
+  peaks = [],
+  // Predicted times from App (lib/paceModel), shared with the map markers
+  trailPlan = null,
+  paceSettings,
+  onPaceSettingsChange,
+  onCalibratePace,
+  // Forecast at predicted arrival times (hooks/useRouteForecast)
+  routeForecast = null,
+  forecastOptions,
+  onForecastOptionsChange,
+  // Segment highlighted on the map and globe (lib/trackSegments)
+  highlightedSegment = null,
+  onHighlightSegment,
+  // Aid stations (hooks/useTrackWaypoints) and the same placed on the track
+  // for export (lib/waypoints stationWaypoints)
+  stations = [],
+  stationPoints = [],
+  stationsEdited = false,
+  onStationsChange,
+  onResetStations,
 }) {
   const [weather, setWeather] = useState(null);
   const [aqi, setAqi] = useState(null);
@@ -71,17 +155,50 @@ export default function Sidebar({
   const [hoveredPoint, setHoveredPoint] = useState(null);
   const [snapState, setSnapState] = useState("minimized"); // 'minimized', 'mid', 'full'
   const [copySuccess, setCopySuccess] = useState(false);
-  const [showGradeOverlay, setShowGradeOverlay] = useState(false);
+  const [localGradeOverlay, setLocalGradeOverlay] = useState(false);
   const [gradeMenuOpen, setGradeMenuOpen] = useState(false);
   const [sortGradeMetrics, setSortGradeMetrics] = useState(false);
+  const [showSaveDialog, setShowSaveDialog] = useState(false);
 
   // Zoom state
-  const [zoomDomain, setZoomDomain] = useState(null);
+  const [localZoomDomain, setLocalZoomDomain] = useState(null);
   const [isGraphExpanded, setIsGraphExpanded] = useState(false);
+  // Profile from the track's own elevation or from the DEM (lib/elevationService)
+  const [elevationSource, setElevationSource] = useState("recorded");
+
+  // Segments: automatic climb/descent splits, plus manual split points (miles
+  // along the track) per track, added by clicking the profile in split mode
+  const [splitMode, setSplitMode] = useState(false);
+  const [autoSegments, setAutoSegments] = useState(() => localStorage.getItem("autoSegments") !== "false");
+  const [segmentSplits, setSegmentSplits] = useState(() => {
+    try {
+      return JSON.parse(localStorage.getItem("segmentSplits")) || {};
+    } catch {
+      return {};
+    }
+  });
+
+  useEffect(() => {
+    localStorage.setItem("autoSegments", autoSegments);
+  }, [autoSegments]);
+
+  useEffect(() => {
+    localStorage.setItem("segmentSplits", JSON.stringify(segmentSplits));
+  }, [segmentSplits]);
+
+  const showGradeOverlay = controlledGradeOverlay ?? localGradeOverlay;
+  const setShowGradeOverlay = onGradeOverlayChange ?? setLocalGradeOverlay;
+  const zoomDomain =
+    controlledZoomDomain !== undefined ? controlledZoomDomain : localZoomDomain;
+  const setZoomDomain = onZoomDomainChange ?? setLocalZoomDomain;
 
   const gradeMenuRef = useRef(null);
   const profileRef = useRef(null);
 
+  // Imported or drawn in this browser; not in the deployed manifest
+  const isLocalTrack = ["local", "drawn"].includes(track?.properties?.source);
+  const pullRequest = track?.properties?.pullRequest;
+
   const { equivalentDistance, climbFactor } = useMemo(() => {
     if (!track) return { equivalentDistance: 0, climbFactor: 0 };
     const coords =
@@ -94,6 +211,16 @@ export default function Sidebar({
     };
   }, [track]);
 
+  // Moving time, stops and splits; null unless the track has timestamps
+  const activity = useMemo(() => {
+    if (!track) return null;
+    const coords =
+      track.geometry.type === "LineString"
+        ? track.geometry.coordinates
+        : track.geometry.coordinates[0];
+    return computeActivityStats(coords, getTrackTimes(track), { splitMiles: markerInterval(units) });
+  }, [track, units]);
+
   const handleChartMouseMove = (data) => {
     if (data && data.activeTooltipIndex !== undefined) {
       setHoveredPoint(data.activeTooltipIndex);
@@ -106,13 +233,39 @@ export default function Sidebar({
     if (onCursorPosition) onCursorPosition(null);
   };
 
+  // Click on the profile pins that point (click it again to unpin), or in
+  // split mode adds a split there (or removes the one next to it)
+  const handleChartClick = (data) => {
+    if (data?.activeTooltipIndex === undefined) return;
+    const index = data.activeTooltipIndex;
+    if (splitMode) {
+      const distance = elevationProfile[index]?.distance;
+      if (distance == null) return;
+      const [min, max] = zoomDomain || [fullMin, fullMax];
+      setSegmentSplits((prev) => ({
+        ...prev,
+        [segmentKey]: toggleSplit(prev[segmentKey] || [], distance, (max - min) / 100),
+      }));
+      return;
+    }
+    if (!onPinPoint) return;
+    onPinPoint(index === pinnedIndex ? null : index);
+  };
+
+  // The address bar already carries the full view state (see lib/urlState)
   const handleCopyLink = () => {
-    const url = new URL(window.location.href);
-    url.searchParams.set("track", track.properties.id);
-    navigator.clipboard.writeText(url.toString()).then(() => {
-      setCopySuccess(true);
-      setTimeout(() => setCopySuccess(false), 2000);
-    });
+    const url = window.location.href;
+    const copy = navigator.clipboard?.writeText(url);
+    if (!copy) {
+      window.prompt("Copy this link:", url);
+      return;
+    }
+    copy
+      .then(() => {
+        setCopySuccess(true);
+        setTimeout(() => setCopySuccess(false), 2000);
+      })
+      .catch(() => window.prompt("Copy this link:", url));
   };
 
   const cycleSnapState = () => {
@@ -135,7 +288,7 @@ export default function Sidebar({
           Math.floor(track.geometry.coordinates[0].length / 2)
           ];
 
-      fetchWeather(center[1], center[0])
+      fetchWeather(center[1], center[0], units)
         .then((data) => { setWeather(data); setLoadingWeather(false); })
         .catch(() => setLoadingWeather(false));
 
@@ -143,7 +296,7 @@ export default function Sidebar({
         .then((data) => { setAqi(data); setLoadingAQI(false); })
         .catch(() => setLoadingAQI(false));
     }
-  }, [track]);
+  }, [track, units]);
 
   if (!track) return null;
 
@@ -173,11 +326,46 @@ export default function Sidebar({
       ? track.geometry.coordinates
       : track.geometry.coordinates[0];
 
-  const elevationProfile = getElevationProfile(coords);
-  const hasElevation =
-    elevationProfile.length > 0 && elevationProfile[0].elevation !== 0;
+  // Tracks without elevation of their own only have the DEM
+  const hasRecordedElevation = hasElevationData(coords);
+  const wantCorrected = elevationSource === "corrected" || !hasRecordedElevation;
+  const correction = useElevationCorrection(coords, { enabled: wantCorrected });
+  const showCorrected = wantCorrected && correction.status === "ready";
+  const profileCoords = showCorrected ? correction.coordinates : coords;
+
+  // Distance stays in miles (zoom domain, deep links); elevation in display units
+  const elevationProfile = chartProfile(profileCoords, units);
+  const hasElevation = elevationProfile.length > 0 && hasElevationData(profileCoords);
+  // Gain and loss with the chosen algorithm (lib/elevationStats); the default
+  // gives the manifest's numbers
+  const elevationStats = useMemo(
+    () => computeElevationStats(profileCoords, { algorithm: gainAlgorithm }),
+    [profileCoords, gainAlgorithm],
+  );
+
+  const gradePerPoint = useMemo(() => calculateGradePerPoint(profileCoords), [profileCoords]);
 
-  const gradePerPoint = useMemo(() => calculateGradePerPoint(coords), [coords]);
+  const stationElevationOptions = useMemo(() => ({ algorithm: gainAlgorithm }), [gainAlgorithm]);
+
+  const segmentKey = track.properties.id || track.properties.name;
+  const splits = segmentSplits[segmentKey] || [];
+  const segments = useMemo(
+    () =>
+      hasElevation
+        ? segmentTrack(profileCoords, { auto: autoSegments, splits, elevationOptions: { algorithm: gainAlgorithm } })
+        : [],
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [hasElevation, profileCoords, autoSegments, splits.join(), gainAlgorithm],
+  );
+
+  // A highlight from before the splits changed no longer matches a segment
+  useEffect(() => {
+    if (!highlightedSegment || !onHighlightSegment) return;
+    const stillThere = segments.some(
+      (s) => s.startIndex === highlightedSegment.startIndex && s.endIndex === highlightedSegment.endIndex,
+    );
+    if (!stillThere) onHighlightSegment(null);
+  }, [segments, highlightedSegment, onHighlightSegment]);
 
   const isZoomed = zoomDomain !== null;
 
@@ -270,50 +458,10 @@ export default function Sidebar({
 
   const handleToggleExpand = () => setIsGraphExpanded((v) => !v);
 
-  const GRADE_BINS = useMemo(() => [
-    { key: "g25", label: "≥ 25%", min: 25, max: Infinity, color: "#ff0000" },
-    { key: "g20", label: "20–24.9%", min: 20, max: 25, color: "#ff6600" },
-    { key: "g15", label: "15–19.9%", min: 15, max: 20, color: "#ff9900" },
-    { key: "g10", label: "10–14.9%", min: 10, max: 15, color: "#ffcc00" },
-    { key: "g5", label: "5–9.9%", min: 5, max: 10, color: "#ccff00" },
-    { key: "g0", label: "0–4.9%", min: 0, max: 5, color: "#00ff00" },
-    { key: "gm5", label: "-5–-0.1%", min: -5, max: 0, color: "#00ccff" },
-    { key: "gm10", label: "-10–-5.1%", min: -10, max: -5, color: "#3399ff" },
-    { key: "gmInf", label: "< -10%", min: -Infinity, max: -10, color: "#6666ff" },
-  ], []);
-
-  const haversineMeters = (a, b) => {
-    const toRad = (d) => (d * Math.PI) / 180;
-    const R = 6371e3;
-    const lat1 = toRad(a[1]), lat2 = toRad(b[1]);
-    const dLat = toRad(b[1] - a[1]), dLon = toRad(b[0] - a[0]);
-    const s = Math.sin(dLat / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) ** 2;
-    return R * 2 * Math.atan2(Math.sqrt(s), Math.sqrt(1 - s));
-  };
-
-  const gradeMetrics = useMemo(() => {
-    if (!coords || coords.length < 2) return null;
-    if (!gradePerPoint || gradePerPoint.length !== coords.length) return null;
-    const sumsMeters = Object.fromEntries(GRADE_BINS.map((b) => [b.key, 0]));
-    let totalMeters = 0;
-    const binForGrade = (g) => GRADE_BINS.find((b) => g >= b.min && g < b.max) ?? GRADE_BINS[GRADE_BINS.length - 1];
-    for (let i = 1; i < coords.length; i++) {
-      const seg = haversineMeters(coords[i - 1], coords[i]);
-      if (!Number.isFinite(seg) || seg <= 0) continue;
-      const b = binForGrade(Number(gradePerPoint[i] ?? 0));
-      sumsMeters[b.key] += seg;
-      totalMeters += seg;
-    }
-    if (totalMeters <= 0) return null;
-    const toMi = (m) => m / 1609.34;
-    return {
-      totalMiles: toMi(totalMeters),
-      rows: GRADE_BINS.map((b) => {
-        const m = sumsMeters[b.key] || 0;
-        return { ...b, meters: m, miles: toMi(m), percent: (m / totalMeters) * 100 };
-      }),
-    };
-  }, [coords, gradePerPoint, GRADE_BINS]);
+  const gradeMetrics = useMemo(
+    () => calculateGradeMetrics(profileCoords, gradePerPoint),
+    [profileCoords, gradePerPoint],
+  );
 
   const gradeMetricsRows = useMemo(() => {
     if (!gradeMetrics?.rows) return [];
@@ -392,10 +540,20 @@ export default function Sidebar({
 
   return (
     <>
+      {showSaveDialog && track.localFile && (
+        <SaveToGitHubDialog
+          track={track}
+          onClose={() => setShowSaveDialog(false)}
+          onSaved={(info) => onTrackSaved?.(track, info)}
+        />
+      )}
+
       {/* Expanded graph overlay — portal renders it on <body>, not inside the w-96 sidebar */}
       {isGraphExpanded && isDesktop && (
         <ExpandedGraphOverlay
           track={track}
+          coords={profileCoords}
+          units={units}
           onClose={() => setIsGraphExpanded(false)}
           zoomDomain={zoomDomain}
           onZoomIn={handleZoomIn}
@@ -407,7 +565,7 @@ export default function Sidebar({
           onCursorPosition={onCursorPosition}
           mapHoverIndex={mapHoverIndex}
           showGradeOverlay={showGradeOverlay}
-          onToggleGradeOverlay={() => setShowGradeOverlay((v) => !v)}
+          onToggleGradeOverlay={() => setShowGradeOverlay(!showGradeOverlay)}
           gradeColors={gradeColors}
           gradeAtDistance={gradeAtDistance}
         />
@@ -436,19 +594,40 @@ export default function Sidebar({
               </h2>
               <div className="flex gap-2 shrink-0 ml-2">
                 <a
-                  href={gpxUrlForTrack(track)}
+                  href={track.localFile ? undefined : gpxUrlForTrack(track)}
                   download
                   title="Download GPX"
                   aria-label="Download GPX"
-                  onClick={(e) => e.stopPropagation()}
-                  className="text-[var(--text-secondary)] hover:text-[var(--accent-primary)] transition-colors p-1"
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    if (track.localFile) {
+                      e.preventDefault();
+                      downloadLocalGpx(track);
+                    }
+                  }}
+                  className="text-[var(--text-secondary)] hover:text-[var(--accent-primary)] transition-colors p-1 cursor-pointer"
                 >
                   <Download className="w-5 h-5" />
                 </a>
+                <ExportMenu
+                  track={track}
+                  peaks={peaks}
+                  units={units}
+                  stations={stationPoints}
+                  className="text-[var(--text-secondary)] hover:text-[var(--accent-primary)] transition-colors p-1"
+                  iconClassName="w-5 h-5"
+                />
                 <button
                   onClick={handleCopyLink}
-                  className="text-[var(--text-secondary)] hover:text-[var(--accent-primary)] transition-colors p-1"
-                  title="Copy link"
+                  disabled={isLocalTrack}
+                  className="text-[var(--text-secondary)] hover:text-[var(--accent-primary)] transition-colors p-1 disabled:opacity-30 disabled:cursor-not-allowed"
+                  title={
+                    pullRequest
+                      ? "Available after PR merge and deployment"
+                      : isLocalTrack
+                        ? "Share link available after saving and deployment"
+                        : "Copy link"
+                  }
                 >
                   {copySuccess ? (
                     <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
@@ -469,6 +648,32 @@ export default function Sidebar({
                 </button>
               </div>
             </div>
+            {isLocalTrack && snapState !== "minimized" && (
+              <div className="mb-3 flex items-center justify-between gap-2 p-2 rounded-lg bg-[var(--bg-tertiary)] text-xs">
+                {pullRequest ? (
+                  <a
+                    href={pullRequest.url}
+                    target="_blank"
+                    rel="noreferrer"
+                    className="flex items-center gap-1.5 text-green-500 hover:underline"
+                  >
+                    <ExternalLink className="w-3.5 h-3.5" />
+                    PR #{pullRequest.number} created
+                  </a>
+                ) : (
+                  <span className="text-[var(--text-secondary)]">Local preview only</span>
+                )}
+                {track.localFile && (
+                  <button
+                    onClick={() => setShowSaveDialog(true)}
+                    className="flex items-center gap-1.5 px-2 py-1 rounded-md text-[var(--accent-primary)] hover:bg-[var(--accent-primary)]/10"
+                  >
+                    <Github className="w-3.5 h-3.5" />
+                    {pullRequest ? "Details" : "Save to GitHub PR"}
+                  </button>
+                )}
+              </div>
+            )}
             {snapState !== "minimized" && track.properties.description && (
               <p className="text-[var(--text-secondary)] text-sm leading-relaxed">
                 {track.properties.description}
@@ -497,17 +702,95 @@ export default function Sidebar({
                       <Mountain className="w-4 h-4 text-[var(--accent-primary)]" />
                       <div className="stat-label">Distance</div>
                     </div>
-                    <div className="stat-value">{track.properties.distance?.toFixed(2) || "0"} mi</div>
+                    <div className="stat-value">{formatDistance(track.properties.distance || 0, units)}</div>
                   </div>
                   <div className="sidebar-section">
                     <div className="flex items-center gap-2 mb-2">
                       <TrendingUp className="w-4 h-4 text-[var(--accent-primary)]" />
                       <div className="stat-label">Elevation Gain</div>
                     </div>
-                    <div className="stat-value">{track.properties.elevationGain?.toFixed(0) || "0"} ft</div>
+                    <div
+                      className="stat-value"
+                      title={`${GAIN_ALGORITHMS[gainAlgorithm].label}${showCorrected ? ", DEM elevation" : ""}`}
+                    >
+                      {formatElevation(elevationStats.gain, units)}
+                    </div>
+                    <div className="text-xs text-[var(--text-secondary)] mt-1 tabular-nums">
+                      {formatElevation(elevationStats.loss, units)} loss
+                    </div>
                   </div>
                 </div>
 
+                {/* Recorded activity: times, paces and per-mile (or per-km) splits */}
+                {activity && (
+                  <div className="sidebar-section">
+                    <div className="flex items-center gap-2 mb-3">
+                      <Timer className="w-4 h-4 text-[var(--accent-primary)]" />
+                      <div className="stat-label">Activity</div>
+                      <span className="ml-auto text-xs text-[var(--text-secondary)]">
+                        {new Date(activity.startTime).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric" })}
+                      </span>
+                    </div>
+                    <div className="grid grid-cols-3 gap-3 mb-4">
+                      {[
+                        ["Moving", formatDuration(activity.movingTime)],
+                        ["Elapsed", formatDuration(activity.elapsedTime)],
+                        ["Stopped", formatDuration(activity.stoppedTime)],
+                        ["Avg Pace", formatPace(activity.averagePace, units)],
+                        ["GAP", formatPace(activity.gradeAdjustedPace, units)],
+                        [`Best ${unitLabels(units).marker}`, formatPace(activity.bestPace, units)],
+                      ].map(([label, value]) => (
+                        <div key={label}>
+                          <div className="text-xs text-[var(--text-secondary)]">{label}</div>
+                          <div className="text-sm font-display font-bold text-[var(--text-primary)] tabular-nums">{value}</div>
+                        </div>
+                      ))}
+                    </div>
+                    {activity.stops.length > 0 && (
+                      <p className="text-xs text-[var(--text-secondary)] mb-3">
+                        {activity.stops.length} {activity.stops.length === 1 ? "stop" : "stops"} over a minute
+                      </p>
+                    )}
+                    {activity.splits.length > 0 && (
+                      <table className="w-full text-sm tabular-nums">
+                        <thead>
+                          <tr className="text-xs text-[var(--text-secondary)] border-b border-[var(--border-color)]">
+                            <th className="text-left font-normal py-1">{unitLabels(units).marker}</th>
+                            <th className="text-right font-normal py-1">Pace /{unitLabels(units).distance}</th>
+                            <th className="text-right font-normal py-1" title="Grade-adjusted pace">GAP</th>
+                            <th className="text-right font-normal py-1">Elev</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {activity.splits.map((split) => (
+                            <tr key={split.mile} className="border-b border-[var(--border-color)] last:border-0">
+                              <td className="py-1 text-[var(--text-primary)]">
+                                {split.distance >= 0.999 * markerInterval(units)
+                                  ? split.mile
+                                  : (split.mile - 1 + toDisplayDistance(split.distance, units)).toFixed(2)}
+                              </td>
+                              <td className="py-1 text-right text-[var(--text-primary)]">{formatDuration(toDisplayPace(split.pace, units))}</td>
+                              <td className="py-1 text-right text-[var(--text-secondary)]">{formatDuration(toDisplayPace(split.gradeAdjustedPace, units))}</td>
+                              <td className="py-1 text-right text-[var(--text-secondary)]">
+                                {split.elevationChange == null ? "—" : `${split.elevationChange > 0 ? "+" : ""}${formatElevation(split.elevationChange, units)}`}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+                  </div>
+                )}
+
+                {/* Elevation from the DEM, for a track without its own */}
+                {!hasElevation && wantCorrected && correction.status !== "idle" && (
+                  <div className="sidebar-section text-sm text-[var(--text-secondary)]">
+                    {correction.status === "loading"
+                      ? "Looking up elevation from the DEM…"
+                      : `No elevation data: ${correction.error || "the DEM has no heights here"}`}
+                  </div>
+                )}
+
                 {/* Elevation Profile */}
                 {hasElevation && (
                   <div ref={profileRef} className="sidebar-section">
@@ -574,21 +857,69 @@ export default function Sidebar({
                                 <span className="text-sm text-[var(--text-primary)]">Sort grade metrics</span>
                                 <input type="checkbox" checked={sortGradeMetrics} onChange={(e) => setSortGradeMetrics(e.target.checked)} className="ml-2" />
                               </label>
+                              <label className="block mt-3 text-sm text-[var(--text-primary)]">
+                                Gain algorithm
+                                <select
+                                  value={gainAlgorithm}
+                                  onChange={(e) => onGainAlgorithmChange?.(e.target.value)}
+                                  className="w-full mt-1 px-2 py-1.5 bg-[var(--bg-tertiary)] border border-[var(--border-color)] rounded-md text-sm text-[var(--text-primary)] focus:outline-none focus:border-[var(--accent-primary)]"
+                                >
+                                  {Object.entries(GAIN_ALGORITHMS).map(([id, { label }]) => (
+                                    <option key={id} value={id}>
+                                      {label}
+                                    </option>
+                                  ))}
+                                </select>
+                              </label>
                             </div>
                           )}
                         </div>
                       </div>
                     </div>
 
+                    {/* Recorded vs. corrected (DEM) elevation */}
+                    <div className="flex items-center gap-2 -mt-2 mb-3 text-xs">
+                      <div className="flex rounded-md border border-[var(--border-color)] overflow-hidden">
+                        {[
+                          ["recorded", "Recorded"],
+                          ["corrected", "Corrected (DEM)"],
+                        ].map(([value, label]) => (
+                          <button
+                            key={value}
+                            type="button"
+                            onClick={() => setElevationSource(value)}
+                            disabled={value === "recorded" && !hasRecordedElevation}
+                            className={`px-2 py-1 transition-colors disabled:opacity-30 disabled:cursor-not-allowed ${
+                              (value === "corrected") === wantCorrected
+                                ? "bg-[var(--accent-primary)] text-white"
+                                : "bg-[var(--bg-tertiary)] text-[var(--text-secondary)] hover:text-[var(--accent-primary)]"
+                            }`}
+                          >
+                            {label}
+                          </button>
+                        ))}
+                      </div>
+                      {wantCorrected && correction.status === "loading" && (
+                        <span className="text-[var(--text-secondary)]">Loading DEM…</span>
+                      )}
+                      {wantCorrected && correction.status === "error" && (
+                        <span className="text-red-400" title={correction.error}>DEM unavailable</span>
+                      )}
+                      {showCorrected && correction.missing > 0 && (
+                        <span className="text-[var(--text-secondary)]">{correction.missing} points outside the DEM</span>
+                      )}
+                    </div>
+
                     <ResponsiveContainer width="100%" height={200}>
-                      <LineChart data={elevationProfile} onMouseMove={handleChartMouseMove} onMouseLeave={handleChartMouseLeave}>
+                      <LineChart data={elevationProfile} onMouseMove={handleChartMouseMove} onMouseLeave={handleChartMouseLeave} onClick={handleChartClick} style={{ cursor: splitMode ? "crosshair" : undefined }}>
                         <CartesianGrid strokeDasharray="3 3" stroke="var(--border-color)" opacity={0.3} />
                         <XAxis
                           dataKey="distance"
                           stroke="var(--text-secondary)"
                           tick={{ fill: "var(--text-secondary)", fontSize: 12 }}
-                          label={{ value: "Distance (mi)", position: "insideBottom", offset: -5, fill: "var(--text-secondary)" }}
-                          tickFormatter={(v) => v.toFixed(1)}
+                          label={{ value: `Distance (${unitLabels(units).distance})`, position: "insideBottom", offset: -5, fill: "var(--text-secondary)" }}
+                          ticks={distanceTicks(zoomDomain || [fullMin, fullMax], units)}
+                          tickFormatter={(v) => toDisplayDistance(v, units).toFixed(1)}
                           domain={zoomDomain || [fullMin, fullMax]}
                           type="number"
                           allowDataOverflow
@@ -596,21 +927,33 @@ export default function Sidebar({
                         <YAxis
                           stroke="var(--text-secondary)"
                           tick={{ fill: "var(--text-secondary)", fontSize: 12 }}
-                          label={{ value: "Elevation (ft)", angle: -90, position: "insideLeft", fill: "var(--text-secondary)" }}
+                          label={{ value: `Elevation (${unitLabels(units).elevation})`, angle: -90, position: "insideLeft", fill: "var(--text-secondary)" }}
                           tickFormatter={(v) => Math.round(v)}
                         />
                         <Tooltip
                           contentStyle={{ backgroundColor: "var(--bg-secondary)", border: "1px solid var(--border-color)", borderRadius: "8px", color: "var(--text-primary)" }}
-                          labelFormatter={(v) => `${v.toFixed(2)} mi`}
+                          labelFormatter={(v) => formatDistance(v, units)}
                           formatter={(value, name, payload) => {
-                            const elevationFt = Math.round(value);
-                            if (!showGradeOverlay) return [`${elevationFt} ft`, "Elevation"];
+                            const elevation = `${Math.round(value)} ${unitLabels(units).elevation}`;
+                            if (!showGradeOverlay) return [elevation, "Elevation"];
                             const distMi = payload?.payload?.distance;
                             const g = typeof distMi === "number" ? gradeAtDistance(distMi) : null;
                             const gradeStr = typeof g === "number" ? `${g.toFixed(1)}%` : "—";
-                            return [`${elevationFt} ft\n${gradeStr}`, "Elevation / Grade"];
+                            return [`${elevation}\n${gradeStr}`, "Elevation / Grade"];
                           }}
                         />
+                        {highlightedSegment && (
+                          <ReferenceArea
+                            x1={highlightedSegment.from}
+                            x2={highlightedSegment.to}
+                            fill={SEGMENT_KINDS[highlightedSegment.kind].color}
+                            fillOpacity={0.18}
+                            ifOverflow="hidden"
+                          />
+                        )}
+                        {splits.map((distance) => (
+                          <ReferenceLine key={distance} x={distance} stroke="var(--text-secondary)" strokeDasharray="4 3" ifOverflow="hidden" />
+                        ))}
                         <Line type="monotone" dataKey="elevation" stroke="var(--accent-primary)" strokeWidth={3} dot={false} activeDot={{ r: 6, fill: "var(--accent-primary)" }} />
                         {showGradeOverlay && <Customized component={renderGradeOverlay} />}
                         {mapHoverIndex !== null && elevationProfile[mapHoverIndex] && (
@@ -634,18 +977,36 @@ export default function Sidebar({
                           </div>
                           <div className="flex items-center gap-4 shrink-0">
                             <span className="text-sm text-[var(--text-secondary)] tabular-nums">{r.percent.toFixed(1)}%</span>
-                            <span className="text-sm text-[var(--text-secondary)] tabular-nums w-[72px] text-right">{r.miles.toFixed(2)} mi</span>
+                            <span className="text-sm text-[var(--text-secondary)] tabular-nums w-[72px] text-right">{formatDistance(r.miles, units)}</span>
                           </div>
                         </div>
                       ))}
                     </div>
                     <div className="mt-3 pt-3 border-t border-[var(--border-color)] flex justify-between text-sm">
                       <span className="text-[var(--text-secondary)]">Total</span>
-                      <span className="text-[var(--text-primary)] font-medium tabular-nums">{gradeMetrics.totalMiles.toFixed(2)} mi</span>
+                      <span className="text-[var(--text-primary)] font-medium tabular-nums">{formatDistance(gradeMetrics.totalMiles, units)}</span>
                     </div>
                   </div>
                 )}
 
+                {/* Climbs and descents */}
+                {hasElevation && (
+                  <SegmentsPanel
+                    segments={segments}
+                    units={units}
+                    auto={autoSegments}
+                    onAutoChange={setAutoSegments}
+                    splitMode={splitMode}
+                    onSplitModeChange={setSplitMode}
+                    splitCount={splits.length}
+                    onClearSplits={() =>
+                      setSegmentSplits(({ [segmentKey]: _cleared, ...rest }) => rest)
+                    }
+                    highlighted={highlightedSegment}
+                    onHighlight={(segment) => onHighlightSegment?.(segment)}
+                  />
+                )}
+
                 {/* Energy Metrics */}
                 {equivalentDistance > 0 && (
                   <div className="sidebar-section">
@@ -656,12 +1017,24 @@ export default function Sidebar({
                     <div className="space-y-2">
                       <div className="flex justify-between items-baseline">
                         <span className="text-[var(--text-secondary)] text-sm">Equivalent Flat Distance</span>
-                        <span className="text-lg font-display font-bold text-[var(--accent-primary)]">{equivalentDistance.toFixed(2)} mi</span>
+                        <span className="text-lg font-display font-bold text-[var(--accent-primary)]">{formatDistance(equivalentDistance, units)}</span>
                       </div>
                       <div className="flex justify-between items-baseline">
                         <span className="text-[var(--text-secondary)] text-sm">Climb Factor</span>
                         <span className="text-lg font-display font-bold text-[var(--accent-primary)]">{(climbFactor * 100).toFixed(1)}%</span>
                       </div>
+                      {difficultyLevel(track.properties.difficulty?.level) && (
+                        <div className="flex justify-between items-baseline">
+                          <span className="text-[var(--text-secondary)] text-sm">Difficulty</span>
+                          <span
+                            className="text-sm font-semibold"
+                            style={{ color: difficultyLevel(track.properties.difficulty.level).color }}
+                            title={`${DIFFICULTY_FORMULAS[track.properties.difficulty.formula]?.label ?? "Difficulty"} score`}
+                          >
+                            {difficultyLevel(track.properties.difficulty.level).label} · {track.properties.difficulty.score}
+                          </span>
+                        </div>
+                      )}
                     </div>
                     <p className="text-xs text-[var(--text-secondary)] mt-2 italic">
                       Source:{" "}
@@ -672,8 +1045,42 @@ export default function Sidebar({
                   </div>
                 )}
 
+                {/* Predicted times */}
+                {paceSettings && (
+                  <TrailPlanPanel
+                    plan={trailPlan}
+                    units={units}
+                    settings={paceSettings}
+                    onSettingsChange={onPaceSettingsChange}
+                    onCalibrate={onCalibratePace}
+                  />
+                )}
+
+                {/* Aid stations, legs and cutoffs */}
+                <WaypointsPanel
+                  stations={stations}
+                  coords={profileCoords}
+                  units={units}
+                  plan={trailPlan}
+                  pinnedDistance={pinnedIndex != null ? elevationProfile[pinnedIndex]?.distance ?? null : null}
+                  edited={stationsEdited}
+                  elevationOptions={stationElevationOptions}
+                  onChange={onStationsChange}
+                  onReset={onResetStations}
+                />
+
+                {/* Forecast at predicted arrival times */}
+                {forecastOptions && (
+                  <RouteForecastPanel
+                    forecast={routeForecast}
+                    units={units}
+                    options={forecastOptions}
+                    onOptionsChange={onForecastOptionsChange}
+                  />
+                )}
+
                 {/* Offline Maps Download */}
-                <OfflineMapDownloader track={track} />
+                <OfflineMapDownloader track={track} units={units} />
 
                 {/* Weather */}
                 <div className={`${snapState !== "full" ? "hidden lg:block" : ""}`}>
@@ -690,12 +1097,12 @@ export default function Sidebar({
                             <div className="text-[var(--text-secondary)] text-sm mb-2">Current Conditions</div>
                             <div className="flex items-center justify-between">
                               <div>
-                                <div className="text-4xl font-display font-bold text-[var(--accent-primary)]">{weather.current.temp}°F</div>
+                                <div className="text-4xl font-display font-bold text-[var(--accent-primary)]">{weather.current.temp}{unitLabels(units).temperature}</div>
                                 <div className="text-[var(--text-secondary)] mt-1">{weather.current.condition}</div>
                               </div>
                               <div className="flex items-center gap-2 text-[var(--text-secondary)] text-sm">
                                 <Wind className="w-4 h-4" />
-                                {weather.current.windSpeed} mph
+                                {weather.current.windSpeed} {unitLabels(units).speed}
                               </div>
                             </div>
                           </div>
@@ -714,7 +1121,7 @@ export default function Sidebar({
                                   {day.precip > 0 && (
                                     <div className="flex items-center gap-1 text-[var(--text-secondary)] text-xs">
                                       <Droplets className="w-3 h-3" />
-                                      {day.precip.toFixed(1)}"
+                                      {day.precip.toFixed(1)} {unitLabels(units).precipitation}
                                     </div>
                                   )}
                                 </div>
@@ -791,6 +1198,8 @@ export default function Sidebar({
 // ─────────────────────────────────────────────────────────────
 function ExpandedGraphOverlay({
   track,
+  coords,
+  units,
   onClose,
   zoomDomain,
   onZoomIn,
@@ -819,12 +1228,8 @@ function ExpandedGraphOverlay({
     return () => document.removeEventListener("mousedown", onDown);
   }, [menuOpen]);
 
-  const coords =
-    track.geometry.type === "LineString"
-      ? track.geometry.coordinates
-      : track.geometry.coordinates[0];
-
-  const elevationProfile = getElevationProfile(coords);
+  // Recorded or DEM-corrected, as in the sidebar profile
+  const elevationProfile = chartProfile(coords, units);
 
   const fullMin = Number(elevationProfile[0]?.distance) || 0;
   const fullMax = Number(elevationProfile[elevationProfile.length - 1]?.distance) || 0;
@@ -949,8 +1354,9 @@ function ExpandedGraphOverlay({
               dataKey="distance"
               stroke="var(--text-secondary)"
               tick={{ fill: "var(--text-secondary)", fontSize: 13 }}
-              label={{ value: "Distance (mi)", position: "insideBottom", offset: -8, fill: "var(--text-secondary)", fontSize: 13 }}
-              tickFormatter={(v) => v.toFixed(1)}
+              label={{ value: `Distance (${unitLabels(units).distance})`, position: "insideBottom", offset: -8, fill: "var(--text-secondary)", fontSize: 13 }}
+              ticks={distanceTicks(zoomDomain || [fullMin, fullMax], units)}
+              tickFormatter={(v) => toDisplayDistance(v, units).toFixed(1)}
               domain={zoomDomain || [fullMin, fullMax]}
               type="number"
               allowDataOverflow
@@ -960,14 +1366,14 @@ function ExpandedGraphOverlay({
               position={{ y: 3 }}  // 5px from top, x follows cursor horizontally
               offset={30}
               contentStyle={{ backgroundColor: "var(--bg-secondary)", border: "1px solid var(--border-color)", borderRadius: "8px", color: "var(--text-primary)" }}
-              labelFormatter={(v) => `${v.toFixed(2)} mi`}
+              labelFormatter={(v) => formatDistance(v, units)}
               formatter={(value, name, payload) => {
-                const elevationFt = Math.round(value);
-                if (!showGradeOverlay) return [`${elevationFt} ft`, "Elevation"];
+                const elevation = `${Math.round(value)} ${unitLabels(units).elevation}`;
+                if (!showGradeOverlay) return [elevation, "Elevation"];
                 const distMi = payload?.payload?.distance;
                 const g = typeof distMi === "number" ? gradeAtDistance(distMi) : null;
                 const gradeStr = typeof g === "number" ? `${g.toFixed(1)}%` : "—";
-                return [`${elevationFt} ft\n${gradeStr}`, "Elevation / Grade"];
+                return [`${elevation}\n${gradeStr}`, "Elevation / Grade"];
               }}
             />
             <Line type="monotone" dataKey="elevation" stroke="var(--accent-primary)" strokeWidth={7} dot={false} activeDot={{ r: 7, fill: "var(--accent-primary)" }} />
@@ -0,0 +1,184 @@
+import { useMemo } from "react";
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+} from "recharts";
+import { GitCompare, X } from "lucide-react";
+import {
+  buildCompareProfile,
+  compareColor,
+  compareTrackStats,
+  profileKey,
+} from "../lib/trackCompare";
+import { GRADE_BINS } from "../utils";
+import { formatDistance, formatElevation, toDisplayDistance, toDisplayElevation, unitLabels } from "../lib/units";
+
+/**
+ * TrackCompareView
+ *
+ * Takes the sidebar's place while two or more tracks are picked for
+ * comparison: a legend, the elevation profiles overlaid on one distance
+ * axis, and a stats table with one column per track.
+ */
+export default function TrackCompareView({ tracks, units, onRemoveTrack, onClose }) {
+  // Chart rows in display units
+  const profile = useMemo(
+    () =>
+      buildCompareProfile(tracks).map((row) => {
+        const converted = { distance: toDisplayDistance(row.distance, units) };
+        tracks.forEach((_, i) => {
+          const elevation = row[profileKey(i)];
+          converted[profileKey(i)] = elevation == null ? null : toDisplayElevation(elevation, units);
+        });
+        return converted;
+      }),
+    [tracks, units],
+  );
+  const stats = useMemo(() => tracks.map(compareTrackStats), [tracks]);
+
+  const rows = [
+    ["Distance", (s) => formatDistance(s.distance, units)],
+    ["Elevation Gain", (s) => formatElevation(s.elevationGain, units)],
+    ["Equivalent Flat", (s) => formatDistance(s.equivalentDistance, units)],
+    ["Climb Factor", (s) => `${(s.climbFactor * 100).toFixed(1)}%`],
+  ];
+
+  return (
+    <div className="w-full h-[60vh] lg:h-full bg-[var(--bg-secondary)] flex flex-col">
+      {/* Header */}
+      <div className="p-6 border-b border-[var(--border-color)]">
+        <div className="flex justify-between items-start gap-3 mb-4">
+          <h2 className="flex items-center gap-2 text-2xl font-display font-bold text-[var(--accent-primary)]">
+            <GitCompare className="w-6 h-6" />
+            Compare Tracks
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-[var(--text-secondary)] hover:text-[var(--text-primary)] transition-colors p-1"
+            title="Stop comparing"
+            aria-label="Stop comparing"
+          >
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+        <ul className="space-y-1.5">
+          {tracks.map((track, i) => (
+            <li key={track.properties.id} className="flex items-center gap-2 text-sm">
+              <span className="inline-block w-4 h-1.5 rounded-full shrink-0" style={{ backgroundColor: compareColor(i) }} />
+              <span className="flex-1 truncate text-[var(--text-primary)]">{track.properties.name}</span>
+              <button
+                onClick={() => onRemoveTrack(track)}
+                className="p-0.5 text-[var(--text-secondary)] hover:text-red-400 transition-colors"
+                title="Remove from comparison"
+                aria-label={`Remove ${track.properties.name} from comparison`}
+              >
+                <X className="w-3.5 h-3.5" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-6 space-y-4">
+        {/* Overlaid elevation profiles */}
+        {profile.length > 0 && (
+          <div className="sidebar-section">
+            <h3 className="text-lg font-display font-semibold mb-4 text-[var(--accent-primary)]">Elevation Profiles</h3>
+            <ResponsiveContainer width="100%" height={220}>
+              <LineChart data={profile} margin={{ top: 5, right: 5, left: -10, bottom: 15 }}>
+                <CartesianGrid strokeDasharray="3 3" stroke="var(--border-color)" />
+                <XAxis
+                  dataKey="distance"
+                  type="number"
+                  domain={[0, "dataMax"]}
+                  stroke="var(--text-secondary)"
+                  tick={{ fill: "var(--text-secondary)", fontSize: 12 }}
+                  tickFormatter={(v) => v.toFixed(1)}
+                  label={{ value: `Distance (${unitLabels(units).distance})`, position: "insideBottom", offset: -10, fill: "var(--text-secondary)" }}
+                />
+                <YAxis
+                  stroke="var(--text-secondary)"
+                  tick={{ fill: "var(--text-secondary)", fontSize: 12 }}
+                  tickFormatter={(v) => Math.round(v)}
+                  domain={["auto", "auto"]}
+                />
+                <Tooltip
+                  contentStyle={{ backgroundColor: "var(--bg-secondary)", border: "1px solid var(--border-color)", borderRadius: "8px", color: "var(--text-primary)" }}
+                  labelFormatter={(v) => `${Number(v).toFixed(2)} ${unitLabels(units).distance}`}
+                  formatter={(value, key) => {
+                    const index = Number(String(key).slice(1));
+                    return [`${Math.round(value)} ${unitLabels(units).elevation}`, tracks[index]?.properties.name];
+                  }}
+                />
+                {tracks.map((track, i) => (
+                  <Line
+                    key={track.properties.id}
+                    dataKey={profileKey(i)}
+                    stroke={compareColor(i)}
+                    strokeWidth={2}
+                    dot={false}
+                    isAnimationActive={false}
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+
+        {/* Stats table */}
+        <div className="sidebar-section overflow-x-auto">
+          <h3 className="text-lg font-display font-semibold mb-3 text-[var(--accent-primary)]">Stats</h3>
+          <table className="w-full text-sm tabular-nums">
+            <thead>
+              <tr className="border-b border-[var(--border-color)]">
+                <th />
+                {tracks.map((track, i) => (
+                  <th key={track.properties.id} className="py-1 pl-3 text-right">
+                    <span
+                      className="inline-block w-3 h-3 rounded-sm"
+                      style={{ backgroundColor: compareColor(i) }}
+                      title={track.properties.name}
+                    />
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(([label, format]) => (
+                <tr key={label} className="border-b border-[var(--border-color)]">
+                  <td className="py-1.5 text-[var(--text-secondary)]">{label}</td>
+                  {stats.map((s, i) => (
+                    <td key={tracks[i].properties.id} className="py-1.5 pl-3 text-right text-[var(--text-primary)] whitespace-nowrap">
+                      {format(s)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+              <tr>
+                <td colSpan={tracks.length + 1} className="pt-3 pb-1 stat-label">Grade breakdown</td>
+              </tr>
+              {GRADE_BINS.map((bin, b) => (
+                <tr key={bin.key}>
+                  <td className="py-1 text-[var(--text-secondary)] whitespace-nowrap">
+                    <span className="inline-block w-2.5 h-2.5 rounded-sm mr-1.5 align-middle" style={{ backgroundColor: bin.color }} />
+                    {bin.label}
+                  </td>
+                  {stats.map((s, i) => (
+                    <td key={tracks[i].properties.id} className="py-1 pl-3 text-right text-[var(--text-primary)]">
+                      {s.gradeMetrics ? `${s.gradeMetrics.rows[b].percent.toFixed(1)}%` : "—"}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,141 @@
+import { useRef, useState } from "react";
+import { Upload, AlertTriangle, X, Check, Loader2 } from "lucide-react";
+import { readTrackFile, TRACK_FILE_EXTENSIONS } from "../lib/trackImport";
+
+/**
+ * TrackDropZone
+ *
+ * Drag-and-drop / browse target for local GPX, KML, KMZ, TCX and FIT files.
+ * Each file is validated with the same rules as `npm run validate-gpx`,
+ * converted in the browser and handed to `onImport(result)` when it is
+ * usable. Errors and warnings stay visible inline until dismissed.
+ */
+export default function TrackDropZone({ onImport }) {
+  const [isDragging, setIsDragging] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [results, setResults] = useState([]); // [{ filename, ok, errors, warnings }]
+  const inputRef = useRef(null);
+
+  const handleFiles = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+
+    setBusy(true);
+    const next = [];
+
+    for (const file of files) {
+      try {
+        const result = await readTrackFile(file);
+        if (result.ok) onImport?.(result);
+        next.push({
+          filename: file.name,
+          ok: result.ok,
+          errors: result.errors,
+          warnings: result.warnings,
+        });
+      } catch (error) {
+        console.error("Track import failed:", file.name, error);
+        next.push({
+          filename: file.name,
+          ok: false,
+          errors: [error.message || "Could not read file"],
+          warnings: [],
+        });
+      }
+    }
+
+    setResults(next);
+    setBusy(false);
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "copy";
+    setIsDragging(true);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    handleFiles(e.dataTransfer.files);
+  };
+
+  const dismiss = (filename) => {
+    setResults((prev) => prev.filter((r) => r.filename !== filename));
+  };
+
+  return (
+    <div className="mt-3">
+      <div
+        onDragOver={handleDragOver}
+        onDragEnter={handleDragOver}
+        onDragLeave={() => setIsDragging(false)}
+        onDrop={handleDrop}
+        onClick={() => inputRef.current?.click()}
+        role="button"
+        tabIndex={0}
+        onKeyDown={(e) => {
+          if (e.key === "Enter" || e.key === " ") inputRef.current?.click();
+        }}
+        className={`flex items-center justify-center gap-2 px-4 py-3 rounded-lg border-2 border-dashed text-sm cursor-pointer transition-colors
+          ${isDragging
+            ? "border-[var(--accent-primary)] bg-[var(--accent-primary)]/10 text-[var(--accent-primary)]"
+            : "border-[var(--border-color)] text-[var(--text-secondary)] hover:border-[var(--accent-primary)] hover:text-[var(--accent-primary)]"
+          }`}
+      >
+        {busy ? (
+          <Loader2 className="w-4 h-4 animate-spin" />
+        ) : (
+          <Upload className="w-4 h-4" />
+        )}
+        <span>{busy ? "Reading track..." : "Drop a GPX, KML/KMZ, TCX or FIT file, or click to browse"}</span>
+        <input
+          ref={inputRef}
+          type="file"
+          accept={TRACK_FILE_EXTENSIONS.join(",")}
+          multiple
+          className="hidden"
+          onChange={(e) => {
+            handleFiles(e.target.files);
+            e.target.value = "";
+          }}
+        />
+      </div>
+
+      {results.map((r) => (
+        <div
+          key={r.filename}
+          className={`mt-2 p-2 rounded-lg border text-xs ${r.ok
+            ? "bg-green-500/5 border-green-500/30"
+            : "bg-red-500/5 border-red-500/40"
+            }`}
+        >
+          <div className="flex items-start justify-between gap-2">
+            <div className={`flex items-center gap-1.5 font-medium ${r.ok ? "text-green-600" : "text-red-400"}`}>
+              {r.ok ? <Check className="w-3.5 h-3.5" /> : <X className="w-3.5 h-3.5" />}
+              <span className="truncate">
+                {r.ok ? `Imported ${r.filename}` : `Could not import ${r.filename}`}
+              </span>
+            </div>
+            <button
+              onClick={() => dismiss(r.filename)}
+              className="text-[var(--text-secondary)] hover:text-[var(--text-primary)]"
+              title="Dismiss"
+            >
+              <X className="w-3.5 h-3.5" />
+            </button>
+          </div>
+          {r.errors.map((msg) => (
+            <p key={msg} className="mt-1 text-red-400">{msg}</p>
+          ))}
+          {r.warnings.map((msg) => (
+            <p key={msg} className="mt-1 flex items-start gap-1 text-yellow-500">
+              <AlertTriangle className="w-3 h-3 mt-0.5 shrink-0" />
+              <span>{msg}</span>
+            </p>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
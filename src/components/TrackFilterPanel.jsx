@@ -0,0 +1,186 @@
+import { useEffect, useState } from "react";
+import { Tag, X } from "lucide-react";
+import { EMPTY_FILTERS, facetOptions } from "../lib/trackFilters";
+import {
+  fromDisplayDistance,
+  fromDisplayElevation,
+  toDisplayDistance,
+  toDisplayElevation,
+  unitLabels,
+} from "../lib/units";
+
+const inputClass =
+  "w-full px-2 py-1.5 bg-[var(--bg-tertiary)] border border-[var(--border-color)] rounded-md text-sm text-[var(--text-primary)] placeholder-[var(--text-secondary)] focus:outline-none focus:border-[var(--accent-primary)]";
+
+// One end of a range, typed in display units. The text is kept locally so
+// "5." or a km value that doesn't round-trip through miles isn't rewritten
+// while typing; it only follows `value` when that changes from outside.
+function RangeEnd({ value, onChange, toDisplay, fromDisplay, placeholder, step }) {
+  const format = (v) => (v == null ? "" : String(Math.round(toDisplay(v) * 10) / 10));
+  const [text, setText] = useState(() => format(value));
+
+  useEffect(() => {
+    const typed = text.trim() === "" ? null : fromDisplay(Number(text));
+    if (value == null ? typed != null : typed == null || Math.abs(typed - value) > 1e-6) setText(format(value));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [value]);
+
+  return (
+    <input
+      type="number"
+      min="0"
+      step={step}
+      inputMode="decimal"
+      value={text}
+      placeholder={placeholder}
+      onChange={(e) => {
+        setText(e.target.value);
+        const n = Number(e.target.value);
+        if (e.target.value.trim() === "") onChange(null);
+        else if (Number.isFinite(n) && n >= 0) onChange(fromDisplay(n));
+      }}
+      className={inputClass}
+    />
+  );
+}
+
+function RangeFilter({ label, range, onChange, toDisplay = (v) => v, fromDisplay = (v) => v, step = 1 }) {
+  const [min, max] = range || [null, null];
+  const set = (next) => onChange(next[0] == null && next[1] == null ? null : next);
+  return (
+    <div>
+      <span className="block text-xs text-[var(--text-secondary)] mb-1">{label}</span>
+      <div className="flex items-center gap-2">
+        <RangeEnd
+          value={min}
+          onChange={(v) => set([v, max])}
+          toDisplay={toDisplay}
+          fromDisplay={fromDisplay}
+          placeholder="Min"
+          step={step}
+        />
+        <span className="text-[var(--text-secondary)]">–</span>
+        <RangeEnd
+          value={max}
+          onChange={(v) => set([min, v])}
+          toDisplay={toDisplay}
+          fromDisplay={fromDisplay}
+          placeholder="Max"
+          step={step}
+        />
+      </div>
+    </div>
+  );
+}
+
+/**
+ * TrackFilterPanel
+ *
+ * Range, region, tag and availability filters for the track list
+ * (lib/trackFilters). Ranges are typed in the display units and kept in
+ * miles, feet and percent. Regions and tags are offered from `tracks`.
+ */
+export default function TrackFilterPanel({ tracks, filters, units, onChange }) {
+  const labels = unitLabels(units);
+  const { regions, tags } = facetOptions(tracks);
+  const update = (patch) => onChange({ ...filters, ...patch });
+
+  const toggleTag = (tag) =>
+    update({ tags: filters.tags.includes(tag) ? filters.tags.filter((t) => t !== tag) : [...filters.tags, tag] });
+
+  return (
+    <div className="mt-3 space-y-3">
+      <div className="grid grid-cols-2 gap-3">
+        <RangeFilter
+          label={`Distance (${labels.distance})`}
+          range={filters.distance}
+          onChange={(distance) => update({ distance })}
+          toDisplay={(v) => toDisplayDistance(v, units)}
+          fromDisplay={(v) => fromDisplayDistance(v, units)}
+        />
+        <RangeFilter
+          label={`Gain (${labels.elevation})`}
+          range={filters.gain}
+          onChange={(gain) => update({ gain })}
+          toDisplay={(v) => toDisplayElevation(v, units)}
+          fromDisplay={(v) => fromDisplayElevation(v, units)}
+          step={100}
+        />
+        <RangeFilter label="Climb factor (%)" range={filters.climb} onChange={(climb) => update({ climb })} />
+        <div>
+          <span className="block text-xs text-[var(--text-secondary)] mb-1">Region</span>
+          <select
+            value={filters.region ?? ""}
+            onChange={(e) => update({ region: e.target.value || null })}
+            className={inputClass}
+          >
+            <option value="">All regions</option>
+            {/* A shared link may name a region this list doesn't have */}
+            {filters.region && !regions.some((r) => r.value === filters.region) && (
+              <option value={filters.region}>{filters.region} (0)</option>
+            )}
+            {regions.map((r) => (
+              <option key={r.value} value={r.value}>
+                {r.value} ({r.count})
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {tags.length > 0 && (
+        <div className="flex flex-wrap gap-1.5">
+          {tags.map(({ value, count }) => {
+            const active = filters.tags.includes(value);
+            return (
+              <button
+                key={value}
+                type="button"
+                onClick={() => toggleTag(value)}
+                aria-pressed={active}
+                className={`flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium border transition-colors ${active
+                  ? "bg-[var(--accent-primary)] text-black border-transparent"
+                  : "bg-[var(--bg-tertiary)] text-[var(--text-secondary)] border-[var(--border-color)] hover:text-[var(--text-primary)]"
+                  }`}
+              >
+                <Tag className="w-3 h-3" />
+                {value} <span className="opacity-70">{count}</span>
+              </button>
+            );
+          })}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between text-sm">
+        <div className="flex items-center gap-4 text-[var(--text-primary)]">
+          <label className="flex items-center gap-1.5 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={filters.gpx}
+              onChange={(e) => update({ gpx: e.target.checked })}
+              className="accent-[var(--accent-primary)]"
+            />
+            Has GPX
+          </label>
+          <label className="flex items-center gap-1.5 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={filters.offline}
+              onChange={(e) => update({ offline: e.target.checked })}
+              className="accent-[var(--accent-primary)]"
+            />
+            Offline ready
+          </label>
+        </div>
+        <button
+          type="button"
+          onClick={() => onChange({ ...EMPTY_FILTERS, q: filters.q, sort: filters.sort })}
+          className="flex items-center gap-1 text-xs text-[var(--text-secondary)] hover:text-[var(--accent-primary)] transition-colors"
+        >
+          <X className="w-3 h-3" />
+          Clear filters
+        </button>
+      </div>
+    </div>
+  );
+}
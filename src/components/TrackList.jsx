@@ -1,4 +1,4 @@
-import { useState } from "react";
+import { useState, useEffect } from "react";
 import {
   Search,
   Mountain,
@@ -9,8 +9,39 @@ import {
   FileDown,
   Check,
   CloudOff,
+  AlertTriangle,
+  Pencil,
+  Trash2,
+  HardDrive,
+  Timer,
+  GitCompare,
+  SlidersHorizontal,
+  ArrowDownNarrowWide,
+  ArrowDownWideNarrow,
+  Navigation,
+  Repeat,
+  MoveRight,
+  Tag,
 } from "lucide-react";
 
+import TrackDropZone from "./TrackDropZone";
+import ExportMenu from "./ExportMenu";
+import TrackFilterPanel from "./TrackFilterPanel";
+import { getStorageEstimate } from "../lib/storageEstimate";
+import { formatDuration } from "../lib/activityStats";
+import { compareColor } from "../lib/trackCompare";
+import { getOfflineEntry, offlineTrackId } from "../lib/offlineCache";
+import { formatDistance, formatElevation } from "../lib/units";
+import { DIFFICULTY_FORMULAS, difficultyLevel } from "../lib/difficulty";
+import {
+  EMPTY_FILTERS,
+  SORTS,
+  activeFilterCount,
+  distanceFromPosition,
+  filterTracks,
+  parseSort,
+  sortTracks,
+} from "../lib/trackFilters";
 
 import BUILD_INFO from "../build-info";
 
@@ -19,28 +50,85 @@ function gpxUrlForTrack(track) {
   return `${import.meta.env.BASE_URL}tracks/gpx/${encodeURIComponent(gpxFile)}`;
 }
 
+// Manifest image paths are relative to public/tracks/images/
+function imageUrl(src) {
+  if (/^(https?:)?\/\//.test(src) || src.startsWith("/")) return src;
+  return `${import.meta.env.BASE_URL}tracks/images/${encodeURI(src)}`;
+}
+
+const SEASON_LABELS = { spring: "Spring", summer: "Summer", fall: "Fall", winter: "Winter" };
+
+// "70% dirt · 30% paved", largest share first
+function surfaceSummary(surface) {
+  return Object.entries(surface)
+    .sort((a, b) => b[1] - a[1])
+    .map(([name, share]) => `${Math.round(share * 100)}% ${name}`)
+    .join(" · ");
+}
+
+// Drawn and imported tracks live in IndexedDB, not in the manifest
+function isUserTrack(track) {
+  const source = track?.properties?.source;
+  return source === "local" || source === "drawn";
+}
+
 export default function TrackList({
   tracks,
   selectedTrack,
   onTrackSelect,
   themeToggle,
+  unitsToggle,
+  units,
   loadingTrack,
+  onImportTrack,
+  onRenameTrack,
+  onDeleteTrack,
+  peaks,
+  compareIds = [],
+  maxCompare,
+  onToggleCompare,
+  onClearCompare,
+  filters: filterState = EMPTY_FILTERS, // lib/trackFilters, mirrored in the URL by App
+  onFiltersChange,
+  userPosition,
+  onRequestPosition, // asks App for a GPS fix to sort by distance from me
 }) {
-  const [searchTerm, setSearchTerm] = useState("");
+  const filters = { ...EMPTY_FILTERS, ...filterState };
+  const filterCount = activeFilterCount(filters);
+  const [filtersOpen, setFiltersOpen] = useState(filterCount > 0);
   const [downloadModal, setDownloadModal] = useState(null); // { track, downloading, success, error }
+  const [editing, setEditing] = useState(null); // { id, name }
+  const [storage, setStorage] = useState(null);
 
-  const filteredTracks = tracks.filter((track) => {
-    const name = track.properties.name?.toLowerCase() || "";
-    const location = track.properties.location?.toLowerCase() || "";
-    const description = track.properties.description?.toLowerCase() || "";
-    const search = searchTerm.toLowerCase();
+  const isTrackDownloaded = (track) => !!getOfflineEntry(offlineTrackId(track));
 
-    return (
-      name.includes(search) ||
-      location.includes(search) ||
-      description.includes(search)
-    );
-  });
+  const updateFilters = (patch) => onFiltersChange?.({ ...filters, ...patch });
+  const sort = parseSort(filters.sort);
+  const sortingByDistanceFromMe = sort.key === "nearby";
+
+  const filteredTracks = sortTracks(
+    filterTracks(tracks, filters, { isOffline: isTrackDownloaded }),
+    filters.sort,
+    { position: userPosition },
+  );
+
+  const myTracks = filteredTracks.filter(isUserTrack);
+  const libraryTracks = filteredTracks.filter((t) => !isUserTrack(t));
+  const userTrackCount = tracks.filter(isUserTrack).length;
+
+  // Re-check quota whenever the local library changes size
+  useEffect(() => {
+    if (userTrackCount === 0) return;
+    getStorageEstimate()
+      .then(setStorage)
+      .catch(() => setStorage(null));
+  }, [userTrackCount]);
+
+  const commitRename = (track) => {
+    const name = editing?.name?.trim();
+    setEditing(null);
+    if (name && name !== track.properties.name) onRenameTrack?.(track, name);
+  };
 
   const handleDownloadClick = (e, track) => {
     e.stopPropagation();
@@ -113,17 +201,303 @@ export default function TrackList({
     }
   };
 
-  const isTrackDownloaded = (track) => {
-    const trackId = track?.properties?.id || track?.properties?.filename;
-    return !!localStorage.getItem(`offline-track-${trackId}`);
-  };
-
   const handleCloseModal = () => {
     if (!downloadModal?.downloading) {
       setDownloadModal(null);
     }
   };
 
+  const compareFull = maxCompare !== undefined && compareIds.length >= maxCompare;
+
+  // Compared cards carry their line color down the left edge
+  const compareStripe = (track) => {
+    const compareIndex = compareIds.indexOf(track.properties.id);
+    return compareIndex === -1 ? {} : { borderLeft: `4px solid ${compareColor(compareIndex)}` };
+  };
+
+  const renderCompareButton = (track) => {
+    const compareIndex = compareIds.indexOf(track.properties.id);
+    const included = compareIndex !== -1;
+    return (
+      <button
+        onClick={(e) => {
+          e.stopPropagation();
+          onToggleCompare(track);
+        }}
+        disabled={!included && compareFull}
+        aria-pressed={included}
+        title={
+          included
+            ? "Remove from comparison"
+            : compareFull
+              ? `Up to ${maxCompare} tracks can be compared`
+              : "Compare"
+        }
+        aria-label={included ? "Remove track from comparison" : "Add track to comparison"}
+        className={`p-1.5 rounded-md hover:bg-[var(--bg-secondary)] transition-colors disabled:opacity-40 disabled:cursor-not-allowed ${included
+          ? "bg-[var(--bg-secondary)]"
+          : "text-[var(--text-secondary)] hover:text-[var(--accent-primary)]"
+          }`}
+        style={included ? { color: compareColor(compareIndex) } : undefined}
+      >
+        <GitCompare className="w-4 h-4" />
+      </button>
+    );
+  };
+
+  const renderTrackCard = (track, idx) => (
+    <div
+      key={track.properties.id}
+      onClick={() => onTrackSelect(track)}
+      className={`trail-card fade-in-up ${selectedTrack?.properties.id === track.properties.id
+        ? "border-[var(--accent-primary)] bg-[var(--bg-tertiary)]"
+        : ""
+        }`}
+      style={{ animationDelay: `${idx * 0.05}s`, ...compareStripe(track) }}
+    >
+      <div className="flex items-start justify-between gap-3">
+
+        <div className="flex flex-wrap items-center gap-2 mb-2">
+          {editing?.id === track.properties.id ? (
+            <input
+              autoFocus
+              value={editing.name}
+              onClick={(e) => e.stopPropagation()}
+              onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") commitRename(track);
+                if (e.key === "Escape") setEditing(null);
+              }}
+              onBlur={() => commitRename(track)}
+              className="font-display font-semibold text-lg bg-[var(--bg-tertiary)] border border-[var(--accent-primary)] rounded px-2 py-0.5 text-[var(--text-primary)] focus:outline-none"
+            />
+          ) : (
+            <h3 className="font-display font-semibold text-lg text-[var(--text-primary)]">
+              {track.properties.name || `Track ${idx + 1}`}
+            </h3>
+          )}
+          {isTrackDownloaded(track) && (
+            <div
+              className="flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium bg-green-500/10 text-green-600 border border-green-500/30"
+              title="Available offline"
+            >
+              <CloudOff className="w-3 h-3" />
+              <span>Offline</span>
+            </div>
+          )}
+          {track.properties.source === "drawn" && (
+            <div
+              className="px-2 py-0.5 rounded-full text-xs font-medium bg-[var(--accent-primary)]/10 text-[var(--accent-primary)] border border-[var(--accent-primary)]/30"
+              title="Drawn in this browser — saved on this device only"
+            >
+              Drawn
+            </div>
+          )}
+          {track.properties.source === "local" && (
+            <div
+              className="px-2 py-0.5 rounded-full text-xs font-medium bg-[var(--accent-primary)]/10 text-[var(--accent-primary)] border border-[var(--accent-primary)]/30"
+              title={
+                track.properties.pullRequest
+                  ? "Pull request opened — live after merge and deployment"
+                  : track.properties.recordedAt
+                    ? "Recorded in this browser only — not part of the deployed manifest"
+                    : "Imported in this browser only — not part of the deployed manifest"
+              }
+            >
+              {track.properties.pullRequest
+                ? `PR #${track.properties.pullRequest.number}`
+                : track.properties.recordedAt
+                  ? "Recorded"
+                  : "Local"}
+            </div>
+          )}
+          {difficultyLevel(track.properties.difficulty?.level) && (
+            <div
+              className="px-2 py-0.5 rounded-full text-xs font-medium border whitespace-nowrap"
+              style={{
+                color: difficultyLevel(track.properties.difficulty.level).color,
+                borderColor: `${difficultyLevel(track.properties.difficulty.level).color}66`,
+              }}
+              title={`${DIFFICULTY_FORMULAS[track.properties.difficulty.formula]?.label ?? "Difficulty"} score ${track.properties.difficulty.score}`}
+            >
+              {difficultyLevel(track.properties.difficulty.level).label}
+            </div>
+          )}
+        </div>
+
+        {track.properties.images?.length > 0 && (
+          <img
+            src={imageUrl(track.properties.images[0].src)}
+            alt={track.properties.images[0].caption || track.properties.name}
+            title={track.properties.images[0].caption}
+            loading="lazy"
+            className="w-16 h-16 shrink-0 rounded-md object-cover border border-[var(--border-color)]"
+          />
+        )}
+      </div>
+
+      {track.properties.location && (
+        <p className="text-[var(--text-secondary)] text-sm mb-3">
+          {track.properties.location}
+        </p>
+      )}
+
+      {/* Manifest details: route type, elevation range, surface, seasons */}
+      {(track.properties.routeType ||
+        track.properties.maxElevation != null ||
+        track.properties.surface ||
+        track.properties.seasons?.length > 0) && (
+        <div className="flex flex-wrap items-center gap-x-3 gap-y-1 mb-3 text-xs text-[var(--text-secondary)]">
+          {track.properties.routeType === "loop" && (
+            <span className="flex items-center gap-1" title="Ends where it starts">
+              <Repeat className="w-3 h-3" />
+              Loop
+            </span>
+          )}
+          {track.properties.routeType === "point-to-point" && (
+            <span className="flex items-center gap-1" title="Ends away from the start">
+              <MoveRight className="w-3 h-3" />
+              Point to point
+            </span>
+          )}
+          {track.properties.maxElevation != null && track.properties.minElevation != null && (
+            <span className="font-mono" title="Lowest to highest point">
+              {formatElevation(track.properties.minElevation, units)}–{formatElevation(track.properties.maxElevation, units)}
+            </span>
+          )}
+          {track.properties.surface && <span>{surfaceSummary(track.properties.surface)}</span>}
+          {track.properties.seasons?.length > 0 && (
+            <span title="Best seasons">
+              {track.properties.seasons.map((season) => SEASON_LABELS[season] || season).join(", ")}
+            </span>
+          )}
+        </div>
+      )}
+
+      {track.properties.tags?.length > 0 && (
+        <div className="flex flex-wrap gap-1.5 mb-3">
+          {track.properties.tags.map((tag) => (
+            <span
+              key={tag}
+              className="flex items-center gap-1 px-2 py-0.5 rounded-full text-xs bg-[var(--bg-tertiary)] text-[var(--text-secondary)] border border-[var(--border-color)]"
+            >
+              <Tag className="w-3 h-3" />
+              {tag}
+            </span>
+          ))}
+        </div>
+      )}
+
+      <div className="flex items-center justify-between text-sm">
+        {/* left side stats */}
+        <div className="flex gap-4">
+          {track.properties.distance !== undefined && (
+            <div className="flex items-center gap-1.5 text-[var(--accent-primary)]">
+              <Mountain className="w-4 h-4" />
+              <span className="font-mono font-medium">
+                {formatDistance(track.properties.distance || 0, units)}
+              </span>
+            </div>
+          )}
+
+          {track.properties.elevationGain > 0 && (
+            <div className="flex items-center gap-1.5 text-[var(--accent-primary)]">
+              <TrendingUp className="w-4 h-4" />
+              <span className="font-mono font-medium">
+                {formatElevation(track.properties.elevationGain, units)}
+              </span>
+            </div>
+          )}
+
+          {sortingByDistanceFromMe && userPosition && distanceFromPosition(track, userPosition) != null && (
+            <div
+              className="flex items-center gap-1.5 text-[var(--text-secondary)]"
+              title="Distance from you to the start"
+            >
+              <Navigation className="w-4 h-4" />
+              <span className="font-mono font-medium">
+                {formatDistance(distanceFromPosition(track, userPosition), units)}
+              </span>
+            </div>
+          )}
+
+          {track.properties.movingTime > 0 && (
+            <div
+              className="flex items-center gap-1.5 text-[var(--accent-primary)]"
+              title="Moving time"
+            >
+              <Timer className="w-4 h-4" />
+              <span className="font-mono font-medium">
+                {formatDuration(track.properties.movingTime)}
+              </span>
+            </div>
+          )}
+        </div>
+
+        {/* right side actions */}
+        <div className="flex items-center gap-0.5">
+          {onToggleCompare && renderCompareButton(track)}
+          {isUserTrack(track) ? (
+            <>
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  setEditing({ id: track.properties.id, name: track.properties.name || "" });
+                }}
+                title="Rename"
+                aria-label="Rename track"
+                className="p-1.5 rounded-md hover:bg-[var(--bg-secondary)] text-[var(--text-secondary)] hover:text-[var(--accent-primary)] transition-colors"
+              >
+                <Pencil className="w-4 h-4" />
+              </button>
+              <ExportMenu track={track} peaks={peaks} units={units} />
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  if (window.confirm(`Delete "${track.properties.name}" from this device?`)) {
+                    onDeleteTrack?.(track);
+                  }
+                }}
+                title="Delete"
+                aria-label="Delete track"
+                className="p-1.5 rounded-md hover:bg-[var(--bg-secondary)] text-[var(--text-secondary)] hover:text-red-400 transition-colors"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </>
+          ) : (
+            <button
+              onClick={(e) => handleDownloadClick(e, track)}
+              title="Download GPX"
+              aria-label="Download GPX"
+              disabled={!track?.properties?.gpxFile}
+              aria-disabled={!track?.properties?.gpxFile}
+              className="p-1.5 rounded-md hover:bg-[var(--bg-secondary)] text-[var(--text-secondary)] hover:text-[var(--accent-primary)] transition-colors disabled:opacity-40 disabled:cursor-not-allowed disabled:hover:bg-transparent disabled:hover:text-[var(--text-secondary)]"
+            >
+              <Download className="w-4 h-4" />
+            </button>
+          )}
+        </div>
+      </div>
+
+      {track.properties.description && (
+        <p className="text-[var(--text-secondary)] text-sm mt-3 line-clamp-2">
+          {track.properties.description}
+        </p>
+      )}
+
+      {track.properties.importWarnings?.map((msg) => (
+        <p
+          key={msg}
+          className="mt-2 flex items-start gap-1 text-xs text-yellow-500"
+        >
+          <AlertTriangle className="w-3 h-3 mt-0.5 shrink-0" />
+          <span>{msg}</span>
+        </p>
+      ))}
+    </div>
+  );
+
   return (
     <div className="h-full flex flex-col bg-[var(--bg-secondary)]">
       {/* Header */}
@@ -132,7 +506,10 @@ export default function TrackList({
           <h1 className="text-3xl font-display font-bold text-[var(--accent-primary)]">
             Trail Explorer
           </h1>
-          {themeToggle}
+          <div className="flex items-center gap-2">
+            {unitsToggle}
+            {themeToggle}
+          </div>
         </div>
         <div className="flex items-center justify-between">
           <p className="text-[var(--text-secondary)] text-sm">
@@ -151,13 +528,79 @@ export default function TrackList({
           <input
             type="text"
             placeholder="Search trails, locations..."
-            value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
+            value={filters.q}
+            onChange={(e) => updateFilters({ q: e.target.value })}
             className="w-full pl-11 pr-4 py-3 bg-[var(--bg-tertiary)] border border-[var(--border-color)] 
                      rounded-lg text-[var(--text-primary)] placeholder-[var(--text-secondary)]
                      focus:outline-none focus:border-[var(--accent-primary)] transition-colors"
           />
         </div>
+
+        {/* Filters and sort */}
+        <div className="mt-3 flex items-center gap-2 text-sm">
+          <button
+            type="button"
+            onClick={() => setFiltersOpen((open) => !open)}
+            aria-expanded={filtersOpen}
+            className={`flex items-center gap-1.5 px-3 py-1.5 rounded-lg border transition-colors ${filterCount > 0
+              ? "border-[var(--accent-primary)] text-[var(--accent-primary)]"
+              : "border-[var(--border-color)] text-[var(--text-primary)] hover:bg-[var(--bg-tertiary)]"
+              }`}
+          >
+            <SlidersHorizontal className="w-4 h-4" />
+            Filters{filterCount > 0 && ` (${filterCount})`}
+          </button>
+          <select
+            value={sort.key}
+            onChange={(e) => {
+              if (e.target.value === "nearby") onRequestPosition?.();
+              updateFilters({ sort: sort.descending ? `-${e.target.value}` : e.target.value });
+            }}
+            aria-label="Sort tracks by"
+            className="flex-1 min-w-0 px-2 py-1.5 bg-[var(--bg-tertiary)] border border-[var(--border-color)] rounded-lg text-[var(--text-primary)] focus:outline-none focus:border-[var(--accent-primary)]"
+          >
+            {Object.entries(SORTS).map(([key, label]) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={() => updateFilters({ sort: sort.descending ? sort.key : `-${sort.key}` })}
+            title={sort.descending ? "Descending" : "Ascending"}
+            aria-label={sort.descending ? "Sort ascending" : "Sort descending"}
+            className="p-1.5 rounded-lg border border-[var(--border-color)] text-[var(--text-primary)] hover:bg-[var(--bg-tertiary)] transition-colors"
+          >
+            {sort.descending ? (
+              <ArrowDownWideNarrow className="w-4 h-4" />
+            ) : (
+              <ArrowDownNarrowWide className="w-4 h-4" />
+            )}
+          </button>
+        </div>
+
+        {filtersOpen && (
+          <TrackFilterPanel
+            tracks={tracks}
+            filters={filters}
+            units={units}
+            onChange={(next) => onFiltersChange?.(next)}
+          />
+        )}
+
+        {(filterCount > 0 || filters.q.trim()) && tracks.length > 0 && (
+          <p className="mt-2 text-xs text-[var(--text-secondary)]">
+            Showing {filteredTracks.length} of {tracks.length} tracks
+          </p>
+        )}
+        {sortingByDistanceFromMe && !userPosition && (
+          <p className="mt-2 text-xs text-[var(--text-secondary)]">
+            Waiting for your location to sort by distance…
+          </p>
+        )}
+
+        {onImportTrack && <TrackDropZone onImport={onImportTrack} />}
       </div>
 
       {/* Loading Indicator */}
@@ -170,6 +613,24 @@ export default function TrackList({
         </div>
       )}
 
+      {/* Compare bar */}
+      {compareIds.length > 0 && (
+        <div className="px-4 py-2 flex items-center justify-between gap-2 border-b border-[var(--border-color)] bg-[var(--bg-tertiary)] text-sm">
+          <span className="flex items-center gap-2 text-[var(--text-primary)]">
+            <GitCompare className="w-4 h-4 text-[var(--accent-primary)]" />
+            {compareIds.length === 1
+              ? "Pick one more track to compare"
+              : `Comparing ${compareIds.length} tracks`}
+          </span>
+          <button
+            onClick={onClearCompare}
+            className="text-xs text-[var(--text-secondary)] hover:text-[var(--accent-primary)] transition-colors"
+          >
+            Clear
+          </button>
+        </div>
+      )}
+
       {/* Track List */}
       <div className="flex-1 overflow-y-auto p-4 space-y-3">
         {filteredTracks.length === 0 ? (
@@ -184,87 +645,34 @@ export default function TrackList({
               <>
                 <Search className="w-12 h-12 mx-auto mb-3 opacity-50" />
                 <p className="text-lg font-medium mb-2">No tracks found</p>
-                <p className="text-sm">Try a different search term</p>
+                <p className="text-sm">
+                  {filterCount > 0 ? "Try a different search or fewer filters" : "Try a different search term"}
+                </p>
               </>
             )}
           </div>
         ) : (
-          filteredTracks.map((track, idx) => (
-            <div
-              key={track.properties.id}
-              onClick={() => onTrackSelect(track)}
-              className={`trail-card fade-in-up ${selectedTrack?.properties.id === track.properties.id
-                ? "border-[var(--accent-primary)] bg-[var(--bg-tertiary)]"
-                : ""
-                }`}
-              style={{ animationDelay: `${idx * 0.05}s` }}
-            >
-              <div className="flex items-start justify-between gap-3">
-
-                <div className="flex items-center gap-2 mb-2">
-                  <h3 className="font-display font-semibold text-lg text-[var(--text-primary)]">
-                    {track.properties.name || `Track ${idx + 1}`}
-                  </h3>
-                  {isTrackDownloaded(track) && (
-                    <div
-                      className="flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium bg-green-500/10 text-green-600 border border-green-500/30"
-                      title="Available offline"
-                    >
-                      <CloudOff className="w-3 h-3" />
-                      <span>Offline</span>
-                    </div>
-                  )}
-                </div>
-              </div>
-
-              {track.properties.location && (
-                <p className="text-[var(--text-secondary)] text-sm mb-3">
-                  {track.properties.location}
-                </p>
-              )}
-
-              <div className="flex items-center justify-between text-sm">
-                {/* left side stats */}
-                <div className="flex gap-4">
-                  {track.properties.distance !== undefined && (
-                    <div className="flex items-center gap-1.5 text-[var(--accent-primary)]">
-                      <Mountain className="w-4 h-4" />
-                      <span className="font-mono font-medium">
-                        {track.properties.distance?.toFixed(2) || "0"} mi
-                      </span>
-                    </div>
-                  )}
-
-                  {track.properties.elevationGain > 0 && (
-                    <div className="flex items-center gap-1.5 text-[var(--accent-primary)]">
-                      <TrendingUp className="w-4 h-4" />
-                      <span className="font-mono font-medium">
-                        {track.properties.elevationGain?.toFixed(0)} ft
-                      </span>
-                    </div>
-                  )}
-                </div>
-
-                {/* right side download icon */}
-                <button
-                  onClick={(e) => handleDownloadClick(e, track)}
-                  title="Download GPX"
-                  aria-label="Download GPX"
-                  disabled={!track?.properties?.gpxFile}
-                  aria-disabled={!track?.properties?.gpxFile}
-                  className="p-1.5 rounded-md hover:bg-[var(--bg-secondary)] text-[var(--text-secondary)] hover:text-[var(--accent-primary)] transition-colors disabled:opacity-40 disabled:cursor-not-allowed disabled:hover:bg-transparent disabled:hover:text-[var(--text-secondary)]"
-                >
-                  <Download className="w-4 h-4" />
-                </button>
+          <>
+            {myTracks.length > 0 && (
+              <div className="flex items-center justify-between pt-1">
+                <h2 className="stat-label">My tracks ({myTracks.length})</h2>
+                {storage && (
+                  <span
+                    className="flex items-center gap-1 text-xs text-[var(--text-secondary)] font-mono"
+                    title="Browser storage used by this site"
+                  >
+                    <HardDrive className="w-3 h-3" />
+                    {storage.used} / {storage.quota} MB
+                  </span>
+                )}
               </div>
-
-              {track.properties.description && (
-                <p className="text-[var(--text-secondary)] text-sm mt-3 line-clamp-2">
-                  {track.properties.description}
-                </p>
-              )}
-            </div>
-          ))
+            )}
+            {myTracks.map((track, idx) => renderTrackCard(track, idx))}
+            {myTracks.length > 0 && libraryTracks.length > 0 && (
+              <h2 className="stat-label pt-3">Trail library</h2>
+            )}
+            {libraryTracks.map((track, idx) => renderTrackCard(track, myTracks.length + idx))}
+          </>
         )}
       </div>
 
@@ -345,16 +753,13 @@ export default function TrackList({
                     {downloadModal.track?.properties?.distance && (
                       <span className="text-[var(--text-secondary)]">
                         <Mountain className="w-3 h-3 inline mr-1" />
-                        {downloadModal.track.properties.distance.toFixed(2)} mi
+                        {formatDistance(downloadModal.track.properties.distance, units)}
                       </span>
                     )}
                     {downloadModal.track?.properties?.elevationGain > 0 && (
                       <span className="text-[var(--text-secondary)]">
                         <TrendingUp className="w-3 h-3 inline mr-1" />
-                        {downloadModal.track.properties.elevationGain.toFixed(
-                          0,
-                        )}{" "}
-                        ft
+                        {formatElevation(downloadModal.track.properties.elevationGain, units)}
                       </span>
                     )}
                   </div>
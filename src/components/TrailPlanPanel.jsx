@@ -0,0 +1,161 @@
+import { useEffect, useState } from "react";
+import { Clock, Mountain, Wand2 } from "lucide-react";
+import { formatDuration } from "../lib/activityStats";
+import { DEFAULT_FLAT_PACE, PACE_MODELS, formatClock, parsePace } from "../lib/paceModel";
+import { WAYPOINT_KINDS } from "../lib/waypoints";
+import { formatDistance, fromDisplayPace, toDisplayPace, unitLabels } from "../lib/units";
+
+const inputClass =
+  "w-full px-2 py-1.5 bg-[var(--bg-tertiary)] border border-[var(--border-color)] rounded-lg text-sm text-[var(--text-primary)] focus:outline-none focus:border-[var(--accent-primary)]";
+
+/**
+ * TrailPlanPanel
+ *
+ * Sidebar section with the predicted finish time and arrival at each mile
+ * (or km) marker and nearby peak. Start time, flat pace and model are edited
+ * here; the plan itself is built in App so the map markers show the same
+ * times. The pace is stored per mile and edited per mile or km.
+ */
+export default function TrailPlanPanel({ plan, units, settings, onSettingsChange, onCalibrate }) {
+  const paceLabel = (secondsPerMile) => formatDuration(toDisplayPace(secondsPerMile, units));
+  const [paceText, setPaceText] = useState(paceLabel(settings.flatPace));
+  const [calibration, setCalibration] = useState(null);
+
+  useEffect(() => {
+    setPaceText(paceLabel(settings.flatPace));
+  }, [settings.flatPace, units]);
+
+  if (!plan) return null;
+
+  const update = (patch) => onSettingsChange({ ...settings, ...patch });
+
+  const commitPace = () => {
+    const seconds = parsePace(paceText) && fromDisplayPace(parsePace(paceText), units);
+    if (seconds && seconds >= 180) update({ flatPace: seconds });
+    else setPaceText(paceLabel(settings.flatPace));
+  };
+
+  const handleCalibrate = () => {
+    const fit = onCalibrate?.();
+    setCalibration(
+      fit
+        ? `Fitted ${paceLabel(fit.flatPace)} /${unitLabels(units).distance} from ${fit.trackCount} recorded ${fit.trackCount === 1 ? "track" : "tracks"} (${formatDistance(fit.distance, units, 1)})`
+        : "No loaded tracks have timestamps. Import a GPX, TCX or FIT recording first.",
+    );
+  };
+
+  return (
+    <div className="sidebar-section">
+      <div className="flex items-center gap-2 mb-3">
+        <Clock className="w-4 h-4 text-[var(--accent-primary)]" />
+        <div className="stat-label">Trail Plan</div>
+      </div>
+
+      <div className="flex justify-between items-baseline mb-3">
+        <span className="text-[var(--text-secondary)] text-sm">Predicted Time</span>
+        <span className="text-lg font-display font-bold text-[var(--accent-primary)] tabular-nums">
+          {formatDuration(plan.totalTime)}
+        </span>
+      </div>
+
+      <div className="grid grid-cols-3 gap-2 mb-2">
+        <label className="text-xs text-[var(--text-secondary)]">
+          Start
+          <input
+            type="time"
+            value={settings.startTime}
+            onChange={(e) => update({ startTime: e.target.value })}
+            className={`mt-1 ${inputClass}`}
+            title="Leave empty to start now"
+          />
+        </label>
+        <label className="text-xs text-[var(--text-secondary)]">
+          Flat pace /{unitLabels(units).distance}
+          <input
+            type="text"
+            inputMode="numeric"
+            value={paceText}
+            onChange={(e) => setPaceText(e.target.value)}
+            onBlur={commitPace}
+            onKeyDown={(e) => e.key === "Enter" && commitPace()}
+            placeholder={paceLabel(DEFAULT_FLAT_PACE)}
+            className={`mt-1 ${inputClass} tabular-nums`}
+          />
+        </label>
+        <label className="text-xs text-[var(--text-secondary)]">
+          Model
+          <select
+            value={settings.model}
+            onChange={(e) => update({ model: e.target.value })}
+            className={`mt-1 ${inputClass}`}
+            title={PACE_MODELS[settings.model].description}
+          >
+            {Object.entries(PACE_MODELS).map(([key, model]) => (
+              <option key={key} value={key}>
+                {model.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <button
+        type="button"
+        onClick={handleCalibrate}
+        className="flex items-center gap-1.5 text-xs text-[var(--text-secondary)] hover:text-[var(--accent-primary)] transition-colors mb-1"
+      >
+        <Wand2 className="w-3.5 h-3.5" />
+        Fit pace from my recorded tracks
+      </button>
+      {calibration && <p className="text-xs text-[var(--text-secondary)] mb-2">{calibration}</p>}
+
+      <table className="w-full text-sm tabular-nums mt-2">
+        <thead>
+          <tr className="text-xs text-[var(--text-secondary)] border-b border-[var(--border-color)]">
+            <th className="text-left font-normal py-1">Checkpoint</th>
+            <th className="text-right font-normal py-1">Elapsed</th>
+            <th className="text-right font-normal py-1">ETA</th>
+          </tr>
+        </thead>
+        <tbody>
+          {plan.checkpoints.map((checkpoint) => (
+            <tr
+              key={`${checkpoint.kind}-${checkpoint.name}-${checkpoint.distance}`}
+              className="border-b border-[var(--border-color)]"
+            >
+              <td className="py-1 text-[var(--text-primary)]">
+                {checkpoint.kind === "peak" ? (
+                  <span className="flex items-center gap-1.5 min-w-0">
+                    <Mountain className="w-3.5 h-3.5 shrink-0 text-[var(--accent-primary)]" />
+                    <span className="truncate">{checkpoint.name}</span>
+                  </span>
+                ) : WAYPOINT_KINDS[checkpoint.kind] ? (
+                  <span className="flex items-center gap-1.5 min-w-0">
+                    <span
+                      className="inline-block w-2.5 h-2.5 rounded-full shrink-0"
+                      style={{ backgroundColor: WAYPOINT_KINDS[checkpoint.kind].color }}
+                    />
+                    <span className="truncate">{checkpoint.name}</span>
+                  </span>
+                ) : (
+                  checkpoint.name
+                )}
+              </td>
+              <td className="py-1 text-right text-[var(--text-secondary)]">{formatDuration(checkpoint.elapsed)}</td>
+              <td className="py-1 text-right text-[var(--text-primary)]">{formatClock(checkpoint.arrival)}</td>
+            </tr>
+          ))}
+          <tr>
+            <td className="py-1 font-medium text-[var(--text-primary)]">Finish ({formatDistance(plan.distance, units)})</td>
+            <td className="py-1 text-right text-[var(--text-secondary)]">{formatDuration(plan.totalTime)}</td>
+            <td className="py-1 text-right font-medium text-[var(--accent-primary)]">{formatClock(plan.finish)}</td>
+          </tr>
+        </tbody>
+      </table>
+
+      <p className="text-xs text-[var(--text-secondary)] mt-2 italic">
+        {PACE_MODELS[settings.model].label}: {PACE_MODELS[settings.model].description.toLowerCase()}. Stops are not included.
+      </p>
+    </div>
+  );
+}
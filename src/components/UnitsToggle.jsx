@@ -0,0 +1,35 @@
+import { UNIT_SYSTEMS } from '../lib/units';
+
+/**
+ * UnitsToggle
+ *
+ * Header switch between imperial (mi, ft, °F) and metric (km, m, °C)
+ * display units, next to the theme toggle. The preference lives in App.
+ */
+export default function UnitsToggle({ units, onChange }) {
+  return (
+    <div
+      className="flex h-8 rounded-full bg-[var(--bg-tertiary)] p-1 text-xs font-semibold"
+      role="radiogroup"
+      aria-label="Units"
+    >
+      {Object.entries(UNIT_SYSTEMS).map(([key, system]) => (
+        <button
+          key={key}
+          type="button"
+          role="radio"
+          aria-checked={units === key}
+          onClick={() => onChange(key)}
+          title={system.label}
+          className={`px-2 rounded-full transition-colors ${
+            units === key
+              ? 'bg-[var(--accent-primary)] text-black'
+              : 'text-[var(--text-secondary)] hover:text-[var(--text-primary)]'
+          }`}
+        >
+          {system.distance}
+        </button>
+      ))}
+    </div>
+  );
+}
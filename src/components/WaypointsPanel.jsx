@@ -0,0 +1,244 @@
+import { useEffect, useMemo, useState } from "react";
+import { Plus, RotateCcw, Trash2 } from "lucide-react";
+import { formatDuration } from "../lib/activityStats";
+import { formatClock } from "../lib/paceModel";
+import {
+  DEFAULT_WAYPOINT_KIND,
+  WAYPOINT_KINDS,
+  checkCutoff,
+  formatCutoff,
+  parseCutoff,
+  stationLegs,
+} from "../lib/waypoints";
+import { fromDisplayDistance, toDisplayDistance, toDisplayElevation, unitLabels } from "../lib/units";
+
+const inputClass =
+  "w-full px-1.5 py-1 bg-[var(--bg-tertiary)] border border-[var(--border-color)] rounded-md text-xs text-[var(--text-primary)] focus:outline-none focus:border-[var(--accent-primary)]";
+
+const CUTOFF_STATUS = {
+  ok: { label: "OK", color: "#5ab887" },
+  tight: { label: "Tight", color: "#e6b422" },
+  missed: { label: "Missed", color: "#d64545" },
+};
+
+// Text field that only reports a value when it loses focus or Enter is
+// pressed, so half-typed distances and cutoffs don't move the station
+function CommitInput({ value, onCommit, className = inputClass, ...props }) {
+  const [text, setText] = useState(value);
+  useEffect(() => setText(value), [value]);
+  return (
+    <input
+      {...props}
+      value={text}
+      onChange={(e) => setText(e.target.value)}
+      onBlur={() => (text === value ? null : onCommit(text, () => setText(value)))}
+      onKeyDown={(e) => e.key === "Enter" && e.currentTarget.blur()}
+      className={className}
+    />
+  );
+}
+
+/**
+ * WaypointsPanel
+ *
+ * Sidebar section for race planning: the track's aid stations, water,
+ * junctions and cutoffs (lib/waypoints), edited in place and stored per
+ * track by App (hooks/useTrackWaypoints). Below the editor, the distance
+ * and climbing between stations and the predicted arrival at each from the
+ * trail plan, checked against the station's cutoff. New stations go at the
+ * pinned profile point, or the start.
+ */
+export default function WaypointsPanel({
+  stations,
+  coords,
+  units,
+  plan = null,
+  pinnedDistance = null,
+  edited = false,
+  elevationOptions,
+  onChange,
+  onReset,
+}) {
+  const labels = unitLabels(units);
+  const legs = useMemo(() => stationLegs(coords, stations, elevationOptions), [coords, stations, elevationOptions]);
+
+  if (!onChange || !coords || coords.length < 2) return null;
+
+  const etas = {};
+  for (const checkpoint of plan?.checkpoints || []) {
+    if (checkpoint.id) etas[checkpoint.id] = checkpoint;
+  }
+
+  const distance = (miles) => toDisplayDistance(miles, units).toFixed(1);
+  const elevation = (feet) => Math.round(toDisplayElevation(feet, units)).toLocaleString();
+
+  const update = (id, patch) => onChange(stations.map((s) => (s.id === id ? { ...s, ...patch } : s)));
+  const remove = (id) => onChange(stations.filter((s) => s.id !== id));
+  const add = () =>
+    onChange([
+      ...stations,
+      {
+        id: `waypoint-${Date.now()}`,
+        name: `${WAYPOINT_KINDS[DEFAULT_WAYPOINT_KIND].label} ${stations.length + 1}`,
+        kind: DEFAULT_WAYPOINT_KIND,
+        distance: pinnedDistance ?? 0,
+        cutoff: null,
+        notes: "",
+      },
+    ]);
+
+  const commitDistance = (station) => (text, revert) => {
+    const value = Number(text);
+    if (text.trim() === "" || !Number.isFinite(value) || value < 0) revert();
+    else update(station.id, { distance: fromDisplayDistance(value, units) });
+  };
+
+  const commitCutoff = (station) => (text, revert) => {
+    if (text.trim() === "") update(station.id, { cutoff: null });
+    else if (parseCutoff(text)) update(station.id, { cutoff: parseCutoff(text) });
+    else revert();
+  };
+
+  return (
+    <div className="sidebar-section">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-display font-semibold text-[var(--accent-primary)]">Aid Stations</h3>
+        <div className="flex items-center gap-1">
+          {edited && onReset && (
+            <button
+              type="button"
+              onClick={onReset}
+              className="p-1 text-[var(--text-secondary)] hover:text-[var(--accent-primary)] transition-colors"
+              title="Go back to the waypoints in the track file"
+            >
+              <RotateCcw className="w-3.5 h-3.5" />
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={add}
+            className="flex items-center gap-1.5 px-2 py-1 rounded-md text-xs border bg-[var(--bg-tertiary)] text-[var(--text-secondary)] border-[var(--border-color)] hover:text-[var(--text-primary)] transition-colors"
+            title={pinnedDistance != null ? "Add a station at the pinned point" : "Add a station at the start"}
+          >
+            <Plus className="w-3.5 h-3.5" />
+            Add
+          </button>
+        </div>
+      </div>
+
+      {stations.length === 0 ? (
+        <p className="text-xs text-[var(--text-secondary)]">
+          No waypoints yet. Pin a point on the profile and add an aid station, water stop, junction or cutoff there.
+        </p>
+      ) : (
+        <div className="space-y-2 mb-3">
+          {stations.map((station) => (
+            <div key={station.id} className="grid grid-cols-[1fr_auto] gap-1.5 text-xs">
+              <div className="grid grid-cols-[auto_1fr_4rem_3.5rem] gap-1.5 items-center">
+                <span
+                  className="inline-block w-2.5 h-2.5 rounded-full"
+                  style={{ backgroundColor: WAYPOINT_KINDS[station.kind].color }}
+                />
+                <CommitInput
+                  value={station.name}
+                  onCommit={(name) => update(station.id, { name })}
+                  aria-label="Name"
+                />
+                <CommitInput
+                  value={distance(station.distance)}
+                  onCommit={commitDistance(station)}
+                  inputMode="decimal"
+                  aria-label={`Distance (${labels.distance})`}
+                  title={`Distance from the start (${labels.distance})`}
+                />
+                <CommitInput
+                  value={formatCutoff(station.cutoff)}
+                  onCommit={commitCutoff(station)}
+                  placeholder="h:mm"
+                  aria-label="Cutoff"
+                  title="Cutoff, as elapsed time from the start (h:mm)"
+                />
+                <span />
+                <select
+                  value={station.kind}
+                  onChange={(e) => update(station.id, { kind: e.target.value })}
+                  className={inputClass}
+                  aria-label="Kind"
+                >
+                  {Object.entries(WAYPOINT_KINDS).map(([kind, { label }]) => (
+                    <option key={kind} value={kind}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+                <CommitInput
+                  value={station.notes}
+                  onCommit={(notes) => update(station.id, { notes })}
+                  placeholder="Notes"
+                  aria-label="Notes"
+                  className={`${inputClass} col-span-2`}
+                />
+              </div>
+              <button
+                type="button"
+                onClick={() => remove(station.id)}
+                className="self-start p-1 text-[var(--text-secondary)] hover:text-red-500 transition-colors"
+                title="Remove"
+              >
+                <Trash2 className="w-3.5 h-3.5" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {stations.length > 0 && (
+        <table className="w-full text-xs tabular-nums">
+          <thead>
+            <tr className="text-[var(--text-secondary)] border-b border-[var(--border-color)]">
+              <th className="text-left font-normal py-1">Station</th>
+              <th className="text-right font-normal py-1">{labels.distance}</th>
+              <th className="text-right font-normal py-1">Leg</th>
+              <th className="text-right font-normal py-1">+/− {labels.elevation}</th>
+              <th className="text-right font-normal py-1">ETA</th>
+            </tr>
+          </thead>
+          <tbody>
+            {legs.map(({ station, distance: at, leg, gain, loss }) => {
+              const eta = station ? etas[station.id] : plan && { elapsed: plan.totalTime, arrival: plan.finish };
+              const cutoff = station && checkCutoff(station.cutoff, eta?.elapsed);
+              return (
+                <tr key={station?.id ?? "finish"} className="border-b border-[var(--border-color)] last:border-0">
+                  <td className="py-1.5 text-[var(--text-primary)] truncate max-w-[7rem]">
+                    {station ? station.name : "Finish"}
+                  </td>
+                  <td className="py-1.5 text-right text-[var(--text-primary)]">{distance(at)}</td>
+                  <td className="py-1.5 text-right text-[var(--text-secondary)]">{distance(leg)}</td>
+                  <td className="py-1.5 text-right text-[var(--text-secondary)]">
+                    +{elevation(gain)} / −{elevation(loss)}
+                  </td>
+                  <td
+                    className="py-1.5 text-right text-[var(--text-primary)]"
+                    title={eta ? `${formatDuration(eta.elapsed)} from the start` : undefined}
+                  >
+                    {eta ? formatClock(eta.arrival) : "–"}
+                    {cutoff && (
+                      <span
+                        className="block text-[10px] font-semibold"
+                        style={{ color: CUTOFF_STATUS[cutoff.status].color }}
+                        title={`Cutoff ${formatCutoff(station.cutoff)}`}
+                      >
+                        {CUTOFF_STATUS[cutoff.status].label} ({cutoff.margin < 0 ? "−" : "+"}
+                        {formatDuration(Math.abs(cutoff.margin))})
+                      </span>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
 import { useEffect, useRef, useCallback, useState } from "react";
 import { useMap, Marker, Popup, Polyline } from "react-leaflet";
 import L from "leaflet";
+import { celsiusChangeToDisplay, celsiusToDisplay, kmhToDisplay, unitLabels } from "../lib/units";
 
 // ─── AQI US category helper ───────────────────────────────────────────────────
 // EPA breakpoints: Good / Moderate / USG / Unhealthy / Very Unhealthy / Hazardous
@@ -22,10 +23,12 @@ function aqiCategory(aqi) {
 
 // ─── Color scales ─────────────────────────────────────────────────────────────
 // Temperature stops in °C (raw API unit). AQI stops are raw AQI index values.
+// Everything here is fetched in °C and km/h; pills, popups and the legend
+// convert to the app's unit system when rendering (lib/units).
 
 const SCALES = {
   temperature: {
-    label: "Temperature", unit: "°F",
+    label: "Temperature",
     stops: [
       [-40, [ 80,   0, 120, 200]],
       [-20, [ 40,  40, 200, 200]],
@@ -39,11 +42,10 @@ const SCALES = {
       [ 35, [210,   0,   0, 205]],
       [ 40, [130,   0,   0, 210]],
     ],
-    toDisplay: (c) => Math.round((c * 9) / 5 + 32),
-    legendFmt: (c) => `${Math.round((c * 9) / 5 + 32)}°F`,
+    legendFmt: (c, units) => `${Math.round(celsiusToDisplay(c, units))}${unitLabels(units).temperature}`,
   },
   precipitation: {
-    label: "Precipitation", unit: "mm/h",
+    label: "Precipitation",
     stops: [
       [0,    [100, 180, 255,   0]],
       [0.05, [100, 200, 255,  40]],
@@ -55,11 +57,10 @@ const SCALES = {
       [10,   [255, 100,   0, 190]],
       [20,   [200,   0,   0, 200]],
     ],
-    toDisplay: (v) => v.toFixed(1),
     legendFmt: (v) => `${v}mm/h`,
   },
   windspeed: {
-    label: "Wind Speed", unit: "mph",
+    label: "Wind Speed",
     stops: [
       [  0,  [200, 230, 255,   0]],
       [  8,  [160, 210, 255,  60]],
@@ -70,11 +71,10 @@ const SCALES = {
       [ 97,  [220,  30,  30, 185]],
       [129,  [140,   0, 140, 200]],
     ],
-    toDisplay: (v) => Math.round(v * 0.621371),
-    legendFmt: (v) => `${Math.round(v * 0.621371)}mph`,
+    legendFmt: (v, units) => `${Math.round(kmhToDisplay(v, units))}${unitLabels(units).speed}`,
   },
   cloudcover: {
-    label: "Cloud Cover", unit: "%",
+    label: "Cloud Cover",
     stops: [
       [  0, [200, 230, 255,   0]],
       [ 10, [220, 235, 255,  20]],
@@ -84,12 +84,11 @@ const SCALES = {
       [ 85, [140, 145, 165, 150]],
       [100, [120, 125, 140, 175]],
     ],
-    toDisplay: (v) => Math.round(v),
     legendFmt: (v) => `${v}%`,
   },
   // AQI — stops follow US EPA breakpoints exactly
   aqi: {
-    label: "Air Quality (US AQI)", unit: "",
+    label: "Air Quality (US AQI)",
     stops: [
       [  0, [  0, 228,   0,   0]],   // 0    — transparent (no data)
       [  1, [  0, 228,   0, 140]],   // 1+   — Good (green)
@@ -100,7 +99,6 @@ const SCALES = {
       [301, [126,   0,  35, 210]],   // Hazardous (maroon)
       [500, [ 80,   0,  20, 220]],
     ],
-    toDisplay: (v) => Math.round(v),
     legendFmt: (v) => {
       if (v <=  50) return `${v} Good`;
       if (v <= 100) return `${v} Mod`;
@@ -302,9 +300,9 @@ async function fetchPillData(pillPoints, includeAqi, includeEnsemble) {
       const t = new Date(); t.setHours(hourIndex + offset, 0, 0, 0);
       hours.push({
         time: t.toLocaleTimeString([], { hour: "numeric" }),
-        tempF: h?.temperature_2m?.[idx] != null ? Math.round((h.temperature_2m[idx] * 9) / 5 + 32) : null,
+        tempC: h?.temperature_2m?.[idx] ?? null,
         precipPct: h?.precipitation_probability?.[idx] ?? null,
-        windMph: h?.windspeed_10m?.[idx] != null ? Math.round(h.windspeed_10m[idx] * 0.621371) : null,
+        windKmh: h?.windspeed_10m?.[idx] ?? null,
         cloud: h?.cloudcover?.[idx] ?? null,
       });
     }
@@ -317,9 +315,9 @@ async function fetchPillData(pillPoints, includeAqi, includeEnsemble) {
       const vals = memberKeys.map((k) => eLoc.hourly[k]?.[hourIndex]).filter((v) => v != null);
       if (vals.length > 1) {
         ensembleRange = {
-          minF: Math.round((Math.min(...vals) * 9/5) + 32),
-          maxF: Math.round((Math.max(...vals) * 9/5) + 32),
-          spreadF: Math.round(((Math.max(...vals) - Math.min(...vals)) * 9/5)),
+          minC: Math.min(...vals),
+          maxC: Math.max(...vals),
+          spreadC: Math.max(...vals) - Math.min(...vals),
           members: vals.length,
           confidence: vals.length > 0
             ? (Math.max(...vals) - Math.min(...vals)) < 2 ? "High"
@@ -335,16 +333,16 @@ async function fetchPillData(pillPoints, includeAqi, includeEnsemble) {
       lat: pillPoints[i].lat, lon: pillPoints[i].lon,
       label: pillPoints[i].label, kind: pillPoints[i].kind, tempC,
       current: {
-        tempF: tempC != null ? Math.round((tempC * 9) / 5 + 32) : null,
+        tempC,
         precipPct: h?.precipitation_probability?.[hourIndex] ?? null,
-        windMph: h?.windspeed_10m?.[hourIndex] != null ? Math.round(h.windspeed_10m[hourIndex] * 0.621371) : null,
+        windKmh: h?.windspeed_10m?.[hourIndex] ?? null,
         cloud: h?.cloudcover?.[hourIndex] ?? null,
         aqi: currentAqi,
         aqiCat: currentAqi != null ? aqiCategory(currentAqi) : null,
       },
       daily: {
-        highF: highC != null ? Math.round((highC * 9) / 5 + 32) : null,
-        lowF:  lowC  != null ? Math.round((lowC  * 9) / 5 + 32) : null,
+        highC,
+        lowC,
       },
       hours, ensembleRange,
     };
@@ -493,7 +491,7 @@ function TrailUncertaintyBand({ selectedTrack, ensembleSpread, visible }) {
 
 // ─── Pill icon ────────────────────────────────────────────────────────────────
 
-function makePillIcon(pill, activeLayer) {
+function makePillIcon(pill, activeLayer, units) {
   const isTrail = pill.kind?.startsWith("trail");
 
   let bgCss, textColor, labelText;
@@ -510,7 +508,7 @@ function makePillIcon(pill, activeLayer) {
     bgCss = css;
     const lum = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
     textColor = lum > 0.55 ? "rgba(0,0,0,0.85)" : "#fff";
-    labelText = pill.current.tempF != null ? `${pill.current.tempF}°F` : "—";
+    labelText = pill.current.tempC != null ? `${Math.round(celsiusToDisplay(pill.current.tempC, units))}${unitLabels(units).temperature}` : "—";
   }
 
   const border = isTrail ? "2px solid rgba(90,184,135,0.95)" : "1.5px solid rgba(255,255,255,0.3)";
@@ -524,8 +522,9 @@ function makePillIcon(pill, activeLayer) {
 
 // ─── Pill popup ───────────────────────────────────────────────────────────────
 
-function PillPopup({ pill }) {
+function PillPopup({ pill, units }) {
   const { label, kind, current, daily, hours, ensembleRange } = pill;
+  const labels = unitLabels(units);
   const kindLabel = kind === "trail-start" ? "Trail Start" : kind === "trail-mid" ? "Trail Midpoint" : kind === "trail-end" ? "Trail End" : null;
   const skyIcon = (pct) => pct == null ? "—" : pct < 20 ? "☀️" : pct < 50 ? "⛅" : pct < 80 ? "🌥️" : "☁️";
   const confidenceColor = { High: "#5ab887", Medium: "#f5a623", Low: "#e05252" };
@@ -541,11 +540,11 @@ function PillPopup({ pill }) {
       <div style={{ display: "grid", gridTemplateColumns: "1fr 1fr", gap: "5px 12px", background: "rgba(0,0,0,0.04)", borderRadius: 8, padding: "8px 10px", marginBottom: 8 }}>
         <div>
           <div style={{ fontSize: 9, color: "#999", textTransform: "uppercase", letterSpacing: "0.07em" }}>Now</div>
-          <div style={{ fontSize: 22, fontWeight: 800, color: "#111", lineHeight: 1.1 }}>{current.tempF != null ? `${current.tempF}°F` : "—"}</div>
+          <div style={{ fontSize: 22, fontWeight: 800, color: "#111", lineHeight: 1.1 }}>{current.tempC != null ? `${Math.round(celsiusToDisplay(current.tempC, units))}${labels.temperature}` : "—"}</div>
         </div>
         <div>
           <div style={{ fontSize: 9, color: "#999", textTransform: "uppercase", letterSpacing: "0.07em" }}>H / L today</div>
-          <div style={{ fontSize: 13, fontWeight: 700, color: "#333", marginTop: 2 }}>{daily.highF != null ? `${daily.highF}°` : "—"} / {daily.lowF != null ? `${daily.lowF}°` : "—"}</div>
+          <div style={{ fontSize: 13, fontWeight: 700, color: "#333", marginTop: 2 }}>{daily.highC != null ? `${Math.round(celsiusToDisplay(daily.highC, units))}°` : "—"} / {daily.lowC != null ? `${Math.round(celsiusToDisplay(daily.lowC, units))}°` : "—"}</div>
         </div>
         <div>
           <div style={{ fontSize: 9, color: "#999", textTransform: "uppercase", letterSpacing: "0.07em" }}>Rain chance</div>
@@ -553,7 +552,7 @@ function PillPopup({ pill }) {
         </div>
         <div>
           <div style={{ fontSize: 9, color: "#999", textTransform: "uppercase", letterSpacing: "0.07em" }}>Wind</div>
-          <div style={{ fontSize: 13, fontWeight: 600, color: "#555", marginTop: 2 }}>{current.windMph != null ? `${current.windMph} mph` : "—"}</div>
+          <div style={{ fontSize: 13, fontWeight: 600, color: "#555", marginTop: 2 }}>{current.windKmh != null ? `${Math.round(kmhToDisplay(current.windKmh, units))} ${labels.speed}` : "—"}</div>
         </div>
         <div>
           <div style={{ fontSize: 9, color: "#999", textTransform: "uppercase", letterSpacing: "0.07em" }}>Sky</div>
@@ -579,11 +578,11 @@ function PillPopup({ pill }) {
           <div style={{ display: "flex", alignItems: "center", gap: 8 }}>
             <div style={{ flex: 1 }}>
               <div style={{ fontSize: 11, color: "#555" }}>Range</div>
-              <div style={{ fontSize: 14, fontWeight: 800, color: "#333" }}>{ensembleRange.minF}° – {ensembleRange.maxF}°F</div>
+              <div style={{ fontSize: 14, fontWeight: 800, color: "#333" }}>{Math.round(celsiusToDisplay(ensembleRange.minC, units))}° – {Math.round(celsiusToDisplay(ensembleRange.maxC, units))}{labels.temperature}</div>
             </div>
             <div style={{ flex: 1 }}>
               <div style={{ fontSize: 11, color: "#555" }}>Spread</div>
-              <div style={{ fontSize: 14, fontWeight: 800, color: "#333" }}>{ensembleRange.spreadF}°F</div>
+              <div style={{ fontSize: 14, fontWeight: 800, color: "#333" }}>{Math.round(celsiusChangeToDisplay(ensembleRange.spreadC, units))}{labels.temperature}</div>
             </div>
             <div style={{ textAlign: "center" }}>
               <div style={{ fontSize: 9, color: "#999" }}>Confidence</div>
@@ -601,9 +600,9 @@ function PillPopup({ pill }) {
         {hours.map((h, i) => (
           <div key={i} style={{ flex: "1 1 0", background: i === 0 ? "rgba(90,184,135,0.1)" : "rgba(0,0,0,0.04)", border: i === 0 ? "1px solid rgba(90,184,135,0.3)" : "1px solid transparent", borderRadius: 6, padding: "4px 3px", textAlign: "center" }}>
             <div style={{ fontSize: 8, color: "#bbb", marginBottom: 2 }}>{h.time}</div>
-            <div style={{ fontSize: 11, fontWeight: 700, color: "#111" }}>{h.tempF != null ? `${h.tempF}°` : "—"}</div>
+            <div style={{ fontSize: 11, fontWeight: 700, color: "#111" }}>{h.tempC != null ? `${Math.round(celsiusToDisplay(h.tempC, units))}°` : "—"}</div>
             <div style={{ fontSize: 8, color: "#4a90d9", marginTop: 1 }}>{h.precipPct != null ? `${h.precipPct}%` : ""}</div>
-            <div style={{ fontSize: 8, color: "#888" }}>{h.windMph != null ? `${h.windMph}mph` : ""}</div>
+            <div style={{ fontSize: 8, color: "#888" }}>{h.windKmh != null ? `${Math.round(kmhToDisplay(h.windKmh, units))}${labels.speed}` : ""}</div>
           </div>
         ))}
       </div>
@@ -614,14 +613,14 @@ function PillPopup({ pill }) {
 
 // ─── Temp pills layer ─────────────────────────────────────────────────────────
 
-function TempPills({ visible, pillData, activeLayer }) {
+function TempPills({ visible, pillData, activeLayer, units }) {
   if (!visible || !pillData?.length) return null;
   return (
     <>
       {pillData.map((pill, i) => (
         <Marker key={`pill-${i}-${pill.label}-${pill.kind}`} position={[pill.lat, pill.lon]}
-          icon={makePillIcon(pill, activeLayer)} zIndexOffset={pill.kind?.startsWith("trail") ? 600 : 100}>
-          <Popup minWidth={230} maxWidth={270}><PillPopup pill={pill} /></Popup>
+          icon={makePillIcon(pill, activeLayer, units)} zIndexOffset={pill.kind?.startsWith("trail") ? 600 : 100}>
+          <Popup minWidth={230} maxWidth={270}><PillPopup pill={pill} units={units} /></Popup>
         </Marker>
       ))}
     </>
@@ -649,7 +648,7 @@ function AqiChips() {
 
 // ─── Legend ───────────────────────────────────────────────────────────────────
 
-function WeatherLegend({ activeLayer, opacity, showEnsemble }) {
+function WeatherLegend({ activeLayer, opacity, showEnsemble, units }) {
   const scale = SCALES[activeLayer];
   if (!scale) return null;
   const stops = scale.stops;
@@ -670,8 +669,8 @@ function WeatherLegend({ activeLayer, opacity, showEnsemble }) {
       <span style={{ color: "rgba(255,255,255,0.7)", fontSize: 11, fontWeight: 600, letterSpacing: "0.08em", textTransform: "uppercase" }}>{scale.label}</span>
       <div style={{ width: "100%", height: 10, borderRadius: 5, background: `linear-gradient(to right, ${grad})`, opacity }} />
       <div style={{ display: "flex", justifyContent: "space-between", width: "100%" }}>
-        <span style={{ color: "rgba(255,255,255,0.55)", fontSize: 10 }}>{scale.legendFmt(stops[0][0])}</span>
-        <span style={{ color: "rgba(255,255,255,0.55)", fontSize: 10 }}>{scale.legendFmt(stops[stops.length - 1][0])}</span>
+        <span style={{ color: "rgba(255,255,255,0.55)", fontSize: 10 }}>{scale.legendFmt(stops[0][0], units)}</span>
+        <span style={{ color: "rgba(255,255,255,0.55)", fontSize: 10 }}>{scale.legendFmt(stops[stops.length - 1][0], units)}</span>
       </div>
       {activeLayer === "aqi" && <AqiChips />}
       {showEnsemble && (
@@ -805,7 +804,8 @@ function WeatherControls({
 
 // ─── Main export ──────────────────────────────────────────────────────────────
 
-export default function WeatherLayer({ selectedTrack }) {
+// `activeLayer` may be controlled by the parent (URL state); otherwise local
+export default function WeatherLayer({ selectedTrack, activeLayer: controlledLayer, onActiveLayerChange, units }) {
   const map = useMap();
   const weatherCanvasRef  = useRef(null);
   const ensembleCanvasRef = useRef(null);
@@ -813,7 +813,7 @@ export default function WeatherLayer({ selectedTrack }) {
   const [visible,        setVisible]        = useState(true);
   const [showPills,      setShowPills]      = useState(true);
   const [showEnsemble,   setShowEnsemble]   = useState(false);
-  const [activeLayer,    setActiveLayer]    = useState("temperature");
+  const [localLayer,     setLocalLayer]     = useState("temperature");
   const [opacity,        setOpacity]        = useState(0.05);
   const [gridSize,       setGridSize]       = useState(5);
   const [weatherData,    setWeatherData]    = useState(null);
@@ -823,6 +823,9 @@ export default function WeatherLayer({ selectedTrack }) {
   const [error,          setError]          = useState(null);
   const [lastUpdated,    setLastUpdated]    = useState(null);
 
+  const activeLayer    = controlledLayer ?? localLayer;
+  const setActiveLayer = onActiveLayerChange ?? setLocalLayer;
+
   const buildGrid = useCallback(() => {
     const b = map.getBounds(); const points = [];
     for (let row = 0; row < gridSize; row++) for (let col = 0; col < gridSize; col++)
@@ -940,7 +943,7 @@ export default function WeatherLayer({ selectedTrack }) {
       <TrailUncertaintyBand selectedTrack={selectedTrack} ensembleSpread={ensembleSpread} visible={visible && showEnsemble} />
 
       {/* Temp / AQI pills */}
-      <TempPills visible={visible && showPills} pillData={pillData} activeLayer={activeLayer} />
+      <TempPills visible={visible && showPills} pillData={pillData} activeLayer={activeLayer} units={units} />
 
       {/* Controls + legend */}
       <div style={{ position: "absolute", inset: 0, pointerEvents: "none", zIndex: 1000 }}>
@@ -955,7 +958,7 @@ export default function WeatherLayer({ selectedTrack }) {
             showEnsemble={showEnsemble} setShowEnsemble={setShowEnsemble}
           />
         </div>
-        {visible && <WeatherLegend activeLayer={activeLayer} opacity={Math.min(opacity + 0.2, 1)} showEnsemble={showEnsemble} />}
+        {visible && <WeatherLegend activeLayer={activeLayer} opacity={Math.min(opacity + 0.2, 1)} showEnsemble={showEnsemble} units={units} />}
       </div>
     </>
   );
@@ -0,0 +1,111 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import {
+  addFix,
+  newRecording,
+  pauseRecording,
+  recordingToFeature,
+  resumeRecording,
+  RECORDING_STATUS,
+} from '../lib/activityRecorder';
+import {
+  appendRecordingPoint,
+  deleteRecording,
+  loadActiveRecording,
+  saveRecording,
+} from '../lib/trackStore';
+
+const persist = (promise) =>
+  promise.catch((error) => console.warn('Failed to save the recording:', error));
+
+/**
+ * useActivityRecorder
+ *
+ * Records the GPS position from useGeolocation as a breadcrumb
+ * (lib/activityRecorder). Every kept fix is written to IndexedDB, and an
+ * unfinished recording is picked up again after a reload.
+ * `startGps` is called whenever recording starts or resumes, including a
+ * restored recording that was running.
+ *
+ * Returns { recording, start, pause, resume, finish, discard }.
+ * finish(save) hands the recorded GeoJSON feature to `save` and deletes the
+ * recording only once that resolves, so a failed save (or a reload midway)
+ * leaves it to be restored. It resolves to the feature, or null without
+ * calling `save` when the recording is too short to keep.
+ */
+export default function useActivityRecorder(position, { startGps } = {}) {
+  const [recording, setRecording] = useState(null);
+  const recordingRef = useRef(null);
+  const startGpsRef = useRef(startGps);
+  startGpsRef.current = startGps;
+
+  const update = useCallback((next) => {
+    recordingRef.current = next;
+    setRecording(next);
+  }, []);
+
+  // Pick up where a reload left off
+  useEffect(() => {
+    let cancelled = false;
+    loadActiveRecording().then((restored) => {
+      if (cancelled || !restored || recordingRef.current) return;
+      update(restored);
+      if (restored.status === RECORDING_STATUS.RECORDING) startGpsRef.current?.();
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [update]);
+
+  useEffect(() => {
+    const current = recordingRef.current;
+    if (!current || !position) return;
+
+    const { recording: next, point } = addFix(current, position);
+    if (next === current) return;
+    update(next);
+    if (point) persist(appendRecordingPoint(next.id, point));
+    persist(saveRecording(next));
+  }, [position, update]);
+
+  const start = useCallback(() => {
+    const next = newRecording();
+    update(next);
+    persist(saveRecording(next));
+    startGpsRef.current?.();
+  }, [update]);
+
+  const pause = useCallback(() => {
+    if (!recordingRef.current) return;
+    const next = pauseRecording(recordingRef.current);
+    update(next);
+    persist(saveRecording(next));
+  }, [update]);
+
+  const resume = useCallback(() => {
+    if (!recordingRef.current) return;
+    const next = resumeRecording(recordingRef.current);
+    update(next);
+    persist(saveRecording(next));
+    startGpsRef.current?.();
+  }, [update]);
+
+  const discard = useCallback(async () => {
+    const current = recordingRef.current;
+    update(null);
+    if (current) await persist(deleteRecording(current.id));
+  }, [update]);
+
+  const finish = useCallback(
+    async (save) => {
+      const current = recordingRef.current;
+      const feature = current && recordingToFeature(current);
+      if (!feature) return null;
+      await save(feature);
+      await discard();
+      return feature;
+    },
+    [discard],
+  );
+
+  return { recording, start, pause, resume, finish, discard };
+}
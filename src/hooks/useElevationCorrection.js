@@ -0,0 +1,40 @@
+import { useState, useEffect } from 'react';
+import { correctElevations, getDemConfig, getElevationService } from '../lib/elevationService';
+
+const DEM = getDemConfig(import.meta.env);
+
+/**
+ * useElevationCorrection
+ *
+ * DEM elevations for a track's coordinates (lib/elevationService), looked up
+ * only while `enabled`. Missing heights are filled; with replace = true every
+ * point takes the DEM height.
+ *
+ * Returns { status: 'idle' | 'loading' | 'ready' | 'error', coordinates, missing, error }.
+ */
+export default function useElevationCorrection(coords, { enabled = true, replace = true } = {}) {
+  const [result, setResult] = useState({ status: 'idle', coordinates: null, missing: 0, error: null });
+
+  useEffect(() => {
+    if (!enabled || !coords?.length) {
+      setResult({ status: 'idle', coordinates: null, missing: 0, error: null });
+      return;
+    }
+
+    let cancelled = false;
+    setResult({ status: 'loading', coordinates: null, missing: 0, error: null });
+    correctElevations(coords, getElevationService(DEM), { mode: replace ? 'replace' : 'fill' })
+      .then(({ coordinates, missing }) => {
+        if (!cancelled) setResult({ status: 'ready', coordinates, missing, error: null });
+      })
+      .catch((error) => {
+        console.warn('DEM elevation lookup failed:', error);
+        if (!cancelled) setResult({ status: 'error', coordinates: null, missing: 0, error: error.message });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [coords, enabled, replace]);
+
+  return result;
+}
@@ -0,0 +1,78 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { feetToMeters, navigationStatus, prepareRoute, updateOffRoute } from '../lib/navigation';
+
+// Two short vibrations and a two-tone beep
+function alertOffRoute(audioRef) {
+  navigator.vibrate?.([300, 150, 300]);
+
+  try {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return;
+    audioRef.current ??= new AudioContext();
+    const ctx = audioRef.current;
+    ctx.resume?.();
+    [880, 660].forEach((frequency, i) => {
+      const start = ctx.currentTime + i * 0.25;
+      const osc = ctx.createOscillator();
+      const gain = ctx.createGain();
+      osc.frequency.value = frequency;
+      gain.gain.setValueAtTime(0.3, start);
+      gain.gain.exponentialRampToValueAtTime(0.001, start + 0.2);
+      osc.connect(gain).connect(ctx.destination);
+      osc.start(start);
+      osc.stop(start + 0.2);
+    });
+  } catch (error) {
+    console.warn('Off-route beep failed:', error);
+  }
+}
+
+/**
+ * useNavigation
+ *
+ * Relates the GPS position to the track while navigating (lib/navigation):
+ * snaps each fix to the track, reports progress, and vibrates/beeps when the
+ * position drifts more than `offRouteFt` off the track. Markers follow
+ * `units` (mile or km markers); the climb left uses the gain algorithm in
+ * `elevationOptions`.
+ * Pass track = null to stop.
+ *
+ * Returns null, or navigationStatus() plus { offRoute: bool }.
+ */
+export default function useNavigation(track, position, { offRouteFt, peaks = [], units, elevationOptions } = {}) {
+  const [status, setStatus] = useState(null);
+  const route = useMemo(
+    () => (track ? prepareRoute(track, { peaks, units, elevationOptions }) : null),
+    [track, peaks, units, elevationOptions],
+  );
+  const nearRef = useRef(null);
+  const offRouteRef = useRef(null);
+  const audioRef = useRef(null);
+
+  // New route (or stopped): start from scratch
+  useEffect(() => {
+    nearRef.current = null;
+    offRouteRef.current = null;
+    setStatus(null);
+  }, [route]);
+
+  useEffect(() => {
+    if (!route || !position) return;
+
+    const next = navigationStatus(route, position, { near: nearRef.current });
+    const offRoute = updateOffRoute(
+      offRouteRef.current,
+      { offset: next.offset, accuracy: position.accuracy },
+      { thresholdMeters: feetToMeters(offRouteFt) },
+    );
+    nearRef.current = next.distance;
+    offRouteRef.current = offRoute;
+    if (offRoute.alert) alertOffRoute(audioRef);
+
+    setStatus({ ...next, offRoute: offRoute.offRoute });
+  }, [route, position, offRouteFt]);
+
+  useEffect(() => () => audioRef.current?.close?.(), []);
+
+  return route ? status : null;
+}
@@ -0,0 +1,55 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { fetchRouteForecast, riskSegments, sampleRoute } from '../lib/routeForecast';
+
+/**
+ * useRouteForecast
+ *
+ * Samples the selected track (lib/routeForecast) and fetches the forecast at
+ * each sample's predicted arrival. Refetches when the track, pace settings
+ * or options change, and on refresh().
+ *
+ * Returns { status: 'idle' | 'loading' | 'ready' | 'error', samples, segments, error, refresh }
+ */
+export default function useRouteForecast(track, paceSettings, options) {
+  const [state, setState] = useState({ status: 'idle', samples: [], error: null });
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  const samples = useMemo(
+    () =>
+      track?.geometry
+        ? sampleRoute(track, { settings: paceSettings, interval: options.interval, day: options.day })
+        : [],
+    // refreshKey re-resolves an empty start time ("now")
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [track, paceSettings, options.interval, options.day, refreshKey],
+  );
+
+  useEffect(() => {
+    if (samples.length === 0) {
+      setState({ status: 'idle', samples: [], error: null });
+      return;
+    }
+
+    const controller = new AbortController();
+    setState({ status: 'loading', samples: [], error: null });
+
+    fetchRouteForecast(samples, { signal: controller.signal })
+      .then((forecast) => setState({ status: 'ready', samples: forecast, error: null }))
+      .catch((error) => {
+        if (error.name === 'AbortError') return;
+        console.error('Route forecast error:', error);
+        setState({ status: 'error', samples: [], error: error.message });
+      });
+
+    return () => controller.abort();
+  }, [samples]);
+
+  const segments = useMemo(
+    () => (track?.geometry && state.status === 'ready' ? riskSegments(track, state.samples) : []),
+    [track, state],
+  );
+
+  const refresh = useCallback(() => setRefreshKey((k) => k + 1), []);
+
+  return { ...state, segments, refresh };
+}
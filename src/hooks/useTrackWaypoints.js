@@ -0,0 +1,55 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { normalizeStations, stationsFromFeature } from '../lib/waypoints';
+
+const STORAGE_KEY = 'trackWaypoints';
+
+function loadStored() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * useTrackWaypoints
+ *
+ * Aid stations and other race waypoints (lib/waypoints) for `track`. Until
+ * they're edited they come from the track's GPX waypoints; edits are stored
+ * in localStorage per track id (or name), and reset() goes back to the file.
+ *
+ * Returns { stations, edited, setStations, reset }
+ */
+export default function useTrackWaypoints(track) {
+  const [stored, setStored] = useState(loadStored);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(stored));
+  }, [stored]);
+
+  const key = track?.properties?.id || track?.properties?.name || null;
+  const edited = key != null && Array.isArray(stored[key]);
+
+  const stations = useMemo(
+    () => (edited ? normalizeStations(stored[key]) : stationsFromFeature(track)),
+    [track, key, edited, stored],
+  );
+
+  const setStations = useCallback(
+    (next) => {
+      if (key == null) return;
+      setStored((prev) => ({ ...prev, [key]: normalizeStations(next) }));
+    },
+    [key],
+  );
+
+  const reset = useCallback(() => {
+    if (key == null) return;
+    setStored((prev) => {
+      const { [key]: _removed, ...rest } = prev;
+      return rest;
+    });
+  }, [key]);
+
+  return { stations, edited, setStations, reset };
+}
@@ -0,0 +1,56 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { buildTrailGraph } from '../lib/trailGraph';
+
+/**
+ * useTrailNetwork
+ *
+ * Loads every manifest track through `loadTrack(stub)` and builds the trail
+ * graph the loop planner searches (lib/trailGraph). Nothing is fetched until
+ * `enabled`; the graph is kept while the manifest stays the same. Drawn,
+ * imported and recorded tracks are left out.
+ *
+ * Returns { status: 'idle' | 'loading' | 'ready' | 'error', graph, error }
+ */
+export default function useTrailNetwork(tracks, loadTrack, enabled) {
+  const [state, setState] = useState({ status: 'idle', graph: null, error: null, key: null });
+  const loadRef = useRef(loadTrack);
+  loadRef.current = loadTrack;
+
+  const manifestTracks = useMemo(
+    () => tracks.filter((t) => t.isStub || (t.geometry && !t.properties?.source)),
+    [tracks],
+  );
+  const key = manifestTracks.map((t) => t.properties.id).join('|');
+  // Read through a ref so other track updates (loading a track, renaming a
+  // local one) don't cancel and restart a network load for the same manifest
+  const manifestRef = useRef(manifestTracks);
+  manifestRef.current = manifestTracks;
+
+  useEffect(() => {
+    if (!enabled || !key || state.key === key) return;
+
+    let cancelled = false;
+    setState({ status: 'loading', graph: null, error: null, key: null });
+
+    Promise.all(manifestRef.current.map((t) => (t.isStub ? loadRef.current(t) : t)))
+      .then((features) => {
+        if (cancelled) return;
+        const loaded = features.filter(Boolean);
+        if (!loaded.length) throw new Error('No trails could be loaded');
+        setState({ status: 'ready', graph: buildTrailGraph(loaded), error: null, key });
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        console.error('Trail network error:', error);
+        setState({ status: 'error', graph: null, error: error.message, key: null });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+    // state.key is only read to skip a rebuild
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [enabled, key]);
+
+  return { status: state.status, graph: state.graph, error: state.error };
+}
@@ -0,0 +1,118 @@
+// Activity recording: GPS fixes from useGeolocation become a breadcrumb
+// track. Fixes with a poor accuracy circle are dropped, and points closer
+// than a few meters to the last one are skipped so standing still doesn't
+// pile up jitter. After a while without movement the recording auto-pauses
+// and only resumes once the position has clearly moved on.
+// Everything here is pure; useActivityRecorder persists the result in
+// IndexedDB (lib/trackStore) so a reload doesn't lose the activity.
+
+import { haversineDistance } from "../utils.js";
+import { METERS_PER_MILE } from "./units.js";
+
+export const RECORDING_STATUS = {
+  RECORDING: "recording",
+  PAUSED: "paused",
+};
+
+export const RECORDER_DEFAULTS = {
+  maxAccuracy: 30, // m; worse fixes are dropped
+  minDistance: 5, // m between recorded points
+  autoPauseSeconds: 60, // without moving minDistance
+  resumeDistance: 20, // m from the last point to leave auto-pause
+};
+
+export function newRecording(now = Date.now()) {
+  return {
+    id: `recording-${now}`,
+    startedAt: now,
+    status: RECORDING_STATUS.RECORDING,
+    autoPaused: false,
+    lastMoveAt: now,
+    distance: 0, // m
+    points: [], // { lat, lon, ele, time, accuracy }
+  };
+}
+
+function finite(value) {
+  const n = Number(value);
+  return value != null && Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Recording after a GPS fix ({ lat, lng, accuracy, altitude, timestamp }):
+ * { recording, point } where point is the new breadcrumb point, or null when
+ * the fix was dropped. The recording is only copied when something changed.
+ */
+export function addFix(recording, fix, options = {}) {
+  const { maxAccuracy, minDistance, autoPauseSeconds, resumeDistance } = { ...RECORDER_DEFAULTS, ...options };
+  const skip = { recording, point: null };
+  if (recording.status !== RECORDING_STATUS.RECORDING || !fix) return skip;
+  if (fix.accuracy != null && fix.accuracy > maxAccuracy) return skip;
+
+  const point = {
+    lat: fix.lat,
+    lon: fix.lng,
+    ele: finite(fix.altitude),
+    time: fix.timestamp ?? Date.now(),
+    accuracy: finite(fix.accuracy),
+  };
+  const last = recording.points[recording.points.length - 1];
+  if (!last) {
+    return { recording: { ...recording, lastMoveAt: point.time, points: [point] }, point };
+  }
+  if (point.time <= last.time) return skip;
+
+  const moved = haversineDistance(last.lat, last.lon, point.lat, point.lon) * METERS_PER_MILE;
+  const needed = recording.autoPaused ? Math.max(resumeDistance, point.accuracy ?? 0) : minDistance;
+  if (moved < needed) {
+    const idle = point.time - recording.lastMoveAt >= autoPauseSeconds * 1000;
+    return idle && !recording.autoPaused ? { recording: { ...recording, autoPaused: true }, point: null } : skip;
+  }
+
+  return {
+    recording: {
+      ...recording,
+      autoPaused: false,
+      lastMoveAt: point.time,
+      distance: recording.distance + moved,
+      points: [...recording.points, point],
+    },
+    point,
+  };
+}
+
+export function pauseRecording(recording) {
+  return { ...recording, status: RECORDING_STATUS.PAUSED, autoPaused: false };
+}
+
+// The gap while paused is not bridged by a point; the next fix starts afresh
+export function resumeRecording(recording, now = Date.now()) {
+  return { ...recording, status: RECORDING_STATUS.RECORDING, autoPaused: false, lastMoveAt: now };
+}
+
+export function recordingName(startedAt) {
+  const date = new Date(startedAt);
+  return `Activity ${date.toLocaleDateString(undefined, { month: "short", day: "numeric", year: "numeric" })} ${date.toLocaleTimeString(undefined, { hour: "numeric", minute: "2-digit" })}`;
+}
+
+/**
+ * The breadcrumb as a GeoJSON LineString feature with coordTimes, the shape
+ * GPX imports have, so processTrack derives moving/elapsed time from it.
+ * Null until there are two points.
+ */
+export function recordingToFeature(recording, { name = recordingName(recording.startedAt) } = {}) {
+  const { points } = recording;
+  if (points.length < 2) return null;
+  return {
+    type: "Feature",
+    properties: {
+      name,
+      recordedAt: recording.startedAt,
+      coordTimes: points.map((p) => new Date(p.time).toISOString()),
+    },
+    geometry: {
+      type: "LineString",
+      coordinates: points.map((p) => (p.ele == null ? [p.lon, p.lat] : [p.lon, p.lat, p.ele])),
+    },
+  };
+}
@@ -0,0 +1,204 @@
+// Time-based stats for recorded activities: elapsed vs moving time, stops,
+// per-mile splits and paces. Only meaningful for tracks with `coordTimes`
+// (GPX <time>, TCX/FIT/KML timestamps); planned routes return null.
+//
+// Splits break at the same cumulative haversine distances as getMileMarkers(),
+// so split N ends exactly at the "Mile N" (or "Km N") marker on the map. Grade-adjusted
+// pace uses the Crowell energy model behind calculateEquivalentFlatDistance().
+
+import { haversineDistance, calculateEnergyCost } from "../utils.js";
+import { FEET_PER_METER, METERS_PER_MILE, toDisplayPace, unitLabels } from "./units.js";
+
+// Slower than this (m/s, ~0.7 mph) counts as stopped
+export const STOP_SPEED_MPS = 0.3;
+
+// Stopped stretches shorter than this aren't listed as stops (still not moving time)
+export const MIN_STOP_SECONDS = 60;
+
+// coordTimes for the line getTrackCoordinates() returns; togeojson wrote one
+// array per line for MultiLineStrings
+export function getTrackTimes(track) {
+  const times = track?.properties?.coordTimes;
+  if (!Array.isArray(times) || times.length === 0) return null;
+  return Array.isArray(times[0]) ? times[0] : times;
+}
+
+function toMillis(value) {
+  if (value == null || value === "") return null;
+  const t = typeof value === "number" ? value : Date.parse(value);
+  return Number.isFinite(t) ? t : null;
+}
+
+function elevationAt(coord) {
+  const z = Number(coord?.[2]);
+  return Number.isFinite(z) ? z : null;
+}
+
+// Flat-ground miles that cost the same energy as this segment
+function equivalentFlatMiles(distMeters, elevChangeMeters) {
+  if (distMeters <= 0) return 0;
+  let slope = elevChangeMeters / distMeters;
+  slope = Math.max(-0.5, Math.min(0.5, slope));
+  const dist3D = Math.sqrt(distMeters ** 2 + elevChangeMeters ** 2);
+  return (calculateEnergyCost(slope) * dist3D) / calculateEnergyCost(0) / METERS_PER_MILE;
+}
+
+const pace = (seconds, miles) => (miles > 0 && seconds > 0 ? seconds / miles : null);
+
+function emptySplit(mile, startEle) {
+  return { mile, distance: 0, elapsedTime: 0, movingTime: 0, equivalent: 0, startEle, endEle: startEle };
+}
+
+function finishSplit(split) {
+  const { equivalent, startEle, endEle, ...rest } = split;
+  return {
+    ...rest,
+    pace: pace(split.movingTime, split.distance),
+    gradeAdjustedPace: pace(split.movingTime, equivalent),
+    elevationChange: startEle != null && endEle != null ? (endEle - startEle) * FEET_PER_METER : null,
+  };
+}
+
+/**
+ * Stats for a recorded track, or null when fewer than two points have
+ * usable timestamps. Times are seconds, distances miles, paces seconds
+ * per mile. Splits are `splitMiles` long (1, or a km from markerInterval).
+ *
+ * {
+ *   startTime, endTime,            ISO strings
+ *   elapsedTime, movingTime, stoppedTime,
+ *   distance, averagePace, gradeAdjustedPace, bestPace,
+ *   splits: [{ mile, distance, elapsedTime, movingTime, pace,
+ *              gradeAdjustedPace, elevationChange (ft) }],
+ *   stops:  [{ startIndex, endIndex, startTime, duration, position: [lat, lon] }],
+ * }
+ */
+export function computeActivityStats(coordinates, times, options = {}) {
+  const { stopSpeed = STOP_SPEED_MPS, minStopSeconds = MIN_STOP_SECONDS, splitMiles = 1 } = options;
+  if (!coordinates || coordinates.length < 2 || !Array.isArray(times)) return null;
+
+  const millis = coordinates.map((_, i) => toMillis(times[i]));
+  const timed = millis.filter((t) => t != null);
+  if (timed.length < 2) return null;
+
+  let firstTime = null;
+  let lastTime = null;
+  for (const t of millis) {
+    if (t == null) continue;
+    if (firstTime == null || t < firstTime) firstTime = t;
+    if (lastTime == null || t > lastTime) lastTime = t;
+  }
+
+  const splits = [];
+  const stops = [];
+  let split = emptySplit(1, elevationAt(coordinates[0]));
+  let totalDistance = 0;
+  let nextMile = 1;
+  let movingTime = 0;
+  let equivalentDistance = 0;
+  let stop = null;
+
+  const closeStop = () => {
+    if (stop && stop.duration >= minStopSeconds) {
+      const [lon, lat] = coordinates[stop.startIndex];
+      stops.push({
+        ...stop,
+        startTime: new Date(millis[stop.startIndex]).toISOString(),
+        position: [lat, lon],
+      });
+    }
+    stop = null;
+  };
+
+  for (let i = 1; i < coordinates.length; i++) {
+    const prev = coordinates[i - 1];
+    const curr = coordinates[i];
+    const dist = haversineDistance(prev[1], prev[0], curr[1], curr[0]);
+    const distMeters = dist * METERS_PER_MILE;
+
+    const prevEle = elevationAt(prev);
+    const currEle = elevationAt(curr);
+    const elevChange = prevEle != null && currEle != null ? currEle - prevEle : 0;
+
+    // Missing or out-of-order timestamps: the distance still counts, the time doesn't
+    const dt =
+      millis[i] != null && millis[i - 1] != null && millis[i] >= millis[i - 1]
+        ? (millis[i] - millis[i - 1]) / 1000
+        : 0;
+    const moving = dt === 0 ? dist > 0 : distMeters / dt >= stopSpeed;
+    const segMoving = moving ? dt : 0;
+
+    if (moving) {
+      closeStop();
+    } else {
+      if (!stop) stop = { startIndex: i - 1, endIndex: i, duration: 0 };
+      stop.endIndex = i;
+      stop.duration += dt;
+    }
+
+    movingTime += segMoving;
+    const segEquivalent = equivalentFlatMiles(distMeters, elevChange);
+    equivalentDistance += segEquivalent;
+
+    // Spread the segment over the splits it crosses, in proportion to distance
+    const add = (fraction) => {
+      split.distance += dist * fraction;
+      split.elapsedTime += dt * fraction;
+      split.movingTime += segMoving * fraction;
+      split.equivalent += segEquivalent * fraction;
+    };
+
+    totalDistance += dist;
+    let consumed = 0;
+    while (totalDistance >= nextMile * splitMiles) {
+      const ratio = 1 - (totalDistance - nextMile * splitMiles) / dist;
+      add(ratio - consumed);
+      consumed = ratio;
+      split.endEle = prevEle != null && currEle != null ? prevEle + (currEle - prevEle) * ratio : null;
+      splits.push(finishSplit(split));
+      split = emptySplit(nextMile + 1, split.endEle);
+      nextMile += 1;
+    }
+    add(1 - consumed);
+    split.endEle = currEle;
+  }
+  closeStop();
+
+  if (split.distance > 0) splits.push(finishSplit(split));
+
+  const elapsedTime = (lastTime - firstTime) / 1000;
+  const fullSplitPaces = splits
+    .filter((s) => s.distance >= 0.999 * splitMiles && s.pace != null)
+    .map((s) => s.pace);
+
+  return {
+    startTime: new Date(firstTime).toISOString(),
+    endTime: new Date(lastTime).toISOString(),
+    elapsedTime,
+    movingTime,
+    stoppedTime: Math.max(0, elapsedTime - movingTime),
+    distance: totalDistance,
+    averagePace: pace(movingTime, totalDistance),
+    gradeAdjustedPace: pace(movingTime, equivalentDistance),
+    bestPace: fullSplitPaces.length ? fullSplitPaces.reduce((a, b) => Math.min(a, b)) : null,
+    splits,
+    stops,
+  };
+}
+
+// 3725 -> "1:02:05", 754 -> "12:34"
+export function formatDuration(seconds) {
+  if (seconds == null || !Number.isFinite(seconds)) return "—";
+  const total = Math.round(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = total % 60;
+  const pad = (n) => String(n).padStart(2, "0");
+  return h > 0 ? `${h}:${pad(m)}:${pad(s)}` : `${m}:${pad(s)}`;
+}
+
+// Seconds per mile -> "12:34 /mi", or per km for metric units
+export function formatPace(secondsPerMile, units) {
+  if (secondsPerMile == null || !Number.isFinite(secondsPerMile)) return "—";
+  return `${formatDuration(toDisplayPace(secondsPerMile, units))} /${unitLabels(units).distance}`;
+}
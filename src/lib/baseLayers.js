@@ -0,0 +1,68 @@
+// The 2D map's base layers, shared by the layer switcher in Map and the
+// offline tile downloader so both request exactly the same tile URLs (the
+// service worker caches by URL, so a downloaded tile is only used if the
+// map asks for it byte for byte).
+
+// Polite bulk-download limits per provider: tiles per batch and the pause
+// between batches. OSM-run servers ask for very little bulk traffic.
+// `tileKB` is a typical PNG size for the download estimate.
+const LAYERS = [
+  {
+    id: "osm",
+    name: "OSM Standard",
+    attribution: "© OpenStreetMap contributors",
+    url: "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png",
+    subdomains: "abc",
+    maxZoom: 19,
+    tileKB: 25,
+    rateLimit: { batchSize: 2, delayMs: 1000 },
+  },
+  {
+    id: "cyclosm",
+    name: "CyclOSM",
+    attribution: "© OpenStreetMap contributors · CyclOSM",
+    url: "https://{s}.tile-cyclosm.openstreetmap.fr/cyclosm/{z}/{x}/{y}.png",
+    subdomains: "abc",
+    maxZoom: 20,
+    tileKB: 35,
+    rateLimit: { batchSize: 2, delayMs: 1000 },
+  },
+  {
+    id: "thunderforest",
+    name: "Cycle Map (Thunderforest)",
+    attribution: "Maps © Thunderforest · Data © OpenStreetMap contributors",
+    url: "https://tile.thunderforest.com/cycle/{z}/{x}/{y}.png?apikey={key}",
+    keyEnv: "VITE_THUNDERFOREST_API_KEY",
+    maxZoom: 22,
+    tileKB: 30,
+    rateLimit: { batchSize: 6, delayMs: 250 },
+  },
+  {
+    id: "tracestrack",
+    name: "Tracestrack Topo",
+    attribution: "© OpenStreetMap contributors · Tracestrack",
+    url: "https://tile.tracestrack.com/topo__/{z}/{x}/{y}.png?key={key}",
+    keyEnv: "VITE_TRACESTRACK_API_KEY",
+    maxZoom: 19,
+    tileKB: 40,
+    rateLimit: { batchSize: 4, delayMs: 500 },
+  },
+];
+
+/**
+ * Base layers usable with the given env (import.meta.env): layers that need
+ * an API key are left out when it isn't set, and get it filled in otherwise.
+ */
+export function getBaseLayers(env = {}) {
+  return LAYERS.filter((layer) => !layer.keyEnv || env[layer.keyEnv]).map((layer) => ({
+    ...layer,
+    url: layer.keyEnv ? layer.url.replace("{key}", env[layer.keyEnv]) : layer.url,
+  }));
+}
+
+// Leaflet's TileLayer picks {s} as subdomains[|x + y| % n]; matching it keeps cache keys identical
+export function tileUrl(layer, { x, y, z }) {
+  const subdomains = layer.subdomains || "";
+  const s = subdomains.length ? subdomains[Math.abs(x + y) % subdomains.length] : "";
+  return layer.url.replace("{s}", s).replace("{z}", z).replace("{x}", x).replace("{y}", y);
+}
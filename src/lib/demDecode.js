@@ -0,0 +1,221 @@
+// Decoders for DEM tiles, shared by the browser and the Node scripts.
+// Both return an elevation grid { width, height, values (Float32Array, m,
+// row-major from the top-left), nodata }:
+//  - Terrarium PNG: RGB-encoded heights (R * 256 + G + B / 256 - 32768)
+//  - GeoTIFF: one band of int/uint/float samples, uncompressed or
+//    deflate-compressed, in strips or tiles (no BigTIFF, LZW or JPEG)
+// Compressed data goes through DecompressionStream, which both have.
+
+export async function inflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// ---- Terrarium PNG ----
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+const PNG_CHANNELS = { 0: 1, 2: 3, 4: 2, 6: 4 }; // gray, RGB, gray+alpha, RGBA
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+// 8-bit, non-interlaced PNG -> { width, height, channels, pixels }
+export async function decodePng(bytes) {
+  const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  if (!PNG_SIGNATURE.every((b, i) => data[i] === b)) throw new Error("Not a PNG file");
+
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  let header = null;
+  const idat = [];
+  for (let offset = 8; offset < data.length; ) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...data.subarray(offset + 4, offset + 8));
+    const body = data.subarray(offset + 8, offset + 8 + length);
+    if (type === "IHDR") {
+      header = {
+        width: view.getUint32(offset + 8),
+        height: view.getUint32(offset + 12),
+        bitDepth: body[8],
+        colorType: body[9],
+        interlace: body[12],
+      };
+    } else if (type === "IDAT") {
+      idat.push(body);
+    } else if (type === "IEND") {
+      break;
+    }
+    offset += 12 + length;
+  }
+
+  const channels = PNG_CHANNELS[header?.colorType];
+  if (!header || header.bitDepth !== 8 || !channels || header.interlace !== 0) {
+    throw new Error("Unsupported PNG (needs 8-bit, non-interlaced, no palette)");
+  }
+
+  const compressed = new Uint8Array(idat.reduce((n, chunk) => n + chunk.length, 0));
+  idat.reduce((offset, chunk) => (compressed.set(chunk, offset), offset + chunk.length), 0);
+  const raw = await inflate(compressed);
+
+  const { width, height } = header;
+  const stride = width * channels;
+  const pixels = new Uint8Array(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const src = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const row = y * stride;
+    for (let i = 0; i < stride; i++) {
+      const left = i >= channels ? pixels[row + i - channels] : 0;
+      const up = y > 0 ? pixels[row - stride + i] : 0;
+      const upLeft = y > 0 && i >= channels ? pixels[row - stride + i - channels] : 0;
+      const predicted =
+        filter === 1 ? left
+        : filter === 2 ? up
+        : filter === 3 ? (left + up) >> 1
+        : filter === 4 ? paeth(left, up, upLeft)
+        : 0;
+      pixels[row + i] = (src[i] + predicted) & 0xff;
+    }
+  }
+  return { width, height, channels, pixels };
+}
+
+export async function decodeTerrarium(bytes) {
+  const { width, height, channels, pixels } = await decodePng(bytes);
+  if (channels < 3) throw new Error("Terrarium tiles are RGB");
+  const values = new Float32Array(width * height);
+  for (let i = 0; i < values.length; i++) {
+    const p = i * channels;
+    values[i] = pixels[p] * 256 + pixels[p + 1] + pixels[p + 2] / 256 - 32768;
+  }
+  return { width, height, values, nodata: null };
+}
+
+// ---- GeoTIFF ----
+
+const TIFF_TAGS = {
+  width: 256,
+  height: 257,
+  bitsPerSample: 258,
+  compression: 259,
+  stripOffsets: 273,
+  samplesPerPixel: 277,
+  rowsPerStrip: 278,
+  stripByteCounts: 279,
+  predictor: 317,
+  tileWidth: 322,
+  tileLength: 323,
+  tileOffsets: 324,
+  tileByteCounts: 325,
+  sampleFormat: 339,
+  nodata: 42113, // GDAL_NODATA, ASCII
+};
+const TIFF_TYPE_SIZE = { 1: 1, 2: 1, 3: 2, 4: 4, 6: 1, 7: 1, 8: 2, 9: 4, 11: 4, 12: 8 };
+
+function readTiffTags(view, little) {
+  const ifd = view.getUint32(4, little);
+  const count = view.getUint16(ifd, little);
+  const tags = {};
+  for (let i = 0; i < count; i++) {
+    const entry = ifd + 2 + i * 12;
+    const tag = view.getUint16(entry, little);
+    const type = view.getUint16(entry + 2, little);
+    const n = view.getUint32(entry + 4, little);
+    const size = TIFF_TYPE_SIZE[type] ?? 1;
+    const at = n * size > 4 ? view.getUint32(entry + 8, little) : entry + 8;
+
+    const values = [];
+    for (let k = 0; k < n; k++) {
+      const o = at + k * size;
+      values.push(
+        type === 3 ? view.getUint16(o, little)
+        : type === 4 ? view.getUint32(o, little)
+        : type === 8 ? view.getInt16(o, little)
+        : type === 9 ? view.getInt32(o, little)
+        : type === 11 ? view.getFloat32(o, little)
+        : type === 12 ? view.getFloat64(o, little)
+        : view.getUint8(o),
+      );
+    }
+    tags[tag] = type === 2 ? String.fromCharCode(...values).replace(/\0+$/, "") : values;
+  }
+  return tags;
+}
+
+function sampleReader(view, little, bits, format) {
+  if (format === 3 && bits === 32) return (o) => view.getFloat32(o, little);
+  if (format === 3 && bits === 64) return (o) => view.getFloat64(o, little);
+  if (format === 2 && bits === 16) return (o) => view.getInt16(o, little);
+  if (format === 2 && bits === 32) return (o) => view.getInt32(o, little);
+  if (format === 1 && bits === 16) return (o) => view.getUint16(o, little);
+  if (format === 1 && bits === 32) return (o) => view.getUint32(o, little);
+  if (bits === 8) return format === 2 ? (o) => view.getInt8(o) : (o) => view.getUint8(o);
+  throw new Error(`Unsupported GeoTIFF samples (${bits}-bit, format ${format})`);
+}
+
+// Single-band GeoTIFF -> elevation grid; the georeferencing comes from the
+// tile's z/x/y, not from the file
+export async function decodeGeoTiff(bytes) {
+  const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const order = String.fromCharCode(data[0], data[1]);
+  const little = order === "II";
+  if ((order !== "II" && order !== "MM") || view.getUint16(2, little) !== 42) {
+    throw new Error("Not a (classic) TIFF file");
+  }
+
+  const tags = readTiffTags(view, little);
+  const get = (name, fallback) => tags[TIFF_TAGS[name]]?.[0] ?? fallback;
+  const width = get("width");
+  const height = get("height");
+  const bits = get("bitsPerSample", 8);
+  const compression = get("compression", 1);
+  const predictor = get("predictor", 1);
+  const samples = get("samplesPerPixel", 1);
+  if (![1, 8, 32946].includes(compression)) throw new Error(`Unsupported GeoTIFF compression ${compression}`);
+  if (predictor === 3 || predictor > 3) throw new Error("Unsupported GeoTIFF predictor");
+
+  const tiled = tags[TIFF_TAGS.tileOffsets] != null;
+  const blockWidth = tiled ? get("tileWidth") : width;
+  const blockHeight = tiled ? get("tileLength") : get("rowsPerStrip", height);
+  const offsets = tags[TIFF_TAGS[tiled ? "tileOffsets" : "stripOffsets"]];
+  const counts = tags[TIFF_TAGS[tiled ? "tileByteCounts" : "stripByteCounts"]];
+  const across = Math.ceil(width / blockWidth);
+  const bytesPerSample = bits / 8;
+  const pixelBytes = bytesPerSample * samples;
+
+  const values = new Float32Array(width * height);
+  for (let b = 0; b < offsets.length; b++) {
+    let block = data.subarray(offsets[b], offsets[b] + counts[b]);
+    if (compression !== 1) block = await inflate(block);
+    const blockView = new DataView(block.buffer, block.byteOffset, block.byteLength);
+    const read = sampleReader(blockView, little, bits, get("sampleFormat", 1));
+
+    const x0 = (b % across) * blockWidth;
+    const y0 = Math.floor(b / across) * blockHeight;
+    for (let y = 0; y < blockHeight && y0 + y < height; y++) {
+      let previous = 0;
+      for (let x = 0; x < blockWidth; x++) {
+        let value = read((y * blockWidth + x) * pixelBytes);
+        // Horizontal differencing: each sample is relative to its left neighbour
+        if (predictor === 2 && x > 0) value = wrapSample(previous + value, bits, get("sampleFormat", 1));
+        previous = value;
+        if (x0 + x < width) values[(y0 + y) * width + x0 + x] = value;
+      }
+    }
+  }
+
+  const nodata = Number.parseFloat(tags[TIFF_TAGS.nodata]);
+  return { width, height, values, nodata: Number.isFinite(nodata) ? nodata : null };
+}
+
+function wrapSample(value, bits, format) {
+  const range = 2 ** bits;
+  let wrapped = ((value % range) + range) % range;
+  if (format === 2 && wrapped >= range / 2) wrapped -= range;
+  return wrapped;
+}
@@ -0,0 +1,120 @@
+// Trail difficulty score and level, shared by scripts/generate-manifest.cjs
+// (through lib/trackManifest) and the app (drawn and imported tracks), so a
+// track gets the same rating everywhere. Two formulas:
+//  - points:     the default. Points for distance, gain and climb factor,
+//                plus extra points per mile spent on steep grades (the
+//                Sidebar's grade metrics bins), so a short, very steep trail
+//                rates above a long, gentle one with the same gain
+//  - shenandoah: the Shenandoah National Park rating,
+//                sqrt(gain (ft) × 2 × distance (mi)); distance and gain only
+// Each formula has its own level thresholds. The formula, its thresholds and
+// the points weights are configurable (getDifficultyConfig, and the
+// generator's --difficulty-formula / --difficulty-config).
+
+import { calculateClimbFactor, calculateDistance, calculateGradeMetrics } from "../utils.js";
+import { calculateElevationGain } from "./elevationStats.js";
+
+export const DIFFICULTY_LEVELS = [
+  { level: "easiest", label: "Easiest", color: "#5ab887" },
+  { level: "moderate", label: "Moderate", color: "#9bc53d" },
+  { level: "moderately-strenuous", label: "Moderately strenuous", color: "#e6b422" },
+  { level: "strenuous", label: "Strenuous", color: "#e07b39" },
+  { level: "very-strenuous", label: "Very strenuous", color: "#d64545" },
+];
+
+export const difficultyLevel = (level) => DIFFICULTY_LEVELS.find((l) => l.level === level) || null;
+
+export const DIFFICULTY_FORMULAS = {
+  points: {
+    label: "Points",
+    // Upper bounds of every level but the last
+    thresholds: [8, 15, 25, 40],
+    weights: {
+      perMile: 1,
+      per1000Ft: 2,
+      perClimbFactorPct: 0.1,
+      // Extra points per mile at each grade bin (lib/utils GRADE_BINS)
+      grade: { g10: 1, g15: 2, g20: 3, g25: 4, gmInf: 1 },
+    },
+    score: ({ distance, gain, climbFactor, gradeMiles }, w) =>
+      distance * w.perMile +
+      (gain / 1000) * w.per1000Ft +
+      (climbFactor ?? 0) * 100 * w.perClimbFactorPct +
+      Object.entries(w.grade).reduce((sum, [bin, perMile]) => sum + (gradeMiles?.[bin] ?? 0) * perMile, 0),
+  },
+  shenandoah: {
+    label: "Shenandoah",
+    thresholds: [50, 100, 150, 200],
+    weights: {},
+    score: ({ distance, gain }) => Math.sqrt(gain * 2 * distance),
+  },
+};
+
+export const DEFAULT_DIFFICULTY_FORMULA = "points";
+
+// Four increasing numbers, or null
+function parseThresholds(value) {
+  const list = typeof value === "string" ? value.split(",").map(Number) : value;
+  if (!Array.isArray(list) || list.length !== DIFFICULTY_LEVELS.length - 1) return null;
+  return list.every((t, i) => Number.isFinite(t) && (i === 0 || t > list[i - 1])) ? list : null;
+}
+
+/**
+ * { formula, thresholds, weights } with the formula's defaults filled in.
+ * `config` may give any of them; unknown formulas and bad thresholds fall
+ * back to the defaults, and points weights are merged one by one.
+ */
+export function resolveDifficultyConfig(config = {}) {
+  const formula = DIFFICULTY_FORMULAS[config.formula] ? config.formula : DEFAULT_DIFFICULTY_FORMULA;
+  const defaults = DIFFICULTY_FORMULAS[formula];
+  const weights = { ...defaults.weights, ...config.weights };
+  if (defaults.weights.grade) weights.grade = { ...defaults.weights.grade, ...config.weights?.grade };
+  return { formula, thresholds: parseThresholds(config.thresholds) || defaults.thresholds, weights };
+}
+
+/**
+ * Difficulty settings from Vite env vars, for tracks rated in the app:
+ *   VITE_DIFFICULTY_FORMULA     points | shenandoah
+ *   VITE_DIFFICULTY_THRESHOLDS  four level bounds, e.g. "8,15,25,40"
+ */
+export function getDifficultyConfig(env = {}) {
+  return resolveDifficultyConfig({
+    formula: env.VITE_DIFFICULTY_FORMULA,
+    thresholds: env.VITE_DIFFICULTY_THRESHOLDS,
+  });
+}
+
+// Miles in each grade bin, keyed like GRADE_BINS ({ g10: 1.2, ... })
+export function gradeMiles(coords) {
+  const metrics = calculateGradeMetrics(coords);
+  return Object.fromEntries((metrics?.rows || []).map((row) => [row.key, row.miles]));
+}
+
+// Everything the formulas use, from [lon, lat, ele (m)] coordinates
+export function difficultyInputs(coords, elevationOptions) {
+  return {
+    distance: calculateDistance(coords),
+    gain: calculateElevationGain(coords, elevationOptions),
+    climbFactor: calculateClimbFactor(coords),
+    gradeMiles: gradeMiles(coords),
+  };
+}
+
+/**
+ * { score, level, formula } from { distance (mi), gain (ft), climbFactor
+ * (0-1), gradeMiles } (see difficultyInputs). Missing inputs count as zero,
+ * so a manifest entry with only distance and gain can still be rated.
+ */
+export function rateDifficulty(inputs, config) {
+  const { formula, thresholds, weights } = resolveDifficultyConfig(config);
+  const clean = {
+    distance: Math.max(0, inputs.distance || 0),
+    gain: Math.max(0, inputs.gain || 0),
+    climbFactor: inputs.climbFactor ?? 0,
+    gradeMiles: inputs.gradeMiles || {},
+  };
+  const score = DIFFICULTY_FORMULAS[formula].score(clean, weights);
+  const index = thresholds.findIndex((t) => score < t);
+  const { level } = DIFFICULTY_LEVELS[index === -1 ? DIFFICULTY_LEVELS.length - 1 : index];
+  return { score: Math.round(score * 10) / 10, level, formula };
+}
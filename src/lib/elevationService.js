@@ -0,0 +1,182 @@
+// Elevation from DEM tiles, for tracks whose elevation is missing (drawn
+// trails, some exports) or too noisy to trust (barometer-less phones).
+// Tiles are XYZ web-mercator tiles in one of the demDecode formats, served
+// from the public Terrarium tileset by default, from public/dem, or from any
+// URL template. The same service runs in the browser (Sidebar, draw mode)
+// and in scripts/gpx-to-geojson.cjs; only fetchImpl differs.
+
+import { decodeGeoTiff, decodeTerrarium } from "./demDecode.js";
+
+export const DEM_FORMATS = {
+  terrarium: { label: "Terrarium PNG", decode: decodeTerrarium },
+  geotiff: { label: "GeoTIFF", decode: decodeGeoTiff },
+};
+
+export const DEFAULT_DEM = {
+  url: "https://s3.amazonaws.com/elevation-tiles-prod/terrarium/{z}/{x}/{y}.png",
+  format: "terrarium",
+  zoom: 12, // ~30 m per pixel; Terrarium goes up to 15
+};
+
+// "fill": only points without a usable elevation; "replace": every point
+export const ELEVATION_MODES = ["fill", "replace"];
+
+// Decoded tiles kept per service
+const MAX_CACHED_TILES = 64;
+
+// Heights outside this range are treated as no data
+const MIN_ELEVATION = -500;
+const MAX_ELEVATION = 9000;
+
+/**
+ * DEM settings from Vite env vars:
+ *   VITE_DEM_URL    tile template with {z}/{x}/{y}; relative paths are
+ *                   served from the app (e.g. "dem/{z}/{x}/{y}.png" in public/)
+ *   VITE_DEM_FORMAT terrarium | geotiff
+ *   VITE_DEM_ZOOM   tile zoom to sample
+ */
+export function getDemConfig(env = {}) {
+  let url = env.VITE_DEM_URL || DEFAULT_DEM.url;
+  if (!/^([a-z]+:)?\/\//i.test(url) && !url.startsWith("/")) url = `${env.BASE_URL || "/"}${url}`;
+  const format = DEM_FORMATS[env.VITE_DEM_FORMAT] ? env.VITE_DEM_FORMAT : DEFAULT_DEM.format;
+  const zoom = env.VITE_DEM_ZOOM ? Number(env.VITE_DEM_ZOOM) : DEFAULT_DEM.zoom;
+  return { url, format, zoom };
+}
+
+export function demTileUrl(template, { x, y, z }) {
+  return template.replace("{z}", z).replace("{x}", x).replace("{y}", y);
+}
+
+// Fractional tile coordinates of a point at zoom z
+function tilePoint(lat, lon, z) {
+  const n = 2 ** z;
+  const rad = (lat * Math.PI) / 180;
+  return {
+    fx: ((lon + 180) / 360) * n,
+    fy: ((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * n,
+  };
+}
+
+function validHeight(value, nodata) {
+  return Number.isFinite(value) && value !== nodata && value >= MIN_ELEVATION && value <= MAX_ELEVATION;
+}
+
+// Bilinear sample of a grid at fractional tile position (u, v in 0..1)
+export function sampleGrid(grid, u, v) {
+  const { width, height, values, nodata } = grid;
+  const px = Math.min(width - 1, Math.max(0, u * width - 0.5));
+  const py = Math.min(height - 1, Math.max(0, v * height - 0.5));
+  const x0 = Math.floor(px);
+  const y0 = Math.floor(py);
+  const x1 = Math.min(width - 1, x0 + 1);
+  const y1 = Math.min(height - 1, y0 + 1);
+  const tx = px - x0;
+  const ty = py - y0;
+
+  const corners = [
+    [values[y0 * width + x0], (1 - tx) * (1 - ty)],
+    [values[y0 * width + x1], tx * (1 - ty)],
+    [values[y1 * width + x0], (1 - tx) * ty],
+    [values[y1 * width + x1], tx * ty],
+  ].filter(([value, weight]) => weight > 0 && validHeight(value, nodata));
+
+  const weight = corners.reduce((sum, [, w]) => sum + w, 0);
+  if (weight === 0) return null;
+  return corners.reduce((sum, [value, w]) => sum + value * w, 0) / weight;
+}
+
+/**
+ * { elevations(coords) -> Promise<(m | null)[]> } for one DEM. Each tile is
+ * fetched once per service; a tile that fails to load rejects the call.
+ */
+export function createElevationService({
+  url = DEFAULT_DEM.url,
+  format = DEFAULT_DEM.format,
+  zoom = DEFAULT_DEM.zoom,
+  fetchImpl = globalThis.fetch?.bind(globalThis),
+} = {}) {
+  const { decode } = DEM_FORMATS[format] ?? DEM_FORMATS.terrarium;
+  const tiles = new Map(); // key -> Promise<grid>
+
+  const loadTile = (x, y) => {
+    const key = `${zoom}/${x}/${y}`;
+    if (tiles.has(key)) {
+      const cached = tiles.get(key);
+      tiles.delete(key);
+      tiles.set(key, cached); // most recently used last
+      return cached;
+    }
+
+    const tileUrl = demTileUrl(url, { x, y, z: zoom });
+    const promise = fetchImpl(tileUrl).then(async (response) => {
+      if (!response.ok) throw new Error(`DEM tile ${key}: HTTP ${response.status}`);
+      return decode(new Uint8Array(await response.arrayBuffer()));
+    });
+    promise.catch(() => tiles.delete(key)); // retry next time
+    tiles.set(key, promise);
+    if (tiles.size > MAX_CACHED_TILES) tiles.delete(tiles.keys().next().value);
+    return promise;
+  };
+
+  const elevations = async (coords) => {
+    const points = coords.map(([lon, lat]) => {
+      const { fx, fy } = tilePoint(lat, lon, zoom);
+      return { x: Math.floor(fx), y: Math.floor(fy), u: fx % 1, v: fy % 1 };
+    });
+    const keys = [...new Set(points.map((p) => `${p.x}/${p.y}`))];
+    const grids = Object.fromEntries(
+      await Promise.all(keys.map(async (key) => [key, await loadTile(...key.split("/").map(Number))])),
+    );
+    return points.map((p) => sampleGrid(grids[`${p.x}/${p.y}`], p.u, p.v));
+  };
+
+  return { url, format, zoom, elevations };
+}
+
+// One service per DEM, so the Sidebar and draw mode share decoded tiles
+const sharedServices = new Map();
+export function getElevationService(config = DEFAULT_DEM) {
+  const key = `${config.format}:${config.zoom}:${config.url}`;
+  if (!sharedServices.has(key)) sharedServices.set(key, createElevationService(config));
+  return sharedServices.get(key);
+}
+
+// Elevation worth keeping: some finite heights, and not all zero (drawn
+// trails used to get 0 everywhere)
+export function hasElevationData(coords) {
+  return coords.some((c) => {
+    const z = Number(c?.[2]);
+    return c?.[2] != null && Number.isFinite(z) && z !== 0;
+  });
+}
+
+/**
+ * Coordinates with DEM elevations, in `mode` "fill" (points without a height,
+ * or all of them when the track has none worth keeping) or "replace".
+ * Returns { coordinates, changed (points given a DEM height), missing (points
+ * still without a height) }.
+ */
+export async function correctElevations(coords, service, { mode = "fill" } = {}) {
+  const keepRecorded = mode === "fill" && hasElevationData(coords);
+  const needed = coords.map((c) => !keepRecorded || c[2] == null || !Number.isFinite(Number(c[2])));
+  const targets = coords.filter((_, i) => needed[i]);
+  const heights = targets.length ? await service.elevations(targets) : [];
+
+  let next = 0;
+  let changed = 0;
+  let missing = 0;
+  const coordinates = coords.map((c, i) => {
+    if (!needed[i]) return c;
+    const height = heights[next++];
+    if (height != null) {
+      changed++;
+      return [c[0], c[1], Math.round(height * 10) / 10];
+    }
+    // Replacing keeps the recorded height where the DEM has none; zeros
+    // from a track without real elevation are dropped
+    if (mode === "replace" && c[2] != null && Number.isFinite(Number(c[2]))) return c;
+    missing++;
+    return [c[0], c[1]];
+  });
+  return { coordinates, changed, missing };
+}
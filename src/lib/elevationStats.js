@@ -0,0 +1,170 @@
+// Elevation gain and loss, shared by the app (processTrack, Sidebar, draw
+// mode, compare view) and scripts/generate-manifest.cjs so a track gets the
+// same numbers everywhere. Recorded elevation is noisy, so summing every
+// up-tick overstates the climb; each algorithm handles the noise its own way:
+//  - threshold:      steps under a few feet are ignored; never less than the
+//                    climb from the start to the high point (the original
+//                    calculation, and the default so existing numbers hold)
+//  - hysteresis:     counts a climb or descent once it exceeds the threshold
+//                    from the last turning point
+//  - movingAverage:  averages elevation over a distance window first
+//  - douglasPeucker: simplifies the profile to within a vertical tolerance
+//  - kalman:         filters elevation along the distance travelled
+// Inputs are [lon, lat, ele (m)] coordinates; gain and loss come back in feet.
+
+import { haversineDistance } from "../utils.js";
+import { FEET_PER_METER, METERS_PER_MILE } from "./units.js";
+
+export const GAIN_ALGORITHMS = {
+  threshold: { label: "Step threshold", defaults: { thresholdFt: 5 } },
+  hysteresis: { label: "Hysteresis", defaults: { thresholdFt: 10 } },
+  movingAverage: { label: "Moving average", defaults: { windowMeters: 100 } },
+  douglasPeucker: { label: "Douglas–Peucker", defaults: { toleranceFt: 10 } },
+  kalman: {
+    label: "Kalman filter",
+    // Elevation error of a fix, and how far the true elevation wanders per 100 m
+    defaults: { measurementNoiseM: 5, processNoiseM: 5 },
+  },
+};
+
+export const DEFAULT_GAIN_ALGORITHM = "threshold";
+
+// { d (m along the track), z (m) } for points with an elevation
+function elevationSeries(coords) {
+  const series = [];
+  let d = 0;
+  for (let i = 0; i < coords.length; i++) {
+    if (i > 0) {
+      d += haversineDistance(coords[i - 1][1], coords[i - 1][0], coords[i][1], coords[i][0]) * METERS_PER_MILE;
+    }
+    const z = Number(coords[i]?.[2]);
+    if (coords[i]?.[2] != null && Number.isFinite(z)) series.push({ d, z });
+  }
+  return series;
+}
+
+// Sum of every rise and drop, in meters
+function sumChanges(zs) {
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i < zs.length; i++) {
+    const diff = zs[i] - zs[i - 1];
+    if (diff > 0) gain += diff;
+    else loss -= diff;
+  }
+  return { gain, loss };
+}
+
+function threshold(series, { thresholdFt }) {
+  const zs = series.map((p) => p.z);
+  let gain = 0;
+  let loss = 0;
+  for (let i = 1; i < zs.length; i++) {
+    const diff = zs[i] - zs[i - 1];
+    if (diff * FEET_PER_METER > thresholdFt) gain += diff;
+    else if (-diff * FEET_PER_METER > thresholdFt) loss -= diff;
+  }
+  const max = zs.reduce((a, b) => Math.max(a, b), -Infinity);
+  return {
+    gain: Math.max(gain, max - zs[0]),
+    loss: Math.max(loss, max - zs[zs.length - 1]),
+  };
+}
+
+function hysteresis(series, { thresholdFt }) {
+  const limit = thresholdFt / FEET_PER_METER;
+  let reference = series[0].z;
+  let gain = 0;
+  let loss = 0;
+  for (const { z } of series) {
+    if (z - reference >= limit) {
+      gain += z - reference;
+      reference = z;
+    } else if (reference - z >= limit) {
+      loss += reference - z;
+      reference = z;
+    }
+  }
+  return { gain, loss };
+}
+
+// Centered window; a point's neighbours within windowMeters / 2 either side
+function movingAverage(series, { windowMeters }) {
+  const half = windowMeters / 2;
+  const smoothed = [];
+  let start = 0;
+  let end = 0;
+  let sum = 0;
+  for (let i = 0; i < series.length; i++) {
+    while (end < series.length && series[end].d <= series[i].d + half) sum += series[end++].z;
+    while (series[start].d < series[i].d - half) sum -= series[start++].z;
+    smoothed.push(sum / (end - start));
+  }
+  return sumChanges(smoothed);
+}
+
+// Keeps the points that stick out more than toleranceFt from the chord
+function douglasPeucker(series, { toleranceFt }) {
+  const tolerance = toleranceFt / FEET_PER_METER;
+  const keep = new Array(series.length).fill(false);
+  keep[0] = keep[series.length - 1] = true;
+
+  const stack = [[0, series.length - 1]];
+  while (stack.length) {
+    const [a, b] = stack.pop();
+    const span = series[b].d - series[a].d;
+    let worst = -1;
+    let worstOffset = tolerance;
+    for (let i = a + 1; i < b; i++) {
+      const ratio = span > 0 ? (series[i].d - series[a].d) / span : 0;
+      const offset = Math.abs(series[i].z - (series[a].z + (series[b].z - series[a].z) * ratio));
+      if (offset > worstOffset) {
+        worst = i;
+        worstOffset = offset;
+      }
+    }
+    if (worst >= 0) {
+      keep[worst] = true;
+      stack.push([a, worst], [worst, b]);
+    }
+  }
+  return sumChanges(series.filter((_, i) => keep[i]).map((p) => p.z));
+}
+
+// Random-walk model: the true elevation drifts with distance, fixes are noisy
+function kalman(series, { measurementNoiseM, processNoiseM }) {
+  const r = measurementNoiseM ** 2;
+  const qPerMeter = processNoiseM ** 2 / 100;
+  let x = series[0].z;
+  let p = r;
+  const filtered = [x];
+  for (let i = 1; i < series.length; i++) {
+    p += qPerMeter * (series[i].d - series[i - 1].d);
+    const k = p / (p + r);
+    x += k * (series[i].z - x);
+    p *= 1 - k;
+    filtered.push(x);
+  }
+  return sumChanges(filtered);
+}
+
+const IMPLEMENTATIONS = { threshold, hysteresis, movingAverage, douglasPeucker, kalman };
+
+/**
+ * { algorithm, gain, loss (ft), min, max (ft, null without elevation) }.
+ * Options: { algorithm, ...that algorithm's parameters (see GAIN_ALGORITHMS) }.
+ */
+export function computeElevationStats(coords, { algorithm = DEFAULT_GAIN_ALGORITHM, ...params } = {}) {
+  const name = IMPLEMENTATIONS[algorithm] ? algorithm : DEFAULT_GAIN_ALGORITHM;
+  const series = elevationSeries(coords || []);
+  const zs = series.map((p) => p.z);
+  const min = zs.length ? zs.reduce((a, b) => Math.min(a, b)) * FEET_PER_METER : null;
+  const max = zs.length ? zs.reduce((a, b) => Math.max(a, b)) * FEET_PER_METER : null;
+  if (series.length < 2) return { algorithm: name, gain: 0, loss: 0, min, max };
+
+  const { gain, loss } = IMPLEMENTATIONS[name](series, { ...GAIN_ALGORITHMS[name].defaults, ...params });
+  return { algorithm: name, gain: gain * FEET_PER_METER, loss: loss * FEET_PER_METER, min, max };
+}
+
+// Gain in feet; the default algorithm matches the manifest
+export const calculateElevationGain = (coords, options) => computeElevationStats(coords, options).gain;
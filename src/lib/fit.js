@@ -0,0 +1,440 @@
+// Minimal FIT (Flexible and Interoperable Data Transfer) encoder and decoder:
+// enough to write course files that Garmin and Coros watches accept and to
+// read the records back out of activity files. Field numbers and base types
+// follow the FIT SDK profile; only the messages we use are listed.
+
+// Seconds between the Unix epoch and the FIT epoch (1989-12-31T00:00:00Z)
+export const FIT_EPOCH_OFFSET = 631065600;
+
+const PROTOCOL_VERSION = 0x20; // 2.0
+const PROFILE_VERSION = 2132; // 21.32
+
+export const BASE_TYPES = {
+  enum: { id: 0x00, size: 1, invalid: 0xff },
+  uint8: { id: 0x02, size: 1, invalid: 0xff },
+  sint32: { id: 0x85, size: 4, invalid: 0x7fffffff },
+  uint16: { id: 0x84, size: 2, invalid: 0xffff },
+  uint32: { id: 0x86, size: 4, invalid: 0xffffffff },
+  string: { id: 0x07, size: 0, invalid: 0 },
+};
+
+export const MESSAGES = {
+  file_id: 0,
+  lap: 19,
+  record: 20,
+  event: 21,
+  course: 31,
+  course_point: 32,
+};
+
+export const FILE_TYPE_COURSE = 6;
+export const MANUFACTURER_DEVELOPMENT = 255;
+
+export const SPORTS = { generic: 0, running: 1, cycling: 2, walking: 11, hiking: 17 };
+
+// Subset of the FIT course_point enum
+export const COURSE_POINT_TYPES = { generic: 0, summit: 1, valley: 2, water: 3, food: 4, danger: 5 };
+
+const CRC_TABLE = [
+  0x0000, 0xcc01, 0xd801, 0x1400, 0xf001, 0x3c00, 0x2800, 0xe401,
+  0xa001, 0x6c00, 0x7800, 0xb401, 0x5000, 0x9c01, 0x8801, 0x4400,
+];
+
+export function fitCrc(bytes, start = 0, end = bytes.length, crc = 0) {
+  for (let i = start; i < end; i++) {
+    const byte = bytes[i];
+    let tmp = CRC_TABLE[crc & 0xf];
+    crc = (crc >> 4) & 0x0fff;
+    crc = crc ^ tmp ^ CRC_TABLE[byte & 0xf];
+    tmp = CRC_TABLE[crc & 0xf];
+    crc = (crc >> 4) & 0x0fff;
+    crc = crc ^ tmp ^ CRC_TABLE[(byte >> 4) & 0xf];
+  }
+  return crc;
+}
+
+export function toSemicircles(degrees) {
+  return Math.round(degrees * (2 ** 31 / 180));
+}
+
+export function toFitTimestamp(date) {
+  return Math.round(new Date(date).getTime() / 1000) - FIT_EPOCH_OFFSET;
+}
+
+// Growable little-endian byte buffer
+function createByteWriter() {
+  let bytes = new Uint8Array(1024);
+  let view = new DataView(bytes.buffer);
+  let length = 0;
+
+  const ensure = (extra) => {
+    if (length + extra <= bytes.length) return;
+    const next = new Uint8Array(Math.max(bytes.length * 2, length + extra));
+    next.set(bytes);
+    bytes = next;
+    view = new DataView(bytes.buffer);
+  };
+
+  return {
+    get length() {
+      return length;
+    },
+    u8(value) {
+      ensure(1);
+      view.setUint8(length, value);
+      length += 1;
+    },
+    u16(value) {
+      ensure(2);
+      view.setUint16(length, value, true);
+      length += 2;
+    },
+    u32(value) {
+      ensure(4);
+      view.setUint32(length, value, true);
+      length += 4;
+    },
+    i32(value) {
+      ensure(4);
+      view.setInt32(length, value, true);
+      length += 4;
+    },
+    raw(chunk) {
+      ensure(chunk.length);
+      bytes.set(chunk, length);
+      length += chunk.length;
+    },
+    bytes() {
+      return bytes.slice(0, length);
+    },
+  };
+}
+
+function writeValue(out, type, size, value) {
+  const base = BASE_TYPES[type];
+  if (type === "string") {
+    // Trim whole characters so multi-byte UTF-8 is never cut in half
+    const encoder = new TextEncoder();
+    let text = String(value ?? "");
+    let encoded = encoder.encode(text);
+    while (encoded.length > size - 1) {
+      text = Array.from(text).slice(0, -1).join("");
+      encoded = encoder.encode(text);
+    }
+    const chunk = new Uint8Array(size); // zero padded, always NUL terminated
+    chunk.set(encoded);
+    out.raw(chunk);
+    return;
+  }
+  const v = value == null || !Number.isFinite(value) ? base.invalid : value;
+  if (type === "sint32") out.i32(v);
+  else if (type === "uint32") out.u32(v);
+  else if (type === "uint16") out.u16(v);
+  else out.u8(v);
+}
+
+// Writes definition + data messages. `define()` assigns a local message type
+// per message layout; call it once per layout before writing records with it.
+export function createFitWriter() {
+  const out = createByteWriter();
+  const layouts = [];
+
+  return {
+    // fields: [{ num, type, size? }]
+    define(globalNum, fields) {
+      const local = layouts.length;
+      if (local > 15) throw new Error("FIT writer supports at most 16 local message types");
+      const layout = fields.map((f) => ({
+        ...f,
+        size: f.size || BASE_TYPES[f.type].size,
+      }));
+      layouts.push(layout);
+
+      out.u8(0x40 | local); // definition message header
+      out.u8(0); // reserved
+      out.u8(0); // little-endian
+      out.u16(globalNum);
+      out.u8(layout.length);
+      for (const f of layout) {
+        out.u8(f.num);
+        out.u8(f.size);
+        out.u8(BASE_TYPES[f.type].id);
+      }
+      return local;
+    },
+    // values: array in the same order as the definition's fields
+    write(local, values) {
+      out.u8(local & 0x0f);
+      layouts[local].forEach((f, i) => writeValue(out, f.type, f.size, values[i]));
+    },
+    finish() {
+      const data = out.bytes();
+      const file = createByteWriter();
+      file.u8(14);
+      file.u8(PROTOCOL_VERSION);
+      file.u16(PROFILE_VERSION);
+      file.u32(data.length);
+      file.raw(new TextEncoder().encode(".FIT"));
+      const header = file.bytes();
+      file.u16(fitCrc(header, 0, 12));
+      file.raw(data);
+      const withoutCrc = file.bytes();
+      file.u16(fitCrc(withoutCrc));
+      return file.bytes();
+    },
+  };
+}
+
+/**
+ * Encode a course file.
+ *   points:       [{ lat, lon, ele, distance (m), time (Date) }]
+ *   coursePoints: [{ lat, lon, distance (m), time (Date), name, type }]
+ */
+export function encodeFitCourse({ name, sport = "hiking", points, coursePoints = [], createdAt = new Date() }) {
+  if (!points || points.length < 2) throw new Error("A FIT course needs at least two points");
+
+  const fit = createFitWriter();
+  const first = points[0];
+  const last = points[points.length - 1];
+  const start = toFitTimestamp(first.time);
+  const end = toFitTimestamp(last.time);
+  const altitude = (ele) => (Number.isFinite(ele) ? Math.round((ele + 500) * 5) : null);
+
+  let ascent = null;
+  let descent = null;
+  if (points.some((p) => Number.isFinite(p.ele))) {
+    ascent = 0;
+    descent = 0;
+    // Points without an elevation are skipped, not counted as 0 m
+    let previous = null;
+    for (const { ele } of points) {
+      if (!Number.isFinite(ele)) continue;
+      const diff = previous === null ? 0 : ele - previous;
+      if (diff > 0) ascent += diff;
+      else if (diff < 0) descent -= diff;
+      previous = ele;
+    }
+  }
+
+  const fileId = fit.define(MESSAGES.file_id, [
+    { num: 0, type: "enum" }, // type
+    { num: 1, type: "uint16" }, // manufacturer
+    { num: 2, type: "uint16" }, // product
+    { num: 4, type: "uint32" }, // time_created
+  ]);
+  fit.write(fileId, [FILE_TYPE_COURSE, MANUFACTURER_DEVELOPMENT, 0, toFitTimestamp(createdAt)]);
+
+  const course = fit.define(MESSAGES.course, [
+    { num: 4, type: "enum" }, // sport
+    { num: 5, type: "string", size: 16 }, // name
+  ]);
+  fit.write(course, [SPORTS[sport] ?? SPORTS.generic, name]);
+
+  const lap = fit.define(MESSAGES.lap, [
+    { num: 253, type: "uint32" }, // timestamp
+    { num: 2, type: "uint32" }, // start_time
+    { num: 3, type: "sint32" }, // start_position_lat
+    { num: 4, type: "sint32" }, // start_position_long
+    { num: 5, type: "sint32" }, // end_position_lat
+    { num: 6, type: "sint32" }, // end_position_long
+    { num: 7, type: "uint32" }, // total_elapsed_time (ms)
+    { num: 8, type: "uint32" }, // total_timer_time (ms)
+    { num: 9, type: "uint32" }, // total_distance (cm)
+    { num: 21, type: "uint16" }, // total_ascent (m)
+    { num: 22, type: "uint16" }, // total_descent (m)
+  ]);
+  fit.write(lap, [
+    end,
+    start,
+    toSemicircles(first.lat),
+    toSemicircles(first.lon),
+    toSemicircles(last.lat),
+    toSemicircles(last.lon),
+    (end - start) * 1000,
+    (end - start) * 1000,
+    Math.round(last.distance * 100),
+    ascent == null ? null : Math.round(ascent),
+    descent == null ? null : Math.round(descent),
+  ]);
+
+  const event = fit.define(MESSAGES.event, [
+    { num: 253, type: "uint32" }, // timestamp
+    { num: 0, type: "enum" }, // event (0 = timer)
+    { num: 1, type: "enum" }, // event_type (0 = start, 4 = stop_all)
+  ]);
+  fit.write(event, [start, 0, 0]);
+
+  const record = fit.define(MESSAGES.record, [
+    { num: 253, type: "uint32" }, // timestamp
+    { num: 0, type: "sint32" }, // position_lat
+    { num: 1, type: "sint32" }, // position_long
+    { num: 2, type: "uint16" }, // altitude (scale 5, offset 500)
+    { num: 5, type: "uint32" }, // distance (cm)
+  ]);
+  for (const p of points) {
+    fit.write(record, [
+      toFitTimestamp(p.time),
+      toSemicircles(p.lat),
+      toSemicircles(p.lon),
+      altitude(p.ele),
+      Math.round(p.distance * 100),
+    ]);
+  }
+
+  if (coursePoints.length > 0) {
+    const coursePoint = fit.define(MESSAGES.course_point, [
+      { num: 254, type: "uint16" }, // message_index
+      { num: 1, type: "uint32" }, // timestamp
+      { num: 2, type: "sint32" }, // position_lat
+      { num: 3, type: "sint32" }, // position_long
+      { num: 4, type: "uint32" }, // distance (cm)
+      { num: 5, type: "enum" }, // type
+      { num: 6, type: "string", size: 16 }, // name
+    ]);
+    coursePoints.forEach((cp, i) => {
+      fit.write(coursePoint, [
+        i,
+        toFitTimestamp(cp.time),
+        toSemicircles(cp.lat),
+        toSemicircles(cp.lon),
+        Math.round(cp.distance * 100),
+        COURSE_POINT_TYPES[cp.type] ?? COURSE_POINT_TYPES.generic,
+        cp.name,
+      ]);
+    });
+  }
+
+  fit.write(event, [end, 0, 4]);
+
+  return fit.finish();
+}
+
+// ---- decoding ----
+
+// Base type number (low 5 bits of the type byte) -> reader
+const READERS = {
+  0: { size: 1, read: (v, o) => v.getUint8(o), invalid: 0xff }, // enum
+  1: { size: 1, read: (v, o) => v.getInt8(o), invalid: 0x7f }, // sint8
+  2: { size: 1, read: (v, o) => v.getUint8(o), invalid: 0xff }, // uint8
+  3: { size: 2, read: (v, o, le) => v.getInt16(o, le), invalid: 0x7fff },
+  4: { size: 2, read: (v, o, le) => v.getUint16(o, le), invalid: 0xffff },
+  5: { size: 4, read: (v, o, le) => v.getInt32(o, le), invalid: 0x7fffffff },
+  6: { size: 4, read: (v, o, le) => v.getUint32(o, le), invalid: 0xffffffff },
+  8: { size: 4, read: (v, o, le) => v.getFloat32(o, le), invalid: null },
+  9: { size: 8, read: (v, o, le) => v.getFloat64(o, le), invalid: null },
+  10: { size: 1, read: (v, o) => v.getUint8(o), invalid: 0 }, // uint8z
+  11: { size: 2, read: (v, o, le) => v.getUint16(o, le), invalid: 0 }, // uint16z
+  12: { size: 4, read: (v, o, le) => v.getUint32(o, le), invalid: 0 }, // uint32z
+};
+
+function readField(view, bytes, offset, field, littleEndian) {
+  const baseType = field.type & 0x1f;
+  if (baseType === 7) {
+    const chunk = bytes.subarray(offset, offset + field.size);
+    const end = chunk.indexOf(0);
+    const text = new TextDecoder().decode(end === -1 ? chunk : chunk.subarray(0, end));
+    return text || null;
+  }
+  const reader = READERS[baseType];
+  // Arrays, 64-bit and byte fields: only the first element is ever needed
+  if (!reader || field.size < reader.size) return null;
+  const value = reader.read(view, offset, littleEndian);
+  if (value === reader.invalid || Number.isNaN(value)) return null;
+  return value;
+}
+
+/**
+ * Decode a FIT file into [{ globalNum, fields: { [fieldNum]: value } }].
+ * Invalid values come back as null; developer fields are skipped.
+ * Throws on anything that isn't a FIT file.
+ */
+export function decodeFit(input) {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  if (bytes.length < 12) throw new Error("File is too short to be a FIT file");
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const headerSize = bytes[0];
+  const dataSize = view.getUint32(4, true);
+  if (new TextDecoder().decode(bytes.subarray(8, 12)) !== ".FIT") {
+    throw new Error("Missing .FIT signature");
+  }
+  const end = headerSize + dataSize;
+  if (end > bytes.length) throw new Error("FIT file is truncated");
+  const crcOk = end + 2 <= bytes.length && fitCrc(bytes, 0, end + 2) === 0;
+
+  const definitions = {};
+  const messages = [];
+  let lastTimestamp = null;
+  let offset = headerSize;
+
+  while (offset < end) {
+    const header = bytes[offset++];
+
+    if (header & 0x80) {
+      // Compressed timestamp header: 2-bit local type, 5-bit time offset
+      const local = (header >> 5) & 0x03;
+      const timeOffset = header & 0x1f;
+      const def = definitions[local];
+      if (!def) throw new Error(`FIT data for undefined local message ${local}`);
+      const fields = readMessage(def);
+      if (lastTimestamp != null) {
+        let timestamp = (lastTimestamp & ~0x1f) + timeOffset;
+        if (timeOffset < (lastTimestamp & 0x1f)) timestamp += 0x20;
+        fields[253] = timestamp;
+        lastTimestamp = timestamp;
+      }
+      messages.push({ globalNum: def.globalNum, fields });
+      continue;
+    }
+
+    const local = header & 0x0f;
+
+    if (header & 0x40) {
+      const littleEndian = bytes[offset + 1] === 0;
+      const globalNum = view.getUint16(offset + 2, littleEndian);
+      const count = bytes[offset + 4];
+      offset += 5;
+      const fields = [];
+      for (let i = 0; i < count; i++) {
+        fields.push({ num: bytes[offset], size: bytes[offset + 1], type: bytes[offset + 2] });
+        offset += 3;
+      }
+      let devSize = 0;
+      if (header & 0x20) {
+        const devCount = bytes[offset++];
+        for (let i = 0; i < devCount; i++) {
+          devSize += bytes[offset + 1];
+          offset += 3;
+        }
+      }
+      definitions[local] = { globalNum, fields, littleEndian, devSize };
+      continue;
+    }
+
+    const def = definitions[local];
+    if (!def) throw new Error(`FIT data for undefined local message ${local}`);
+    const fields = readMessage(def);
+    if (fields[253] != null) lastTimestamp = fields[253];
+    messages.push({ globalNum: def.globalNum, fields });
+  }
+
+  return { messages, crcOk };
+
+  function readMessage(def) {
+    const fields = {};
+    for (const f of def.fields) {
+      fields[f.num] = readField(view, bytes, offset, f, def.littleEndian);
+      offset += f.size;
+    }
+    offset += def.devSize;
+    return fields;
+  }
+}
+
+export function fromFitTimestamp(timestamp) {
+  return new Date((timestamp + FIT_EPOCH_OFFSET) * 1000);
+}
+
+export function fromSemicircles(value) {
+  return (value * 180) / 2 ** 31;
+}
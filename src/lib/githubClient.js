@@ -0,0 +1,311 @@
+// Minimal GitHub REST client for saving an imported track as a pull request.
+// Everything goes through an injectable fetch/baseUrl so it can run against
+// a local mock server in tests.
+
+import {
+  buildManifestEntry,
+  addManifestEntry,
+  resolveTrackFilenames,
+  timestampSuffix,
+} from "./trackManifest.js";
+
+export const DEFAULT_GITHUB_API = "https://api.github.com";
+export const TRACKS_DIR = "public/tracks";
+export const GPX_DIR = "public/tracks/gpx";
+export const MANIFEST_PATH = "public/tracks/manifest.json";
+
+const TOKEN_STORAGE_KEY = "githubToken";
+
+// Steps of saveTrackPullRequest(), in order
+export const SAVE_STAGES = [
+  "read-base",
+  "create-branch",
+  "commit-gpx",
+  "commit-geojson",
+  "commit-manifest",
+  "open-pr",
+];
+
+export class GitHubApiError extends Error {
+  constructor(message, { status, method, path, body } = {}) {
+    super(message);
+    this.name = "GitHubApiError";
+    this.status = status;
+    this.method = method;
+    this.path = path;
+    this.body = body;
+  }
+}
+
+// Thrown when a save stops part-way. `completed` lists the stages that did
+// succeed, so the UI can say e.g. "branch created but commit failed".
+export class GitHubSaveError extends Error {
+  constructor(message, { stage, completed, branch, cause }) {
+    super(message);
+    this.name = "GitHubSaveError";
+    this.stage = stage;
+    this.completed = completed;
+    this.branch = branch;
+    this.cause = cause;
+  }
+}
+
+// Token lives only for the browser session; never in localStorage
+export function loadGitHubToken(storage = globalThis.sessionStorage) {
+  try {
+    return storage?.getItem(TOKEN_STORAGE_KEY) || "";
+  } catch {
+    return "";
+  }
+}
+
+export function storeGitHubToken(token, storage = globalThis.sessionStorage) {
+  try {
+    if (token) storage?.setItem(TOKEN_STORAGE_KEY, token);
+    else storage?.removeItem(TOKEN_STORAGE_KEY);
+  } catch {
+    // Private mode / storage disabled: token stays in memory only
+  }
+}
+
+export function clearGitHubToken(storage = globalThis.sessionStorage) {
+  storeGitHubToken("", storage);
+}
+
+// "owner/repo" -> { owner, repo }
+export function parseRepoSlug(slug) {
+  const match = /^([\w.-]+)\/([\w.-]+)$/.exec(String(slug || "").trim());
+  if (!match) throw new Error(`Invalid repository "${slug}", expected owner/repo`);
+  return { owner: match[1], repo: match[2] };
+}
+
+// UTF-8 safe base64 for the contents API
+export function encodeBase64(textValue) {
+  const bytes = new TextEncoder().encode(textValue);
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+export function decodeBase64(value) {
+  const binary = atob(String(value).replace(/\s/g, ""));
+  const bytes = Uint8Array.from(binary, (c) => c.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
+function encodePath(filePath) {
+  return filePath.split("/").map(encodeURIComponent).join("/");
+}
+
+function describeFailure(status, method, path, message) {
+  if (status === 401) return "GitHub rejected the token (401). Check that it is valid and not expired.";
+  if (status === 403 || status === 404) {
+    return `GitHub denied ${method} ${path} (${status}). The token needs Contents and Pull requests read/write access to this repository.`;
+  }
+  return `GitHub ${method} ${path} failed (${status})${message ? `: ${message}` : ""}`;
+}
+
+export function createGitHubClient({
+  token,
+  owner,
+  repo,
+  baseUrl = DEFAULT_GITHUB_API,
+  fetch: fetchImpl = globalThis.fetch,
+}) {
+  if (!token) throw new Error("A GitHub token is required");
+
+  const repoPath = `/repos/${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`;
+
+  const request = async (method, path, body) => {
+    const response = await fetchImpl(`${baseUrl.replace(/\/$/, "")}${path}`, {
+      method,
+      headers: {
+        Accept: "application/vnd.github+json",
+        Authorization: `Bearer ${token}`,
+        "X-GitHub-Api-Version": "2022-11-28",
+        ...(body ? { "Content-Type": "application/json" } : {}),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+
+    const raw = await response.text();
+    let data = null;
+    try {
+      data = raw ? JSON.parse(raw) : null;
+    } catch {
+      data = raw;
+    }
+
+    if (!response.ok) {
+      throw new GitHubApiError(
+        describeFailure(response.status, method, path, data?.message),
+        { status: response.status, method, path, body: data },
+      );
+    }
+    return data;
+  };
+
+  return {
+    owner,
+    repo,
+    request,
+
+    async getBranchSha(branch) {
+      const ref = await request("GET", `${repoPath}/git/ref/heads/${encodePath(branch)}`);
+      return ref.object.sha;
+    },
+
+    async createBranch(branch, sha) {
+      return request("POST", `${repoPath}/git/refs`, { ref: `refs/heads/${branch}`, sha });
+    },
+
+    // Returns { sha, text } or null when the file does not exist on `ref`
+    async getFile(filePath, ref) {
+      try {
+        const data = await request(
+          "GET",
+          `${repoPath}/contents/${encodePath(filePath)}?ref=${encodeURIComponent(ref)}`,
+        );
+        return { sha: data.sha, text: decodeBase64(data.content || "") };
+      } catch (error) {
+        if (error instanceof GitHubApiError && error.status === 404) return null;
+        throw error;
+      }
+    },
+
+    async putFile(filePath, { text: content, message, branch, sha }) {
+      return request("PUT", `${repoPath}/contents/${encodePath(filePath)}`, {
+        message,
+        content: encodeBase64(content),
+        branch,
+        ...(sha ? { sha } : {}),
+      });
+    },
+
+    async createPullRequest({ title, head, base, body }) {
+      return request("POST", `${repoPath}/pulls`, { title, head, base, body });
+    },
+  };
+}
+
+// Everything that will be written for one upload, without touching the API
+export function buildTrackCommit({ feature, gpxFilename, manifest, gpxExists = false, now = new Date() }) {
+  const taken = new Set((manifest?.tracks || []).map((t) => t.file));
+  const { gpxFile, geojsonFile, collided } = resolveTrackFilenames(
+    gpxFilename,
+    ({ geojsonFile: file }) => gpxExists || taken.has(file),
+    now,
+  );
+
+  const geojson = {
+    type: "Feature",
+    properties: {
+      name: feature.properties?.name || geojsonFile.replace(".geojson", ""),
+      description: feature.properties?.description || "",
+      ...(feature.properties?.location ? { location: feature.properties.location } : {}),
+    },
+    geometry: feature.geometry,
+  };
+  const entry = buildManifestEntry(geojson, geojsonFile, { gpxFile });
+
+  return {
+    gpxFile,
+    geojsonFile,
+    collided,
+    gpxPath: `${GPX_DIR}/${gpxFile}`,
+    geojsonPath: `${TRACKS_DIR}/${geojsonFile}`,
+    geojsonText: JSON.stringify(geojson, null, 2),
+    entry,
+    manifestText: JSON.stringify(addManifestEntry(manifest, entry), null, 2),
+    // Timestamped so a retry after a partial failure gets a fresh branch
+    branch: `add-track/${gpxFile.replace(/\.gpx$/, "")}-${timestampSuffix(now)}`,
+  };
+}
+
+// Branch -> GPX -> GeoJSON -> manifest -> PR. Reports each finished stage via
+// onProgress(stage) and throws GitHubSaveError if any step fails.
+export async function saveTrackPullRequest(client, {
+  feature,
+  gpxText,
+  gpxFilename,
+  base = "main",
+  now = new Date(),
+  onProgress,
+}) {
+  const completed = [];
+  let stage = SAVE_STAGES[0];
+  let plan = null;
+
+  const done = (name) => {
+    completed.push(name);
+    onProgress?.(name);
+  };
+
+  try {
+    const baseSha = await client.getBranchSha(base);
+    const manifestFile = await client.getFile(MANIFEST_PATH, base);
+    const manifest = manifestFile ? JSON.parse(manifestFile.text) : { tracks: [] };
+    const gpxExists = Boolean(await client.getFile(`${GPX_DIR}/${gpxFilename}`, base));
+    plan = buildTrackCommit({ feature, gpxFilename, manifest, gpxExists, now });
+    done(stage);
+
+    stage = "create-branch";
+    await client.createBranch(plan.branch, baseSha);
+    done(stage);
+
+    stage = "commit-gpx";
+    await client.putFile(plan.gpxPath, {
+      text: gpxText,
+      message: `Add ${plan.gpxFile}`,
+      branch: plan.branch,
+    });
+    done(stage);
+
+    stage = "commit-geojson";
+    await client.putFile(plan.geojsonPath, {
+      text: plan.geojsonText,
+      message: `Add ${plan.geojsonFile}`,
+      branch: plan.branch,
+    });
+    done(stage);
+
+    stage = "commit-manifest";
+    await client.putFile(MANIFEST_PATH, {
+      text: plan.manifestText,
+      message: `Add ${plan.geojsonFile} to manifest`,
+      branch: plan.branch,
+      sha: manifestFile?.sha,
+    });
+    done(stage);
+
+    stage = "open-pr";
+    const pr = await client.createPullRequest({
+      title: `Add track: ${plan.entry.name}`,
+      head: plan.branch,
+      base,
+      body: [
+        `Adds **${plan.entry.name}** (${plan.entry.distance} mi, ${plan.entry.elevationGain} ft gain).`,
+        "",
+        `- \`${plan.gpxPath}\``,
+        `- \`${plan.geojsonPath}\``,
+        `- \`${MANIFEST_PATH}\``,
+        ...(plan.collided ? ["", "A track with the same name already existed, so a timestamp suffix was added."] : []),
+      ].join("\n"),
+    });
+    done(stage);
+
+    return { ...plan, pullRequest: { number: pr.number, url: pr.html_url } };
+  } catch (error) {
+    const branchNote = completed.includes("create-branch")
+      ? ` Branch "${plan.branch}" was created and may need to be deleted or finished by hand.`
+      : "";
+    throw new GitHubSaveError(`Save failed at "${stage}": ${error.message.replace(/\.$/, "")}.${branchNote}`, {
+      stage,
+      completed: [...completed],
+      branch: completed.includes("create-branch") ? plan.branch : null,
+      cause: error,
+    });
+  }
+}
@@ -0,0 +1,244 @@
+// Browser-side GPX import.
+// Mirrors scripts/validate-gpx.cjs, scripts/gpx-to-geojson.cjs and the
+// slug rules in scripts/add-track.cjs so a dropped file behaves exactly like
+// one that went through `npm run add-track`. Other formats go through
+// trackImport.js, which builds on this.
+
+import { gpx as gpxToGeoJSON } from "@tmcw/togeojson";
+import { pointsToFeature } from "./trackReaders.js";
+
+function text(node) {
+  return node && typeof node.textContent === "string" ? node.textContent.trim() : "";
+}
+
+function childrenByTag(node, tagName) {
+  const out = [];
+  const nodes = node.getElementsByTagName(tagName);
+  for (let i = 0; i < nodes.length; i++) out.push(nodes[i]);
+  return out;
+}
+
+// Same rules and result shape as validateGpxFile() in scripts/validate-gpx.cjs
+export function validateGpxDocument(doc) {
+  const parserErrors = doc.getElementsByTagName("parsererror");
+  if (parserErrors.length > 0) {
+    return {
+      ok: false,
+      errors: ["Invalid XML / GPX parse error"],
+      warnings: [],
+      stats: null,
+    };
+  }
+
+  const gpxNodes = doc.getElementsByTagName("gpx");
+  if (gpxNodes.length === 0) {
+    return {
+      ok: false,
+      errors: ["Missing <gpx> root element"],
+      warnings: [],
+      stats: null,
+    };
+  }
+
+  const trackPoints = childrenByTag(doc, "trkpt");
+  const routePoints = childrenByTag(doc, "rtept");
+  const waypoints = childrenByTag(doc, "wpt");
+
+  const points = trackPoints.length > 0 ? trackPoints : routePoints;
+
+  if (points.length === 0) {
+    return {
+      ok: false,
+      errors: ["No <trkpt> or <rtept> points found"],
+      warnings: [],
+      stats: {
+        trackPoints: 0,
+        routePoints: routePoints.length,
+        waypoints: waypoints.length,
+        pointsUsed: 0,
+        pointsWithElevation: 0,
+        elevationRange: null,
+      },
+    };
+  }
+
+  let missingLatLon = 0;
+  let pointsWithElevation = 0;
+  let invalidElevationValues = 0;
+  let minEle = Infinity;
+  let maxEle = -Infinity;
+
+  for (const pt of points) {
+    const lat = pt.getAttribute("lat");
+    const lon = pt.getAttribute("lon");
+
+    if (!lat || !lon) {
+      missingLatLon++;
+    }
+
+    const eleNode = pt.getElementsByTagName("ele")[0];
+    const eleText = text(eleNode);
+
+    if (eleText) {
+      const value = Number(eleText);
+      if (Number.isFinite(value)) {
+        pointsWithElevation++;
+        if (value < minEle) minEle = value;
+        if (value > maxEle) maxEle = value;
+      } else {
+        invalidElevationValues++;
+      }
+    }
+  }
+
+  const warnings = [];
+  const errors = [];
+
+  if (missingLatLon > 0) {
+    warnings.push(`${missingLatLon} point(s) are missing lat/lon`);
+  }
+
+  if (pointsWithElevation === 0) {
+    warnings.push(
+      "No elevation data found: points do not contain <ele> values, so elevationGain will be 0",
+    );
+  } else if (invalidElevationValues > 0) {
+    warnings.push(`${invalidElevationValues} point(s) have invalid <ele> values`);
+  }
+
+  return {
+    ok: errors.length === 0,
+    errors,
+    warnings,
+    stats: {
+      trackPoints: trackPoints.length,
+      routePoints: routePoints.length,
+      waypoints: waypoints.length,
+      pointsUsed: points.length,
+      pointsWithElevation,
+      elevationRange:
+        pointsWithElevation > 0
+          ? {
+              min: minEle,
+              max: maxEle,
+            }
+          : null,
+    },
+  };
+}
+
+// Same slug rules as slugifyFilename() in scripts/add-track.cjs
+export function slugifyFilename(inputName) {
+  const name = String(inputName || "");
+  const dot = name.lastIndexOf(".");
+  const ext = dot > 0 ? name.slice(dot).toLowerCase() : "";
+  const base = dot > 0 ? name.slice(0, dot) : name;
+
+  const slug = base
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/&/g, " and ")
+    .replace(/[^a-zA-Z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .replace(/-+/g, "-")
+    .toLowerCase();
+
+  return `${slug || "track"}${ext}`;
+}
+
+const finiteOrNull = (value) => (value != null && Number.isFinite(Number(value)) ? Number(value) : null);
+
+function isoTime(value) {
+  const t = Date.parse(value);
+  return Number.isFinite(t) ? new Date(t).toISOString() : null;
+}
+
+// Track points ({ lon, lat, ele, time, hr, cad }, see lib/trackReaders) of a
+// togeojson track or route feature; its coordinateProperties follow the
+// geometry, one array per line of a MultiLineString
+function featurePoints({ geometry, properties }) {
+  const multi = geometry.type === "MultiLineString";
+  const lines = multi ? geometry.coordinates : [geometry.coordinates];
+  const { times, heart, cads } = properties.coordinateProperties || {};
+  const at = (values, line, i) => (multi ? values?.[line]?.[i] : values?.[i]);
+
+  return lines.flatMap((coords, line) =>
+    coords.map(([lon, lat, ele], i) => ({
+      lon,
+      lat,
+      ele: finiteOrNull(ele),
+      time: isoTime(at(times, line, i)),
+      hr: finiteOrNull(at(heart, line, i)),
+      cad: finiteOrNull(at(cads, line, i)),
+    })),
+  );
+}
+
+// togeojson <wpt> point -> { name, lat, lon, ele?, type?, sym?, desc? }
+function waypointOf({ geometry, properties }) {
+  const [lon, lat, ele] = geometry.coordinates;
+  const waypoint = { name: properties.name || "", lat, lon };
+  if (finiteOrNull(ele) != null) waypoint.ele = ele;
+  for (const key of ["type", "sym", "desc"]) {
+    if (properties[key]) waypoint[key] = String(properties[key]).trim();
+  }
+  return waypoint;
+}
+
+// Same output shape as scripts/gpx-to-geojson.cjs: every track segment
+// (or, without tracks, route) joined into one LineString, with times/heart
+// rate/cadence kept as aligned arrays and <wpt> elements as
+// properties.waypoints
+export function convertGpxDocument(doc, fallbackName = "track") {
+  const { features } = gpxToGeoJSON(doc);
+  const lines = features.filter((f) => /LineString$/.test(f.geometry?.type || ""));
+  const tracks = lines.filter((f) => f.properties._gpxType === "trk");
+  const used = tracks.length ? tracks : lines;
+  const points = used.flatMap(featurePoints);
+  if (points.length === 0) {
+    throw new Error("No valid features found in GPX");
+  }
+
+  const metadata = childrenByTag(doc, "metadata")[0];
+  const meta = (tag) => (metadata ? text(childrenByTag(metadata, tag)[0]) : "");
+  return pointsToFeature(points, {
+    name: used[0].properties.name || meta("name") || fallbackName,
+    description: used[0].properties.desc || meta("desc"),
+    waypoints: features.filter((f) => f.geometry?.type === "Point").map(waypointOf),
+  });
+}
+
+// Validate + convert GPX text. Never throws for bad input; check `ok`.
+export function parseGpxText(xml, options = {}) {
+  const { filename = "track.gpx" } = options;
+  const Parser = options.DOMParser || globalThis.DOMParser;
+
+  if (!/\.gpx$/i.test(filename)) {
+    return {
+      ok: false,
+      errors: [`Expected a .gpx file, got: ${filename}`],
+      warnings: [],
+      stats: null,
+      feature: null,
+    };
+  }
+
+  const doc = new Parser().parseFromString(xml, "text/xml");
+  const validation = validateGpxDocument(doc);
+
+  if (!validation.ok) {
+    return { ...validation, feature: null };
+  }
+
+  try {
+    const feature = convertGpxDocument(doc, filename.replace(/\.gpx$/i, ""));
+    return { ...validation, feature };
+  } catch (error) {
+    return {
+      ...validation,
+      ok: false,
+      errors: [...validation.errors, error.message],
+      feature: null,
+    };
+  }
+}
@@ -0,0 +1,94 @@
+// Just enough JSON Schema to check public/tracks/manifest.schema.json
+// documents without a dependency: type (including "integer" and type lists),
+// enum, const, required, properties, additionalProperties, items, minItems,
+// maxItems, minimum, maximum, minLength, pattern and local "#/$defs/…" refs.
+// Anything else in a schema is ignored.
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  if (type === "integer") return Number.isInteger(value);
+  if (type === "number") return typeof value === "number" && Number.isFinite(value);
+  return typeOf(value) === type;
+}
+
+function resolve(schema, root) {
+  if (!schema?.$ref) return schema;
+  const match = /^#\/\$defs\/(.+)$/.exec(schema.$ref);
+  const target = match && root.$defs?.[match[1]];
+  if (!target) throw new Error(`Unsupported $ref: ${schema.$ref}`);
+  return resolve(target, root);
+}
+
+function check(value, schemaOrRef, root, at, errors) {
+  const schema = resolve(schemaOrRef, root);
+  if (!schema || schema === true) return;
+  const where = at || "(root)";
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => matchesType(value, t))) {
+      errors.push(`${where}: expected ${types.join(" or ")}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+  if ("const" in schema && value !== schema.const) {
+    errors.push(`${where}: must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${where}: must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${where}: must be ≥ ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${where}: must be ≤ ${schema.maximum}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      errors.push(`${where}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${where}: must match ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      errors.push(`${where}: must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems != null && value.length > schema.maxItems) {
+      errors.push(`${where}: must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) value.forEach((item, i) => check(item, schema.items, root, `${at}[${i}]`, errors));
+  }
+
+  if (typeOf(value) === "object") {
+    (schema.required || []).forEach((key) => {
+      if (!(key in value)) errors.push(`${where}: missing "${key}"`);
+    });
+    const properties = schema.properties || {};
+    Object.entries(value).forEach(([key, child]) => {
+      const path = at ? `${at}.${key}` : key;
+      if (properties[key]) check(child, properties[key], root, path, errors);
+      else if (schema.additionalProperties === false) errors.push(`${where}: unexpected "${key}"`);
+      else if (typeof schema.additionalProperties === "object") {
+        check(child, schema.additionalProperties, root, path, errors);
+      }
+    });
+  }
+}
+
+/**
+ * Errors for `value` against `schema` as readable strings
+ * ("tracks[3].distance: must be ≥ 0"); empty when it's valid.
+ */
+export function validateJsonSchema(schema, value) {
+  const errors = [];
+  check(value, schema, schema, "", errors);
+  return errors;
+}
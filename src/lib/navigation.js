@@ -0,0 +1,134 @@
+// Live navigation along the selected track. A GPS fix is snapped to the
+// nearest point on the track, and progress is measured from there: distance
+// done and remaining, climbing left, the next mile marker and peak (the same
+// waypoints as the trail plan and GPX export). Off-route detection has
+// hysteresis so a noisy fix near the threshold doesn't flap the alert.
+
+import { getTrackCoordinates } from "../utils.js";
+import { computeElevationStats } from "./elevationStats.js";
+import { buildWaypoints, cumulativeDistances } from "./trackExport.js";
+import { FEET_PER_METER, METERS_PER_MILE } from "./units.js";
+
+const METERS_PER_DEGREE = 111320;
+
+// Candidates this close to the best match count as the same spot
+const SAME_SPOT_M = 15;
+
+export const OFF_ROUTE_OPTIONS_FT = [100, 250, 500, 1000];
+export const DEFAULT_OFF_ROUTE_FT = 250;
+export const feetToMeters = (feet) => feet / FEET_PER_METER;
+
+// Back on route only once well inside the threshold
+const RETURN_RATIO = 0.8;
+// While still off route, alert again this often
+export const REALERT_MS = 30000;
+
+/**
+ * Per-track data for navigation, computed once per track:
+ * { coords, distances (m), waypoints, total (m), elevationOptions }.
+ * `elevationOptions` pick the gain algorithm for the climb left, so it
+ * agrees with the sidebar's gain (lib/elevationStats).
+ */
+export function prepareRoute(track, { peaks = [], units, elevationOptions } = {}) {
+  const coords = getTrackCoordinates(track);
+  if (coords.length < 2) return null;
+
+  const distances = cumulativeDistances(coords);
+  return {
+    coords,
+    distances,
+    waypoints: buildWaypoints(track, { peaks, units }),
+    total: distances[distances.length - 1],
+    elevationOptions,
+  };
+}
+
+// Gain (ft) from the snapped position to the end of the track
+function climbAhead({ coords, elevationOptions }, { segment, t, lat, lon }) {
+  const za = Number(coords[segment][2]);
+  const zb = Number(coords[segment + 1][2]);
+  const ele = Number.isFinite(za) && Number.isFinite(zb) ? za + (zb - za) * t : null;
+  return computeElevationStats([[lon, lat, ele], ...coords.slice(segment + 1)], elevationOptions).gain;
+}
+
+/**
+ * Nearest point on the track to { lat, lng }:
+ * { segment, t, index (nearest track point), lat, lon, distance (m along), offset (m from the track) }.
+ * Where the track passes the same spot twice (out-and-back, loops), the pass
+ * closest to `near` (the previous distance along) wins.
+ */
+export function snapToRoute(route, { lat, lng }, { near = null } = {}) {
+  const { coords, distances } = route;
+  // Local flat projection around the fix, in meters
+  const kx = METERS_PER_DEGREE * Math.cos((lat * Math.PI) / 180);
+  const ky = METERS_PER_DEGREE;
+
+  const candidates = [];
+  for (let i = 0; i < coords.length - 1; i++) {
+    const ax = (coords[i][0] - lng) * kx;
+    const ay = (coords[i][1] - lat) * ky;
+    const dx = (coords[i + 1][0] - lng) * kx - ax;
+    const dy = (coords[i + 1][1] - lat) * ky - ay;
+    const len2 = dx * dx + dy * dy;
+    const t = len2 > 0 ? Math.min(1, Math.max(0, -(ax * dx + ay * dy) / len2)) : 0;
+    const offset = Math.hypot(ax + t * dx, ay + t * dy);
+    candidates.push({ segment: i, t, offset, distance: distances[i] + t * (distances[i + 1] - distances[i]) });
+  }
+
+  let best = candidates.reduce((a, b) => (b.offset < a.offset ? b : a));
+  if (near != null) {
+    best = candidates
+      .filter((c) => c.offset <= best.offset + SAME_SPOT_M)
+      .reduce((a, b) => (Math.abs(b.distance - near) < Math.abs(a.distance - near) ? b : a));
+  }
+
+  const [lon0, lat0] = coords[best.segment];
+  const [lon1, lat1] = coords[best.segment + 1];
+  return {
+    segment: best.segment,
+    t: best.t,
+    index: best.t < 0.5 ? best.segment : best.segment + 1,
+    lat: lat0 + (lat1 - lat0) * best.t,
+    lon: lon0 + (lon1 - lon0) * best.t,
+    distance: best.distance,
+    offset: best.offset,
+  };
+}
+
+/**
+ * Progress for a fix: the snap plus
+ * { done, remaining (mi), climbRemaining (ft),
+ *   nextMile, nextPeak: { name, distanceTo (mi) } | null }.
+ */
+export function navigationStatus(route, fix, { near = null } = {}) {
+  const snap = snapToRoute(route, fix, { near });
+
+  const next = (kind) => {
+    const waypoint = route.waypoints.find((w) => w.kind === kind && w.distance > snap.distance);
+    return waypoint ? { name: waypoint.name, distanceTo: (waypoint.distance - snap.distance) / METERS_PER_MILE } : null;
+  };
+
+  return {
+    ...snap,
+    done: snap.distance / METERS_PER_MILE,
+    remaining: (route.total - snap.distance) / METERS_PER_MILE,
+    climbRemaining: climbAhead(route, snap),
+    nextMile: next("mile"),
+    nextPeak: next("peak"),
+  };
+}
+
+/**
+ * Off-route state after a fix. A fix is only off route when even its
+ * accuracy circle is beyond the threshold, and stays off until it is back
+ * within 80% of it. `alert` is set on leaving the route and every
+ * REALERT_MS while still off it.
+ * Returns { offRoute, alert, alertedAt }.
+ */
+export function updateOffRoute(previous, { offset, accuracy }, { thresholdMeters, now = Date.now() }) {
+  const wasOff = previous?.offRoute ?? false;
+  const margin = Math.min(accuracy ?? 0, thresholdMeters);
+  const isOff = wasOff ? offset > thresholdMeters * RETURN_RATIO : offset - margin > thresholdMeters;
+  const alert = isOff && (!wasOff || now - (previous.alertedAt ?? 0) >= REALERT_MS);
+  return { offRoute: isOff, alert, alertedAt: alert ? now : isOff ? previous.alertedAt : null };
+}
@@ -0,0 +1,220 @@
+// "Make this trail available offline". Map tiles go through the service
+// worker's tile cache as before; this pins everything else a trail needs
+// without a network into Cache Storage, and keeps a per-track inventory in
+// localStorage (`offline-track-<id>`) so the UI can say what was saved.
+//
+//  - precache (per build): index.html, the app bundle and the Cesium assets
+//    this session loaded. public/sw.js deletes other builds' precaches when
+//    a new version activates, so a deploy never serves a stale bundle.
+//  - offline cache (kept across builds): track GeoJSON, manifest, peaks and
+//    the last weather/AQI responses. The service worker is network-first, so
+//    these are only served when the network is down.
+//
+// A track's tiles are tracked by the service worker's tile index
+// (lib/tileIndex); removeTrackOffline drops one track without touching what
+// other saved tracks share.
+
+import { aqiUrl, getTrackCoordinates, weatherUrl } from "../utils.js";
+
+export const TILE_CACHE = "trail-explorer-tiles-v1";
+export const OFFLINE_CACHE = "trail-explorer-offline-v1";
+export const precacheName = (build) => `trail-explorer-precache-${build}`;
+
+const INVENTORY_PREFIX = "offline-track-";
+
+export const offlineTrackId = (track) => track?.properties?.id || track?.properties?.filename;
+
+// Same point and units the sidebar asks for weather with: the middle coordinate
+export function weatherUrlsForTrack(track, units) {
+  const coords = getTrackCoordinates(track);
+  if (coords.length === 0) return [];
+  const [lon, lat] = coords[Math.floor(coords.length / 2)];
+  return [weatherUrl(lat, lon, units), aqiUrl(lat, lon)];
+}
+
+/**
+ * URLs to pin for a track, grouped the way the inventory reports them.
+ * `resources` are absolute URLs the page has loaded (performance entries);
+ * the bundle and Cesium files are picked from them since their names are
+ * only known after the build.
+ */
+export function offlineUrls(track, { base = "/", origin, resources = [], units } = {}) {
+  const local = resources
+    .map((url) => new URL(url, origin))
+    .filter((url) => url.origin === origin && url.pathname.startsWith(base))
+    .map((url) => url.pathname);
+  const unique = (list) => [...new Set(list)];
+  const file = track?.properties?.file;
+
+  return {
+    app: unique([base, `${base}index.html`, ...local.filter((p) => p.startsWith(`${base}assets/`))]),
+    cesium: unique(local.filter((p) => p.startsWith(`${base}cesium/`))),
+    geojson: file ? [`${base}tracks/${file}`] : [],
+    manifest: [`${base}tracks/manifest.json`],
+    peaks: [`${base}peaks/peaks.json`],
+    weather: weatherUrlsForTrack(track, units),
+  };
+}
+
+// Add each URL on its own so one 404 doesn't lose the rest; returns the count saved
+async function addAll(cache, urls) {
+  const results = await Promise.allSettled(urls.map((url) => cache.add(url)));
+  results
+    .filter((r) => r.status === "rejected")
+    .forEach((r) => console.warn("Offline pin failed:", r.reason));
+  return results.filter((r) => r.status === "fulfilled").length;
+}
+
+/**
+ * Pin the track's data and the app itself, then record the inventory.
+ * `tiles` is the number of map tiles the caller downloaded; weather is
+ * pinned in the `units` the sidebar shows it in.
+ * Returns the inventory entry:
+ *   { id, name, build, savedAt, tiles, items: { app, cesium, geojson, manifest, peaks, weather } }
+ * with a count of saved responses per item. Local and drawn tracks have no
+ * GeoJSON URL: they already live in IndexedDB, and count as saved.
+ */
+export async function pinTrackOffline(
+  track,
+  { base, origin, resources, units, build, tiles = 0, cacheStorage = globalThis.caches, storage = globalThis.localStorage, now = new Date() } = {},
+) {
+  if (!cacheStorage) throw new Error("Cache Storage is not available in this browser");
+
+  const urls = offlineUrls(track, { base, origin, resources, units });
+  const precache = await cacheStorage.open(precacheName(build));
+  const offline = await cacheStorage.open(OFFLINE_CACHE);
+
+  const items = {
+    app: await addAll(precache, urls.app),
+    cesium: await addAll(precache, urls.cesium),
+    geojson: urls.geojson.length ? await addAll(offline, urls.geojson) : 1,
+    manifest: await addAll(offline, urls.manifest),
+    peaks: await addAll(offline, urls.peaks),
+    weather: await addAll(offline, urls.weather),
+  };
+
+  const entry = {
+    id: offlineTrackId(track),
+    name: track.properties?.name || "",
+    build,
+    savedAt: now.toISOString(),
+    tiles,
+    items,
+  };
+  storage?.setItem(`${INVENTORY_PREFIX}${entry.id}`, JSON.stringify(entry));
+  return entry;
+}
+
+/**
+ * Inventory entry for a track id, or null. Entries written before the full
+ * offline mode were just a timestamp; those only had tiles.
+ */
+export function getOfflineEntry(id, storage = globalThis.localStorage) {
+  const raw = storage?.getItem(`${INVENTORY_PREFIX}${id}`);
+  if (!raw) return null;
+  try {
+    const entry = JSON.parse(raw);
+    if (entry && typeof entry === "object") return entry;
+  } catch {
+    // legacy value, handled below
+  }
+  return { id, name: "", build: null, savedAt: raw, tiles: null, items: {} };
+}
+
+export function listOfflineEntries(storage = globalThis.localStorage) {
+  if (!storage) return [];
+  const entries = [];
+  for (let i = 0; i < storage.length; i++) {
+    const key = storage.key(i);
+    if (key?.startsWith(INVENTORY_PREFIX)) entries.push(getOfflineEntry(key.slice(INVENTORY_PREFIX.length), storage));
+  }
+  return entries.sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)));
+}
+
+export function clearOfflineEntries(storage = globalThis.localStorage) {
+  for (const entry of listOfflineEntries(storage)) storage.removeItem(`${INVENTORY_PREFIX}${entry.id}`);
+}
+
+/**
+ * Remove one track from the offline inventory and delete its GeoJSON and
+ * weather from the offline cache. The manifest, peaks and app files stay:
+ * other tracks use them. Its tiles are removed separately
+ * (tileIndex.removeTrackTiles).
+ */
+export async function removeTrackOffline(track, { cacheStorage = globalThis.caches, storage = globalThis.localStorage, base = "/" } = {}) {
+  const id = offlineTrackId(track);
+  storage?.removeItem(`${INVENTORY_PREFIX}${id}`);
+  if (!cacheStorage) return;
+
+  const urls = offlineUrls(track, { base });
+  const offline = await cacheStorage.open(OFFLINE_CACHE);
+  await Promise.all([...urls.geojson, ...urls.weather].map((url) => offline.delete(url)));
+}
+
+/**
+ * The service worker evicted these tracks' tiles to stay under the storage
+ * budget: keep their entries (the data is still saved) but without tiles.
+ * Returns the ids whose entries changed.
+ */
+export function markTilesEvicted(trackIds, storage = globalThis.localStorage) {
+  const changed = [];
+  for (const id of trackIds) {
+    const entry = getOfflineEntry(id, storage);
+    if (!entry || entry.tilesEvicted) continue;
+    storage.setItem(`${INVENTORY_PREFIX}${id}`, JSON.stringify({ ...entry, tiles: 0, tilesEvicted: true }));
+    changed.push(id);
+  }
+  return changed;
+}
+
+/**
+ * What still works offline, for the offline banner:
+ * [{ key, label, available, detail }]. `entry` is the selected track's
+ * inventory entry (or null), `entries` all of them.
+ */
+export function offlineFeatures(entry, entries = []) {
+  const items = entry?.items || {};
+  const saved = (key) => (items[key] ?? 0) > 0;
+  const anyManifest = entries.some((e) => (e.items?.manifest ?? 0) > 0);
+  const savedAt = entry?.savedAt ? new Date(entry.savedAt) : null;
+  const when = savedAt && !Number.isNaN(savedAt.getTime()) ? savedAt.toLocaleDateString() : null;
+
+  return [
+    {
+      key: "map",
+      label: "2D map",
+      available: !!entry && entry.tiles !== 0,
+      detail:
+        entry && entry.tiles !== 0
+          ? "Tiles saved for this trail"
+          : entry?.tilesEvicted
+            ? "Tiles removed to stay under the storage budget"
+            : "This trail's tiles were not saved",
+    },
+    {
+      key: "track",
+      label: "Trail and elevation profile",
+      available: saved("geojson"),
+      detail: saved("geojson") ? "Track data saved" : "Opens only if viewed recently",
+    },
+    {
+      key: "list",
+      label: "Trail list and peaks",
+      available: anyManifest,
+      detail: anyManifest ? "Manifest and peaks saved" : "Not saved yet",
+    },
+    {
+      key: "weather",
+      label: "Weather and air quality",
+      available: saved("weather"),
+      detail: saved("weather") ? `Last forecast from ${when}` : "Needs network",
+    },
+    {
+      key: "3d",
+      label: "3D view",
+      available: false,
+      detail: saved("cesium") ? "Viewer saved; terrain and imagery need network" : "Needs network",
+    },
+    { key: "gps", label: "GPS location", available: true, detail: "Works without network" },
+  ];
+}
@@ -0,0 +1,194 @@
+// Predicted trail times. A flat pace (set by the user, or fitted from their
+// recorded tracks) is slowed or sped up per point by the grade from
+// calculateGradePerPoint(), using either Tobler's hiking function or
+// Naismith's rule. The plan gives elapsed and clock times at every mile
+// marker and at peaks near the track (same waypoints as the GPX export).
+
+import { calculateGradePerPoint, getTrackCoordinates } from "../utils.js";
+import { buildWaypoints, cumulativeDistances } from "./trackExport.js";
+import { computeActivityStats, getTrackTimes } from "./activityStats.js";
+import { METERS_PER_MILE } from "./units.js";
+
+// Tobler's flat-ground walking speed, 5.04 km/h, as seconds per mile
+export const DEFAULT_FLAT_PACE = 1150;
+
+// Flat paces (s/mi) the settings accept: 3:00 to 60:00 per mile
+export const MIN_FLAT_PACE = 180;
+export const MAX_FLAT_PACE = 3600;
+
+export const PACE_MODELS = {
+  tobler: {
+    label: "Tobler",
+    description: "Speed falls off exponentially with grade; fastest on a gentle descent",
+  },
+  naismith: {
+    label: "Naismith",
+    description: "Flat pace plus 1 hour per 600 m of climbing",
+  },
+};
+
+export const DEFAULT_PACE_SETTINGS = {
+  model: "tobler",
+  flatPace: DEFAULT_FLAT_PACE, // seconds per mile
+  startTime: "", // "HH:MM" today; empty means now
+};
+
+// Grades beyond this are GPS/DEM noise on a trail
+const MAX_GRADE = 0.6;
+
+// Naismith: 600 m of ascent takes as long as 5 km on the flat
+const NAISMITH_CLIMB_FACTOR = 5000 / 600;
+
+// Tobler: 6·e^(-3.5·|g + 0.05|) km/h, normalised so g = 0 is 1
+const toblerFactor = (grade) => Math.exp(-3.5 * Math.abs(grade + 0.05)) / Math.exp(-3.5 * 0.05);
+
+// Seconds to cover `meters` at `grade` (fraction) for a flat pace in s/mi
+function segmentSeconds(model, meters, grade, flatPace) {
+  const secondsPerMeter = flatPace / METERS_PER_MILE;
+  if (model === "naismith") {
+    return (meters + NAISMITH_CLIMB_FACTOR * Math.max(0, grade) * meters) * secondsPerMeter;
+  }
+  return (meters * secondsPerMeter) / toblerFactor(grade);
+}
+
+/**
+ * Predicted elapsed seconds at each coordinate, starting at 0.
+ * Uses the same point distances as cumulativeDistances().
+ */
+export function predictElapsedTimes(coordinates, settings = DEFAULT_PACE_SETTINGS) {
+  const { model = "tobler", flatPace = DEFAULT_FLAT_PACE } = settings;
+  if (!coordinates || coordinates.length === 0) return [];
+
+  const distances = cumulativeDistances(coordinates);
+  const grades = calculateGradePerPoint(coordinates);
+  const times = new Array(coordinates.length).fill(0);
+
+  for (let i = 1; i < coordinates.length; i++) {
+    const grade = Math.max(-MAX_GRADE, Math.min(MAX_GRADE, grades[i] / 100));
+    times[i] = times[i - 1] + segmentSeconds(model, distances[i] - distances[i - 1], grade, flatPace);
+  }
+  return times;
+}
+
+/**
+ * Flat pace (s/mi) that makes the model match the moving time of the
+ * given recorded tracks, or null if none of them have timestamps.
+ * Returns { flatPace, trackCount, distance (mi) }; the pace is clamped to
+ * the range parsePaceSettings() accepts.
+ */
+export function fitFlatPace(tracks, model = DEFAULT_PACE_SETTINGS.model) {
+  let moving = 0;
+  let predicted = 0;
+  let distance = 0;
+  let trackCount = 0;
+
+  for (const track of tracks) {
+    const coords = getTrackCoordinates(track);
+    const stats = computeActivityStats(coords, getTrackTimes(track));
+    if (!stats || stats.movingTime <= 0) continue;
+
+    // Predicted time at 1 s/mi flat scales linearly with the flat pace
+    const unit = predictElapsedTimes(coords, { model, flatPace: 1 });
+    moving += stats.movingTime;
+    predicted += unit[unit.length - 1];
+    distance += stats.distance;
+    trackCount += 1;
+  }
+
+  if (trackCount === 0 || predicted <= 0) return null;
+  const flatPace = Math.max(MIN_FLAT_PACE, Math.min(MAX_FLAT_PACE, moving / predicted));
+  return { flatPace, trackCount, distance };
+}
+
+// Linear interpolation of predicted time at a distance (m) along the track
+function elapsedAt(distances, times, meters) {
+  let hi = distances.findIndex((d) => d >= meters);
+  if (hi === -1) return times[times.length - 1];
+  if (hi === 0) return 0;
+  const lo = hi - 1;
+  const span = distances[hi] - distances[lo];
+  const ratio = span > 0 ? (meters - distances[lo]) / span : 0;
+  return times[lo] + (times[hi] - times[lo]) * ratio;
+}
+
+// "HH:MM" today, or `now` when empty/invalid
+export function resolveStartTime(startTime, now = new Date()) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(startTime || "");
+  if (!match) return new Date(now);
+  const start = new Date(now);
+  start.setHours(Number(match[1]), Number(match[2]), 0, 0);
+  return start;
+}
+
+/**
+ * Predicted plan for a track:
+ * {
+ *   start, finish (Date), totalTime (s), distance (mi),
+ *   checkpoints: [{ kind, name, mile?, id?, distance (mi), elapsed (s), arrival (Date) }],
+ * }
+ * Marker checkpoints carry `mile`, the marker number (miles or km with
+ * metric `units`), so map markers can look themselves up; `stations` (lib/
+ * waypoints stationWaypoints) become checkpoints of their own kind with the
+ * station's `id`.
+ */
+export function buildTrailPlan(
+  track,
+  { settings = DEFAULT_PACE_SETTINGS, peaks = [], stations = [], units, now = new Date() } = {},
+) {
+  const coords = getTrackCoordinates(track);
+  if (coords.length < 2) return null;
+
+  const distances = cumulativeDistances(coords);
+  const times = predictElapsedTimes(coords, settings);
+  const start = resolveStartTime(settings.startTime, now);
+  const totalTime = times[times.length - 1];
+  const arrival = (elapsed) => new Date(start.getTime() + elapsed * 1000);
+
+  const checkpoints = buildWaypoints(track, { peaks, units, stations }).map((waypoint) => {
+    const elapsed = elapsedAt(distances, times, waypoint.distance);
+    return {
+      kind: waypoint.kind,
+      name: waypoint.name,
+      ...(waypoint.kind === "mile" && { mile: waypoint.number }),
+      ...(waypoint.id && { id: waypoint.id }),
+      distance: waypoint.distance / METERS_PER_MILE,
+      elapsed,
+      arrival: arrival(elapsed),
+    };
+  });
+
+  return {
+    start,
+    finish: arrival(totalTime),
+    totalTime,
+    distance: distances[distances.length - 1] / METERS_PER_MILE,
+    checkpoints,
+  };
+}
+
+// Keep whatever was stored if it still makes sense; defaults otherwise
+export function parsePaceSettings(json) {
+  let stored = {};
+  try {
+    stored = JSON.parse(json || "{}") || {};
+  } catch {
+    stored = {};
+  }
+  const flatPace = Number(stored.flatPace);
+  return {
+    model: PACE_MODELS[stored.model] ? stored.model : DEFAULT_PACE_SETTINGS.model,
+    flatPace: Number.isFinite(flatPace) && flatPace >= MIN_FLAT_PACE && flatPace <= MAX_FLAT_PACE ? flatPace : DEFAULT_FLAT_PACE,
+    startTime: /^\d{1,2}:\d{2}$/.test(stored.startTime || "") ? stored.startTime : "",
+  };
+}
+
+// "12:30", "12:30 /mi" or "12:30 /km" -> 750; null if it doesn't parse
+export function parsePace(text) {
+  const match = /^\s*(\d{1,3}):([0-5]\d)\s*(\/\s*(mi|km))?\s*$/.exec(String(text || ""));
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+// Date -> "9:42 AM"
+export function formatClock(date) {
+  return date.toLocaleTimeString("en-US", { hour: "numeric", minute: "2-digit" });
+}
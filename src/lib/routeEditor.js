@@ -0,0 +1,61 @@
+// Waypoint editing for draw mode, as a reducer with undo/redo. Waypoints are
+// { lat, lng }; every edit pushes the previous list onto `past`, and any new
+// edit clears `future`.
+
+// Edits kept for undo
+export const MAX_UNDO = 100;
+
+export const initialEditorState = { past: [], waypoints: [], future: [] };
+
+const commit = (state, waypoints) => ({
+  past: [...state.past, state.waypoints].slice(-MAX_UNDO),
+  waypoints,
+  future: [],
+});
+
+/**
+ * Actions:
+ *   { type: "add", point }            append a waypoint
+ *   { type: "insert", index, point }  insert before `index`
+ *   { type: "move", index, point }    drag a waypoint
+ *   { type: "remove", index }
+ *   { type: "clear" }
+ *   { type: "undo" } / { type: "redo" }
+ */
+export function editorReducer(state, action) {
+  const { waypoints } = state;
+  const point = action.point && { lat: action.point.lat, lng: action.point.lng };
+
+  switch (action.type) {
+    case "add":
+      return commit(state, [...waypoints, point]);
+    case "insert": {
+      const index = Math.max(0, Math.min(action.index, waypoints.length));
+      return commit(state, [...waypoints.slice(0, index), point, ...waypoints.slice(index)]);
+    }
+    case "move":
+      if (!waypoints[action.index]) return state;
+      return commit(state, waypoints.map((w, i) => (i === action.index ? point : w)));
+    case "remove":
+      if (!waypoints[action.index]) return state;
+      return commit(state, waypoints.filter((_, i) => i !== action.index));
+    case "clear":
+      return waypoints.length ? commit(state, []) : state;
+    case "undo":
+      if (!state.past.length) return state;
+      return {
+        past: state.past.slice(0, -1),
+        waypoints: state.past[state.past.length - 1],
+        future: [waypoints, ...state.future],
+      };
+    case "redo":
+      if (!state.future.length) return state;
+      return {
+        past: [...state.past, waypoints],
+        waypoints: state.future[0],
+        future: state.future.slice(1),
+      };
+    default:
+      return state;
+  }
+}
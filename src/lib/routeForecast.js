@@ -0,0 +1,201 @@
+// Forecast along the route. The track is sampled every N miles, each sample
+// gets its predicted arrival time from the pace model (same settings as the
+// Trail Plan), and one multi-location Open-Meteo request returns the hourly
+// forecast at every sample. Each sample reads the hour it will be reached,
+// so a long day sees the afternoon heat at the far end, not at the start.
+
+import { getTrackCoordinates } from "../utils.js";
+import { cumulativeDistances } from "./trackExport.js";
+import { DEFAULT_PACE_SETTINGS, predictElapsedTimes, resolveStartTime } from "./paceModel.js";
+import { METERS_PER_MILE } from "./units.js";
+
+const HOUR_MS = 3600 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const OM_FORECAST = "https://api.open-meteo.com/v1/forecast";
+const OM_AQI = "https://air-quality-api.open-meteo.com/v1/air-quality";
+
+// Open-Meteo's limits on how far ahead each API forecasts
+const MAX_FORECAST_DAYS = 16;
+const MAX_AQI_DAYS = 7;
+
+export const FORECAST_INTERVALS = [0.5, 1, 2]; // miles between samples
+export const FORECAST_DAYS = ["Today", "Tomorrow", "In 2 days"];
+export const DEFAULT_FORECAST_OPTIONS = { interval: 1, day: 0 };
+
+// Thresholds for flagging a stretch of trail on the map
+export const RISKS = {
+  heat: {
+    label: "Heat",
+    color: "#ef4444",
+    description: "Temperature or feels-like of 90°F or more",
+  },
+  storm: {
+    label: "Storm",
+    color: "#8b5cf6",
+    description: "Thunderstorms forecast, or gusts of 40 mph or more",
+  },
+};
+const HEAT_F = 90;
+const GUST_MPH = 40;
+const THUNDERSTORM_CODE = 95; // WMO 95-99
+
+/**
+ * Points every `interval` miles from the start, plus the end:
+ * [{ distance (mi), lat, lon, elapsed (s), arrival (Date) }]
+ * Elapsed times come from predictElapsedTimes(), so they match the Trail Plan.
+ */
+export function sampleRoute(
+  track,
+  { settings = DEFAULT_PACE_SETTINGS, interval = DEFAULT_FORECAST_OPTIONS.interval, day = 0, now = new Date() } = {},
+) {
+  const coords = getTrackCoordinates(track);
+  if (coords.length < 2 || !(interval > 0)) return [];
+
+  const distances = cumulativeDistances(coords);
+  const times = predictElapsedTimes(coords, settings);
+  const total = distances[distances.length - 1];
+  const start = resolveStartTime(settings.startTime, now);
+  start.setDate(start.getDate() + day);
+
+  const targets = [];
+  for (let n = 0; n * interval * METERS_PER_MILE < total; n++) targets.push(n * interval * METERS_PER_MILE);
+  targets.push(total);
+
+  const samples = [];
+  let i = 1;
+  for (const meters of targets) {
+    while (i < distances.length - 1 && distances[i] < meters) i++;
+    const span = distances[i] - distances[i - 1];
+    const ratio = span > 0 ? Math.min(1, Math.max(0, (meters - distances[i - 1]) / span)) : 1;
+    const lerp = (a, b) => a + (b - a) * ratio;
+    const elapsed = lerp(times[i - 1], times[i]);
+    samples.push({
+      distance: meters / METERS_PER_MILE,
+      lat: lerp(coords[i - 1][1], coords[i][1]),
+      lon: lerp(coords[i - 1][0], coords[i][0]),
+      elapsed,
+      arrival: new Date(start.getTime() + elapsed * 1000),
+    });
+  }
+  return samples;
+}
+
+// Which RISKS apply to one forecast hour
+export function assessRisks({ temperature, apparentTemperature, gusts, weatherCode }) {
+  const risks = [];
+  if (Math.max(temperature ?? -Infinity, apparentTemperature ?? -Infinity) >= HEAT_F) risks.push("heat");
+  if ((weatherCode ?? 0) >= THUNDERSTORM_CODE || (gusts ?? 0) >= GUST_MPH) risks.push("storm");
+  return risks;
+}
+
+// Index of the forecast hour containing `date`, or -1 outside the forecast
+function hourIndex(unixTimes, date) {
+  const seconds = date.getTime() / 1000;
+  for (let i = unixTimes.length - 1; i >= 0; i--) {
+    if (unixTimes[i] <= seconds) return seconds - unixTimes[i] < 3600 ? i : -1;
+  }
+  return -1;
+}
+
+const locationList = (data) => (Array.isArray(data) ? data : [data]);
+
+/**
+ * Fetch the forecast for every sample at its arrival hour. Adds
+ * { temperature, apparentTemperature (°F), precipitationProbability (%),
+ *   windSpeed, gusts (mph), weatherCode, aqi, risks } to each sample;
+ * values are null when the arrival is outside the forecast.
+ * Air quality is optional: if that request fails, aqi is null.
+ */
+export async function fetchRouteForecast(samples, { now = new Date(), fetchImpl = fetch, signal } = {}) {
+  if (samples.length === 0) return [];
+
+  const lastArrival = Math.max(...samples.map((s) => s.arrival.getTime()));
+  const days = Math.ceil((lastArrival - now.getTime()) / DAY_MS) + 1;
+  const location = {
+    latitude: samples.map((s) => s.lat.toFixed(4)).join(","),
+    longitude: samples.map((s) => s.lon.toFixed(4)).join(","),
+    timeformat: "unixtime",
+    timezone: "auto",
+  };
+
+  const fParams = new URLSearchParams({
+    ...location,
+    hourly: "temperature_2m,apparent_temperature,precipitation_probability,windspeed_10m,windgusts_10m,weathercode",
+    temperature_unit: "fahrenheit",
+    windspeed_unit: "mph",
+    forecast_days: String(Math.min(MAX_FORECAST_DAYS, Math.max(1, days))),
+  });
+  const fRes = await fetchImpl(`${OM_FORECAST}?${fParams}`, { signal });
+  if (!fRes.ok) throw new Error(`Forecast error: ${fRes.status}`);
+  const forecast = locationList(await fRes.json());
+
+  let air = null;
+  try {
+    const aParams = new URLSearchParams({
+      ...location,
+      hourly: "us_aqi",
+      forecast_days: String(Math.min(MAX_AQI_DAYS, Math.max(1, days))),
+    });
+    const aRes = await fetchImpl(`${OM_AQI}?${aParams}`, { signal });
+    if (aRes.ok) air = locationList(await aRes.json());
+  } catch (error) {
+    if (error.name === "AbortError") throw error;
+  }
+
+  return samples.map((sample, i) => {
+    const hourly = forecast[i]?.hourly ?? {};
+    const h = hourIndex(hourly.time ?? [], sample.arrival);
+    const at = (values) => (h === -1 ? null : (values?.[h] ?? null));
+
+    const airHourly = air?.[i]?.hourly ?? {};
+    const a = hourIndex(airHourly.time ?? [], sample.arrival);
+    const aqi = a === -1 ? null : (airHourly.us_aqi?.[a] ?? null);
+
+    const values = {
+      temperature: at(hourly.temperature_2m),
+      apparentTemperature: at(hourly.apparent_temperature),
+      precipitationProbability: at(hourly.precipitation_probability),
+      windSpeed: at(hourly.windspeed_10m),
+      gusts: at(hourly.windgusts_10m),
+      weatherCode: at(hourly.weathercode),
+      aqi: aqi === null ? null : Math.round(aqi),
+    };
+    return { ...sample, ...values, risks: assessRisks(values) };
+  });
+}
+
+/**
+ * Stretches of trail to highlight on the map. The stretch between two
+ * samples takes the risks of both ends; neighbouring stretches with the
+ * same risks are merged. Returns [{ from, to (mi), risks, positions: [[lat, lon]] }].
+ */
+export function riskSegments(track, forecast) {
+  const coords = getTrackCoordinates(track);
+  if (coords.length < 2 || forecast.length < 2) return [];
+  const miles = cumulativeDistances(coords).map((m) => m / METERS_PER_MILE);
+
+  const segments = [];
+  for (let k = 1; k < forecast.length; k++) {
+    const a = forecast[k - 1];
+    const b = forecast[k];
+    const risks = Object.keys(RISKS).filter((r) => a.risks?.includes(r) || b.risks?.includes(r));
+    if (risks.length === 0) continue;
+
+    const last = segments[segments.length - 1];
+    if (last && last.to === a.distance && last.risks.join() === risks.join()) {
+      last.to = b.distance;
+    } else {
+      segments.push({ from: a.distance, to: b.distance, risks });
+    }
+  }
+
+  for (const segment of segments) {
+    const inside = coords
+      .filter((_, i) => miles[i] > segment.from && miles[i] < segment.to)
+      .map((c) => [c[1], c[0]]);
+    const ends = forecast.filter((s) => s.distance === segment.from || s.distance === segment.to);
+    segment.positions = [[ends[0].lat, ends[0].lon], ...inside, [ends[ends.length - 1].lat, ends[ends.length - 1].lon]];
+  }
+  return segments;
+}
@@ -0,0 +1,198 @@
+// Routing for draw mode. A route is planned leg by leg between the waypoints
+// the user places, with one of several backends:
+//  - direct:      straight lines; no network, so it always works offline
+//  - osrm:        an OSRM server with a foot profile (FOSSGIS public server by default)
+//  - graphhopper: the GraphHopper API, hiking profile (needs an API key)
+//  - brouter:     BRouter, which knows trail types and returns elevation
+//  - local:       any OSRM-compatible server you run yourself (VITE_ROUTING_URL)
+// Legs are cached by their endpoints, so moving one waypoint re-routes only
+// the two legs that touch it. A leg the backend can't route is drawn as a
+// straight line and flagged, rather than failing the whole route.
+
+import { haversineDistance } from "../utils.js";
+import { METERS_PER_MILE } from "./units.js";
+
+export const ROUTING_BACKENDS = {
+  direct: {
+    label: "Straight lines",
+    description: "Connects your points directly. Works offline and for unmapped trails.",
+  },
+  osrm: {
+    label: "OSRM (foot)",
+    description: "Follows mapped paths and trails using OSRM's foot profile.",
+  },
+  graphhopper: {
+    label: "GraphHopper (hike)",
+    description: "Prefers hiking trails; elevation comes with the route.",
+  },
+  brouter: {
+    label: "BRouter (hiking)",
+    description: "Trail-aware hiking profile; elevation comes with the route.",
+  },
+  local: {
+    label: "Local server",
+    description: "Your own OSRM-compatible routing server.",
+  },
+};
+
+export const DEFAULT_ROUTING = {
+  backend: "osrm",
+  osrmUrl: "https://routing.openstreetmap.de/routed-foot",
+  graphhopperUrl: "https://graphhopper.com/api/1",
+  graphhopperProfile: "hike",
+  brouterUrl: "https://brouter.de/brouter",
+  brouterProfile: "hiking-mountain",
+};
+
+/**
+ * Routing settings from Vite env vars:
+ *   VITE_ROUTING_BACKEND   backend selected by default
+ *   VITE_OSRM_URL          OSRM server (without /route/v1)
+ *   VITE_GRAPHHOPPER_KEY   GraphHopper API key; the backend is hidden without one
+ *   VITE_GRAPHHOPPER_URL, VITE_GRAPHHOPPER_PROFILE
+ *   VITE_BROUTER_URL, VITE_BROUTER_PROFILE
+ *   VITE_ROUTING_URL       local OSRM-compatible server; hidden when unset
+ */
+export function getRoutingConfig(env = {}) {
+  return {
+    backend: ROUTING_BACKENDS[env.VITE_ROUTING_BACKEND] ? env.VITE_ROUTING_BACKEND : DEFAULT_ROUTING.backend,
+    osrmUrl: env.VITE_OSRM_URL || DEFAULT_ROUTING.osrmUrl,
+    graphhopperUrl: env.VITE_GRAPHHOPPER_URL || DEFAULT_ROUTING.graphhopperUrl,
+    graphhopperKey: env.VITE_GRAPHHOPPER_KEY || null,
+    graphhopperProfile: env.VITE_GRAPHHOPPER_PROFILE || DEFAULT_ROUTING.graphhopperProfile,
+    brouterUrl: env.VITE_BROUTER_URL || DEFAULT_ROUTING.brouterUrl,
+    brouterProfile: env.VITE_BROUTER_PROFILE || DEFAULT_ROUTING.brouterProfile,
+    localUrl: env.VITE_ROUTING_URL || null,
+  };
+}
+
+// Backends that can be used with this config, in menu order
+export function availableBackends(config) {
+  return Object.keys(ROUTING_BACKENDS).filter((id) => {
+    if (id === "graphhopper") return Boolean(config.graphhopperKey);
+    if (id === "local") return Boolean(config.localUrl);
+    return true;
+  });
+}
+
+const trimSlash = (url) => url.replace(/\/+$/, "");
+
+async function fetchJson(fetchImpl, url, name) {
+  const response = await fetchImpl(url);
+  const data = await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new Error(`${name}: ${data?.message || `HTTP ${response.status}`}`);
+  }
+  return data;
+}
+
+// OSRM route API, shared by the public server and a local one
+function osrmLeg(baseUrl, name) {
+  return async (from, to, fetchImpl) => {
+    const points = `${from.lng.toFixed(6)},${from.lat.toFixed(6)};${to.lng.toFixed(6)},${to.lat.toFixed(6)}`;
+    const data = await fetchJson(
+      fetchImpl,
+      `${trimSlash(baseUrl)}/route/v1/foot/${points}?overview=full&geometries=geojson`,
+      name,
+    );
+    const route = data?.routes?.[0];
+    if (data?.code !== "Ok" || !route) throw new Error(`${name}: no route found`);
+    return { coordinates: route.geometry.coordinates.map(([lon, lat]) => [lon, lat]), distance: route.distance };
+  };
+}
+
+const LEG_ROUTERS = {
+  direct: () => async (from, to) => ({
+    coordinates: [
+      [from.lng, from.lat],
+      [to.lng, to.lat],
+    ],
+    distance: haversineDistance(from.lat, from.lng, to.lat, to.lng) * METERS_PER_MILE,
+  }),
+
+  osrm: (config) => osrmLeg(config.osrmUrl, "OSRM"),
+
+  local: (config) => osrmLeg(config.localUrl, "Local router"),
+
+  graphhopper: (config) => async (from, to, fetchImpl) => {
+    const params = new URLSearchParams({
+      profile: config.graphhopperProfile,
+      points_encoded: "false",
+      elevation: "true",
+      key: config.graphhopperKey,
+    });
+    params.append("point", `${from.lat},${from.lng}`);
+    params.append("point", `${to.lat},${to.lng}`);
+    const data = await fetchJson(fetchImpl, `${trimSlash(config.graphhopperUrl)}/route?${params}`, "GraphHopper");
+    const path = data?.paths?.[0];
+    if (!path) throw new Error("GraphHopper: no route found");
+    return { coordinates: path.points.coordinates, distance: path.distance };
+  },
+
+  brouter: (config) => async (from, to, fetchImpl) => {
+    const lonlats = `${from.lng.toFixed(6)},${from.lat.toFixed(6)}|${to.lng.toFixed(6)},${to.lat.toFixed(6)}`;
+    const params = `lonlats=${lonlats}&profile=${encodeURIComponent(config.brouterProfile)}&alternativeidx=0&format=geojson`;
+    const data = await fetchJson(fetchImpl, `${trimSlash(config.brouterUrl)}?${params}`, "BRouter");
+    const feature = data?.features?.[0];
+    if (!feature) throw new Error("BRouter: no route found");
+    return {
+      coordinates: feature.geometry.coordinates,
+      distance: Number(feature.properties?.["track-length"]),
+    };
+  },
+};
+
+/**
+ * { id, label, routeLeg(from, to) -> Promise<{ coordinates, distance (m) }> }
+ * for one backend. Waypoints are { lat, lng }; coordinates come back as
+ * [lon, lat] or [lon, lat, ele (m)] when the backend knows elevation.
+ */
+export function createRoutingBackend(id, config = getRoutingConfig(), { fetchImpl = globalThis.fetch?.bind(globalThis) } = {}) {
+  const backendId = ROUTING_BACKENDS[id] ? id : "direct";
+  const leg = LEG_ROUTERS[backendId](config);
+  return {
+    id: backendId,
+    label: ROUTING_BACKENDS[backendId].label,
+    routeLeg: (from, to) => leg(from, to, fetchImpl),
+  };
+}
+
+const legKey = (backend, from, to) => `${backend.id}|${from.lat},${from.lng}|${to.lat},${to.lng}`;
+
+/**
+ * Routes every leg between consecutive waypoints:
+ * { legs: [{ coordinates, distance (m), error }], coordinates, distance (m) }.
+ * A leg that fails is a straight line with `error` set. Options:
+ *   cache    Map reused between calls, so unchanged legs aren't fetched again
+ *   elevate  async coords -> coords applied to each routed leg (DEM lookup)
+ */
+export async function routeLegs(waypoints, backend, { cache = new Map(), elevate = null } = {}) {
+  const direct = createRoutingBackend("direct");
+
+  const legs = await Promise.all(
+    waypoints.slice(1).map((to, i) => {
+      const from = waypoints[i];
+      const key = legKey(backend, from, to);
+      if (!cache.has(key)) {
+        const promise = (async () => {
+          let leg;
+          try {
+            leg = { ...(await backend.routeLeg(from, to)), error: null };
+          } catch (err) {
+            leg = { ...(await direct.routeLeg(from, to)), error: err.message };
+          }
+          if (elevate) leg.coordinates = await elevate(leg.coordinates);
+          return leg;
+        })();
+        // Failed legs are retried next time
+        promise.then((leg) => leg.error && cache.delete(key), () => cache.delete(key));
+        cache.set(key, promise);
+      }
+      return cache.get(key);
+    }),
+  );
+
+  // Each leg starts where the previous one ended
+  const coordinates = legs.flatMap((leg, i) => (i === 0 ? leg.coordinates : leg.coordinates.slice(1)));
+  return { legs, coordinates, distance: legs.reduce((sum, leg) => sum + leg.distance, 0) };
+}
@@ -0,0 +1,17 @@
+// navigator.storage.estimate() in the MB strings the UI shows.
+// Returns null when the browser doesn't support it.
+export async function getStorageEstimate() {
+  if (typeof navigator === "undefined") return null;
+  if (!("storage" in navigator) || !("estimate" in navigator.storage)) return null;
+
+  const estimate = await navigator.storage.estimate();
+  return formatStorageEstimate(estimate);
+}
+
+export function formatStorageEstimate({ usage = 0, quota = 0 } = {}) {
+  return {
+    used: (usage / 1024 / 1024).toFixed(1),
+    quota: (quota / 1024 / 1024).toFixed(0),
+    percent: quota > 0 ? Math.round((usage / quota) * 100) : 0,
+  };
+}
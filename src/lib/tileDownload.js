@@ -0,0 +1,169 @@
+// Offline tile downloads for a trail: the tiles within a buffer of the track
+// (a corridor, not the whole bounding box) for a zoom range of one base
+// layer. Tiles are fetched through the service worker, which stores them in
+// its tile cache; tiles already cached are skipped, so an interrupted
+// download resumes where it stopped. Progress is saved in localStorage so
+// the sidebar can offer to resume after a reload.
+
+import { tileUrl } from "./baseLayers.js";
+
+export const DEFAULT_DOWNLOAD_OPTIONS = { layerId: "osm", minZoom: 13, maxZoom: 16, bufferMeters: 500 };
+export const BUFFER_OPTIONS = [250, 500, 1000, 2000]; // meters either side of the track
+export const ZOOM_RANGE = [10, 18];
+
+// Above this the download is refused; the providers' usage policies are
+// written for interactive use, not for mirroring whole regions
+export const MAX_DOWNLOAD_TILES = 10000;
+
+const EARTH_CIRCUMFERENCE = 40075016.686; // meters
+const METERS_PER_DEGREE = 111320;
+const JOB_PREFIX = "offline-download-";
+
+export function latLngToTile(lat, lon, zoom) {
+  const n = 2 ** zoom;
+  const latRad = (lat * Math.PI) / 180;
+  const x = Math.floor(((lon + 180) / 360) * n);
+  const y = Math.floor(((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2) * n);
+  // Clamp: lon = 180 or the poles would fall one past the last tile
+  return { x: Math.min(n - 1, Math.max(0, x)), y: Math.min(n - 1, Math.max(0, y)) };
+}
+
+// Points along the track no further apart than `spacing` meters
+function densify(coords, spacing) {
+  const points = [];
+  for (let i = 0; i < coords.length; i++) {
+    const [lon, lat] = coords[i];
+    if (i > 0) {
+      const [lon0, lat0] = coords[i - 1];
+      const dx = (lon - lon0) * METERS_PER_DEGREE * Math.cos((lat * Math.PI) / 180);
+      const dy = (lat - lat0) * METERS_PER_DEGREE;
+      const steps = Math.ceil(Math.hypot(dx, dy) / spacing);
+      for (let k = 1; k < steps; k++) {
+        points.push([lon0 + ((lon - lon0) * k) / steps, lat0 + ((lat - lat0) * k) / steps]);
+      }
+    }
+    points.push([lon, lat]);
+  }
+  return points;
+}
+
+/**
+ * Tiles at `zoom` within `bufferMeters` of the track, sorted by x then y.
+ * Each point along the track (spaced at most half a tile or one buffer
+ * apart) adds the tiles under a buffer-sized box around it.
+ */
+export function corridorTiles(coords, { zoom, bufferMeters }) {
+  if (!coords?.length) return [];
+  const midLat = coords[Math.floor(coords.length / 2)][1];
+  const tileMeters = (EARTH_CIRCUMFERENCE * Math.cos((midLat * Math.PI) / 180)) / 2 ** zoom;
+  const spacing = Math.max(1, Math.min(bufferMeters, tileMeters / 2));
+
+  const seen = new Set();
+  const tiles = [];
+  for (const [lon, lat] of densify(coords, spacing)) {
+    const dLat = bufferMeters / METERS_PER_DEGREE;
+    const dLon = bufferMeters / (METERS_PER_DEGREE * Math.cos((lat * Math.PI) / 180));
+    const topLeft = latLngToTile(lat + dLat, lon - dLon, zoom);
+    const bottomRight = latLngToTile(lat - dLat, lon + dLon, zoom);
+    for (let x = topLeft.x; x <= bottomRight.x; x++) {
+      for (let y = topLeft.y; y <= bottomRight.y; y++) {
+        const key = `${x}/${y}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        tiles.push({ x, y, z: zoom });
+      }
+    }
+  }
+  return tiles.sort((a, b) => a.x - b.x || a.y - b.y);
+}
+
+/**
+ * Everything needed to start (or resume) a download:
+ * { urls, count, bytes (estimate), byZoom: { [zoom]: count } }
+ */
+export function planTileDownload(coords, { layer, minZoom, maxZoom, bufferMeters }) {
+  const urls = [];
+  const byZoom = {};
+  for (let zoom = minZoom; zoom <= Math.min(maxZoom, layer.maxZoom); zoom++) {
+    const tiles = corridorTiles(coords, { zoom, bufferMeters });
+    byZoom[zoom] = tiles.length;
+    for (const tile of tiles) urls.push(tileUrl(layer, tile));
+  }
+  return { urls, count: urls.length, bytes: urls.length * layer.tileKB * 1024, byZoom };
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Fetch `urls` from `startAt` in batches, pausing between batches per the
+ * layer's rateLimit (ten times longer after a 429). Tiles for which
+ * `isCached(url)` resolves true are skipped without a request.
+ * Stops early when `signal` aborts. Resolves to
+ * { done, total, saved, skipped, failed, stopped }, `done` being the index
+ * to resume from.
+ */
+export async function downloadTiles(
+  urls,
+  { rateLimit, startAt = 0, fetchImpl = fetch, isCached = async () => false, onProgress, signal, sleep = wait } = {},
+) {
+  const result = { done: startAt, total: urls.length, saved: 0, skipped: 0, failed: 0, stopped: false };
+
+  for (let i = startAt; i < urls.length; i += rateLimit.batchSize) {
+    if (signal?.aborted) return { ...result, stopped: true };
+
+    const batch = urls.slice(i, i + rateLimit.batchSize);
+    let requested = 0;
+    let throttled = false;
+
+    await Promise.all(
+      batch.map(async (url) => {
+        if (await isCached(url)) {
+          result.skipped++;
+          return;
+        }
+        requested++;
+        try {
+          const response = await fetchImpl(url, { mode: "cors" });
+          if (response.ok) {
+            await response.blob();
+            result.saved++;
+          } else {
+            if (response.status === 429) throttled = true;
+            result.failed++;
+          }
+        } catch (error) {
+          console.warn("Tile fetch failed:", url, error);
+          result.failed++;
+        }
+      }),
+    );
+
+    result.done = i + batch.length;
+    onProgress?.({ ...result });
+
+    if (requested > 0 && result.done < urls.length) {
+      await sleep(rateLimit.delayMs * (throttled ? 10 : 1));
+    }
+  }
+  return result;
+}
+
+// ---- resumable jobs (one per track) ----
+
+export function saveDownloadJob(trackId, job, storage = globalThis.localStorage) {
+  storage?.setItem(`${JOB_PREFIX}${trackId}`, JSON.stringify({ ...job, updatedAt: new Date().toISOString() }));
+}
+
+// { layerId, minZoom, maxZoom, bufferMeters, total, done, updatedAt } or null
+export function loadDownloadJob(trackId, storage = globalThis.localStorage) {
+  try {
+    const job = JSON.parse(storage?.getItem(`${JOB_PREFIX}${trackId}`) || "null");
+    return job && Number.isFinite(job.done) && Number.isFinite(job.total) ? job : null;
+  } catch {
+    return null;
+  }
+}
+
+export function clearDownloadJob(trackId, storage = globalThis.localStorage) {
+  storage?.removeItem(`${JOB_PREFIX}${trackId}`);
+}
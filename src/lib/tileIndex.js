@@ -0,0 +1,66 @@
+// Page side of the service worker's tile index (public/tile-index.js): asks
+// the worker over a MessageChannel for the tile cache size, to register or
+// remove a track's offline pack, and to change the storage budget.
+// Every call resolves to null when no service worker controls the page.
+
+export const TILE_BUDGET_OPTIONS = [100, 250, 500, 1024, 2048].map((mb) => mb * 1024 * 1024);
+
+/**
+ * Post `message` to the controlling service worker and resolve with its
+ * reply (null without a worker). Rejects on timeout or when the worker
+ * replies { error }.
+ */
+export function askServiceWorker(
+  message,
+  { container = globalThis.navigator?.serviceWorker, timeoutMs = 30000 } = {},
+) {
+  const worker = container?.controller;
+  if (!worker) return Promise.resolve(null);
+
+  return new Promise((resolve, reject) => {
+    const channel = new MessageChannel();
+    const timer = setTimeout(() => {
+      channel.port1.close();
+      reject(new Error(`Service worker did not answer ${message.type}`));
+    }, timeoutMs);
+
+    channel.port1.onmessage = ({ data }) => {
+      clearTimeout(timer);
+      channel.port1.close();
+      if (data?.error) reject(new Error(data.error));
+      else resolve(data);
+    };
+    worker.postMessage(message, [channel.port2]);
+  });
+}
+
+// { size, bytes, tiles, budget, packs: [{ trackId, tiles, bytes, savedAt, lastUsed }], evicted: [trackId] }
+export function getTileStats(options) {
+  return askServiceWorker({ type: "GET_CACHE_SIZE" }, options);
+}
+
+// After a download: the tiles of `urls` now belong to the track's offline pack
+export async function registerTrackTiles(trackId, urls, options) {
+  const reply = await askServiceWorker({ type: "REGISTER_TRACK_TILES", trackId, urls }, options);
+  return reply?.pack ?? null;
+}
+
+// Deletes the track's tiles that no other offline track uses; resolves to how many
+export async function removeTrackTiles(trackId, options) {
+  const reply = await askServiceWorker({ type: "REMOVE_TRACK_TILES", trackId }, options);
+  return reply?.removed ?? 0;
+}
+
+// Resolves to the new stats, after any eviction the lower budget caused
+export function setTileBudget(bytes, options) {
+  return askServiceWorker({ type: "SET_TILE_BUDGET", bytes }, options);
+}
+
+export function clearAllOffline(options) {
+  return askServiceWorker({ type: "CLEAR_CACHE" }, options);
+}
+
+export const formatBytes = (bytes) =>
+  bytes >= 1024 ** 3
+    ? `${(bytes / 1024 ** 3).toFixed(1)} GB`
+    : `${(bytes / 1024 ** 2).toFixed(bytes >= 100 * 1024 ** 2 ? 0 : 1)} MB`;
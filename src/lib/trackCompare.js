@@ -0,0 +1,87 @@
+// Side-by-side comparison of two or more tracks: per-track stats for the
+// compare table and one elevation chart dataset with every track resampled
+// onto the same distance grid, so the lines line up mile for mile.
+
+import {
+  calculateClimbFactor,
+  calculateDistance,
+  calculateEquivalentFlatDistance,
+  calculateGradeMetrics,
+  getElevationProfile,
+  getTrackCoordinates,
+} from "../utils.js";
+import { calculateElevationGain } from "./elevationStats.js";
+
+// Line colors, in selection order; also caps how many tracks can be compared
+export const COMPARE_COLORS = ["#5ab887", "#f59e0b", "#3b82f6", "#ec4899", "#a855f7"];
+export const MAX_COMPARE_TRACKS = COMPARE_COLORS.length;
+
+// Chart points per track; plenty for a sidebar-width chart
+const PROFILE_SAMPLES = 400;
+
+export const compareColor = (index) => COMPARE_COLORS[index % COMPARE_COLORS.length];
+
+// Chart dataKey for the track at `index`
+export const profileKey = (index) => `e${index}`;
+
+export function compareTrackStats(track) {
+  const coords = getTrackCoordinates(track);
+  return {
+    distance: track.properties?.distance ?? calculateDistance(coords),
+    elevationGain: track.properties?.elevationGain ?? calculateElevationGain(coords),
+    equivalentDistance: calculateEquivalentFlatDistance(coords),
+    climbFactor: calculateClimbFactor(coords),
+    gradeMetrics: calculateGradeMetrics(coords),
+  };
+}
+
+// Elevation (ft) at `distance` (mi) along a getElevationProfile() result,
+// starting the search at `from`; returns [elevation, index]
+function elevationAt(profile, distance, from) {
+  let i = from;
+  while (i < profile.length - 1 && profile[i + 1].distance < distance) i++;
+  const a = profile[i];
+  const b = profile[Math.min(i + 1, profile.length - 1)];
+  const span = b.distance - a.distance;
+  const ratio = span > 0 ? Math.min(1, Math.max(0, (distance - a.distance) / span)) : 0;
+  return [a.elevation + (b.elevation - a.elevation) * ratio, i];
+}
+
+/**
+ * One row per grid distance: { distance, e0, e1, ... } with elevations in
+ * feet, or null past the end of a shorter track (or for tracks without
+ * elevation). `step` defaults to the longest track / PROFILE_SAMPLES.
+ */
+export function buildCompareProfile(tracks, { step } = {}) {
+  const profiles = tracks.map((track) => getElevationProfile(getTrackCoordinates(track)));
+  const lengths = profiles.map((p) => (p.length ? p[p.length - 1].distance : 0));
+  const longest = lengths.reduce((a, b) => Math.max(a, b), 0);
+  if (longest <= 0) return [];
+
+  // Regular grid plus each track's end, so no line stops short of its finish
+  const gridStep = step || longest / PROFILE_SAMPLES;
+  const grid = [];
+  for (let n = 0; n * gridStep < longest; n++) grid.push(n * gridStep);
+  for (const length of lengths) if (length > 0) grid.push(length);
+  grid.sort((a, b) => a - b);
+
+  const cursors = profiles.map(() => 0);
+  const rows = [];
+
+  for (const distance of grid) {
+    if (rows.length && distance - rows[rows.length - 1].distance < 1e-9) continue;
+    const row = { distance };
+    profiles.forEach((profile, t) => {
+      if (!profile.length || distance > lengths[t]) {
+        row[profileKey(t)] = null;
+        return;
+      }
+      const [elevation, index] = elevationAt(profile, distance, cursors[t]);
+      cursors[t] = index;
+      row[profileKey(t)] = elevation;
+    });
+    rows.push(row);
+  }
+
+  return rows;
+}
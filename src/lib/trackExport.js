@@ -0,0 +1,441 @@
+// Track export: GPX 1.1, KML, TCX course, FIT course and GeoJSON.
+// Used by the sidebar, the track list and draw mode so every export path
+// writes the same files. All builders are pure; downloadExport() is the only
+// part that touches the DOM.
+
+import {
+  getMileMarkers,
+  getTrackCoordinates,
+  haversineDistance,
+} from "../utils.js";
+import { slugifyFilename } from "./gpxImport.js";
+import { getTrackTimes } from "./activityStats.js";
+import { encodeFitCourse } from "./fit.js";
+import { FEET_PER_METER, markerInterval, markerName, METERS_PER_MILE } from "./units.js";
+
+// Peaks closer than this to any track point become waypoints
+export const PEAK_WAYPOINT_RADIUS_MILES = 0.25;
+
+// Courses need timestamps; without recorded times we assume a steady
+// hiking pace so watches can still run a virtual partner
+export const DEFAULT_COURSE_SPEED_MPS = 1.34; // ~3 mph
+
+// Trail green (#5ab887) as KML aabbggrr
+const KML_TRACK_COLOR = "ff87b85a";
+
+export const EXPORT_FORMATS = {
+  gpx: { label: "GPX", description: "GPX 1.1 with waypoints", extension: "gpx", mimeType: "application/gpx+xml" },
+  kml: { label: "KML", description: "Google Earth", extension: "kml", mimeType: "application/vnd.google-earth.kml+xml" },
+  tcx: { label: "TCX", description: "Garmin course", extension: "tcx", mimeType: "application/vnd.garmin.tcx+xml" },
+  fit: { label: "FIT", description: "Garmin / Coros course", extension: "fit", mimeType: "application/vnd.ant.fit" },
+  geojson: { label: "GeoJSON", description: "Raw track data", extension: "geojson", mimeType: "application/geo+json" },
+};
+
+export function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function finite(value) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function trackName(track) {
+  return track?.properties?.name || "Untitled Trail";
+}
+
+// Cumulative distance in meters at each coordinate
+export function cumulativeDistances(coords) {
+  const out = new Array(coords.length).fill(0);
+  for (let i = 1; i < coords.length; i++) {
+    const a = coords[i - 1];
+    const b = coords[i];
+    out[i] = out[i - 1] + haversineDistance(a[1], a[0], b[1], b[0]) * METERS_PER_MILE;
+  }
+  return out;
+}
+
+/**
+ * Mile-marker and nearby-peak waypoints, ordered by distance along the track.
+ * Each is { name, lat, lon, ele (m|null), distance (m), kind: "mile"|"peak" },
+ * and markers carry their `number`. Metric `units` put the markers ("Km 1",
+ * ...) every kilometer instead.
+ * Peaks use the peaks.json shape ({ name, lat, lon, elevation in feet }).
+ * `stations` are aid stations and other race waypoints already placed on the
+ * track (lib/waypoints stationWaypoints); they keep their own kind, symbol,
+ * course point type and description.
+ */
+export function buildWaypoints(
+  track,
+  { peaks = [], mileMarkers = true, units, stations = [], peakRadiusMiles = PEAK_WAYPOINT_RADIUS_MILES } = {},
+) {
+  const coords = getTrackCoordinates(track);
+  if (coords.length < 2) return [];
+
+  const waypoints = [];
+
+  if (mileMarkers) {
+    for (const marker of getMileMarkers(coords, markerInterval(units))) {
+      if (marker.distance === 0) continue;
+      waypoints.push({
+        name: markerName(marker.number, units),
+        lat: marker.position[0],
+        lon: marker.position[1],
+        ele: marker.elevation,
+        distance: marker.distance * METERS_PER_MILE,
+        kind: "mile",
+        number: marker.number,
+      });
+    }
+  }
+
+  if (peaks.length > 0) {
+    const distances = cumulativeDistances(coords);
+    for (const peak of peaks) {
+      let best = Infinity;
+      let bestIndex = -1;
+      coords.forEach((c, i) => {
+        const d = haversineDistance(peak.lat, peak.lon, c[1], c[0]);
+        if (d < best) {
+          best = d;
+          bestIndex = i;
+        }
+      });
+      if (best > peakRadiusMiles) continue;
+      const feet = finite(peak.elevation);
+      waypoints.push({
+        name: peak.name,
+        lat: peak.lat,
+        lon: peak.lon,
+        ele: feet == null ? null : feet / FEET_PER_METER,
+        distance: distances[bestIndex],
+        kind: "peak",
+      });
+    }
+  }
+
+  waypoints.push(...stations);
+
+  return waypoints.sort((a, b) => a.distance - b.distance);
+}
+
+// Track points with distance and (synthetic) time, shared by TCX and FIT
+function coursePoints(coords, { startTime, speed }) {
+  const distances = cumulativeDistances(coords);
+  const start = new Date(startTime).getTime();
+  return coords.map((c, i) => ({
+    lat: c[1],
+    lon: c[0],
+    ele: finite(c[2]),
+    distance: distances[i],
+    time: new Date(start + (distances[i] / speed) * 1000),
+  }));
+}
+
+function timeAtDistance(points, distance, speed) {
+  return new Date(points[0].time.getTime() + (distance / speed) * 1000);
+}
+
+function round(value, digits) {
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+// ---- GPX ----
+
+export function toGpx(track, { waypoints = [], now = new Date() } = {}) {
+  const coords = getTrackCoordinates(track);
+  const name = escapeXml(trackName(track));
+  const desc = escapeXml(track.properties?.description || "");
+
+  const wpts = waypoints.map((w) => {
+    const ele = w.ele == null ? "" : `\n    <ele>${round(w.ele, 1)}</ele>`;
+    const sym = w.symbol || (w.kind === "peak" ? "Summit" : "Flag, Blue");
+    const desc = w.description ? `\n    <desc>${escapeXml(w.description)}</desc>` : "";
+    return `  <wpt lat="${w.lat}" lon="${w.lon}">${ele}
+    <name>${escapeXml(w.name)}</name>${desc}
+    <sym>${escapeXml(sym)}</sym>
+    <type>${w.kind}</type>
+  </wpt>`;
+  });
+
+  // Recorded/imported tracks keep their timestamps
+  const times = getTrackTimes(track);
+  const trkpts = coords.map((c, i) => {
+    const ele = finite(c[2]);
+    const time = gpxTime(times?.[i]);
+    const children = [
+      ele == null ? null : `        <ele>${ele}</ele>`,
+      time == null ? null : `        <time>${time}</time>`,
+    ].filter(Boolean);
+    return children.length === 0
+      ? `      <trkpt lat="${c[1]}" lon="${c[0]}"></trkpt>`
+      : `      <trkpt lat="${c[1]}" lon="${c[0]}">
+${children.join("\n")}
+      </trkpt>`;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Trail Explorer" xmlns="http://www.topografix.com/GPX/1/1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">
+  <metadata>
+    <name>${name}</name>
+    <desc>${desc}</desc>
+    <time>${new Date(now).toISOString()}</time>
+  </metadata>
+${wpts.length ? `${wpts.join("\n")}\n` : ""}  <trk>
+    <name>${name}</name>
+    <desc>${desc}</desc>
+    <trkseg>
+${trkpts.join("\n")}
+    </trkseg>
+  </trk>
+</gpx>
+`;
+}
+
+function gpxTime(value) {
+  if (value == null || value === "") return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// ---- KML ----
+
+export function toKml(track, { waypoints = [] } = {}) {
+  const coords = getTrackCoordinates(track);
+  const name = escapeXml(trackName(track));
+  const desc = escapeXml(track.properties?.description || "");
+  const line = coords
+    .map((c) => {
+      const ele = finite(c[2]);
+      return ele == null ? `${c[0]},${c[1]}` : `${c[0]},${c[1]},${ele}`;
+    })
+    .join(" ");
+
+  const placemarks = waypoints.map((w) => `      <Placemark>
+        <name>${escapeXml(w.name)}</name>${w.description ? `
+        <description>${escapeXml(w.description)}</description>` : ""}
+        <styleUrl>#${w.kind === "peak" || w.kind === "mile" ? w.kind : "station"}</styleUrl>
+        <Point>
+          <coordinates>${w.lon},${w.lat}${w.ele == null ? "" : `,${round(w.ele, 1)}`}</coordinates>
+        </Point>
+      </Placemark>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${name}</name>
+    <description>${desc}</description>
+    <Style id="track">
+      <LineStyle>
+        <color>${KML_TRACK_COLOR}</color>
+        <width>4</width>
+      </LineStyle>
+    </Style>
+    <Style id="peak">
+      <IconStyle>
+        <Icon><href>http://maps.google.com/mapfiles/kml/shapes/mountains.png</href></Icon>
+      </IconStyle>
+    </Style>
+    <Style id="mile">
+      <IconStyle>
+        <scale>0.7</scale>
+        <Icon><href>http://maps.google.com/mapfiles/kml/paddle/wht-blank.png</href></Icon>
+      </IconStyle>
+    </Style>
+    <Style id="station">
+      <IconStyle>
+        <Icon><href>http://maps.google.com/mapfiles/kml/paddle/orange-circle.png</href></Icon>
+      </IconStyle>
+    </Style>
+    <Placemark>
+      <name>${name}</name>
+      <description>${desc}</description>
+      <styleUrl>#track</styleUrl>
+      <LineString>
+        <tessellate>1</tessellate>
+        <altitudeMode>clampToGround</altitudeMode>
+        <coordinates>${line}</coordinates>
+      </LineString>
+    </Placemark>
+${placemarks.length ? `    <Folder>
+      <name>Waypoints</name>
+${placemarks.join("\n")}
+    </Folder>
+` : ""}  </Document>
+</kml>
+`;
+}
+
+// ---- TCX course ----
+
+// Course point type for TCX and FIT (lib/fit COURSE_POINT_TYPES keys)
+const coursePointType = (w) => w.coursePoint || (w.kind === "peak" ? "summit" : "generic");
+
+const TCX_POINT_TYPES = {
+  generic: "Generic",
+  summit: "Summit",
+  valley: "Valley",
+  water: "Water",
+  food: "Food",
+  danger: "Danger",
+};
+
+// TCX caps course names at 15 characters and course point names at 10
+function clip(value, max) {
+  return Array.from(String(value)).slice(0, max).join("").trim();
+}
+
+export function toTcx(track, { waypoints = [], startTime = new Date(), speed = DEFAULT_COURSE_SPEED_MPS } = {}) {
+  const points = coursePoints(getTrackCoordinates(track), { startTime, speed });
+  const first = points[0];
+  const last = points[points.length - 1];
+  const totalSeconds = (last.time - first.time) / 1000;
+  const position = (p) =>
+    `<Position><LatitudeDegrees>${p.lat}</LatitudeDegrees><LongitudeDegrees>${p.lon}</LongitudeDegrees></Position>`;
+
+  const trackpoints = points.map((p) => {
+    const ele = p.ele == null ? "" : `<AltitudeMeters>${p.ele}</AltitudeMeters>`;
+    return `          <Trackpoint><Time>${p.time.toISOString()}</Time>${position(p)}${ele}<DistanceMeters>${round(p.distance, 2)}</DistanceMeters></Trackpoint>`;
+  });
+
+  const cps = waypoints.map((w) => {
+    const ele = w.ele == null ? "" : `<AltitudeMeters>${round(w.ele, 1)}</AltitudeMeters>`;
+    return `      <CoursePoint>
+        <Name>${escapeXml(clip(w.name, 10))}</Name>
+        <Time>${timeAtDistance(points, w.distance, speed).toISOString()}</Time>
+        ${position(w)}${ele}
+        <PointType>${TCX_POINT_TYPES[coursePointType(w)]}</PointType>
+        <Notes>${escapeXml(w.description ? `${w.name}\n${w.description}` : w.name)}</Notes>
+      </CoursePoint>`;
+  });
+
+  const description = track.properties?.description;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2 http://www.garmin.com/xmlschemas/TrainingCenterDatabasev2.xsd">
+  <Courses>
+    <Course>
+      <Name>${escapeXml(clip(trackName(track), 15))}</Name>
+      <Lap>
+        <TotalTimeSeconds>${round(totalSeconds, 1)}</TotalTimeSeconds>
+        <DistanceMeters>${round(last.distance, 2)}</DistanceMeters>
+        <BeginPosition><LatitudeDegrees>${first.lat}</LatitudeDegrees><LongitudeDegrees>${first.lon}</LongitudeDegrees></BeginPosition>
+        <EndPosition><LatitudeDegrees>${last.lat}</LatitudeDegrees><LongitudeDegrees>${last.lon}</LongitudeDegrees></EndPosition>
+        <Intensity>Active</Intensity>
+      </Lap>
+      <Track>
+${trackpoints.join("\n")}
+      </Track>
+${description ? `      <Notes>${escapeXml(description)}</Notes>\n` : ""}${cps.length ? `${cps.join("\n")}\n` : ""}    </Course>
+  </Courses>
+</TrainingCenterDatabase>
+`;
+}
+
+// ---- FIT course ----
+
+export function toFit(track, { waypoints = [], startTime = new Date(), speed = DEFAULT_COURSE_SPEED_MPS } = {}) {
+  const points = coursePoints(getTrackCoordinates(track), { startTime, speed });
+  return encodeFitCourse({
+    name: trackName(track),
+    points,
+    coursePoints: waypoints.map((w) => ({
+      lat: w.lat,
+      lon: w.lon,
+      distance: w.distance,
+      time: timeAtDistance(points, w.distance, speed),
+      name: w.name,
+      type: coursePointType(w),
+    })),
+    createdAt: startTime,
+  });
+}
+
+// ---- GeoJSON ----
+
+// Race waypoints go into properties.waypoints in the shape lib/trackReaders
+// reads from GPX <wpt>, so they come back when the file is imported
+export function toGeoJSON(track, { waypoints = [] } = {}) {
+  const { name, description, location, created } = track.properties || {};
+  const properties = { name: trackName(track), description: description || "" };
+  if (location) properties.location = location;
+  if (created) properties.created = created;
+  const stations = waypoints.filter((w) => w.kind !== "mile" && w.kind !== "peak");
+  if (stations.length) {
+    properties.waypoints = stations.map((w) => ({
+      name: w.name,
+      lat: w.lat,
+      lon: w.lon,
+      ...(w.ele != null && { ele: round(w.ele, 1) }),
+      type: w.kind,
+      ...(w.symbol && { sym: w.symbol }),
+      ...(w.description && { desc: w.description }),
+    }));
+  }
+  return `${JSON.stringify({ type: "Feature", properties, geometry: track.geometry }, null, 2)}\n`;
+}
+
+// ---- entry points ----
+
+// Keeps the deployed file's base name; otherwise a slug of the track name
+export function exportFilename(track, format) {
+  const props = track?.properties || {};
+  const file = props.gpxFile || props.filename;
+  const base = file
+    ? file.replace(/\.[^.]+$/, "")
+    : slugifyFilename(`${trackName(track)}.x`).slice(0, -2); // dummy extension so dots in names survive
+  return `${base}.${EXPORT_FORMATS[format].extension}`;
+}
+
+/**
+ * Build an export for `track` (a processed track feature).
+ * Returns { filename, mimeType, data } where data is a string or Uint8Array.
+ * options: { peaks, mileMarkers, units, stations, now, speed }
+ */
+export function exportTrack(track, format, options = {}) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) throw new Error(`Unknown export format: ${format}`);
+  if (getTrackCoordinates(track).length < 2) {
+    throw new Error("Track has no geometry to export");
+  }
+
+  const { peaks = [], mileMarkers = true, units, stations = [], now = new Date(), speed } = options;
+  const waypoints = buildWaypoints(track, { peaks, mileMarkers, units, stations });
+
+  let data;
+  switch (format) {
+    case "gpx":
+      data = toGpx(track, { waypoints, now });
+      break;
+    case "kml":
+      data = toKml(track, { waypoints });
+      break;
+    case "tcx":
+      data = toTcx(track, { waypoints, startTime: now, speed });
+      break;
+    case "fit":
+      data = toFit(track, { waypoints, startTime: now, speed });
+      break;
+    default:
+      data = toGeoJSON(track, { waypoints: stations });
+  }
+
+  return { filename: exportFilename(track, format), mimeType: spec.mimeType, data };
+}
+
+export function downloadExport({ filename, mimeType, data }) {
+  const blobUrl = URL.createObjectURL(new Blob([data], { type: mimeType }));
+  const link = document.createElement("a");
+  link.href = blobUrl;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(blobUrl);
+}
@@ -0,0 +1,188 @@
+// Faceted search for the track list: text search, range filters on the
+// manifest stats, region and tag facets, availability, and sorting.
+//
+// Filters are plain data so they can live in the URL (lib/urlState):
+//   q         text matched against name, location, description and tags
+//   distance  [min, max] miles; either end may be null
+//   gain      [min, max] feet
+//   climb     [min, max] climb factor in percent
+//   region    one region (see regionOf) or null
+//   tags      tags a track must all have
+//   gpx       only tracks with a GPX download
+//   offline   only tracks available offline
+//   sort      SORTS key, "-" prefixed for descending ("-gain")
+//
+// Stats come from the manifest for tracks that aren't loaded yet, and from
+// the geometry for drawn and imported tracks.
+
+import { calculateClimbFactor, haversineDistance } from "../utils.js";
+
+export const SORTS = {
+  name: "Name",
+  distance: "Distance",
+  gain: "Elevation gain",
+  climb: "Climb factor",
+  nearby: "Distance from me",
+};
+
+export const DEFAULT_SORT = "name";
+
+export const EMPTY_FILTERS = Object.freeze({
+  q: "",
+  distance: null,
+  gain: null,
+  climb: null,
+  region: null,
+  tags: [],
+  gpx: false,
+  offline: false,
+  sort: DEFAULT_SORT,
+});
+
+// "Sierra Madre, CA" stays as is; "Verdugo Mtn, Glendale, CA" -> "Glendale, CA".
+// A manifest `region` wins over the one read from the location.
+export function regionOf(track) {
+  const { region, location } = track?.properties || {};
+  if (region) return region;
+  const parts = (location || "")
+    .split(",")
+    .map((p) => p.trim())
+    .filter(Boolean);
+  return parts.length ? parts.slice(-2).join(", ") : null;
+}
+
+const geometryStats = new WeakMap();
+
+function coordinatesOf(track) {
+  const geometry = track?.geometry;
+  if (geometry?.type === "LineString") return geometry.coordinates;
+  if (geometry?.type === "MultiLineString") return geometry.coordinates[0];
+  return null;
+}
+
+// { distance (mi), gain (ft), climb (%), start: [lon, lat] }, null when unknown
+export function trackStats(track) {
+  const p = track?.properties || {};
+  let derived = geometryStats.get(track);
+  if (!derived) {
+    const coords = coordinatesOf(track);
+    derived = {
+      climb: coords && coords.length > 1 ? calculateClimbFactor(coords) : null,
+      start: coords?.length ? coords[0].slice(0, 2) : null,
+    };
+    if (track && typeof track === "object") geometryStats.set(track, derived);
+  }
+  const climbFactor = Number.isFinite(p.climbFactor) ? p.climbFactor : derived.climb;
+  return {
+    distance: Number.isFinite(p.distance) ? p.distance : null,
+    gain: Number.isFinite(p.elevationGain) ? p.elevationGain : null,
+    climb: climbFactor == null ? null : climbFactor * 100,
+    start: Array.isArray(p.start) && p.start.length >= 2 ? p.start : derived.start,
+  };
+}
+
+// Miles from `position` ({ lat, lng }) to the start of the track, or null
+export function distanceFromPosition(track, position) {
+  const start = trackStats(track).start;
+  if (!start || !position) return null;
+  return haversineDistance(position.lat, position.lng, start[1], start[0]);
+}
+
+// Regions and tags present in `tracks`, with counts, for the facet pickers
+export function facetOptions(tracks) {
+  const count = (values) => {
+    const counts = new Map();
+    values.forEach((v) => counts.set(v, (counts.get(v) || 0) + 1));
+    return [...counts]
+      .map(([value, n]) => ({ value, count: n }))
+      .sort((a, b) => a.value.localeCompare(b.value));
+  };
+  return {
+    regions: count(tracks.map(regionOf).filter(Boolean)),
+    tags: count(tracks.flatMap((t) => (Array.isArray(t.properties?.tags) ? t.properties.tags : []))),
+  };
+}
+
+const inRange = (value, range) => {
+  if (!range) return true;
+  const [min, max] = range;
+  if (min == null && max == null) return true;
+  if (value == null) return false;
+  return (min == null || value >= min) && (max == null || value <= max);
+};
+
+// Number of filters narrowing the list (the search box and sort not counted)
+export function activeFilterCount(filters) {
+  const f = { ...EMPTY_FILTERS, ...filters };
+  const ranged = (range) => Boolean(range && (range[0] != null || range[1] != null));
+  return (
+    [ranged(f.distance), ranged(f.gain), ranged(f.climb), f.region != null, f.gpx, f.offline].filter(Boolean)
+      .length + f.tags.length
+  );
+}
+
+/**
+ * Tracks matching `filters`, in their original order.
+ * `isOffline(track)` says whether a track is available offline.
+ */
+export function filterTracks(tracks, filters, { isOffline = () => false } = {}) {
+  const f = { ...EMPTY_FILTERS, ...filters };
+  const search = f.q.trim().toLowerCase();
+
+  return tracks.filter((track) => {
+    const p = track.properties || {};
+    const tags = Array.isArray(p.tags) ? p.tags : [];
+
+    if (search) {
+      const haystack = [p.name, p.location, p.description, ...tags].filter(Boolean).join("\n").toLowerCase();
+      if (!haystack.includes(search)) return false;
+    }
+
+    const stats = trackStats(track);
+    if (!inRange(stats.distance, f.distance)) return false;
+    if (!inRange(stats.gain, f.gain)) return false;
+    if (!inRange(stats.climb, f.climb)) return false;
+
+    if (f.region && regionOf(track) !== f.region) return false;
+    if (f.tags.some((tag) => !tags.includes(tag))) return false;
+    if (f.gpx && !p.gpxFile) return false;
+    if (f.offline && !isOffline(track)) return false;
+    return true;
+  });
+}
+
+// "-gain" -> { key: "gain", descending: true }; unknown keys sort by name
+export function parseSort(sort) {
+  const descending = typeof sort === "string" && sort.startsWith("-");
+  const key = descending ? sort.slice(1) : sort;
+  return SORTS[key] ? { key, descending } : { key: DEFAULT_SORT, descending: false };
+}
+
+/**
+ * `tracks` sorted by `sort` (see parseSort). Tracks without the stat go last
+ * either way; "nearby" needs `position` ({ lat, lng }) and keeps the order
+ * as is without one.
+ */
+export function sortTracks(tracks, sort, { position = null } = {}) {
+  const { key, descending } = parseSort(sort);
+  if (key === "nearby" && !position) return tracks;
+
+  const value = (track) => {
+    if (key === "name") return track.properties?.name || "";
+    if (key === "nearby") return distanceFromPosition(track, position);
+    return trackStats(track)[key];
+  };
+  const byName = (a, b) => (a.properties?.name || "").localeCompare(b.properties?.name || "");
+
+  return tracks
+    .map((track) => ({ track, value: value(track) }))
+    .sort((a, b) => {
+      if (a.value == null || b.value == null) {
+        if (a.value == null && b.value == null) return byName(a.track, b.track);
+        return a.value == null ? 1 : -1;
+      }
+      const order = key === "name" ? a.value.localeCompare(b.value) : a.value - b.value;
+      return (descending ? -order : order) || byName(a.track, b.track);
+    })
+    .map(({ track }) => track);
+}
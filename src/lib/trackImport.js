@@ -0,0 +1,192 @@
+// Format-detecting track import. GPX, KML, KMZ, TCX and FIT files all come
+// out as the same single-LineString feature (see trackReaders.js), with
+// timestamps, heart rate and cadence kept as coordinate-aligned arrays.
+// Used by the drop zone in the browser and, via dynamic import(), by
+// scripts/gpx-to-geojson.cjs, validate-gpx.cjs and add-track.cjs.
+
+import { validateGpxDocument, convertGpxDocument } from "./gpxImport.js";
+import {
+  readKmlDocument,
+  readTcxDocument,
+  validatePoints,
+  pointsToFeature,
+} from "./trackReaders.js";
+import { decodeFit, fromFitTimestamp, fromSemicircles, MESSAGES } from "./fit.js";
+import { isZip, listZipEntries, readZipEntry } from "./unzip.js";
+import { toGpx } from "./trackExport.js";
+
+export const TRACK_FORMATS = ["gpx", "kml", "kmz", "tcx", "fit"];
+
+// For <input accept> and CLI directory scans
+export const TRACK_FILE_EXTENSIONS = TRACK_FORMATS.map((f) => `.${f}`);
+
+export function trackFormatFromFilename(filename) {
+  const match = /\.([a-z0-9]+)$/i.exec(String(filename || ""));
+  const ext = match?.[1].toLowerCase();
+  return TRACK_FORMATS.includes(ext) ? ext : null;
+}
+
+export function replaceExtension(filename, ext) {
+  const name = String(filename || "track");
+  const dot = name.lastIndexOf(".");
+  return `${dot > 0 ? name.slice(0, dot) : name}${ext}`;
+}
+
+// Extension first; content sniffing for files renamed or saved without one
+export function detectTrackFormat(filename, bytes) {
+  const byName = trackFormatFromFilename(filename);
+  if (byName || !bytes) return byName;
+
+  if (bytes.length >= 12 && new TextDecoder().decode(bytes.subarray(8, 12)) === ".FIT") return "fit";
+  if (isZip(bytes)) return "kmz";
+
+  const head = new TextDecoder().decode(bytes.subarray(0, 2048));
+  if (/<gpx[\s>]/.test(head)) return "gpx";
+  if (/<kml[\s>]/.test(head)) return "kml";
+  if (/<TrainingCenterDatabase[\s>]/.test(head)) return "tcx";
+  return null;
+}
+
+function failure(errors, format = null) {
+  return { ok: false, errors, warnings: [], stats: null, feature: null, format };
+}
+
+function parseXml(text, rootName, label, Parser) {
+  const doc = new Parser().parseFromString(text, "text/xml");
+  if (doc.getElementsByTagName("parsererror").length > 0) {
+    return { error: `Invalid XML / ${label} parse error` };
+  }
+  const root = doc.documentElement;
+  if (!root || (root.localName || root.nodeName).replace(/^.*:/, "") !== rootName) {
+    return { error: `Missing <${rootName}> root element` };
+  }
+  return { doc };
+}
+
+// FIT record messages -> points; enhanced_altitude wins over altitude
+function readFitActivity(bytes) {
+  const { messages, crcOk } = decodeFit(bytes);
+  const points = [];
+  let name = "";
+
+  for (const { globalNum, fields } of messages) {
+    if (globalNum === MESSAGES.course && fields[5]) name = fields[5];
+    if (globalNum !== MESSAGES.record) continue;
+    if (fields[0] == null || fields[1] == null) continue;
+
+    const rawAltitude = fields[78] ?? fields[2];
+    points.push({
+      lon: fromSemicircles(fields[1]),
+      lat: fromSemicircles(fields[0]),
+      ele: rawAltitude == null ? null : rawAltitude / 5 - 500,
+      time: fields[253] == null ? null : fromFitTimestamp(fields[253]).toISOString(),
+      hr: fields[3],
+      cad: fields[4],
+    });
+  }
+
+  return { points, name, description: "", crcOk };
+}
+
+/**
+ * Validate + convert one track file. `data` is a Uint8Array, ArrayBuffer or
+ * string. Never throws for bad input; check `ok`.
+ * Returns { ok, errors, warnings, stats, feature, format }.
+ */
+export async function parseTrackData(data, options = {}) {
+  const { filename = "track.gpx" } = options;
+  const Parser = options.DOMParser || globalThis.DOMParser;
+  const bytes =
+    typeof data === "string"
+      ? new TextEncoder().encode(data)
+      : data instanceof Uint8Array
+        ? data
+        : new Uint8Array(data);
+
+  const format = detectTrackFormat(filename, bytes);
+  if (!format) {
+    return failure([`Unsupported file type: ${filename}. Expected GPX, KML, KMZ, TCX or FIT.`]);
+  }
+
+  const fallbackName = replaceExtension(filename.split(/[\\/]/).pop(), "");
+  const text = () => new TextDecoder().decode(bytes);
+
+  try {
+    if (format === "gpx") {
+      const doc = new Parser().parseFromString(text(), "text/xml");
+      const validation = validateGpxDocument(doc);
+      if (!validation.ok) return { ...validation, feature: null, format };
+      return { ...validation, feature: convertGpxDocument(doc, fallbackName), format };
+    }
+
+    let read;
+    const warnings = [];
+
+    if (format === "fit") {
+      try {
+        read = readFitActivity(bytes);
+      } catch (error) {
+        return failure([`Invalid FIT file: ${error.message}`], format);
+      }
+      if (!read.crcOk) warnings.push("FIT checksum does not match; the file may be damaged");
+    } else {
+      let xml;
+      if (format === "kmz") {
+        const entries = listZipEntries(bytes).filter((e) => /\.kml$/i.test(e.name));
+        // Google Earth names the main document doc.kml
+        const entry = entries.find((e) => /(^|\/)doc\.kml$/i.test(e.name)) || entries[0];
+        if (!entry) return failure(["KMZ archive contains no .kml file"], format);
+        xml = new TextDecoder().decode(await readZipEntry(bytes, entry));
+      } else {
+        xml = text();
+      }
+
+      const { doc, error } =
+        format === "tcx"
+          ? parseXml(xml, "TrainingCenterDatabase", "TCX", Parser)
+          : parseXml(xml, "kml", "KML", Parser);
+      if (error) return failure([error], format);
+      read = format === "tcx" ? readTcxDocument(doc) : readKmlDocument(doc);
+    }
+
+    const validation = validatePoints(read.points);
+    if (!validation.ok) return { ...validation, feature: null, format };
+
+    return {
+      ...validation,
+      warnings: [...warnings, ...validation.warnings],
+      feature: pointsToFeature(read.points, {
+        name: read.name || fallbackName,
+        description: read.description,
+      }),
+      format,
+    };
+  } catch (error) {
+    return failure([error.message || `Could not read ${filename}`], format);
+  }
+}
+
+/**
+ * Read a dropped/selected File. Besides the parse result this returns a GPX
+ * rendition (the original text for GPX files) so imported tracks can be
+ * downloaded and saved to the repo like any other.
+ */
+export async function readTrackFile(file, options = {}) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  const result = await parseTrackData(bytes, { ...options, filename: file.name });
+
+  let gpxText = null;
+  if (result.ok) {
+    gpxText =
+      result.format === "gpx"
+        ? new TextDecoder().decode(bytes)
+        : toGpx(result.feature);
+  }
+
+  return {
+    ...result,
+    filename: file.name,
+    gpxFilename: replaceExtension(file.name, ".gpx"),
+    gpxText,
+  };
+}
@@ -0,0 +1,197 @@
+// Manifest entries and updates, shared by the app (PRs opened from the
+// browser) and scripts/generate-manifest.cjs, so a PR from the app diffs
+// cleanly against a regenerated manifest.
+
+import { calculateClimbFactor, calculateDistance, haversineDistance } from "../utils.js";
+import { computeElevationStats } from "./elevationStats.js";
+import { gradeMiles, rateDifficulty } from "./difficulty.js";
+
+function lineCoordinates(feature) {
+  const geometry = feature?.geometry;
+  if (geometry?.type === "LineString") return geometry.coordinates;
+  if (geometry?.type === "MultiLineString") return geometry.coordinates[0];
+  return [];
+}
+
+// Version of the manifest written by buildManifest; checked against
+// public/tracks/manifest.schema.json by scripts/generate-manifest.cjs.
+// Version 1 (no `version` field) had only file through elevationLoss.
+export const MANIFEST_VERSION = 2;
+
+export const SEASONS = ["spring", "summer", "fall", "winter"];
+
+// Start and finish this close (mi) make a loop
+const LOOP_MILES = 0.1;
+
+const round = (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Authored properties are hand-written in the GeoJSON, so each is cleaned up
+// rather than trusted: "a, b" tags, percent surfaces, "autumn", bare image paths.
+function cleanTags(tags) {
+  const list = typeof tags === "string" ? tags.split(",") : Array.isArray(tags) ? tags : [];
+  return [...new Set(list.filter((t) => typeof t === "string").map((t) => t.trim()).filter(Boolean))];
+}
+
+function cleanSurface(surface) {
+  if (!surface || typeof surface !== "object" || Array.isArray(surface)) return null;
+  const entries = Object.entries(surface).filter(([, v]) => Number.isFinite(v) && v >= 0);
+  if (!entries.length) return null;
+  const scale = entries.some(([, v]) => v > 1) ? 100 : 1; // percentages
+  return Object.fromEntries(entries.map(([k, v]) => [k, Math.min(1, round(v / scale, 2))]));
+}
+
+function cleanSeasons(seasons) {
+  const list = typeof seasons === "string" ? seasons.split(",") : Array.isArray(seasons) ? seasons : [];
+  const names = list
+    .filter((s) => typeof s === "string")
+    .map((s) => s.trim().toLowerCase().replace(/^autumn$/, "fall"));
+  return SEASONS.filter((season) => names.includes(season));
+}
+
+function cleanImages(images) {
+  return (Array.isArray(images) ? images : [])
+    .map((image) => (typeof image === "string" ? { src: image } : image))
+    .filter((image) => typeof image?.src === "string" && image.src.trim())
+    .map(({ src, caption }) => ({ src: src.trim(), ...(typeof caption === "string" && caption ? { caption } : {}) }));
+}
+
+function boundingBox(coords) {
+  if (!coords.length) return null;
+  const box = coords.reduce(
+    ([w, s, e, n], [lon, lat]) => [Math.min(w, lon), Math.min(s, lat), Math.max(e, lon), Math.max(n, lat)],
+    [Infinity, Infinity, -Infinity, -Infinity],
+  );
+  return box.map((v) => round(v, 5));
+}
+
+// The one manifest entry builder; scripts/generate-manifest.cjs uses it too.
+// `options.algorithm` picks the gain algorithm (lib/elevationStats);
+// `options.gpxFile` is the GPX download next to the track, if there is one;
+// `options.difficulty` configures the rating (lib/difficulty).
+// Tags, region, surface, seasons and images are authored in the GeoJSON
+// properties; everything else is computed from the geometry.
+export function buildManifestEntry(feature, file, options = {}) {
+  const coords = lineCoordinates(feature);
+  const elevation = computeElevationStats(coords, options);
+  const props = feature.properties || {};
+  const distance = round(calculateDistance(coords), 2);
+  const elevationGain = Math.round(elevation.gain);
+  const climbFactor = round(calculateClimbFactor(coords), 3);
+  const first = coords[0];
+  const last = coords.at(-1);
+  return {
+    file,
+    name: props.name || file.replace(".geojson", ""),
+    location: props.location || "",
+    description: props.description || "",
+    distance,
+    elevationGain,
+    elevationLoss: Math.round(elevation.loss),
+    minElevation: elevation.min == null ? null : Math.round(elevation.min),
+    maxElevation: elevation.max == null ? null : Math.round(elevation.max),
+    climbFactor,
+    difficulty: rateDifficulty(
+      { distance, gain: elevationGain, climbFactor, gradeMiles: gradeMiles(coords) },
+      options.difficulty,
+    ),
+    routeType:
+      first && coords.length > 1 && haversineDistance(first[1], first[0], last[1], last[0]) <= LOOP_MILES
+        ? "loop"
+        : "point-to-point",
+    start: first ? [round(first[0], 5), round(first[1], 5)] : null,
+    bbox: boundingBox(coords),
+    gpxFile: options.gpxFile ?? null,
+    region: typeof props.region === "string" && props.region.trim() ? props.region.trim() : null,
+    tags: cleanTags(props.tags),
+    surface: cleanSurface(props.surface),
+    seasons: cleanSeasons(props.seasons),
+    images: cleanImages(props.images),
+  };
+}
+
+// The manifest file for `entries`
+export function buildManifest(entries) {
+  return { $schema: "./manifest.schema.json", version: MANIFEST_VERSION, tracks: entries };
+}
+
+/**
+ * A manifest of any version as version 2 entries, for the app. Fields an
+ * older (or hand-edited) manifest lacks are filled in where they can be
+ * derived, and null or empty otherwise. Version 1 manifests had no `gpxFile`
+ * and assumed every track has its GPX.
+ */
+export function normalizeManifest(manifest) {
+  const version = Number.isInteger(manifest?.version) ? manifest.version : 1;
+  const finite = (v) => (Number.isFinite(v) ? v : null);
+  const tracks = (Array.isArray(manifest?.tracks) ? manifest.tracks : [])
+    .filter((t) => typeof t?.file === "string" && t.file)
+    .map((t) => {
+      const distance = finite(t.distance);
+      const elevationGain = finite(t.elevationGain);
+      const climbFactor = finite(t.climbFactor);
+      return {
+        file: t.file,
+        name: t.name || t.file.replace(".geojson", ""),
+        location: t.location || "",
+        description: t.description || "",
+        distance,
+        elevationGain,
+        elevationLoss: finite(t.elevationLoss),
+        minElevation: finite(t.minElevation),
+        maxElevation: finite(t.maxElevation),
+        climbFactor,
+        // Without the geometry there are no grade bins to rate on
+        difficulty:
+          t.difficulty?.level
+            ? t.difficulty
+            : distance != null && elevationGain != null
+              ? rateDifficulty({ distance, gain: elevationGain, climbFactor })
+              : null,
+        routeType: t.routeType === "loop" || t.routeType === "point-to-point" ? t.routeType : null,
+        start: Array.isArray(t.start) && t.start.length === 2 ? t.start : null,
+        bbox: Array.isArray(t.bbox) && t.bbox.length === 4 ? t.bbox : null,
+        gpxFile: t.gpxFile !== undefined ? t.gpxFile : t.file.replace(/\.geojson$/i, ".gpx"),
+        region: typeof t.region === "string" && t.region ? t.region : null,
+        tags: cleanTags(t.tags),
+        surface: cleanSurface(t.surface),
+        seasons: cleanSeasons(t.seasons),
+        images: cleanImages(t.images),
+      };
+    });
+  return { version, tracks };
+}
+
+// Add (or replace) one entry; generate-manifest sorts by filename
+export function addManifestEntry(manifest, entry) {
+  const tracks = (manifest?.tracks || []).filter((t) => t.file !== entry.file);
+  tracks.push(entry);
+  tracks.sort((a, b) => (a.file < b.file ? -1 : a.file > b.file ? 1 : 0));
+  return { ...manifest, tracks };
+}
+
+// "20260427-153000" (UTC) for collision suffixes
+export function timestampSuffix(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return (
+    `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+    `-${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}`
+  );
+}
+
+// Pick GPX/GeoJSON filenames for a slugged upload. If the base name is
+// already taken, append a timestamp suffix instead of overwriting.
+export function resolveTrackFilenames(gpxFilename, isTaken, date = new Date()) {
+  const base = gpxFilename.replace(/\.gpx$/i, "");
+  const candidate = {
+    gpxFile: `${base}.gpx`,
+    geojsonFile: `${base}.geojson`,
+  };
+  if (!isTaken(candidate)) return { ...candidate, collided: false };
+
+  const suffixed = `${base}-${timestampSuffix(date)}`;
+  return {
+    gpxFile: `${suffixed}.gpx`,
+    geojsonFile: `${suffixed}.geojson`,
+    collided: true,
+  };
+}
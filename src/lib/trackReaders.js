@@ -0,0 +1,236 @@
+// DOM readers that pull track points out of TCX and KML documents, and the
+// normalizer that turns points from any format (GPX through togeojson in
+// gpxImport.js, FIT included) into the single-LineString feature
+// generate-manifest.cjs expects.
+//
+// A point is { lon, lat, ele, time, hr, cad }; anything but lon/lat may be null.
+// Readers match elements by local name, so namespace prefixes (ns3:RunCadence,
+// gx:coord) don't matter.
+
+function localName(node) {
+  return node.localName || String(node.nodeName).replace(/^.*:/, "");
+}
+
+// All element descendants of `node` whose local name is in `names`, in document order
+export function elementsByLocalName(node, ...names) {
+  const out = [];
+  const walk = (parent) => {
+    for (let child = parent.firstChild; child; child = child.nextSibling) {
+      if (child.nodeType !== 1) continue;
+      if (names.includes(localName(child))) out.push(child);
+      walk(child);
+    }
+  };
+  walk(node);
+  return out;
+}
+
+function childElement(node, name) {
+  for (let child = node?.firstChild; child; child = child.nextSibling) {
+    if (child.nodeType === 1 && localName(child) === name) return child;
+  }
+  return null;
+}
+
+function childText(node, name) {
+  const child = childElement(node, name);
+  return child ? child.textContent.trim() : "";
+}
+
+function firstText(node, ...names) {
+  const el = elementsByLocalName(node, ...names)[0];
+  return el ? el.textContent.trim() : "";
+}
+
+function toNumber(value) {
+  if (value == null || String(value).trim() === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function toIsoTime(value) {
+  if (!value) return null;
+  const t = Date.parse(value);
+  return Number.isFinite(t) ? new Date(t).toISOString() : null;
+}
+
+function point(lon, lat, ele = null, time = null, hr = null, cad = null) {
+  return { lon, lat, ele, time, hr, cad };
+}
+
+// ---- TCX ----
+
+export function readTcxDocument(doc) {
+  const points = [];
+  for (const node of elementsByLocalName(doc, "Trackpoint")) {
+    const position = childElement(node, "Position");
+    const lat = toNumber(childText(position, "LatitudeDegrees"));
+    const lon = toNumber(childText(position, "LongitudeDegrees"));
+    // Watches log HR-only samples with no fix; they have nowhere to go on a line
+    if (lat == null || lon == null) continue;
+    points.push(
+      point(
+        lon,
+        lat,
+        toNumber(childText(node, "AltitudeMeters")),
+        toIsoTime(childText(node, "Time")),
+        toNumber(childText(childElement(node, "HeartRateBpm"), "Value")),
+        toNumber(childText(node, "Cadence") || firstText(node, "RunCadence")),
+      ),
+    );
+  }
+
+  const course = elementsByLocalName(doc, "Course")[0];
+  const activity = elementsByLocalName(doc, "Activity")[0];
+  return {
+    points,
+    name: childText(course, "Name"),
+    description: childText(course, "Notes") || childText(activity, "Notes"),
+  };
+}
+
+// ---- KML ----
+
+function parseKmlCoordinates(text) {
+  return text
+    .trim()
+    .split(/\s+/)
+    .map((tuple) => tuple.split(",").map(Number))
+    .filter(([lon, lat]) => Number.isFinite(lon) && Number.isFinite(lat))
+    .map(([lon, lat, ele]) => point(lon, lat, Number.isFinite(ele) ? ele : null));
+}
+
+// gx:Track: parallel <when> and <gx:coord> lists, plus optional
+// ExtendedData arrays (Google Earth/Strava write heartrate and cadence there)
+function readGxTrack(track) {
+  const whens = elementsByLocalName(track, "when").map((el) => toIsoTime(el.textContent.trim()));
+  const coords = elementsByLocalName(track, "coord").map((el) => el.textContent.trim().split(/\s+/).map(Number));
+
+  const arrays = {};
+  for (const data of elementsByLocalName(track, "SimpleArrayData")) {
+    const name = (data.getAttribute("name") || "").toLowerCase();
+    const values = elementsByLocalName(data, "value").map((el) => toNumber(el.textContent));
+    if (/heart/.test(name)) arrays.hr = values;
+    else if (/cad/.test(name)) arrays.cad = values;
+  }
+
+  const points = [];
+  coords.forEach(([lon, lat, ele], i) => {
+    if (!Number.isFinite(lon) || !Number.isFinite(lat)) return;
+    points.push(
+      point(
+        lon,
+        lat,
+        Number.isFinite(ele) ? ele : null,
+        whens[i] ?? null,
+        arrays.hr?.[i] ?? null,
+        arrays.cad?.[i] ?? null,
+      ),
+    );
+  });
+  return points;
+}
+
+export function readKmlDocument(doc) {
+  const points = [];
+  let named = null;
+
+  for (const placemark of elementsByLocalName(doc, "Placemark")) {
+    const before = points.length;
+    for (const geom of elementsByLocalName(placemark, "LineString", "Track")) {
+      const found =
+        localName(geom) === "Track"
+          ? readGxTrack(geom)
+          : parseKmlCoordinates(childText(geom, "coordinates"));
+      for (const p of found) points.push(p);
+    }
+    if (!named && points.length > before) named = placemark;
+  }
+
+  const document = elementsByLocalName(doc, "Document")[0];
+  return {
+    points,
+    name: childText(named, "name") || childText(document, "name"),
+    description: childText(named, "description") || childText(document, "description"),
+  };
+}
+
+// ---- normalize ----
+
+// Same rules and result shape as validateGpxFile(), for formats other than GPX
+export function validatePoints(points) {
+  if (points.length === 0) {
+    return {
+      ok: false,
+      errors: ["No track points found"],
+      warnings: [],
+      stats: {
+        trackPoints: 0,
+        routePoints: 0,
+        waypoints: 0,
+        pointsUsed: 0,
+        pointsWithElevation: 0,
+        elevationRange: null,
+      },
+    };
+  }
+
+  const elevations = points.map((p) => p.ele).filter((e) => e != null);
+  const warnings = [];
+  if (elevations.length === 0) {
+    warnings.push(
+      "No elevation data found: points have no altitude, so elevationGain will be 0",
+    );
+  }
+
+  return {
+    ok: true,
+    errors: [],
+    warnings,
+    stats: {
+      trackPoints: points.length,
+      routePoints: 0,
+      waypoints: 0,
+      pointsUsed: points.length,
+      pointsWithElevation: elevations.length,
+      elevationRange: elevations.length
+        ? {
+            min: elevations.reduce((a, b) => Math.min(a, b)),
+            max: elevations.reduce((a, b) => Math.max(a, b)),
+          }
+        : null,
+    },
+  };
+}
+
+/**
+ * Points -> { type: "Feature", properties, geometry: LineString }.
+ * coordTimes / heartRates / cadences are added only when the source has
+ * them, and are aligned index-for-index with the coordinates. GPX waypoints
+ * ({ name, lat, lon, ele?, type?, sym?, desc? }) are kept as
+ * properties.waypoints (see lib/waypoints).
+ */
+export function pointsToFeature(points, { name, description, waypoints = [] } = {}) {
+  const properties = {
+    name: name || "",
+    description: description || "",
+  };
+
+  const aligned = (key) => (points.some((p) => p[key] != null) ? points.map((p) => p[key] ?? null) : null);
+  const times = aligned("time");
+  const heartRates = aligned("hr");
+  const cadences = aligned("cad");
+  if (times) properties.coordTimes = times;
+  if (heartRates) properties.heartRates = heartRates;
+  if (cadences) properties.cadences = cadences;
+  if (waypoints.length) properties.waypoints = waypoints;
+
+  return {
+    type: "Feature",
+    properties,
+    geometry: {
+      type: "LineString",
+      coordinates: points.map((p) => (p.ele == null ? [p.lon, p.lat] : [p.lon, p.lat, p.ele])),
+    },
+  };
+}
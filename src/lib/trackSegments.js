@@ -0,0 +1,154 @@
+// Climbs and descents of a track, for the Sidebar's segment table and the
+// segment highlight on the map and globe. Boundaries come from the profile
+// (a turn counts once the track has climbed or dropped `minChangeFt` from
+// the last high or low point, so small rollers stay inside a segment) and
+// from manual split points, kept as distances along the track in miles so
+// they survive switching between recorded and DEM elevation.
+
+import { calculateEquivalentFlatDistance } from "../utils.js";
+import { computeElevationStats } from "./elevationStats.js";
+import { cumulativeDistances } from "./trackExport.js";
+import { FEET_PER_METER, METERS_PER_MILE } from "./units.js";
+
+export const SEGMENT_KINDS = {
+  climb: { label: "Climb", color: "#e07b39" },
+  descent: { label: "Descent", color: "#3399ff" },
+  rolling: { label: "Rolling", color: "#9bc53d" },
+};
+
+export const DEFAULT_MIN_CHANGE_FT = 200;
+
+// Max grade is measured over this much trail; point-to-point grades on a
+// recorded track swing well past 100%
+const GRADE_WINDOW_METERS = 160;
+
+// Elevation (m) at every point; gaps take the previous point's value
+function elevations(coords) {
+  let last = coords.map((c) => Number(c?.[2])).find(Number.isFinite) ?? 0;
+  return coords.map((c) => {
+    const z = Number(c?.[2]);
+    if (c?.[2] != null && Number.isFinite(z)) last = z;
+    return last;
+  });
+}
+
+/**
+ * Indices where the track turns from climbing to descending or back, after
+ * rising or falling at least `minChangeFt`. Always starts with 0 and ends
+ * with the last index.
+ */
+export function findTurningPoints(coords, { minChangeFt = DEFAULT_MIN_CHANGE_FT } = {}) {
+  if (!coords || coords.length < 2) return coords?.length ? [0] : [];
+  const z = elevations(coords);
+  const limit = minChangeFt / FEET_PER_METER;
+  const turns = [0];
+
+  // Until the first move of `limit`, watch both the high and the low point
+  let trend = 0;
+  let high = 0;
+  let low = 0;
+  let extreme = 0;
+  for (let i = 1; i < z.length; i++) {
+    if (trend === 0) {
+      if (z[i] > z[high]) high = i;
+      if (z[i] < z[low]) low = i;
+      if (z[high] - z[low] >= limit) {
+        trend = high > low ? 1 : -1;
+        extreme = i;
+      }
+    } else if (trend === 1) {
+      if (z[i] >= z[extreme]) extreme = i;
+      else if (z[extreme] - z[i] >= limit) {
+        turns.push(extreme);
+        trend = -1;
+        extreme = i;
+      }
+    } else if (z[i] <= z[extreme]) extreme = i;
+    else if (z[i] - z[extreme] >= limit) {
+      turns.push(extreme);
+      trend = 1;
+      extreme = i;
+    }
+  }
+  turns.push(z.length - 1);
+  return turns;
+}
+
+// Grades (%) over every GRADE_WINDOW_METERS stretch between `start` and `end`
+function windowGrades(z, meters, start, end) {
+  const grades = [];
+  let j = start;
+  for (let i = start; i < end; i++) {
+    while (j < end && meters[j] - meters[i] < GRADE_WINDOW_METERS) j++;
+    if (meters[j] - meters[i] < GRADE_WINDOW_METERS) break;
+    grades.push(((z[j] - z[i]) / (meters[j] - meters[i])) * 100);
+  }
+  return grades;
+}
+
+/**
+ * The track cut at its turning points (`auto`) and at `splits` (miles along
+ * the track). Each segment is { startIndex, endIndex, from, to, distance
+ * (mi), gain, loss (ft), avgGrade, maxGrade (%), equivalentDistance (mi),
+ * kind }. `maxGrade` is the steepest grade over about a tenth of a mile in
+ * the segment's direction (the average on shorter segments);
+ * `elevationOptions` pick the gain algorithm (lib/elevationStats).
+ */
+export function segmentTrack(
+  coords,
+  { auto = true, splits = [], minChangeFt = DEFAULT_MIN_CHANGE_FT, elevationOptions } = {},
+) {
+  if (!coords || coords.length < 2) return [];
+  const last = coords.length - 1;
+  const meters = cumulativeDistances(coords);
+
+  const boundaries = new Set(auto ? findTurningPoints(coords, { minChangeFt }) : [0, last]);
+  for (const split of splits) {
+    const target = split * METERS_PER_MILE;
+    const index = meters.findIndex((m) => m >= target);
+    if (index > 0 && index < last) boundaries.add(index);
+  }
+  const cuts = [...boundaries].sort((a, b) => a - b);
+
+  const z = elevations(coords);
+  const segments = [];
+  for (let k = 1; k < cuts.length; k++) {
+    const start = cuts[k - 1];
+    const end = cuts[k];
+    const slice = coords.slice(start, end + 1);
+    const length = meters[end] - meters[start];
+    const rise = z[end] - z[start];
+    const { gain, loss } = computeElevationStats(slice, elevationOptions);
+
+    const kind = Math.abs(rise) * FEET_PER_METER < minChangeFt / 2 ? "rolling" : rise > 0 ? "climb" : "descent";
+    const avgGrade = length > 0 ? (rise / length) * 100 : 0;
+    const steepest = windowGrades(z, meters, start, end).reduce((best, g) => {
+      if (kind === "climb") return Math.max(best, g);
+      if (kind === "descent") return Math.min(best, g);
+      return Math.abs(g) > Math.abs(best) ? g : best;
+    }, avgGrade);
+
+    segments.push({
+      startIndex: start,
+      endIndex: end,
+      from: meters[start] / METERS_PER_MILE,
+      to: meters[end] / METERS_PER_MILE,
+      distance: length / METERS_PER_MILE,
+      gain,
+      loss,
+      avgGrade,
+      maxGrade: steepest,
+      equivalentDistance: calculateEquivalentFlatDistance(slice),
+      kind,
+    });
+  }
+  return segments;
+}
+
+// `splits` with `distance` added, or taken out when one is already within
+// `tolerance` miles of it; kept sorted
+export function toggleSplit(splits, distance, tolerance = 0.02) {
+  const near = splits.findIndex((s) => Math.abs(s - distance) <= tolerance);
+  if (near !== -1) return splits.filter((_, i) => i !== near);
+  return [...splits, distance].sort((a, b) => a - b);
+}
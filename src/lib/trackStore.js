@@ -0,0 +1,265 @@
+// IndexedDB-backed track library.
+//  - userTracks:      drawn, imported and recorded tracks, so they survive a reload
+//  - geojsonCache:    GeoJSON fetched from public/tracks, keyed by filename and
+//                     tagged with the build it came from
+//  - recordings:      the activity being recorded (lib/activityRecorder), without points
+//  - recordingPoints: its breadcrumb, one record per point so each fix is a small write
+// Every call degrades to a no-op/empty result when IndexedDB is unavailable
+// (private mode, old browsers); the app then behaves as it did before.
+
+const DB_NAME = "trail-viewer";
+const DB_VERSION = 2;
+
+export const USER_TRACKS_STORE = "userTracks";
+export const GEOJSON_CACHE_STORE = "geojsonCache";
+export const RECORDINGS_STORE = "recordings";
+export const RECORDING_POINTS_STORE = "recordingPoints";
+
+// Fetched GeoJSON kept on disk; the in-memory LRU in App stays small
+export const MAX_CACHED_GEOJSON = 50;
+
+let dbPromise = null;
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export function openTrackDb(factory = globalThis.indexedDB) {
+  if (!factory) return Promise.resolve(null);
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve) => {
+    const request = factory.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(USER_TRACKS_STORE)) {
+        db.createObjectStore(USER_TRACKS_STORE, { keyPath: "id" });
+      }
+      if (!db.objectStoreNames.contains(GEOJSON_CACHE_STORE)) {
+        db
+          .createObjectStore(GEOJSON_CACHE_STORE, { keyPath: "filename" })
+          .createIndex("accessedAt", "accessedAt");
+      }
+      if (!db.objectStoreNames.contains(RECORDINGS_STORE)) {
+        db.createObjectStore(RECORDINGS_STORE, { keyPath: "id" });
+      }
+      if (!db.objectStoreNames.contains(RECORDING_POINTS_STORE)) {
+        db
+          .createObjectStore(RECORDING_POINTS_STORE, { autoIncrement: true })
+          .createIndex("recordingId", "recordingId");
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      console.warn("IndexedDB unavailable:", request.error);
+      resolve(null);
+    };
+  });
+  return dbPromise;
+}
+
+async function withStore(storeName, mode, fn) {
+  const db = await openTrackDb();
+  if (!db) return null;
+  const tx = db.transaction(storeName, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  // Awaited together: when fn fails the transaction aborts, and `done`
+  // rejecting on its own would be an unhandled rejection
+  const [result] = await Promise.all([fn(tx.objectStore(storeName)), done]);
+  return result;
+}
+
+// ---- user tracks ----
+
+// Processed track feature -> plain record (drops nothing the UI needs)
+export function toStoredTrack(track, now = Date.now()) {
+  const { properties, geometry, localFile } = track;
+  return {
+    id: properties.id,
+    name: properties.name,
+    source: properties.source,
+    properties: { ...properties },
+    geometry,
+    localFile: localFile || null,
+    createdAt: properties.createdAt || now,
+    updatedAt: now,
+  };
+}
+
+export function fromStoredTrack(record) {
+  const track = {
+    type: "Feature",
+    properties: {
+      ...record.properties,
+      id: record.id,
+      name: record.name,
+      createdAt: record.createdAt,
+    },
+    geometry: record.geometry,
+  };
+  if (record.localFile) track.localFile = record.localFile;
+  return track;
+}
+
+// Newest first
+export async function listUserTracks() {
+  try {
+    const records = await withStore(USER_TRACKS_STORE, "readonly", (store) =>
+      promisify(store.getAll()),
+    );
+    return (records || [])
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(fromStoredTrack);
+  } catch (error) {
+    console.error("Failed to read user tracks:", error);
+    return [];
+  }
+}
+
+export async function saveUserTrack(track) {
+  const record = toStoredTrack(track);
+  await withStore(USER_TRACKS_STORE, "readwrite", (store) => promisify(store.put(record)));
+  return fromStoredTrack(record);
+}
+
+export async function renameUserTrack(id, name) {
+  return withStore(USER_TRACKS_STORE, "readwrite", async (store) => {
+    const record = await promisify(store.get(id));
+    if (!record) return null;
+    const next = {
+      ...record,
+      name,
+      properties: { ...record.properties, name },
+      updatedAt: Date.now(),
+    };
+    await promisify(store.put(next));
+    return fromStoredTrack(next);
+  });
+}
+
+export async function deleteUserTrack(id) {
+  await withStore(USER_TRACKS_STORE, "readwrite", (store) => promisify(store.delete(id)));
+}
+
+// ---- fetched GeoJSON cache ----
+
+// Drop least recently used entries until at most `max` remain
+async function evictCachedGeoJSON(store, max) {
+  let excess = (await promisify(store.count())) - max;
+  if (excess <= 0) return;
+
+  await new Promise((resolve, reject) => {
+    const request = store.index("accessedAt").openKeyCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || excess <= 0) return resolve();
+      store.delete(cursor.primaryKey);
+      excess--;
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Returns { data, build } or null
+export async function getCachedGeoJSON(filename) {
+  try {
+    return await withStore(GEOJSON_CACHE_STORE, "readwrite", async (store) => {
+      const record = await promisify(store.get(filename));
+      if (!record) return null;
+      await promisify(store.put({ ...record, accessedAt: Date.now() }));
+      return { data: record.data, build: record.build };
+    });
+  } catch (error) {
+    console.error("Failed to read cached GeoJSON:", filename, error);
+    return null;
+  }
+}
+
+export async function putCachedGeoJSON(filename, data, build) {
+  try {
+    await withStore(GEOJSON_CACHE_STORE, "readwrite", async (store) => {
+      await promisify(store.put({ filename, data, build, accessedAt: Date.now() }));
+      await evictCachedGeoJSON(store, MAX_CACHED_GEOJSON);
+    });
+  } catch (error) {
+    // Quota errors etc. only cost us a refetch next time
+    console.warn("Failed to cache GeoJSON:", filename, error);
+  }
+}
+
+/**
+ * GeoJSON for `filename` through the cache: a copy cached by `build` is used
+ * as is; otherwise `load(filename)` fetches it and the result is cached for
+ * `build`. A copy from an older build is only a fallback when `load` fails.
+ */
+export async function loadCachedGeoJSON(filename, { build, load }) {
+  const cached = await getCachedGeoJSON(filename);
+  if (cached && cached.build === build) return cached.data;
+
+  try {
+    const data = await load(filename);
+    putCachedGeoJSON(filename, data, build); // failures only cost a refetch
+    return data;
+  } catch (error) {
+    if (!cached) throw error;
+    console.warn("Using cached GeoJSON for", filename, error);
+    return cached.data;
+  }
+}
+
+export async function clearCachedGeoJSON() {
+  await withStore(GEOJSON_CACHE_STORE, "readwrite", (store) => promisify(store.clear()));
+}
+
+// ---- activity recording ----
+
+// Recording state without its points (those are appended one by one)
+export async function saveRecording(recording) {
+  const { points, ...meta } = recording;
+  await withStore(RECORDINGS_STORE, "readwrite", (store) => promisify(store.put(meta)));
+}
+
+export async function appendRecordingPoint(recordingId, point) {
+  await withStore(RECORDING_POINTS_STORE, "readwrite", (store) =>
+    promisify(store.add({ ...point, recordingId })),
+  );
+}
+
+// The unfinished recording with its points, or null
+export async function loadActiveRecording() {
+  try {
+    const recordings = await withStore(RECORDINGS_STORE, "readonly", (store) =>
+      promisify(store.getAll()),
+    );
+    if (!recordings?.length) return null;
+    const meta = recordings.sort((a, b) => b.startedAt - a.startedAt)[0];
+    const points = await withStore(RECORDING_POINTS_STORE, "readonly", (store) =>
+      promisify(store.index("recordingId").getAll(meta.id)),
+    );
+    return {
+      ...meta,
+      points: (points || [])
+        .map(({ recordingId, ...point }) => point)
+        .sort((a, b) => a.time - b.time),
+    };
+  } catch (error) {
+    console.error("Failed to read the active recording:", error);
+    return null;
+  }
+}
+
+export async function deleteRecording(id) {
+  await withStore(RECORDING_POINTS_STORE, "readwrite", async (store) => {
+    const keys = await promisify(store.index("recordingId").getAllKeys(id));
+    await Promise.all(keys.map((key) => promisify(store.delete(key))));
+  });
+  await withStore(RECORDINGS_STORE, "readwrite", (store) => promisify(store.delete(id)));
+}
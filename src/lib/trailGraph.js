@@ -0,0 +1,419 @@
+// Trail network built from the manifest tracks, for planning loops and
+// out-and-backs on trails we already have. Tracks are split wherever they
+// meet another track (or cross themselves): a crossing becomes one junction,
+// and where two tracks share a stretch of trail the shared part runs between
+// the junctions where they come together and split apart. Parallel copies
+// of the same stretch are merged into one edge.
+//
+// Routes are found by walking the graph from a clicked start point:
+//  - loop:         back to the start without reusing a trail
+//  - lollipop:     out along a stem, around a loop, and back down the stem
+//  - out-and-back: out to half the target distance (or a dead end) and back
+// Candidates are ranked by how close they come to the target distance and,
+// when one is given, the target gain.
+
+import { computeElevationStats } from "./elevationStats.js";
+import { METERS_PER_MILE } from "./units.js";
+
+const METERS_PER_DEGREE = 111320;
+
+// Tracks this close share a junction
+export const JOIN_RADIUS_M = 25;
+// The start point must be this close to a trail
+export const MAX_START_OFFSET_M = 1000;
+
+// Tracks are densified so a crossing between two sparse points isn't missed
+const MAX_SPACING_M = JOIN_RADIUS_M / 2;
+// Touching runs shorter than this are a crossing; longer ones a shared stretch
+const CROSSING_RUN_M = JOIN_RADIUS_M * 4;
+// Parallel edges whose lengths differ by less than this are the same trail
+const SAME_TRAIL_RATIO = 0.1;
+// DFS steps per search, so a dense network can't hang the UI
+const MAX_EXPANSIONS = 50000;
+
+function metersBetween(a, b) {
+  const kx = METERS_PER_DEGREE * Math.cos((((a[1] + b[1]) / 2) * Math.PI) / 180);
+  return Math.hypot((b[0] - a[0]) * kx, (b[1] - a[1]) * METERS_PER_DEGREE);
+}
+
+function interpolate(a, b, t) {
+  const point = [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+  const za = Number(a[2]);
+  const zb = Number(b[2]);
+  if (a.length > 2 && b.length > 2 && Number.isFinite(za) && Number.isFinite(zb)) point.push(za + (zb - za) * t);
+  return point;
+}
+
+function densify(coords) {
+  const out = [coords[0]];
+  for (let i = 1; i < coords.length; i++) {
+    const steps = Math.ceil(metersBetween(coords[i - 1], coords[i]) / MAX_SPACING_M);
+    for (let s = 1; s < steps; s++) out.push(interpolate(coords[i - 1], coords[i], s / steps));
+    out.push(coords[i]);
+  }
+  return out;
+}
+
+function cumulative(coords) {
+  const along = [0];
+  for (let i = 1; i < coords.length; i++) along.push(along[i - 1] + metersBetween(coords[i - 1], coords[i]));
+  return along;
+}
+
+// Grid of points by cell, with cells at least `size` meters wide everywhere
+function spatialHash(points, size, maxLat) {
+  const cellLat = size / METERS_PER_DEGREE;
+  const cellLon = size / (METERS_PER_DEGREE * Math.max(0.01, Math.cos((maxLat * Math.PI) / 180)));
+  const cellOf = (c) => [Math.floor(c[1] / cellLat), Math.floor(c[0] / cellLon)];
+  const cells = new Map();
+  points.forEach((p, i) => {
+    const key = cellOf(p.coord).join(":");
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(i);
+  });
+  const near = (coord) => {
+    const [row, col] = cellOf(coord);
+    const found = [];
+    for (let dr = -1; dr <= 1; dr++) {
+      for (let dc = -1; dc <= 1; dc++) found.push(...(cells.get(`${row + dr}:${col + dc}`) ?? []));
+    }
+    return found;
+  };
+  return near;
+}
+
+/**
+ * Graph of the trails in `tracks` (GeoJSON LineString features):
+ * { nodes: [{ id, lon, lat }],
+ *   edges: [{ id, from, to, coordinates, distance (m), gain, loss (ft), trails: [name] }],
+ *   adjacency: [[{ edge, reverse }]] (per node) }
+ */
+export function buildTrailGraph(tracks) {
+  const lines = tracks
+    .map((track) => ({
+      name: track?.properties?.name || "Trail",
+      coords: (track?.geometry?.type === "MultiLineString" ? track.geometry.coordinates[0] : track?.geometry?.coordinates ?? [])
+        .filter((c) => Number.isFinite(c?.[0]) && Number.isFinite(c?.[1])),
+    }))
+    .filter((line) => line.coords.length >= 2)
+    .map((line) => {
+      const coords = densify(line.coords);
+      return { ...line, coords, along: cumulative(coords) };
+    });
+
+  const vertices = lines.flatMap((line, t) => line.coords.map((coord, i) => ({ t, i, coord })));
+  const maxLat = vertices.reduce((m, v) => Math.max(m, Math.abs(v.coord[1])), 0);
+  const near = spatialHash(vertices, JOIN_RADIUS_M, maxLat);
+
+  // Distance from each vertex to the nearest other track (or a far-off part
+  // of its own track), when within the join radius
+  const touch = lines.map((line) => new Array(line.coords.length).fill(null));
+  for (const v of vertices) {
+    for (const j of near(v.coord)) {
+      const w = vertices[j];
+      if (w.t === v.t && Math.abs(lines[v.t].along[v.i] - lines[w.t].along[w.i]) <= CROSSING_RUN_M) continue;
+      const d = metersBetween(v.coord, w.coord);
+      if (d <= JOIN_RADIUS_M && (touch[v.t][v.i] == null || d < touch[v.t][v.i])) touch[v.t][v.i] = d;
+    }
+  }
+
+  // Split points: both ends, the closest approach of a crossing, and both
+  // ends of a shared stretch
+  const splits = lines.map((line, t) => {
+    const out = new Set([0, line.coords.length - 1]);
+    let i = 0;
+    while (i < line.coords.length) {
+      if (touch[t][i] == null) {
+        i++;
+        continue;
+      }
+      let end = i;
+      while (end + 1 < line.coords.length && touch[t][end + 1] != null) end++;
+      if (line.along[end] - line.along[i] < CROSSING_RUN_M) {
+        let best = i;
+        for (let k = i; k <= end; k++) if (touch[t][k] < touch[t][best]) best = k;
+        out.add(best);
+      } else {
+        out.add(i);
+        out.add(end);
+      }
+      i = end + 1;
+    }
+    return [...out].sort((a, b) => a - b);
+  });
+
+  // Split points close together are one junction
+  const splitPoints = splits.flatMap((indices, t) => indices.map((i) => ({ t, i, coord: lines[t].coords[i] })));
+  const parent = splitPoints.map((_, k) => k);
+  const find = (k) => (parent[k] === k ? k : (parent[k] = find(parent[k])));
+  const nearSplit = spatialHash(splitPoints, JOIN_RADIUS_M * 2, maxLat);
+  splitPoints.forEach((p, k) => {
+    for (const j of nearSplit(p.coord)) {
+      if (metersBetween(p.coord, splitPoints[j].coord) <= JOIN_RADIUS_M * 2) parent[find(j)] = find(k);
+    }
+  });
+
+  const nodeOf = new Map(); // root -> node id
+  const members = [];
+  const nodeAt = splitPoints.map((_, k) => {
+    const root = find(k);
+    if (!nodeOf.has(root)) {
+      nodeOf.set(root, members.length);
+      members.push([]);
+    }
+    members[nodeOf.get(root)].push(splitPoints[k].coord);
+    return nodeOf.get(root);
+  });
+  const nodes = members.map((coords, id) => ({
+    id,
+    lon: coords.reduce((s, c) => s + c[0], 0) / coords.length,
+    lat: coords.reduce((s, c) => s + c[1], 0) / coords.length,
+  }));
+
+  // Edges between consecutive split points of each track
+  const edges = [];
+  let k = 0;
+  splits.forEach((indices, t) => {
+    const line = lines[t];
+    for (let s = 0; s < indices.length; s++, k++) {
+      if (s === 0) continue;
+      const from = nodeAt[k - 1];
+      const to = nodeAt[k];
+      const a = indices[s - 1];
+      const b = indices[s];
+      const distance = line.along[b] - line.along[a];
+      if (from === to && distance < CROSSING_RUN_M) continue;
+
+      const same = edges.find(
+        (e) =>
+          ((e.from === from && e.to === to) || (e.from === to && e.to === from)) &&
+          Math.abs(e.distance - distance) <= SAME_TRAIL_RATIO * Math.max(e.distance, distance),
+      );
+      if (same) {
+        if (!same.trails.includes(line.name)) same.trails.push(line.name);
+        continue;
+      }
+
+      const coordinates = line.coords.slice(a, b + 1);
+      const { gain, loss } = computeElevationStats(coordinates);
+      edges.push({ id: edges.length, from, to, coordinates, distance, gain, loss, trails: [line.name] });
+    }
+  });
+
+  return { nodes, edges, adjacency: adjacencyFor(nodes.length, edges) };
+}
+
+function adjacencyFor(nodeCount, edges) {
+  const adjacency = Array.from({ length: nodeCount }, () => []);
+  for (const edge of edges) {
+    adjacency[edge.from].push({ edge, reverse: false });
+    if (edge.to !== edge.from) adjacency[edge.to].push({ edge, reverse: true });
+  }
+  return adjacency;
+}
+
+// Nearest point on an edge: { edge, segment, t, lon, lat, offset (m), along (m) }
+export function snapToTrails(graph, { lat, lng }) {
+  let best = null;
+  const kx = METERS_PER_DEGREE * Math.cos((lat * Math.PI) / 180);
+  for (const edge of graph.edges) {
+    let along = 0;
+    for (let i = 0; i < edge.coordinates.length - 1; i++) {
+      const a = edge.coordinates[i];
+      const b = edge.coordinates[i + 1];
+      const ax = (a[0] - lng) * kx;
+      const ay = (a[1] - lat) * METERS_PER_DEGREE;
+      const dx = (b[0] - a[0]) * kx;
+      const dy = (b[1] - a[1]) * METERS_PER_DEGREE;
+      const len2 = dx * dx + dy * dy;
+      const t = len2 > 0 ? Math.min(1, Math.max(0, -(ax * dx + ay * dy) / len2)) : 0;
+      const offset = Math.hypot(ax + t * dx, ay + t * dy);
+      if (!best || offset < best.offset) {
+        const [lon, snappedLat] = interpolate(a, b, t);
+        best = { edge, segment: i, t, lon, lat: snappedLat, offset, along: along + Math.sqrt(len2) * t };
+      }
+      along += Math.sqrt(len2);
+    }
+  }
+  return best;
+}
+
+// The graph with a start node at `snap`, splitting the edge it lies on.
+// Returns { graph, start } (start is a node id).
+function withStartNode(graph, snap) {
+  const { edge } = snap;
+  if (snap.along < JOIN_RADIUS_M) return { graph, start: edge.from };
+  if (edge.distance - snap.along < JOIN_RADIUS_M) return { graph, start: edge.to };
+
+  const start = graph.nodes.length;
+  const point = interpolate(edge.coordinates[snap.segment], edge.coordinates[snap.segment + 1], snap.t);
+  const before = [...edge.coordinates.slice(0, snap.segment + 1), point];
+  const after = [point, ...edge.coordinates.slice(snap.segment + 1)];
+  const part = (id, from, to, coordinates, distance) => {
+    const { gain, loss } = computeElevationStats(coordinates);
+    return { id, from, to, coordinates, distance, gain, loss, trails: edge.trails };
+  };
+
+  const edges = graph.edges.filter((e) => e !== edge);
+  edges.push(
+    part(graph.edges.length, edge.from, start, before, snap.along),
+    part(graph.edges.length + 1, start, edge.to, after, edge.distance - snap.along),
+  );
+  const nodes = [...graph.nodes, { id: start, lon: snap.lon, lat: snap.lat }];
+  return { graph: { nodes, edges, adjacency: adjacencyFor(nodes.length, edges) }, start };
+}
+
+const stepCoords = ({ edge, reverse }) => (reverse ? [...edge.coordinates].reverse() : edge.coordinates);
+const stepGain = ({ edge, reverse }) => (reverse ? edge.loss : edge.gain);
+const stepLoss = ({ edge, reverse }) => (reverse ? edge.gain : edge.loss);
+
+function joinCoords(parts) {
+  return parts.flatMap((coords, i) => (i === 0 ? coords : coords.slice(1)));
+}
+
+// The first `meters` of a line
+function cutLine(coords, meters) {
+  const out = [coords[0]];
+  let along = 0;
+  for (let i = 1; i < coords.length; i++) {
+    const d = metersBetween(coords[i - 1], coords[i]);
+    if (along + d >= meters) {
+      out.push(interpolate(coords[i - 1], coords[i], d > 0 ? (meters - along) / d : 0));
+      return out;
+    }
+    along += d;
+    out.push(coords[i]);
+  }
+  return out;
+}
+
+function candidate(kind, steps, coordinates) {
+  const { gain, loss } = computeElevationStats(coordinates);
+  const trails = [...new Set(steps.flatMap((s) => s.edge.trails))];
+  return { kind, coordinates, distance: cumulative(coordinates).at(-1) / METERS_PER_MILE, gain, loss, trails };
+}
+
+/**
+ * Ranked route suggestions from a start point ({ lat, lng }):
+ * [{ kind: "loop" | "lollipop" | "out-and-back", coordinates, distance (mi),
+ *    gain, loss (ft), trails: [name], score }], best first.
+ * Options: { distance (mi), gain (ft, optional), kinds: ["loop", "out-and-back"], limit }.
+ * Throws when the start is not near any trail.
+ */
+export function suggestRoutes(graph, point, { distance, gain = null, kinds = ["loop", "out-and-back"], limit = 5 } = {}) {
+  const snap = graph.edges.length ? snapToTrails(graph, point) : null;
+  if (!snap || snap.offset > MAX_START_OFFSET_M) throw new Error("No trail near the start point");
+
+  const { graph: g, start } = withStartNode(graph, snap);
+  const target = distance * METERS_PER_MILE;
+  const half = target / 2;
+  const maxLength = target * 1.5;
+  const found = new Map(); // key -> estimate
+
+  const score = (meters, feet) =>
+    Math.abs(meters - target) / target + (gain != null ? Math.abs(feet - gain) / Math.max(gain, 300) : 0);
+  const consider = (key, kind, meters, feet, build) => {
+    if (!kinds.includes(kind === "lollipop" ? "loop" : kind)) return;
+    const s = score(meters, feet);
+    if (!found.has(key) || s < found.get(key).score) found.set(key, { score: s, build });
+  };
+
+  // Depth-first over trails, never reusing an edge
+  let expansions = 0;
+  const path = [start];
+  const steps = [];
+  const walk = (node, length, up, down) => {
+    for (const step of g.adjacency[node]) {
+      if (++expansions > MAX_EXPANSIONS) return;
+      if (steps.some((s) => s.edge === step.edge)) continue;
+      const next = step.reverse ? step.edge.from : step.edge.to;
+      const len = length + step.edge.distance;
+      const upNext = up + stepGain(step);
+      const downNext = down + stepLoss(step);
+      const route = [...steps, step];
+
+      // Out-and-back turning around on this edge, or at a dead end
+      if (length < half && (len >= half || g.adjacency[next].length === 1)) {
+        const turn = Math.min(len, half);
+        const fraction = (turn - length) / step.edge.distance;
+        const key = `oab:${route.map((s) => s.edge.id).join(",")}:${Math.round(turn)}`;
+        // Coming back, the descents on the way out are the climbs
+        const climb = up + down + (stepGain(step) + stepLoss(step)) * fraction;
+        consider(key, "out-and-back", turn * 2, climb, () => {
+          const out = joinCoords([...route.slice(0, -1).map(stepCoords), cutLine(stepCoords(step), turn - length)]);
+          return candidate("out-and-back", route, joinCoords([out, [...out].reverse()]));
+        });
+      }
+
+      const seen = path.indexOf(next);
+      if (seen === 0) {
+        const key = `loop:${route.map((s) => s.edge.id).sort((a, b) => a - b).join(",")}`;
+        consider(key, "loop", len, upNext, () => candidate("loop", route, joinCoords(route.map(stepCoords))));
+      } else if (seen > 0) {
+        const stem = route.slice(0, seen);
+        const loop = route.slice(seen);
+        const stemLength = stem.reduce((s, st) => s + st.edge.distance, 0);
+        const stemClimb = stem.reduce((s, st) => s + st.edge.gain + st.edge.loss, 0);
+        const loopGain = loop.reduce((s, st) => s + stepGain(st), 0);
+        const key = `lollipop:${stem.map((s) => s.edge.id).join(",")}|${loop.map((s) => s.edge.id).sort((a, b) => a - b).join(",")}`;
+        consider(key, "lollipop", len + stemLength, stemClimb + loopGain, () => {
+          const out = joinCoords(stem.map(stepCoords));
+          return candidate("lollipop", route, joinCoords([out, ...loop.map(stepCoords), [...out].reverse()]));
+        });
+      } else if (len < maxLength) {
+        path.push(next);
+        steps.push(step);
+        walk(next, len, upNext, downNext);
+        path.pop();
+        steps.pop();
+      }
+    }
+  };
+  walk(start, 0, 0, 0);
+
+  // Ranked on the per-edge estimate, then re-scored on the whole route
+  return [...found.values()]
+    .sort((a, b) => a.score - b.score)
+    .slice(0, limit * 2)
+    .map(({ build }) => {
+      const route = build();
+      return { ...route, score: score(route.distance * METERS_PER_MILE, route.gain) };
+    })
+    .sort((a, b) => a.score - b.score)
+    .slice(0, limit);
+}
+
+/**
+ * Waypoints ({ lat, lng }) that keep a line's shape to within `tolerance`
+ * meters (Douglas-Peucker), for editing a suggestion in draw mode.
+ */
+export function waypointsForLine(coords, tolerance = 15) {
+  if (coords.length <= 2) return coords.map(([lon, lat]) => ({ lat, lng: lon }));
+  const keep = new Array(coords.length).fill(false);
+  keep[0] = keep[coords.length - 1] = true;
+  const stack = [[0, coords.length - 1]];
+  while (stack.length) {
+    const [a, b] = stack.pop();
+    const kx = METERS_PER_DEGREE * Math.cos((coords[a][1] * Math.PI) / 180);
+    const dx = (coords[b][0] - coords[a][0]) * kx;
+    const dy = (coords[b][1] - coords[a][1]) * METERS_PER_DEGREE;
+    const len2 = dx * dx + dy * dy;
+    let worst = -1;
+    let worstOffset = tolerance;
+    for (let i = a + 1; i < b; i++) {
+      const px = (coords[i][0] - coords[a][0]) * kx;
+      const py = (coords[i][1] - coords[a][1]) * METERS_PER_DEGREE;
+      const t = len2 > 0 ? Math.min(1, Math.max(0, (px * dx + py * dy) / len2)) : 0;
+      const offset = Math.hypot(px - t * dx, py - t * dy);
+      if (offset > worstOffset) {
+        worst = i;
+        worstOffset = offset;
+      }
+    }
+    if (worst >= 0) {
+      keep[worst] = true;
+      stack.push([a, worst], [worst, b]);
+    }
+  }
+  return coords.filter((_, i) => keep[i]).map(([lon, lat]) => ({ lat, lng: lon }));
+}
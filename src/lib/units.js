@@ -0,0 +1,112 @@
+// Display units. Track data and stats stay in miles and feet everywhere
+// (manifest, elevation stats, profile data, trail plan); the unit system only
+// changes what is shown: components convert with these helpers right before
+// formatting a number or a chart axis. Weather is the exception, since
+// Open-Meteo can answer in either system (weatherUnitParams).
+
+export const UNIT_SYSTEMS = {
+  imperial: {
+    label: "Imperial",
+    distance: "mi",
+    elevation: "ft",
+    speed: "mph",
+    temperature: "°F",
+    precipitation: "in",
+    marker: "Mile",
+  },
+  metric: {
+    label: "Metric",
+    distance: "km",
+    elevation: "m",
+    speed: "km/h",
+    temperature: "°C",
+    precipitation: "mm",
+    marker: "Km",
+  },
+};
+
+export const DEFAULT_UNITS = "imperial";
+
+export const KM_PER_MILE = 1.609344;
+export const METERS_PER_MILE = 1609.344;
+export const METERS_PER_FOOT = 0.3048;
+// Rounded as the original profile code had it, so stored stats don't shift
+export const FEET_PER_METER = 3.28084;
+
+export const normalizeUnits = (units) => (UNIT_SYSTEMS[units] ? units : DEFAULT_UNITS);
+
+export const unitLabels = (units) => UNIT_SYSTEMS[normalizeUnits(units)];
+
+const isMetric = (units) => units === "metric";
+
+// Miles -> km or mi
+export const toDisplayDistance = (miles, units) => (isMetric(units) ? miles * KM_PER_MILE : miles);
+
+// Feet -> m or ft
+export const toDisplayElevation = (feet, units) => (isMetric(units) ? feet * METERS_PER_FOOT : feet);
+
+// km or mi -> miles, for distances the user typed or picked
+export const fromDisplayDistance = (value, units) => (isMetric(units) ? value / KM_PER_MILE : value);
+
+// m or ft -> feet
+export const fromDisplayElevation = (value, units) => (isMetric(units) ? value / METERS_PER_FOOT : value);
+
+// "8.97 mi" / "14.44 km"
+export function formatDistance(miles, units, digits = 2) {
+  if (miles == null || !Number.isFinite(Number(miles))) return "—";
+  return `${toDisplayDistance(Number(miles), units).toFixed(digits)} ${unitLabels(units).distance}`;
+}
+
+// "1,234 ft" / "376 m"
+export function formatElevation(feet, units) {
+  if (feet == null || !Number.isFinite(Number(feet))) return "—";
+  return `${Math.round(toDisplayElevation(Number(feet), units)).toLocaleString()} ${unitLabels(units).elevation}`;
+}
+
+// °F -> °C or °F
+export const toDisplayTemperature = (fahrenheit, units) =>
+  isMetric(units) ? ((fahrenheit - 32) * 5) / 9 : fahrenheit;
+
+// mph -> km/h or mph
+export const toDisplaySpeed = (mph, units) => (isMetric(units) ? mph * KM_PER_MILE : mph);
+
+// The same for data fetched in metric units (the weather map):
+// °C -> °C or °F, a °C difference (range, spread) -> °C or °F, km/h -> km/h or mph
+export const celsiusToDisplay = (celsius, units) => (isMetric(units) ? celsius : (celsius * 9) / 5 + 32);
+export const celsiusChangeToDisplay = (celsius, units) => (isMetric(units) ? celsius : (celsius * 9) / 5);
+export const kmhToDisplay = (kmh, units) => (isMetric(units) ? kmh : kmh / KM_PER_MILE);
+
+// Seconds per mile -> seconds per km or mile
+export const toDisplayPace = (secondsPerMile, units) => (isMetric(units) ? secondsPerMile / KM_PER_MILE : secondsPerMile);
+
+// Seconds per km or mile -> seconds per mile
+export const fromDisplayPace = (seconds, units) => (isMetric(units) ? seconds * KM_PER_MILE : seconds);
+
+// Ticks for a chart axis whose data is in miles (the profile's zoom domain
+// and deep links stay in miles), placed at round values of the display unit
+export function distanceTicks([min, max], units, count = 5) {
+  const lo = toDisplayDistance(min, units);
+  const hi = toDisplayDistance(max, units);
+  if (!(hi > lo)) return undefined;
+  const rough = (hi - lo) / count;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step = [1, 2, 2.5, 5, 10].map((m) => m * magnitude).find((s) => s >= rough);
+  const ticks = [];
+  for (let i = Math.ceil(lo / step); i * step <= hi + step * 1e-9; i++) {
+    ticks.push(fromDisplayDistance(i * step, units));
+  }
+  return ticks;
+}
+
+// Miles between distance markers: every mile, or every kilometer
+export const markerInterval = (units) => (isMetric(units) ? 1 / KM_PER_MILE : 1);
+
+// "Mile 3" / "Km 3"
+export const markerName = (number, units) => `${unitLabels(units).marker} ${number}`;
+
+// Open-Meteo query parameters for the unit system
+export function weatherUnitParams(units) {
+  return isMetric(units)
+    ? "temperature_unit=celsius&windspeed_unit=kmh&precipitation_unit=mm"
+    : "temperature_unit=fahrenheit&windspeed_unit=mph&precipitation_unit=inch";
+}
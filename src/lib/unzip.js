@@ -0,0 +1,68 @@
+// Minimal ZIP reader for KMZ files: central directory + stored/deflated
+// entries. Inflating uses DecompressionStream("deflate-raw"), available in
+// current browsers and Node 18+, so no zip library is bundled.
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+export function isZip(bytes) {
+  return bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04;
+}
+
+// [{ name, method, compressedSize, size, localOffset }]
+export function listZipEntries(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  // The end-of-central-directory record sits in the last 64 KiB + 22 bytes
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+    if (view.getUint32(i, true) === EOCD_SIGNATURE) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error("Not a ZIP archive");
+
+  const count = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+  const entries = [];
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_SIGNATURE) {
+      throw new Error("Corrupt ZIP central directory");
+    }
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    entries.push({
+      name: decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength)),
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      size: view.getUint32(offset + 24, true),
+      localOffset: view.getUint32(offset + 42, true),
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+export async function readZipEntry(bytes, entry) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const at = entry.localOffset;
+  if (view.getUint32(at, true) !== LOCAL_SIGNATURE) throw new Error(`Corrupt ZIP entry: ${entry.name}`);
+
+  const start = at + 30 + view.getUint16(at + 26, true) + view.getUint16(at + 28, true);
+  const data = bytes.subarray(start, start + entry.compressedSize);
+
+  if (entry.method === 0) return data.slice();
+  if (entry.method !== 8) throw new Error(`Unsupported ZIP compression method ${entry.method}`);
+
+  if (typeof DecompressionStream === "undefined") {
+    throw new Error("This browser cannot decompress KMZ files");
+  }
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
@@ -0,0 +1,195 @@
+// URL <-> view state codec for deep links.
+//
+//   ?track=<geojson file>   selected track (manifest `file`)
+//   &mode=3d                map mode (2d is the default and omitted)
+//   &map=<zoom>/<lat>/<lon> Leaflet view, OSM-style
+//   &cam=<lon>,<lat>,<height m>,<heading°>,<pitch°>   Cesium camera
+//   &grade=1                grade overlay on the elevation profile
+//   &profile=<from>,<to>    profile zoom domain in miles
+//   &wx=<layer>             weather layer (temperature is the default)
+//   &pt=<index>             highlighted point on the track
+//
+// Track list filters (lib/trackFilters), in miles, feet and percent:
+//   &q=<text>               search
+//   &dist=<min>-<max>       distance range; either end may be left out ("5-")
+//   &gain=<min>-<max>       elevation gain range
+//   &climb=<min>-<max>      climb factor range
+//   &region=<region>        region facet
+//   &tag=<tag>&tag=<tag>    tags, all required
+//   &has=gpx,offline        availability
+//   &sort=<key>             sort, "-" prefixed for descending ("-gain")
+//
+// parseUrlState() never throws: malformed values are dropped one by one so a
+// bad parameter can't take the rest of the link down with it.
+
+import { EMPTY_FILTERS, DEFAULT_SORT, parseSort } from "./trackFilters.js";
+
+export const WEATHER_LAYERS = ["temperature", "precipitation", "windspeed", "cloudcover", "aqi"];
+export const DEFAULT_WEATHER_LAYER = "temperature";
+
+// Parameters owned by this codec; anything else in the query is preserved
+const KEYS = ["track", "mode", "map", "cam", "grade", "profile", "wx", "pt"];
+const FILTER_KEYS = ["q", "dist", "gain", "climb", "region", "tag", "has", "sort"];
+
+export const EMPTY_URL_STATE = Object.freeze({
+  track: null,
+  mode: "2d",
+  map: null,
+  cam: null,
+  grade: false,
+  profile: null,
+  weather: DEFAULT_WEATHER_LAYER,
+  point: null,
+  filters: EMPTY_FILTERS,
+});
+
+function numbers(value, sep, count) {
+  if (typeof value !== "string") return null;
+  const parts = value.split(sep);
+  if (parts.length !== count || parts.some((p) => p.trim() === "")) return null;
+  const nums = parts.map(Number);
+  return nums.every(Number.isFinite) ? nums : null;
+}
+
+function round(value, digits) {
+  const f = 10 ** digits;
+  return Math.round(value * f) / f;
+}
+
+// "5-12", "5-" or "-12"; null when malformed or empty
+function parseRange(value) {
+  const match = typeof value === "string" && /^(\d+(?:\.\d+)?)?-(\d+(?:\.\d+)?)?$/.exec(value);
+  if (!match || (match[1] == null && match[2] == null)) return null;
+  const range = [match[1] == null ? null : Number(match[1]), match[2] == null ? null : Number(match[2])];
+  return range[0] != null && range[1] != null && range[0] > range[1] ? null : range;
+}
+
+function formatRange(range, digits) {
+  if (!range || (range[0] == null && range[1] == null)) return null;
+  return range.map((v) => (v == null ? "" : String(round(v, digits)))).join("-");
+}
+
+function parseFilters(params) {
+  const has = (params.get("has") || "").split(",");
+  const sort = params.get("sort");
+  return {
+    ...EMPTY_FILTERS,
+    q: params.get("q") || "",
+    distance: parseRange(params.get("dist")),
+    gain: parseRange(params.get("gain")),
+    climb: parseRange(params.get("climb")),
+    region: params.get("region") || null,
+    tags: [...new Set(params.getAll("tag").filter(Boolean))],
+    gpx: has.includes("gpx"),
+    offline: has.includes("offline"),
+    sort: sort && parseSort(sort).key === sort.replace(/^-/, "") ? sort : DEFAULT_SORT,
+  };
+}
+
+function writeFilters(params, filters) {
+  const f = { ...EMPTY_FILTERS, ...filters };
+  if (f.q.trim()) params.set("q", f.q.trim());
+  const ranges = { dist: formatRange(f.distance, 2), gain: formatRange(f.gain, 0), climb: formatRange(f.climb, 1) };
+  Object.entries(ranges).forEach(([key, value]) => value && params.set(key, value));
+  if (f.region) params.set("region", f.region);
+  f.tags.forEach((tag) => params.append("tag", tag));
+  const has = [f.gpx && "gpx", f.offline && "offline"].filter(Boolean);
+  if (has.length) params.set("has", has.join(","));
+  if (f.sort && f.sort !== DEFAULT_SORT) params.set("sort", f.sort);
+}
+
+function parseTrack(raw) {
+  if (raw == null || raw === "") return null;
+  // URLSearchParams already decoded once; a still-encoded value means the
+  // link was double-encoded by whoever shared it
+  try {
+    return /%[0-9a-f]{2}/i.test(raw) ? decodeURIComponent(raw) : raw;
+  } catch {
+    return raw;
+  }
+}
+
+export function parseUrlState(search = "") {
+  const params = new URLSearchParams(search);
+  const state = { ...EMPTY_URL_STATE };
+
+  state.track = parseTrack(params.get("track"));
+
+  if (params.get("mode") === "3d") state.mode = "3d";
+
+  const map = numbers(params.get("map"), "/", 3);
+  if (map) {
+    const [zoom, lat, lon] = map;
+    if (zoom >= 0 && zoom <= 22 && Math.abs(lat) <= 90 && Math.abs(lon) <= 180) {
+      state.map = { zoom, lat, lon };
+    }
+  }
+
+  const cam = numbers(params.get("cam"), ",", 5);
+  if (cam) {
+    const [lon, lat, height, heading, pitch] = cam;
+    if (Math.abs(lat) <= 90 && Math.abs(lon) <= 180 && height > 0) {
+      state.cam = { lon, lat, height, heading, pitch };
+    }
+  }
+
+  state.grade = params.get("grade") === "1";
+
+  const profile = numbers(params.get("profile"), ",", 2);
+  if (profile && profile[0] >= 0 && profile[1] > profile[0]) state.profile = profile;
+
+  const wx = params.get("wx");
+  if (WEATHER_LAYERS.includes(wx)) state.weather = wx;
+
+  const pt = params.get("pt");
+  if (pt != null && /^\d+$/.test(pt)) state.point = Number(pt);
+
+  state.filters = parseFilters(params);
+
+  return state;
+}
+
+// Build the query string for `state`, keeping unrelated params from `baseSearch`.
+// Defaults are omitted so a plain track link stays `?track=<file>`.
+export function buildUrlSearch(state, baseSearch = "") {
+  const params = new URLSearchParams(baseSearch);
+  [...KEYS, ...FILTER_KEYS].forEach((key) => params.delete(key));
+
+  const s = { ...EMPTY_URL_STATE, ...state };
+
+  if (s.track) params.set("track", s.track);
+  if (s.mode === "3d") params.set("mode", "3d");
+  if (s.mode !== "3d" && s.map) {
+    params.set("map", `${round(s.map.zoom, 2)}/${round(s.map.lat, 5)}/${round(s.map.lon, 5)}`);
+  }
+  if (s.mode === "3d" && s.cam) {
+    const { lon, lat, height, heading, pitch } = s.cam;
+    params.set(
+      "cam",
+      [round(lon, 5), round(lat, 5), Math.round(height), round(heading, 1), round(pitch, 1)].join(","),
+    );
+  }
+  // Profile/point state only means something with a track selected
+  if (s.track) {
+    if (s.grade) params.set("grade", "1");
+    if (s.profile) params.set("profile", `${round(s.profile[0], 3)},${round(s.profile[1], 3)}`);
+    if (s.point != null) params.set("pt", String(s.point));
+  }
+  if (s.weather && s.weather !== DEFAULT_WEATHER_LAYER) params.set("wx", s.weather);
+  writeFilters(params, s.filters);
+
+  // URLSearchParams writes spaces as "+" and escapes "," and "/"; all are
+  // legal in a query value, and links read better with them unescaped
+  const query = params
+    .toString()
+    .replace(/\+/g, "%20")
+    .replace(/%2C/gi, ",")
+    .replace(/%2F/gi, "/");
+  return query ? `?${query}` : "";
+}
+
+// Track and map mode changes get their own history entry; camera moves,
+// toggles, profile zoom and track list filters just rewrite the current one.
+export function isNavigationChange(prev, next) {
+  return (prev?.track || null) !== (next?.track || null) || (prev?.mode || "2d") !== (next?.mode || "2d");
+}
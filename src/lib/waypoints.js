@@ -0,0 +1,211 @@
+// Race waypoints along a track: aid stations, water, junctions and cutoffs.
+// A station is { id, name, kind, distance (mi along the track), cutoff
+// (elapsed seconds from the start, or null), notes }; its position comes
+// from the distance, so it always sits on the track. Stations start out
+// from the GPX <wpt> elements kept in properties.waypoints (lib/trackReaders)
+// and are edited and stored per track by hooks/useTrackWaypoints.
+//
+// stationWaypoints() turns them into the waypoint shape lib/trackExport and
+// lib/paceModel use, so they're exported as <wpt> (with <type> and a
+// "Cutoff h:mm" <desc> that reads back in) and get predicted arrivals.
+
+import { computeElevationStats } from "./elevationStats.js";
+import { cumulativeDistances } from "./trackExport.js";
+import { getTrackCoordinates, haversineDistance } from "../utils.js";
+import { METERS_PER_MILE } from "./units.js";
+
+// `symbol` is the GPX <sym>, `coursePoint` the TCX/FIT course point type
+export const WAYPOINT_KINDS = {
+  aid: { label: "Aid station", letter: "A", color: "#e07b39", symbol: "Restaurant", coursePoint: "food" },
+  water: { label: "Water", letter: "W", color: "#3399ff", symbol: "Drinking Water", coursePoint: "water" },
+  junction: { label: "Junction", letter: "J", color: "#9b7bd4", symbol: "Crossing", coursePoint: "generic" },
+  cutoff: { label: "Cutoff", letter: "C", color: "#d64545", symbol: "Flag, Red", coursePoint: "generic" },
+};
+
+export const DEFAULT_WAYPOINT_KIND = "aid";
+
+// Arriving closer than this to a cutoff counts as tight
+export const CUTOFF_MARGIN_SECONDS = 15 * 60;
+
+// "5:30" (hours:minutes) -> 19800; null if it doesn't parse
+export function parseCutoff(text) {
+  const match = /^\s*(\d{1,3}):([0-5]\d)\s*$/.exec(String(text ?? ""));
+  return match ? Number(match[1]) * 3600 + Number(match[2]) * 60 : null;
+}
+
+// 19800 -> "5:30"
+export function formatCutoff(seconds) {
+  if (seconds == null || !Number.isFinite(seconds)) return "";
+  const minutes = Math.round(seconds / 60);
+  return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+// Kind from a GPX waypoint's <type>, <sym> or name
+function kindOf({ type, sym, name }) {
+  const key = String(type || "").toLowerCase();
+  if (WAYPOINT_KINDS[key]) return key;
+  const text = `${sym || ""} ${name || ""}`;
+  if (/water/i.test(text)) return "water";
+  if (/junction|\bjct\b|crossing/i.test(text)) return "junction";
+  if (/cut-?off/i.test(text)) return "cutoff";
+  return DEFAULT_WAYPOINT_KIND;
+}
+
+const CUTOFF_PATTERN = /\bcut-?off\s+(\d{1,3}:[0-5]\d)\b/i;
+
+// The map already marks the start and finish
+const START_FINISH = /^\s*(start|finish)\b/i;
+
+/**
+ * Stations from the track's GPX waypoints (properties.waypoints), each placed
+ * at the nearest track point. Start/finish waypoints, and the mile markers
+ * and peaks written by our own exports, are left out; the app derives those
+ * from the track.
+ */
+export function stationsFromFeature(track) {
+  const coords = getTrackCoordinates(track);
+  const raw = track?.properties?.waypoints;
+  if (coords.length < 2 || !Array.isArray(raw)) return [];
+  const meters = cumulativeDistances(coords);
+
+  const stations = raw
+    .filter(
+      (w) =>
+        Number.isFinite(w?.lat) &&
+        Number.isFinite(w?.lon) &&
+        !["mile", "peak"].includes(w.type) &&
+        !START_FINISH.test(w.name || ""),
+    )
+    .map((w, i) => {
+      let nearest = 0;
+      let best = Infinity;
+      coords.forEach((c, j) => {
+        const d = haversineDistance(w.lat, w.lon, c[1], c[0]);
+        if (d < best) {
+          best = d;
+          nearest = j;
+        }
+      });
+      const desc = String(w.desc || "");
+      return {
+        id: `gpx-${i}`,
+        name: w.name || `Waypoint ${i + 1}`,
+        kind: kindOf(w),
+        distance: meters[nearest] / METERS_PER_MILE,
+        cutoff: parseCutoff(CUTOFF_PATTERN.exec(desc)?.[1]),
+        notes: desc.replace(CUTOFF_PATTERN, "").trim(),
+      };
+    });
+  return sortStations(stations);
+}
+
+// Stored stations with anything missing or out of range fixed up
+export function normalizeStations(stations) {
+  if (!Array.isArray(stations)) return [];
+  return sortStations(
+    stations
+      .filter((s) => s && typeof s.id === "string" && Number.isFinite(s.distance))
+      .map((s) => ({
+        id: s.id,
+        name: String(s.name ?? ""),
+        kind: WAYPOINT_KINDS[s.kind] ? s.kind : DEFAULT_WAYPOINT_KIND,
+        distance: Math.max(0, s.distance),
+        cutoff: Number.isFinite(s.cutoff) && s.cutoff > 0 ? s.cutoff : null,
+        notes: String(s.notes ?? ""),
+      })),
+  );
+}
+
+export const sortStations = (stations) => [...stations].sort((a, b) => a.distance - b.distance);
+
+// Position `miles` along the track: { lat, lon, ele (m|null), index } where
+// `index` is the first point at or past it
+export function pointAtDistance(coords, miles, meters = cumulativeDistances(coords)) {
+  const target = Math.max(0, miles) * METERS_PER_MILE;
+  const hi = meters.findIndex((m) => m >= target);
+  if (hi <= 0) {
+    const c = hi === 0 ? coords[0] : coords[coords.length - 1];
+    const ele = Number(c[2]);
+    return { lat: c[1], lon: c[0], ele: Number.isFinite(ele) ? ele : null, index: hi === 0 ? 0 : coords.length - 1 };
+  }
+  const a = coords[hi - 1];
+  const b = coords[hi];
+  const span = meters[hi] - meters[hi - 1];
+  const ratio = span > 0 ? (target - meters[hi - 1]) / span : 0;
+  const za = Number(a[2]);
+  const zb = Number(b[2]);
+  return {
+    lat: a[1] + (b[1] - a[1]) * ratio,
+    lon: a[0] + (b[0] - a[0]) * ratio,
+    ele: Number.isFinite(za) && Number.isFinite(zb) ? za + (zb - za) * ratio : null,
+    index: hi,
+  };
+}
+
+/**
+ * Stations as lib/trackExport waypoints: { id, name, lat, lon, ele (m),
+ * distance (m), kind, symbol, coursePoint, description }. Stations past the
+ * end of the track are left out.
+ */
+export function stationWaypoints(track, stations) {
+  const coords = getTrackCoordinates(track);
+  if (coords.length < 2 || !stations?.length) return [];
+  const meters = cumulativeDistances(coords);
+  const total = meters[meters.length - 1] / METERS_PER_MILE;
+
+  return stations
+    .filter((s) => s.distance <= total + 1e-6)
+    .map((s) => {
+      const { lat, lon, ele } = pointAtDistance(coords, s.distance, meters);
+      const kind = WAYPOINT_KINDS[s.kind] || WAYPOINT_KINDS[DEFAULT_WAYPOINT_KIND];
+      const description = [s.cutoff ? `Cutoff ${formatCutoff(s.cutoff)}` : "", s.notes].filter(Boolean).join("\n");
+      return {
+        id: s.id,
+        name: s.name || kind.label,
+        lat,
+        lon,
+        ele,
+        distance: s.distance * METERS_PER_MILE,
+        kind: s.kind,
+        symbol: kind.symbol,
+        coursePoint: kind.coursePoint,
+        ...(description && { description }),
+      };
+    });
+}
+
+/**
+ * Distance-between-stations table for a track's coordinates: one leg per
+ * station plus the leg to the finish, each { station (null for the finish),
+ * distance (mi from the start), leg (mi from the previous station), gain,
+ * loss (ft over the leg) }. `elevationOptions` pick the gain algorithm.
+ */
+export function stationLegs(coords, stations, elevationOptions) {
+  if (!coords || coords.length < 2) return [];
+  const meters = cumulativeDistances(coords);
+  const total = meters[meters.length - 1] / METERS_PER_MILE;
+
+  const stops = [
+    ...stations.filter((s) => s.distance <= total + 1e-6).map((station) => ({ station, distance: station.distance })),
+    { station: null, distance: total },
+  ];
+  let previous = { distance: 0, index: 0 };
+  return stops.map(({ station, distance }) => {
+    const { index } = pointAtDistance(coords, distance, meters);
+    const { gain, loss } = computeElevationStats(coords.slice(previous.index, index + 1), elevationOptions);
+    const leg = { station, distance, leg: distance - previous.distance, gain, loss };
+    previous = { distance, index };
+    return leg;
+  });
+}
+
+/**
+ * How a predicted arrival (elapsed seconds) compares with a cutoff:
+ * { status: "ok"|"tight"|"missed", margin (s, negative when missed) },
+ * or null without a cutoff.
+ */
+export function checkCutoff(cutoff, elapsed, marginSeconds = CUTOFF_MARGIN_SECONDS) {
+  if (!cutoff || elapsed == null || !Number.isFinite(elapsed)) return null;
+  const margin = cutoff - elapsed;
+  return { status: margin < 0 ? "missed" : margin < marginSeconds ? "tight" : "ok", margin };
+}
@@ -2,11 +2,14 @@ import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
 import './index.css'
+import BUILD_INFO from './build-info'
 
-// Register Service Worker for offline maps
+// Register Service Worker for offline maps. The build in the URL versions
+// its caches, so a deploy replaces the cached app instead of mixing builds.
 if ('serviceWorker' in navigator) {
   window.addEventListener('load', () => {
-    navigator.serviceWorker.register('/sw.js')
+    const build = encodeURIComponent(BUILD_INFO?.build || 'dev')
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js?build=${build}`)
       .then(registration => {
         console.log('✅ Service Worker registered:', registration.scope);
         
@@ -1,3 +1,5 @@
+import { DEFAULT_UNITS, weatherUnitParams } from './lib/units.js';
+
 // Calculate total distance from coordinates (in miles)
 export const calculateDistance = (coordinates) => {
   if (!coordinates || coordinates.length < 2) return 0;
@@ -13,7 +15,7 @@ export const calculateDistance = (coordinates) => {
 };
 
 // Haversine formula for distance between two points
-const haversineDistance = (lat1, lon1, lat2, lon2) => {
+export const haversineDistance = (lat1, lon1, lat2, lon2) => {
   const R = 3959; // Earth's radius in miles
   const dLat = toRad(lat2 - lat1);
   const dLon = toRad(lon2 - lon1);
@@ -28,33 +30,6 @@ const haversineDistance = (lat1, lon1, lat2, lon2) => {
 
 const toRad = (degrees) => degrees * (Math.PI / 180);
 
-export const calculateElevationGain = (coordinates) => {
-  if (!coordinates || coordinates.length < 2) return 0;
-
-  const zs = coordinates
-    .map(c => Number(c?.[2]))
-    .filter(z => Number.isFinite(z));
-
-  if (zs.length < 2) return 0;
-
-  const start = zs[0];
-  const max = Math.max(...zs);
-  const floor = max - start; // meters
-
-  const NOISE_FT = 5;
-  const M_TO_FT = 3.28084;
-
-  let gainMeters = 0;
-  for (let i = 1; i < zs.length; i++) {
-    const diff = zs[i] - zs[i - 1]; // meters
-    if (diff * M_TO_FT > NOISE_FT) gainMeters += diff;
-  }
-
-  const outMeters = Math.max(gainMeters, floor);
-  return outMeters * M_TO_FT; // ✅ return FEET
-};
-
-
 export const getElevationProfile = (coordinates) => {
   if (!coordinates || coordinates.length < 2) return [];
   if (!coordinates.some(c => Number.isFinite(Number(c?.[2])))) return [];
@@ -80,6 +55,63 @@ export const getElevationProfile = (coordinates) => {
 };
 
 
+// LineString coordinates, or the first line of a MultiLineString
+export const getTrackCoordinates = (track) => {
+  const geometry = track?.geometry;
+  if (!geometry) return [];
+  return geometry.type === 'LineString' ? geometry.coordinates : geometry.coordinates[0] || [];
+};
+
+// Points every `interval` miles along the track (1, or a kilometer from
+// lib/units markerInterval), starting with marker 0. `distance` is in miles,
+// `number` counts the markers; `elevation` is interpolated between the
+// neighbouring points (meters, or null when the track has no elevation).
+export const getMileMarkers = (coordinates, interval = 1) => {
+  if (!coordinates || coordinates.length < 2) return [];
+
+  const elevationAt = (a, b, ratio) => {
+    const za = Number(a[2]);
+    const zb = Number(b[2]);
+    return Number.isFinite(za) && Number.isFinite(zb) ? za + (zb - za) * ratio : null;
+  };
+
+  const first = coordinates[0];
+  const markers = [{
+    position: [first[1], first[0]],
+    distance: 0,
+    number: 0,
+    elevation: Number.isFinite(Number(first[2])) ? Number(first[2]) : null,
+  }];
+  let totalDistance = 0;
+  let nextMarker = 1;
+
+  for (let i = 1; i < coordinates.length; i++) {
+    const prev = coordinates[i - 1];
+    const curr = coordinates[i];
+    const dist = haversineDistance(prev[1], prev[0], curr[1], curr[0]);
+    totalDistance += dist;
+
+    while (totalDistance >= nextMarker * interval) {
+      const excess = totalDistance - nextMarker * interval;
+      const ratio = 1 - excess / dist;
+
+      markers.push({
+        position: [
+          prev[1] + (curr[1] - prev[1]) * ratio,
+          prev[0] + (curr[0] - prev[0]) * ratio,
+        ],
+        distance: nextMarker * interval,
+        number: nextMarker,
+        elevation: elevationAt(prev, curr, ratio),
+      });
+
+      nextMarker += 1;
+    }
+  }
+
+  return markers;
+};
+
 // Get center point of track
 export const getTrackCenter = (coordinates) => {
   if (!coordinates || coordinates.length === 0) return [0, 0];
@@ -96,7 +128,7 @@ export const getTrackCenter = (coordinates) => {
 
 // Calculate energy cost per meter based on slope (Crowell/Minetti treadmill model Ct)
 // Recreational version Cr applies cutoff at i = -0.03 (paper Eq 4)
-const calculateEnergyCost = (slope) => {
+export const calculateEnergyCost = (slope) => {
   // Table 2 parameters (RUNNING) from Crowell paper
   const a = 26.07;     // J/kg·m
   const b = 0.03104;
@@ -178,12 +210,18 @@ export const calculateClimbFactor = (coordinates) => {
   return Math.max(0, Math.min(1, climbFactor)); // Clamp between 0 and 1
 };
 
-// Fetch weather data from Open-Meteo API (free, no API key needed)
-export const fetchWeather = async (lat, lon) => {
+// Request URLs are exported so "available offline" can pin the same responses
+export const weatherUrl = (lat, lon, units = DEFAULT_UNITS) =>
+  `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}&current=temperature_2m,weathercode,windspeed_10m&daily=temperature_2m_max,temperature_2m_min,weathercode,precipitation_sum&${weatherUnitParams(units)}&timezone=auto&forecast_days=7`;
+
+export const aqiUrl = (lat, lon) =>
+  `https://air-quality-api.open-meteo.com/v1/air-quality?latitude=${lat}&longitude=${lon}&current=us_aqi,pm10,pm2_5&hourly=us_aqi&timezone=auto&forecast_days=2`;
+
+// Fetch weather data from Open-Meteo API (free, no API key needed), in the
+// temperature and wind units of `units` (lib/units)
+export const fetchWeather = async (lat, lon, units) => {
   try {
-    const response = await fetch(
-      `https://api.open-meteo.com/v1/forecast?latitude=${lat}&longitude=${lon}&current=temperature_2m,weathercode,windspeed_10m&daily=temperature_2m_max,temperature_2m_min,weathercode,precipitation_sum&temperature_unit=fahrenheit&windspeed_unit=mph&precipitation_unit=inch&timezone=auto&forecast_days=7`
-    );
+    const response = await fetch(weatherUrl(lat, lon, units));
     
     if (!response.ok) throw new Error('Weather fetch failed');
     
@@ -211,9 +249,7 @@ export const fetchWeather = async (lat, lon) => {
 // Fetch Air Quality Index from Open-Meteo Air Quality API (free, no API key needed)
 export const fetchAQI = async (lat, lon) => {
   try {
-    const response = await fetch(
-      `https://air-quality-api.open-meteo.com/v1/air-quality?latitude=${lat}&longitude=${lon}&current=us_aqi,pm10,pm2_5&hourly=us_aqi&timezone=auto&forecast_days=2`
-    );
+    const response = await fetch(aqiUrl(lat, lon));
     
     if (!response.ok) throw new Error('AQI fetch failed');
     
@@ -247,7 +283,7 @@ export const fetchAQI = async (lat, lon) => {
 };
 
 // Get AQI category and color based on US EPA standards
-const getAQICategory = (aqi) => {
+export const getAQICategory = (aqi) => {
   if (aqi <= 50) return { name: 'Good', color: '#00e400', textColor: '#000' };
   if (aqi <= 100) return { name: 'Moderate', color: '#ffff00', textColor: '#000' };
   if (aqi <= 150) return { name: 'Unhealthy for Sensitive Groups', color: '#ff7e00', textColor: '#000' };
@@ -356,3 +392,44 @@ export function calculateGradePerPoint(coords) {
 
   return gradePerPoint;
 }
+
+// Grade bins for the Grade Metrics breakdown (percent, [min, max))
+export const GRADE_BINS = [
+  { key: "g25", label: "≥ 25%", min: 25, max: Infinity, color: "#ff0000" },
+  { key: "g20", label: "20–24.9%", min: 20, max: 25, color: "#ff6600" },
+  { key: "g15", label: "15–19.9%", min: 15, max: 20, color: "#ff9900" },
+  { key: "g10", label: "10–14.9%", min: 10, max: 15, color: "#ffcc00" },
+  { key: "g5", label: "5–9.9%", min: 5, max: 10, color: "#ccff00" },
+  { key: "g0", label: "0–4.9%", min: 0, max: 5, color: "#00ff00" },
+  { key: "gm5", label: "-5–-0.1%", min: -5, max: 0, color: "#00ccff" },
+  { key: "gm10", label: "-10–-5.1%", min: -10, max: -5, color: "#3399ff" },
+  { key: "gmInf", label: "< -10%", min: -Infinity, max: -10, color: "#6666ff" },
+];
+
+// Distance spent in each grade bin: { totalMiles, rows: [{ ...bin, meters, miles, percent }] }
+export function calculateGradeMetrics(coords, gradePerPoint = calculateGradePerPoint(coords)) {
+  if (!coords || coords.length < 2) return null;
+  if (!gradePerPoint || gradePerPoint.length !== coords.length) return null;
+
+  const sumsMeters = Object.fromEntries(GRADE_BINS.map((b) => [b.key, 0]));
+  let totalMeters = 0;
+  const binForGrade = (g) => GRADE_BINS.find((b) => g >= b.min && g < b.max) ?? GRADE_BINS[GRADE_BINS.length - 1];
+
+  for (let i = 1; i < coords.length; i++) {
+    const seg = haversineMeters_(coords[i - 1], coords[i]);
+    if (!Number.isFinite(seg) || seg <= 0) continue;
+    const b = binForGrade(Number(gradePerPoint[i] ?? 0));
+    sumsMeters[b.key] += seg;
+    totalMeters += seg;
+  }
+  if (totalMeters <= 0) return null;
+
+  const toMi = (m) => m / 1609.34;
+  return {
+    totalMiles: toMi(totalMeters),
+    rows: GRADE_BINS.map((b) => {
+      const m = sumsMeters[b.key] || 0;
+      return { ...b, meters: m, miles: toMi(m), percent: (m / totalMeters) * 100 };
+    }),
+  };
+}
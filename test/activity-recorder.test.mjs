@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  addFix,
+  newRecording,
+  pauseRecording,
+  recordingToFeature,
+  resumeRecording,
+  RECORDER_DEFAULTS,
+} from '../src/lib/activityRecorder.js';
+
+const T0 = Date.UTC(2026, 9, 19, 15, 0, 0);
+const METERS_PER_DEGREE_LAT = 111195; // haversine, as the recorder uses
+
+// A fix `meters` north of the start, `seconds` after T0
+const fix = (meters, seconds, accuracy = 5) => ({
+  lat: 34.2 + meters / METERS_PER_DEGREE_LAT,
+  lng: -118.1,
+  accuracy,
+  altitude: 500 + meters / 100,
+  timestamp: T0 + seconds * 1000,
+});
+
+// Feed fixes through addFix and return the final recording
+const record = (fixes, recording = newRecording(T0)) =>
+  fixes.reduce((r, f) => addFix(r, f).recording, recording);
+
+test('inaccurate fixes and tiny moves are dropped', () => {
+  const recording = record([
+    fix(0, 0),
+    fix(2, 1), // under minDistance
+    fix(50, 20, RECORDER_DEFAULTS.maxAccuracy + 1), // poor accuracy
+    fix(10, 10),
+  ]);
+  assert.equal(recording.points.length, 2);
+  assert.ok(Math.abs(recording.distance - 10) < 0.1, `distance ${recording.distance}`);
+  assert.equal(recording.points[1].time, T0 + 10000);
+});
+
+test('standing still auto-pauses until the position clearly moves on', () => {
+  let recording = record([fix(0, 0), fix(10, 10)]);
+  recording = record([fix(12, 40), fix(11, 75)], recording);
+  assert.equal(recording.autoPaused, true);
+
+  // Jitter smaller than resumeDistance stays paused
+  recording = record([fix(20, 90)], recording);
+  assert.equal(recording.autoPaused, true);
+  assert.equal(recording.points.length, 2);
+
+  recording = record([fix(40, 100)], recording);
+  assert.equal(recording.autoPaused, false);
+  assert.equal(recording.points.length, 3);
+});
+
+test('a manual pause ignores fixes until resumed', () => {
+  let recording = pauseRecording(record([fix(0, 0), fix(10, 10)]));
+  const { recording: same, point } = addFix(recording, fix(100, 20));
+  assert.equal(same, recording);
+  assert.equal(point, null);
+
+  recording = record([fix(200, 300)], resumeRecording(recording, T0 + 290000));
+  assert.equal(recording.points.length, 3);
+});
+
+test('the breadcrumb becomes a timed LineString', () => {
+  assert.equal(recordingToFeature(record([fix(0, 0)])), null);
+
+  const feature = recordingToFeature(record([fix(0, 0), fix(10, 10), { ...fix(20, 20), altitude: null }]), { name: 'Walk' });
+  assert.equal(feature.properties.name, 'Walk');
+  assert.equal(feature.properties.recordedAt, T0);
+  assert.deepEqual(feature.properties.coordTimes, [
+    '2026-10-19T15:00:00.000Z',
+    '2026-10-19T15:00:10.000Z',
+    '2026-10-19T15:00:20.000Z',
+  ]);
+  assert.equal(feature.geometry.coordinates[0].length, 3);
+  assert.equal(feature.geometry.coordinates[2].length, 2);
+});
@@ -0,0 +1,102 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  computeActivityStats,
+  formatDuration,
+  formatPace,
+  getTrackTimes,
+} from '../src/lib/activityStats.js';
+import { getMileMarkers } from '../src/utils.js';
+import { STEP_DEG } from './helpers/tracks.mjs';
+
+const START = Date.UTC(2026, 3, 1, 8, 0, 0);
+
+// Walks north at a steady pace, with a 10-minute break at point 10 and an
+// optional climb
+function recordedTrack({ points = 28, secondsPerStep = 90, climb = 0 } = {}) {
+  const coords = [];
+  const times = [];
+  let t = START;
+  for (let i = 0; i < points; i++) {
+    coords.push([-118.1, 34.2 + i * STEP_DEG, 500 + i * climb]);
+    times.push(new Date(t).toISOString());
+    if (i === 10) {
+      // Same spot, ten minutes later
+      t += 600 * 1000;
+      coords.push([-118.1, 34.2 + i * STEP_DEG, 500 + i * climb]);
+      times.push(new Date(t).toISOString());
+    }
+    t += secondsPerStep * 1000;
+  }
+  return { coords, times };
+}
+
+test('moving time excludes the break and the stop is reported', () => {
+  const { coords, times } = recordedTrack();
+  const stats = computeActivityStats(coords, times);
+
+  assert.equal(stats.elapsedTime, 27 * 90 + 600);
+  assert.equal(stats.movingTime, 27 * 90);
+  assert.equal(stats.stoppedTime, 600);
+  assert.equal(stats.startTime, new Date(START).toISOString());
+
+  assert.equal(stats.stops.length, 1);
+  assert.equal(stats.stops[0].startIndex, 10);
+  assert.equal(stats.stops[0].duration, 600);
+  assert.deepEqual(stats.stops[0].position, [coords[10][1], coords[10][0]]);
+});
+
+test('splits end at the mile markers and add up to the totals', () => {
+  const { coords, times } = recordedTrack();
+  const stats = computeActivityStats(coords, times);
+  const markers = getMileMarkers(coords);
+
+  // Markers include mile 0; splits include the trailing partial mile
+  assert.equal(stats.splits.length, markers.length);
+  assert.deepEqual(stats.splits.map((s) => s.mile), [1, 2, 3]);
+  stats.splits.slice(0, -1).forEach((s) => assert.ok(Math.abs(s.distance - 1) < 1e-9));
+
+  const sum = (key) => stats.splits.reduce((a, s) => a + s[key], 0);
+  assert.ok(Math.abs(sum('distance') - stats.distance) < 1e-9);
+  assert.ok(Math.abs(sum('movingTime') - stats.movingTime) < 1e-6);
+  assert.ok(Math.abs(sum('elapsedTime') - stats.elapsedTime) < 1e-6);
+
+  // Mile 1 includes the break in elapsed time but not in moving time
+  assert.ok(stats.splits[1].elapsedTime - stats.splits[1].movingTime > 599);
+  assert.ok(Math.abs(stats.averagePace - stats.movingTime / stats.distance) < 1e-9);
+  assert.equal(stats.bestPace, Math.min(stats.splits[0].pace, stats.splits[1].pace));
+});
+
+test('grade-adjusted pace is faster than actual pace on a climb', () => {
+  const flatTrack = recordedTrack();
+  const flat = computeActivityStats(flatTrack.coords, flatTrack.times);
+  assert.ok(Math.abs(flat.gradeAdjustedPace - flat.averagePace) < 1e-6);
+
+  const steepTrack = recordedTrack({ climb: 15 });
+  const steep = computeActivityStats(steepTrack.coords, steepTrack.times);
+  assert.ok(steep.gradeAdjustedPace < steep.averagePace);
+  assert.ok(steep.splits[0].elevationChange > 0);
+  steep.splits.forEach((s) => assert.ok(s.gradeAdjustedPace < s.pace));
+});
+
+test('tracks without usable timestamps have no activity stats', () => {
+  const { coords, times } = recordedTrack();
+  assert.equal(computeActivityStats(coords, null), null);
+  assert.equal(computeActivityStats(coords, coords.map(() => null)), null);
+  assert.equal(computeActivityStats(coords, ['2026-04-01T08:00:00Z']), null);
+  assert.notEqual(computeActivityStats(coords, times.map((t, i) => (i % 3 ? t : 'garbage'))), null);
+});
+
+test('getTrackTimes reads coordTimes for the first line', () => {
+  assert.deepEqual(getTrackTimes({ properties: { coordTimes: ['a', 'b'] } }), ['a', 'b']);
+  assert.deepEqual(getTrackTimes({ properties: { coordTimes: [['a'], ['b']] } }), ['a']);
+  assert.equal(getTrackTimes({ properties: {} }), null);
+});
+
+test('durations and paces format as clock times', () => {
+  assert.equal(formatDuration(754), '12:34');
+  assert.equal(formatDuration(3725), '1:02:05');
+  assert.equal(formatDuration(null), '—');
+  assert.equal(formatPace(1080.4), '18:00 /mi');
+});
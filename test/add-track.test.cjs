@@ -132,3 +132,77 @@ test("addTrack rejects missing source file", async () => {
     /Source file does not exist/,
   );
 });
+
+test("addTrack converts non-GPX files and writes a GPX rendition", async () => {
+  const repoRoot = await makeTempRepo();
+  const inputFile = path.join(repoRoot, "Morning Run.tcx");
+
+  await fs.writeFile(
+    inputFile,
+    `<?xml version="1.0" encoding="UTF-8"?>
+<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2">
+  <Activities><Activity Sport="Running"><Lap><Track>
+    <Trackpoint><Position><LatitudeDegrees>34.1</LatitudeDegrees><LongitudeDegrees>-117.1</LongitudeDegrees></Position><AltitudeMeters>100</AltitudeMeters></Trackpoint>
+    <Trackpoint><Position><LatitudeDegrees>34.2</LatitudeDegrees><LongitudeDegrees>-117.2</LongitudeDegrees></Position><AltitudeMeters>150</AltitudeMeters></Trackpoint>
+  </Track></Lap></Activity></Activities>
+</TrainingCenterDatabase>`,
+    "utf8",
+  );
+
+  const calls = [];
+
+  async function fakeExec(cmd, args) {
+    calls.push(args);
+    if (/gpx-to-geojson\.cjs$/.test(args[0])) {
+      // Non-GPX input: the converter is given the exact output path
+      await fs.writeFile(
+        args[2],
+        JSON.stringify({
+          type: "Feature",
+          properties: { name: "Morning Run" },
+          geometry: {
+            type: "LineString",
+            coordinates: [
+              [-117.1, 34.1, 100],
+              [-117.2, 34.2, 150],
+            ],
+          },
+        }),
+        "utf8",
+      );
+    } else {
+      await fs.writeFile(
+        path.join(repoRoot, "public", "tracks", "manifest.json"),
+        "[]",
+        "utf8",
+      );
+    }
+    return { stdout: "", stderr: "" };
+  }
+
+  const result = await addTrack(inputFile, {
+    repoRoot,
+    exec: fakeExec,
+    verbose: false,
+  });
+
+  assert.equal(result.format, "tcx");
+  assert.equal(calls[0][1], inputFile);
+  assert.equal(path.basename(result.geojsonPath), "morning-run.geojson");
+  assert.equal(path.basename(result.gpxPath), "morning-run.gpx");
+
+  const gpx = await fs.readFile(result.gpxPath, "utf8");
+  assert.match(gpx, /<name>Morning Run<\/name>/);
+  assert.equal((gpx.match(/<trkpt /g) || []).length, 2);
+});
+
+test("addTrack rejects unsupported file types", async () => {
+  const repoRoot = await makeTempRepo();
+  const inputFile = path.join(repoRoot, "notes.txt");
+  await fs.writeFile(inputFile, "not a track", "utf8");
+
+  await assert.rejects(
+    addTrack(inputFile, { repoRoot, verbose: false }),
+    /Expected a \.gpx, \.kml, \.kmz, \.tcx, \.fit file/,
+  );
+});
@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  DIFFICULTY_FORMULAS,
+  difficultyInputs,
+  getDifficultyConfig,
+  rateDifficulty,
+  resolveDifficultyConfig,
+} from '../src/lib/difficulty.js';
+import { fineLine, line } from './helpers/tracks.mjs';
+
+const FLAT_3MI = line(30); // 29 steps of ~0.1036 mi
+const STEEP_1MI = fineLine(101, (i) => 1640 + i * 10.5); // ~1,050 ft at about 20%
+
+test('the points formula rates steep miles above gentle ones', () => {
+  const flat = difficultyInputs(FLAT_3MI);
+  const steep = difficultyInputs(STEEP_1MI);
+  assert.ok(Math.abs(flat.distance - 3) < 0.01);
+  assert.equal(flat.gain, 0);
+  assert.ok(steep.gradeMiles.g15 + steep.gradeMiles.g20 > 0.9);
+
+  const flatRating = rateDifficulty(flat);
+  const steepRating = rateDifficulty(steep);
+  assert.deepEqual(flatRating, { score: 3, level: 'easiest', formula: 'points' });
+  assert.equal(steepRating.level, 'moderate');
+  assert.ok(steepRating.score > flatRating.score);
+
+  // Shenandoah only sees distance and gain
+  assert.equal(rateDifficulty(steep, { formula: 'shenandoah' }).level, 'easiest');
+  assert.equal(rateDifficulty({ distance: 10, gain: 2000 }, { formula: 'shenandoah' }).score, 200);
+});
+
+test('levels follow the configured thresholds', () => {
+  const inputs = { distance: 10, gain: 2000 }; // 14 points
+  assert.equal(rateDifficulty(inputs).level, 'moderate');
+  assert.equal(rateDifficulty(inputs, { thresholds: [2, 4, 6, 14] }).level, 'very-strenuous');
+  assert.equal(rateDifficulty(inputs, { thresholds: [20, 30, 40, 50] }).level, 'easiest');
+  assert.equal(rateDifficulty({}).level, 'easiest');
+});
+
+test('weights merge into the defaults and bad settings fall back', () => {
+  const config = resolveDifficultyConfig({ weights: { per1000Ft: 5, grade: { g25: 10 } } });
+  assert.equal(config.formula, 'points');
+  assert.equal(config.weights.per1000Ft, 5);
+  assert.equal(config.weights.perMile, DIFFICULTY_FORMULAS.points.weights.perMile);
+  assert.deepEqual(config.weights.grade, { ...DIFFICULTY_FORMULAS.points.weights.grade, g25: 10 });
+  assert.equal(rateDifficulty({ distance: 0, gain: 1000 }, { weights: { per1000Ft: 5 } }).score, 5);
+
+  assert.deepEqual(
+    resolveDifficultyConfig({ formula: 'vibes', thresholds: [3, 2, 1, 0] }).thresholds,
+    DIFFICULTY_FORMULAS.points.thresholds,
+  );
+
+  assert.deepEqual(getDifficultyConfig({}), resolveDifficultyConfig());
+  const fromEnv = getDifficultyConfig({ VITE_DIFFICULTY_FORMULA: 'shenandoah', VITE_DIFFICULTY_THRESHOLDS: '40,80,120,160' });
+  assert.equal(fromEnv.formula, 'shenandoah');
+  assert.deepEqual(fromEnv.thresholds, [40, 80, 120, 160]);
+});
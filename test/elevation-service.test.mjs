@@ -0,0 +1,233 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import zlib from 'zlib';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+import { decodeGeoTiff, decodeTerrarium } from '../src/lib/demDecode.js';
+import {
+  correctElevations,
+  createElevationService,
+  getDemConfig,
+  hasElevationData,
+} from '../src/lib/elevationService.js';
+
+// ---- tile builders ----
+
+function crc32(bytes) {
+  let crc = ~0;
+  for (const byte of bytes) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+  }
+  return ~crc >>> 0;
+}
+
+function pngChunk(type, data) {
+  const out = Buffer.alloc(12 + data.length);
+  out.writeUInt32BE(data.length, 0);
+  out.write(type, 4, 'latin1');
+  data.copy(out, 8);
+  out.writeUInt32BE(crc32(out.subarray(4, 8 + data.length)), 8 + data.length);
+  return out;
+}
+
+// Terrarium RGB PNG of heights(x, y); rows alternate between filters 0-4
+function terrariumPng(size, heights) {
+  const stride = size * 3;
+  const rows = [];
+  let previous = Buffer.alloc(stride);
+  for (let y = 0; y < size; y++) {
+    const row = Buffer.alloc(stride);
+    for (let x = 0; x < size; x++) {
+      const v = heights(x, y) + 32768;
+      row[x * 3] = Math.floor(v / 256);
+      row[x * 3 + 1] = Math.floor(v) % 256;
+      row[x * 3 + 2] = Math.round((v % 1) * 256);
+    }
+    const filter = y % 5;
+    const filtered = Buffer.alloc(stride + 1);
+    filtered[0] = filter;
+    for (let i = 0; i < stride; i++) {
+      const left = i >= 3 ? row[i - 3] : 0;
+      const up = previous[i];
+      const upLeft = i >= 3 ? previous[i - 3] : 0;
+      const p = left + up - upLeft;
+      const paeth =
+        Math.abs(p - left) <= Math.abs(p - up) && Math.abs(p - left) <= Math.abs(p - upLeft)
+          ? left
+          : Math.abs(p - up) <= Math.abs(p - upLeft) ? up : upLeft;
+      const predicted = [0, left, up, (left + up) >> 1, paeth][filter];
+      filtered[i + 1] = (row[i] - predicted) & 0xff;
+    }
+    rows.push(filtered);
+    previous = row;
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(size, 0);
+  header.writeUInt32BE(size, 4);
+  header[8] = 8; // bit depth
+  header[9] = 2; // RGB
+  return Buffer.concat([
+    Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(Buffer.concat(rows))),
+    pngChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+// Little-endian single-strip Int16 GeoTIFF, optionally deflated with a
+// horizontal predictor
+function int16Tiff(width, height, values, { deflate = false, nodata = null } = {}) {
+  const pixels = Buffer.alloc(width * height * 2);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const value = deflate && x > 0 ? values[i] - values[i - 1] : values[i];
+      pixels.writeInt16LE(value, i * 2);
+    }
+  }
+  const strip = deflate ? zlib.deflateSync(pixels) : pixels;
+  const nodataText = nodata == null ? null : Buffer.from(`${nodata}\0`, 'latin1');
+
+  const entries = [
+    [256, 3, 1, width],
+    [257, 3, 1, height],
+    [258, 3, 1, 16],
+    [259, 3, 1, deflate ? 8 : 1],
+    [273, 4, 1, 0], // strip offset, patched below
+    [277, 3, 1, 1],
+    [278, 3, 1, height],
+    [279, 4, 1, strip.length],
+    [317, 3, 1, deflate ? 2 : 1],
+    [339, 3, 1, 2],
+    ...(nodataText ? [[42113, 2, nodataText.length, 0]] : []),
+  ];
+  const ifdSize = 2 + entries.length * 12 + 4;
+  const extraAt = 8 + ifdSize;
+  const stripAt = extraAt + (nodataText?.length ?? 0);
+
+  const out = Buffer.alloc(stripAt + strip.length);
+  out.write('II', 0, 'latin1');
+  out.writeUInt16LE(42, 2);
+  out.writeUInt32LE(8, 4);
+  out.writeUInt16LE(entries.length, 8);
+  entries.forEach(([tag, type, count, value], i) => {
+    const at = 10 + i * 12;
+    out.writeUInt16LE(tag, at);
+    out.writeUInt16LE(type, at + 2);
+    out.writeUInt32LE(count, at + 4);
+    if (tag === 273) out.writeUInt32LE(stripAt, at + 8);
+    else if (tag === 42113) out.writeUInt32LE(extraAt, at + 8);
+    else if (type === 3) out.writeUInt16LE(value, at + 8);
+    else out.writeUInt32LE(value, at + 8);
+  });
+  nodataText?.copy(out, extraAt);
+  strip.copy(out, stripAt);
+  return out;
+}
+
+const fakeFetch = (tiles) => {
+  const requested = [];
+  const fetchImpl = async (url) => {
+    requested.push(url);
+    return tiles[url] ? new Response(tiles[url]) : new Response(null, { status: 404 });
+  };
+  return { fetchImpl, requested };
+};
+
+// ---- tests ----
+
+test('Terrarium and GeoTIFF tiles decode to heights in meters', async () => {
+  const heights = (x, y) => 100 + x * 10 + y * 0.5;
+  const terrarium = await decodeTerrarium(terrariumPng(8, heights));
+  assert.equal(terrarium.width, 8);
+  assert.ok(Math.abs(terrarium.values[3 * 8 + 5] - heights(5, 3)) < 0.01);
+  assert.ok(Math.abs(terrarium.values[7 * 8 + 7] - heights(7, 7)) < 0.01);
+
+  const values = [120, 130, -5, 4000, 4010, 3990];
+  const plain = await decodeGeoTiff(int16Tiff(3, 2, values, { nodata: -32768 }));
+  assert.deepEqual([...plain.values], values);
+  assert.equal(plain.nodata, -32768);
+
+  const deflated = await decodeGeoTiff(int16Tiff(3, 2, values, { deflate: true }));
+  assert.deepEqual([...deflated.values], values);
+});
+
+test('the service samples tiles once and interpolates between pixels', async () => {
+  // Zoom 0: one tile for the whole world, heights rising west to east
+  const tile = terrariumPng(4, (x) => x * 100);
+  const { fetchImpl, requested } = fakeFetch({ 'dem/0/0/0.png': tile });
+  const service = createElevationService({ url: 'dem/{z}/{x}/{y}.png', zoom: 0, fetchImpl });
+
+  const [west, middle, east] = await service.elevations([[-180, 0], [0, 0], [179.99, 0]]);
+  assert.equal(west, 0);
+  assert.ok(Math.abs(middle - 150) < 0.01, `middle ${middle}`); // halfway between pixels 1 and 2
+  assert.ok(Math.abs(east - 300) < 0.01);
+
+  await service.elevations([[10, 10]]);
+  assert.deepEqual(requested, ['dem/0/0/0.png']);
+
+  const broken = createElevationService({ url: 'missing/{z}/{x}/{y}.png', zoom: 0, fetchImpl });
+  await assert.rejects(broken.elevations([[0, 0]]), /HTTP 404/);
+});
+
+test('fill keeps recorded heights; zero-only tracks count as missing', async () => {
+  const { fetchImpl } = fakeFetch({ 't/0/0/0.png': terrariumPng(2, () => 1234) });
+  const service = createElevationService({ url: 't/{z}/{x}/{y}.png', zoom: 0, fetchImpl });
+
+  const partial = [[-118.1, 34.2, 500], [-118.1, 34.3], [-118.1, 34.4, 520]];
+  const filled = await correctElevations(partial, service, { mode: 'fill' });
+  assert.deepEqual(filled.coordinates, [[-118.1, 34.2, 500], [-118.1, 34.3, 1234], [-118.1, 34.4, 520]]);
+  assert.equal(filled.changed, 1);
+
+  const replaced = await correctElevations(partial, service, { mode: 'replace' });
+  assert.ok(replaced.coordinates.every((c) => c[2] === 1234));
+
+  const drawn = [[-118.1, 34.2, 0], [-118.1, 34.3, 0]];
+  assert.equal(hasElevationData(drawn), false);
+  const corrected = await correctElevations(drawn, service);
+  assert.equal(corrected.changed, 2);
+  assert.ok(hasElevationData(corrected.coordinates));
+});
+
+test('DEM settings come from VITE_DEM_* with relative URLs under the base path', () => {
+  assert.equal(getDemConfig({}).format, 'terrarium');
+  const local = getDemConfig({ BASE_URL: '/trail-viewer/', VITE_DEM_URL: 'dem/{z}/{x}/{y}.tif', VITE_DEM_FORMAT: 'geotiff', VITE_DEM_ZOOM: '11' });
+  assert.deepEqual(local, { url: '/trail-viewer/dem/{z}/{x}/{y}.tif', format: 'geotiff', zoom: 11 });
+  assert.equal(getDemConfig({ VITE_DEM_URL: 'https://example.com/{z}/{x}/{y}.png' }).url, 'https://example.com/{z}/{x}/{y}.png');
+});
+
+test('gpx-to-geojson --dem fills elevation from local tiles', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'trail-viewer-dem-'));
+  await fs.mkdir(path.join(dir, 'dem', '0', '0'), { recursive: true });
+  await fs.writeFile(path.join(dir, 'dem', '0', '0', '0.png'), terrariumPng(2, () => 1500));
+  await fs.writeFile(
+    path.join(dir, 'drawn.gpx'),
+    `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">
+  <trk><name>Drawn</name><trkseg>
+    <trkpt lat="34.2" lon="-118.1"></trkpt>
+    <trkpt lat="34.3" lon="-118.1"></trkpt>
+  </trkseg></trk>
+</gpx>`,
+  );
+
+  const output = path.join(dir, 'drawn.geojson');
+  const script = path.resolve('scripts/gpx-to-geojson.cjs');
+  await promisify(execFile)(process.execPath, [
+    script,
+    path.join(dir, 'drawn.gpx'),
+    output,
+    '--dem', 'fill',
+    '--dem-url', path.join(dir, 'dem', '{z}', '{x}', '{y}.png'),
+    '--dem-zoom', '0',
+  ]);
+
+  const feature = JSON.parse(await fs.readFile(output, 'utf8'));
+  assert.deepEqual(feature.geometry.coordinates.map((c) => c[2]), [1500, 1500]);
+});
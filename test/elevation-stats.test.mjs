@@ -0,0 +1,79 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+import { computeElevationStats, GAIN_ALGORITHMS } from '../src/lib/elevationStats.js';
+import { buildManifestEntry } from '../src/lib/trackManifest.js';
+
+const FIXTURE = JSON.parse(await fs.readFile(new URL('./fixtures/noisy-hill.json', import.meta.url), 'utf8'));
+const round = (value) => Math.round(value * 10) / 10;
+
+// 10 m apart going north, at the given elevations
+const profile = (elevations) => elevations.map((z, i) => [-118.1, 34.2 + i * 0.00009, z]);
+
+test('the default threshold keeps the original gain, floored at start-to-high-point', () => {
+  // Steps of 1 m (3.3 ft) never pass the 5 ft threshold on their own
+  const creep = computeElevationStats(profile([100, 101, 102, 103, 104, 105]));
+  assert.equal(creep.algorithm, 'threshold');
+  assert.ok(Math.abs(creep.gain - 5 * 3.28084) < 1e-9);
+  assert.equal(creep.loss, 0);
+  assert.ok(Math.abs(creep.min - 100 * 3.28084) < 1e-9);
+
+  const flat = computeElevationStats(profile([100]));
+  assert.deepEqual([flat.gain, flat.loss], [0, 0]);
+  assert.equal(computeElevationStats(profile([100, 110]), { algorithm: 'nope' }).algorithm, 'threshold');
+});
+
+test('every algorithm reproduces the fixture, and the smoothing filters reject the noise', () => {
+  const raw = computeElevationStats(FIXTURE.coordinates, { algorithm: 'threshold', thresholdFt: 0 });
+  for (const algorithm of Object.keys(GAIN_ALGORITHMS)) {
+    const stats = computeElevationStats(FIXTURE.coordinates, { algorithm });
+    assert.deepEqual({ gain: round(stats.gain), loss: round(stats.loss) }, FIXTURE.expected[algorithm], algorithm);
+    assert.ok(stats.gain <= raw.gain, `${algorithm} gain ${stats.gain} > raw ${raw.gain}`);
+  }
+  // The hill itself is 120 m (394 ft) up and down. Raw, the noise adds about
+  // 350 ft each way; the filters land within 15 ft of the hill
+  assert.ok(raw.gain - 394 > 300 && raw.loss - 394 > 300, `raw ${raw.gain}/${raw.loss}`);
+  for (const algorithm of ['movingAverage', 'kalman']) {
+    const { gain, loss } = FIXTURE.expected[algorithm];
+    assert.ok(Math.abs(gain - 394) < 15 && Math.abs(loss - 394) < 15, `${algorithm} ${gain}/${loss}`);
+  }
+});
+
+test('hysteresis only counts a climb once it clears the threshold', () => {
+  const stats = computeElevationStats(profile([100, 102, 100, 102, 100, 110, 108, 110]), {
+    algorithm: 'hysteresis',
+    thresholdFt: 10, // ~3 m
+  });
+  assert.ok(Math.abs(stats.gain - 10 * 3.28084) < 1e-9);
+  assert.equal(stats.loss, 0);
+});
+
+test('generate-manifest gives the same numbers as the app for each algorithm', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'trail-viewer-gain-'));
+  await fs.mkdir(path.join(dir, 'public', 'tracks'), { recursive: true });
+  const feature = {
+    type: 'Feature',
+    properties: { name: 'Noisy Hill' },
+    geometry: { type: 'LineString', coordinates: FIXTURE.coordinates },
+  };
+  await fs.writeFile(path.join(dir, 'public', 'tracks', 'noisy-hill.geojson'), JSON.stringify(feature));
+
+  const script = path.resolve('scripts/generate-manifest.cjs');
+  for (const algorithm of Object.keys(GAIN_ALGORITHMS)) {
+    await promisify(execFile)(process.execPath, [script, '--gain-algorithm', algorithm], { cwd: dir });
+    const manifest = JSON.parse(await fs.readFile(path.join(dir, 'public', 'tracks', 'manifest.json'), 'utf8'));
+    const entry = buildManifestEntry(feature, 'noisy-hill.geojson', { algorithm });
+    assert.deepEqual(manifest.tracks, [entry], algorithm);
+    assert.equal(entry.elevationGain, Math.round(FIXTURE.expected[algorithm].gain), algorithm);
+  }
+
+  await assert.rejects(
+    promisify(execFile)(process.execPath, [script, '--gain-algorithm', 'nope'], { cwd: dir }),
+    /must be one of/,
+  );
+});
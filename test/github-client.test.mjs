@@ -0,0 +1,321 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+
+import {
+  createGitHubClient,
+  saveTrackPullRequest,
+  GitHubSaveError,
+  encodeBase64,
+  decodeBase64,
+  parseRepoSlug,
+  loadGitHubToken,
+  storeGitHubToken,
+  clearGitHubToken,
+} from '../src/lib/githubClient.js';
+import {
+  addManifestEntry,
+  buildManifestEntry,
+  resolveTrackFilenames,
+  timestampSuffix,
+} from '../src/lib/trackManifest.js';
+
+const NOW = new Date(Date.UTC(2026, 3, 27, 15, 30, 0));
+
+const FEATURE = {
+  type: 'Feature',
+  properties: { name: 'Chaney to Wilson', description: '' },
+  geometry: {
+    type: 'LineString',
+    coordinates: [
+      [-117.1, 34.1, 100],
+      [-117.2, 34.2, 150],
+    ],
+  },
+};
+
+const MANIFEST = {
+  tracks: [
+    { file: 'alpha.geojson', name: 'Alpha', location: '', description: '', distance: 1, elevationGain: 10 },
+    { file: 'zulu.geojson', name: 'Zulu', location: '', description: '', distance: 2, elevationGain: 20 },
+  ],
+};
+
+// In-memory stand-in for the handful of GitHub REST endpoints the client uses
+async function startMockGitHub({ files = {}, failOn } = {}) {
+  const state = {
+    refs: { main: 'base-sha' },
+    files: { main: { ...files } },
+    requests: [],
+    pulls: [],
+  };
+
+  const server = http.createServer(async (req, res) => {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    const body = raw ? JSON.parse(raw) : null;
+    const url = new URL(req.url, 'http://localhost');
+    state.requests.push({ method: req.method, path: url.pathname, body, auth: req.headers.authorization });
+
+    const send = (status, data) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+
+    if (failOn && failOn(req.method, url.pathname, body)) {
+      return send(failOn.status || 500, { message: 'Mock failure' });
+    }
+
+    let m;
+    if (req.method === 'GET' && (m = url.pathname.match(/^\/repos\/o\/r\/git\/ref\/heads\/(.+)$/))) {
+      const sha = state.refs[decodeURIComponent(m[1])];
+      return sha ? send(200, { object: { sha } }) : send(404, { message: 'Not Found' });
+    }
+    if (req.method === 'POST' && url.pathname === '/repos/o/r/git/refs') {
+      const name = body.ref.replace('refs/heads/', '');
+      if (state.refs[name]) return send(422, { message: 'Reference already exists' });
+      state.refs[name] = body.sha;
+      state.files[name] = { ...state.files.main };
+      return send(201, { ref: body.ref });
+    }
+    if ((m = url.pathname.match(/^\/repos\/o\/r\/contents\/(.+)$/))) {
+      const filePath = m[1].split('/').map(decodeURIComponent).join('/');
+      if (req.method === 'GET') {
+        const text = state.files[url.searchParams.get('ref')]?.[filePath];
+        if (text === undefined) return send(404, { message: 'Not Found' });
+        return send(200, { sha: `sha:${filePath}`, content: encodeBase64(text) });
+      }
+      if (req.method === 'PUT') {
+        const branchFiles = state.files[body.branch];
+        if (branchFiles[filePath] !== undefined && body.sha !== `sha:${filePath}`) {
+          return send(409, { message: 'sha mismatch' });
+        }
+        branchFiles[filePath] = decodeBase64(body.content);
+        return send(201, { content: { path: filePath } });
+      }
+    }
+    if (req.method === 'POST' && url.pathname === '/repos/o/r/pulls') {
+      const pr = { number: state.pulls.length + 1, html_url: `https://github.test/o/r/pull/${state.pulls.length + 1}`, ...body };
+      state.pulls.push(pr);
+      return send(201, pr);
+    }
+    send(404, { message: 'Not Found' });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  return {
+    state,
+    baseUrl: `http://127.0.0.1:${port}`,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+function manifestFiles() {
+  return { 'public/tracks/manifest.json': JSON.stringify(MANIFEST, null, 2) };
+}
+
+test('saveTrackPullRequest commits GPX, GeoJSON and manifest, then opens a PR', async () => {
+  const mock = await startMockGitHub({ files: manifestFiles() });
+  try {
+    const client = createGitHubClient({ token: 't0k', owner: 'o', repo: 'r', baseUrl: mock.baseUrl });
+    const progress = [];
+    const result = await saveTrackPullRequest(client, {
+      feature: FEATURE,
+      gpxText: '<gpx>ñ</gpx>',
+      gpxFilename: 'chaney-to-wilson.gpx',
+      now: NOW,
+      onProgress: (stage) => progress.push(stage),
+    });
+
+    assert.deepEqual(progress, ['read-base', 'create-branch', 'commit-gpx', 'commit-geojson', 'commit-manifest', 'open-pr']);
+    assert.equal(result.branch, 'add-track/chaney-to-wilson-20260427-153000');
+    assert.equal(result.collided, false);
+    assert.deepEqual(result.pullRequest, { number: 1, url: 'https://github.test/o/r/pull/1' });
+
+    const branchFiles = mock.state.files[result.branch];
+    assert.equal(branchFiles['public/tracks/gpx/chaney-to-wilson.gpx'], '<gpx>ñ</gpx>');
+    const geojson = JSON.parse(branchFiles['public/tracks/chaney-to-wilson.geojson']);
+    assert.equal(geojson.properties.name, 'Chaney to Wilson');
+    assert.deepEqual(geojson.geometry, FEATURE.geometry);
+
+    const manifest = JSON.parse(branchFiles['public/tracks/manifest.json']);
+    assert.deepEqual(manifest.tracks.map((t) => t.file), ['alpha.geojson', 'chaney-to-wilson.geojson', 'zulu.geojson']);
+
+    // main is untouched
+    assert.equal(mock.state.files.main['public/tracks/chaney-to-wilson.geojson'], undefined);
+
+    const [pr] = mock.state.pulls;
+    assert.equal(pr.head, result.branch);
+    assert.equal(pr.base, 'main');
+    assert.match(pr.title, /Chaney to Wilson/);
+    assert.match(pr.body, /public\/tracks\/gpx\/chaney-to-wilson\.gpx/);
+
+    assert.ok(mock.state.requests.every((r) => r.auth === 'Bearer t0k'));
+  } finally {
+    await mock.close();
+  }
+});
+
+test('saveTrackPullRequest adds a timestamp suffix on filename collision', async () => {
+  const mock = await startMockGitHub({
+    files: {
+      ...manifestFiles(),
+      'public/tracks/gpx/alpha.gpx': '<gpx/>',
+    },
+  });
+  try {
+    const client = createGitHubClient({ token: 't', owner: 'o', repo: 'r', baseUrl: mock.baseUrl });
+    const result = await saveTrackPullRequest(client, {
+      feature: FEATURE,
+      gpxText: '<gpx/>',
+      gpxFilename: 'alpha.gpx',
+      now: NOW,
+    });
+
+    assert.equal(result.collided, true);
+    assert.equal(result.gpxPath, 'public/tracks/gpx/alpha-20260427-153000.gpx');
+    assert.equal(result.geojsonPath, 'public/tracks/alpha-20260427-153000.geojson');
+    assert.match(mock.state.pulls[0].body, /timestamp suffix/);
+  } finally {
+    await mock.close();
+  }
+});
+
+test('saveTrackPullRequest reports a partial failure after the branch exists', async () => {
+  const failOn = (method, path) => method === 'PUT' && path.endsWith('.geojson');
+  failOn.status = 500;
+  const mock = await startMockGitHub({ files: manifestFiles(), failOn });
+  try {
+    const client = createGitHubClient({ token: 't', owner: 'o', repo: 'r', baseUrl: mock.baseUrl });
+    await assert.rejects(
+      saveTrackPullRequest(client, {
+        feature: FEATURE,
+        gpxText: '<gpx/>',
+        gpxFilename: 'new.gpx',
+        now: NOW,
+      }),
+      (error) => {
+        assert.ok(error instanceof GitHubSaveError);
+        assert.equal(error.stage, 'commit-geojson');
+        assert.deepEqual(error.completed, ['read-base', 'create-branch', 'commit-gpx']);
+        assert.equal(error.branch, 'add-track/new-20260427-153000');
+        assert.equal(error.cause.status, 500);
+        assert.match(error.message, /was created/);
+        return true;
+      },
+    );
+    assert.equal(mock.state.pulls.length, 0);
+  } finally {
+    await mock.close();
+  }
+});
+
+test('saveTrackPullRequest explains a rejected token', async () => {
+  const failOn = () => true;
+  failOn.status = 401;
+  const mock = await startMockGitHub({ failOn });
+  try {
+    const client = createGitHubClient({ token: 'bad', owner: 'o', repo: 'r', baseUrl: mock.baseUrl });
+    await assert.rejects(
+      saveTrackPullRequest(client, { feature: FEATURE, gpxText: '', gpxFilename: 'x.gpx', now: NOW }),
+      (error) => {
+        assert.equal(error.stage, 'read-base');
+        assert.deepEqual(error.completed, []);
+        assert.equal(error.branch, null);
+        assert.match(error.message, /rejected the token/);
+        return true;
+      },
+    );
+  } finally {
+    await mock.close();
+  }
+});
+
+test('createGitHubClient requires a token', () => {
+  assert.throws(() => createGitHubClient({ token: '', owner: 'o', repo: 'r' }), /token is required/);
+});
+
+test('token storage round-trips and clears', () => {
+  const store = new Map();
+  const storage = {
+    getItem: (k) => (store.has(k) ? store.get(k) : null),
+    setItem: (k, v) => store.set(k, v),
+    removeItem: (k) => store.delete(k),
+  };
+  assert.equal(loadGitHubToken(storage), '');
+  storeGitHubToken('abc', storage);
+  assert.equal(loadGitHubToken(storage), 'abc');
+  clearGitHubToken(storage);
+  assert.equal(loadGitHubToken(storage), '');
+});
+
+test('parseRepoSlug validates owner/repo', () => {
+  assert.deepEqual(parseRepoSlug('spaceshiptrip/trail-viewer'), { owner: 'spaceshiptrip', repo: 'trail-viewer' });
+  assert.throws(() => parseRepoSlug('trail-viewer'), /expected owner\/repo/);
+});
+
+test('addManifestEntry adds exactly one entry and keeps filename order', () => {
+  const entry = buildManifestEntry(FEATURE, 'm.geojson');
+  const next = addManifestEntry(MANIFEST, entry);
+  assert.equal(next.tracks.length, MANIFEST.tracks.length + 1);
+  assert.deepEqual(next.tracks.map((t) => t.file), ['alpha.geojson', 'm.geojson', 'zulu.geojson']);
+
+  const replaced = addManifestEntry(next, { ...entry, name: 'Renamed' });
+  assert.equal(replaced.tracks.length, next.tracks.length);
+  assert.equal(replaced.tracks[1].name, 'Renamed');
+});
+
+test('buildManifestEntry matches the manifest entry shape', () => {
+  const entry = buildManifestEntry(FEATURE, 'chaney.geojson');
+  assert.deepEqual(Object.keys(entry), [
+    'file',
+    'name',
+    'location',
+    'description',
+    'distance',
+    'elevationGain',
+    'elevationLoss',
+    'minElevation',
+    'maxElevation',
+    'climbFactor',
+    'difficulty',
+    'routeType',
+    'start',
+    'bbox',
+    'gpxFile',
+    'region',
+    'tags',
+    'surface',
+    'seasons',
+    'images',
+  ]);
+  assert.equal(entry.distance, 8.97);
+  assert.equal(entry.elevationGain, 164);
+  assert.deepEqual(entry.start, [-117.1, 34.1]);
+  assert.equal(entry.gpxFile, null);
+
+  // Authored properties are carried over; the GPX name comes from the caller
+  const tagged = buildManifestEntry(
+    { ...FEATURE, properties: { ...FEATURE.properties, region: 'San Gabriels', tags: ['loop'] } },
+    'chaney.geojson',
+    { gpxFile: 'chaney.gpx' },
+  );
+  assert.equal(tagged.gpxFile, 'chaney.gpx');
+  assert.equal(tagged.region, 'San Gabriels');
+  assert.deepEqual(tagged.tags, ['loop']);
+});
+
+test('resolveTrackFilenames only suffixes on collision', () => {
+  assert.equal(timestampSuffix(NOW), '20260427-153000');
+  assert.deepEqual(resolveTrackFilenames('a.gpx', () => false, NOW), {
+    gpxFile: 'a.gpx',
+    geojsonFile: 'a.geojson',
+    collided: false,
+  });
+  assert.deepEqual(resolveTrackFilenames('a.gpx', () => true, NOW), {
+    gpxFile: 'a-20260427-153000.gpx',
+    geojsonFile: 'a-20260427-153000.geojson',
+    collided: true,
+  });
+});
@@ -0,0 +1,116 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { createRequire } from 'module';
+import { DOMParser } from 'xmldom';
+
+import { parseGpxText, slugifyFilename } from '../src/lib/gpxImport.js';
+
+const require = createRequire(import.meta.url);
+const { validateGpxFile } = require('../scripts/validate-gpx.cjs');
+const addTrack = require('../scripts/add-track.cjs');
+
+async function makeTempFile(name, contents) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'trail-viewer-gpx-import-'));
+  const file = path.join(dir, name);
+  await fs.writeFile(file, contents, 'utf8');
+  return file;
+}
+
+const FIXTURES = {
+  'with-ele.gpx': `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">
+  <trk>
+    <name>With Elevation</name>
+    <desc>Two points</desc>
+    <trkseg>
+      <trkpt lat="34.1" lon="-117.1"><ele>100.0</ele></trkpt>
+      <trkpt lat="34.2" lon="-117.2"><ele>150.0</ele></trkpt>
+    </trkseg>
+  </trk>
+</gpx>`,
+  'no-ele.gpx': `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">
+  <trk>
+    <trkseg>
+      <trkpt lat="34.1" lon="-117.1"></trkpt>
+      <trkpt lat="34.2" lon="-117.2"></trkpt>
+    </trkseg>
+  </trk>
+</gpx>`,
+  'bad-ele.gpx': `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">
+  <rte>
+    <rtept lat="34.1" lon="-117.1"><ele>abc</ele></rtept>
+    <rtept lat="34.2" lon="-117.2"><ele>150</ele></rtept>
+  </rte>
+</gpx>`,
+  'empty.gpx': `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1"></gpx>`,
+  'not-gpx.gpx': `<notgpx></notgpx>`,
+};
+
+for (const [name, xml] of Object.entries(FIXTURES)) {
+  test(`parseGpxText matches validateGpxFile for ${name}`, async () => {
+    const file = await makeTempFile(name, xml);
+    const cli = validateGpxFile(file);
+    const browser = parseGpxText(xml, { filename: name, DOMParser });
+
+    assert.equal(browser.ok, cli.ok);
+    assert.deepEqual(browser.errors, cli.errors);
+    assert.deepEqual(browser.warnings, cli.warnings);
+    assert.deepEqual(browser.stats, cli.stats);
+  });
+}
+
+test('parseGpxText converts to a single LineString feature', () => {
+  const result = parseGpxText(FIXTURES['with-ele.gpx'], {
+    filename: 'with-ele.gpx',
+    DOMParser,
+  });
+
+  assert.equal(result.ok, true);
+  assert.equal(result.feature.type, 'Feature');
+  assert.equal(result.feature.geometry.type, 'LineString');
+  assert.deepEqual(result.feature.geometry.coordinates, [
+    [-117.1, 34.1, 100],
+    [-117.2, 34.2, 150],
+  ]);
+  assert.deepEqual(result.feature.properties, {
+    name: 'With Elevation',
+    description: 'Two points',
+  });
+});
+
+test('parseGpxText falls back to the filename for unnamed tracks', () => {
+  const result = parseGpxText(FIXTURES['no-ele.gpx'], {
+    filename: 'Morning Run.gpx',
+    DOMParser,
+  });
+
+  assert.equal(result.feature.properties.name, 'Morning Run');
+  assert.match(result.warnings.join('\n'), /No elevation data found/);
+});
+
+test('parseGpxText rejects non-GPX file names', () => {
+  const result = parseGpxText(FIXTURES['with-ele.gpx'], {
+    filename: 'notes.txt',
+    DOMParser,
+  });
+
+  assert.equal(result.ok, false);
+  assert.match(result.errors[0], /Expected a \.gpx file/);
+});
+
+test('slugifyFilename matches scripts/add-track.cjs', () => {
+  for (const name of [
+    'Cactus To Clouds To Tram To Parking.gpx',
+    'Icehouse & Cucamonga Peak!.gpx',
+    'Rim-to-Rim-to-Rim_ South Kaibab, North Kaibab, Back.gpx',
+    'Señora Peak.gpx',
+  ]) {
+    assert.equal(slugifyFilename(name), addTrack.slugifyFilename(name));
+  }
+});
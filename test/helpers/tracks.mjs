@@ -0,0 +1,22 @@
+// Straight-north test tracks shared by the lib tests, starting at
+// 34.2, -118.1 with [lon, lat, ele (m)] coordinates like the app's GeoJSON.
+
+export const STEP_DEG = 0.0015; // ~0.1036 mi (~167 m) of latitude
+export const FINE_STEP_DEG = 0.000145; // ~0.01 mi of latitude
+export const FT = 0.3048;
+
+// `points` points STEP_DEG apart, from 500 m, climbing `metersPerStep` each
+export function line(points, metersPerStep = 0) {
+  return Array.from({ length: points }, (_, i) => [-118.1, 34.2 + i * STEP_DEG, 500 + i * metersPerStep]);
+}
+
+// `points` points FINE_STEP_DEG apart, elevation (ft) from `feetAt(i)`
+export function fineLine(points, feetAt) {
+  return Array.from({ length: points }, (_, i) => [-118.1, 34.2 + i * FINE_STEP_DEG, feetAt(i) * FT]);
+}
+
+export const feature = (coordinates, properties = {}) => ({
+  type: 'Feature',
+  properties: { name: 'Test', ...properties },
+  geometry: { type: 'LineString', coordinates },
+});
@@ -0,0 +1,87 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { navigationStatus, prepareRoute, REALERT_MS, snapToRoute, updateOffRoute } from '../src/lib/navigation.js';
+import { computeElevationStats } from '../src/lib/elevationStats.js';
+import { feature, fineLine, FINE_STEP_DEG, line, STEP_DEG } from './helpers/tracks.mjs';
+
+const METERS_PER_DEGREE_LAT = 111195; // haversine, as cumulativeDistances uses
+
+// Due north, climbing 10 m per point
+const north = line(20, 10);
+
+test('a fix beside the track snaps onto it', () => {
+  const route = prepareRoute(feature(north));
+  // ~100 m east of the track, a third of the way along the fifth segment
+  const lat = 34.2 + 4.33 * STEP_DEG;
+  const lng = -118.1 + 100 / (111320 * Math.cos((lat * Math.PI) / 180));
+  const snap = snapToRoute(route, { lat, lng });
+
+  assert.equal(snap.segment, 4);
+  assert.equal(snap.index, 4);
+  assert.ok(Math.abs(snap.offset - 100) < 1, `offset ${snap.offset}`);
+  assert.ok(Math.abs(snap.lon - -118.1) < 1e-9);
+  assert.ok(Math.abs(snap.distance - 4.33 * STEP_DEG * METERS_PER_DEGREE_LAT) < 2);
+});
+
+test('out-and-back tracks stay on the current pass', () => {
+  const back = [...north].reverse().slice(1);
+  const route = prepareRoute(feature([...north, ...back]));
+  const fix = { lat: 34.2 + 5 * STEP_DEG, lng: -118.1 };
+
+  const outbound = snapToRoute(route, fix, { near: 800 });
+  const inbound = snapToRoute(route, fix, { near: 4800 });
+  assert.ok(outbound.distance < 1000);
+  assert.ok(inbound.distance > 4000);
+  assert.ok(Math.abs(outbound.distance + inbound.distance - route.total) < 1);
+});
+
+test('progress reports distance, climbing left and the next waypoints', () => {
+  const peaks = [{ name: 'Test Peak', lat: north[15][1], lon: north[15][0] + 0.001, elevation: 2000 }];
+  const route = prepareRoute(feature(north), { peaks });
+  const status = navigationStatus(route, { lat: north[5][1], lng: north[5][0] });
+
+  const total = route.total / 1609.344;
+  assert.ok(Math.abs(status.done + status.remaining - total) < 1e-9);
+  assert.ok(Math.abs(status.climbRemaining - 140 * 3.28084) < 1e-6); // 14 segments of 10 m
+  assert.equal(status.nextMile.name, 'Mile 1');
+  assert.ok(Math.abs(status.nextMile.distanceTo - (1 - status.done)) < 1e-6);
+  assert.equal(status.nextPeak.name, 'Test Peak');
+
+  const atEnd = navigationStatus(route, { lat: north.at(-1)[1], lng: north.at(-1)[0] });
+  assert.equal(atEnd.remaining, 0);
+  assert.equal(atEnd.climbRemaining, 0);
+  assert.equal(atEnd.nextPeak, null);
+});
+
+test('climbing left matches the gain algorithm on densely sampled tracks', () => {
+  // 3 ft per point: every step is under the 5 ft threshold
+  const dense = fineLine(201, (i) => 3000 + i * 3);
+  const fix = { lat: 34.2 + 100 * FINE_STEP_DEG, lng: -118.1 };
+
+  const status = navigationStatus(prepareRoute(feature(dense)), fix);
+  assert.ok(Math.abs(status.climbRemaining - 300) < 1e-3, `got ${status.climbRemaining}`);
+  assert.ok(Math.abs(status.climbRemaining - computeElevationStats(dense.slice(100)).gain) < 1e-6);
+
+  const elevationOptions = { algorithm: 'kalman' };
+  const kalman = navigationStatus(prepareRoute(feature(dense), { elevationOptions }), fix);
+  assert.ok(Math.abs(kalman.climbRemaining - computeElevationStats(dense.slice(100), elevationOptions).gain) < 1e-6);
+});
+
+test('off-route alerts need the whole accuracy circle out, and repeat while off', () => {
+  const options = { thresholdMeters: 100, now: 0 };
+  const fuzzy = updateOffRoute(null, { offset: 150, accuracy: 80 }, options);
+  assert.equal(fuzzy.offRoute, false);
+
+  const off = updateOffRoute(null, { offset: 150, accuracy: 10 }, options);
+  assert.deepEqual(off, { offRoute: true, alert: true, alertedAt: 0 });
+
+  // Still off between 80 and 100 m, without a second alert until REALERT_MS
+  const still = updateOffRoute(off, { offset: 90, accuracy: 10 }, { thresholdMeters: 100, now: 1000 });
+  assert.deepEqual(still, { offRoute: true, alert: false, alertedAt: 0 });
+  const again = updateOffRoute(still, { offset: 300, accuracy: 10 }, { thresholdMeters: 100, now: REALERT_MS });
+  assert.equal(again.alert, true);
+
+  const back = updateOffRoute(again, { offset: 70, accuracy: 10 }, { thresholdMeters: 100, now: REALERT_MS + 1 });
+  assert.deepEqual(back, { offRoute: false, alert: false, alertedAt: null });
+});
@@ -0,0 +1,191 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  clearOfflineEntries,
+  getOfflineEntry,
+  listOfflineEntries,
+  markTilesEvicted,
+  OFFLINE_CACHE,
+  offlineFeatures,
+  offlineUrls,
+  pinTrackOffline,
+  precacheName,
+  removeTrackOffline,
+} from '../src/lib/offlineCache.js';
+
+const TRACK = {
+  type: 'Feature',
+  properties: { id: 'Lukens.geojson', name: 'Lukens', file: 'Lukens.geojson' },
+  geometry: {
+    type: 'LineString',
+    coordinates: [
+      [-118.1, 34.2, 500],
+      [-118.2, 34.3, 600],
+      [-118.3, 34.4, 700],
+    ],
+  },
+};
+
+const ORIGIN = 'https://example.github.io';
+const BASE = '/trail-viewer/';
+const RESOURCES = [
+  `${ORIGIN}/trail-viewer/assets/index-abc123.js`,
+  `${ORIGIN}/trail-viewer/assets/index-def456.css`,
+  `${ORIGIN}/trail-viewer/assets/index-abc123.js`,
+  `${ORIGIN}/trail-viewer/cesium/Workers/createVerticesFromHeightmap.js`,
+  `${ORIGIN}/trail-viewer/tracks/Other.geojson`,
+  'https://tile.openstreetmap.org/13/1400/3270.png',
+];
+
+function memoryStorage() {
+  const map = new Map();
+  return {
+    get length() {
+      return map.size;
+    },
+    key: (i) => [...map.keys()][i] ?? null,
+    getItem: (k) => (map.has(k) ? map.get(k) : null),
+    setItem: (k, v) => map.set(k, String(v)),
+    removeItem: (k) => map.delete(k),
+  };
+}
+
+// Cache Storage stand-in that records what was added; `failing` URLs reject
+function memoryCaches(failing = []) {
+  const caches = new Map();
+  return {
+    caches,
+    open: async (name) => {
+      if (!caches.has(name)) caches.set(name, []);
+      const urls = caches.get(name);
+      return {
+        add: async (url) => {
+          if (failing.some((f) => url.includes(f))) throw new Error(`404 ${url}`);
+          urls.push(url);
+        },
+        delete: async (url) => {
+          const i = urls.indexOf(url);
+          if (i >= 0) urls.splice(i, 1);
+          return i >= 0;
+        },
+      };
+    },
+  };
+}
+
+test('offline URLs pick the bundle and Cesium files from loaded resources', () => {
+  const urls = offlineUrls(TRACK, { base: BASE, origin: ORIGIN, resources: RESOURCES });
+  assert.deepEqual(urls.app, [
+    '/trail-viewer/',
+    '/trail-viewer/index.html',
+    '/trail-viewer/assets/index-abc123.js',
+    '/trail-viewer/assets/index-def456.css',
+  ]);
+  assert.deepEqual(urls.cesium, ['/trail-viewer/cesium/Workers/createVerticesFromHeightmap.js']);
+  assert.deepEqual(urls.geojson, ['/trail-viewer/tracks/Lukens.geojson']);
+  assert.deepEqual(urls.manifest, ['/trail-viewer/tracks/manifest.json']);
+  assert.deepEqual(urls.peaks, ['/trail-viewer/peaks/peaks.json']);
+  assert.equal(urls.weather.length, 2);
+  assert.match(urls.weather[0], /latitude=34\.3&longitude=-118\.2/);
+  assert.match(urls.weather[1], /air-quality/);
+});
+
+test('pinning fills the build precache and the shared offline cache', async () => {
+  const cacheStorage = memoryCaches(['air-quality']);
+  const storage = memoryStorage();
+  const entry = await pinTrackOffline(TRACK, {
+    base: BASE,
+    origin: ORIGIN,
+    resources: RESOURCES,
+    build: '20260401.120000',
+    tiles: 240,
+    cacheStorage,
+    storage,
+    now: new Date('2026-04-01T12:00:00Z'),
+  });
+
+  assert.deepEqual(entry.items, { app: 4, cesium: 1, geojson: 1, manifest: 1, peaks: 1, weather: 1 });
+  assert.equal(entry.tiles, 240);
+  assert.equal(cacheStorage.caches.get(precacheName('20260401.120000')).length, 5);
+  assert.ok(cacheStorage.caches.get(OFFLINE_CACHE).includes('/trail-viewer/tracks/Lukens.geojson'));
+  assert.deepEqual(getOfflineEntry('Lukens.geojson', storage), entry);
+});
+
+test('local tracks count their data as saved without a URL', async () => {
+  const local = { ...TRACK, properties: { id: 'local:walk', name: 'Walk', source: 'local' } };
+  const entry = await pinTrackOffline(local, {
+    base: BASE,
+    origin: ORIGIN,
+    build: 'dev',
+    cacheStorage: memoryCaches(),
+    storage: memoryStorage(),
+  });
+  assert.equal(entry.items.geojson, 1);
+  await assert.rejects(pinTrackOffline(local, { cacheStorage: null }), /Cache Storage/);
+});
+
+test('inventory reads old timestamp entries and lists newest first', () => {
+  const storage = memoryStorage();
+  storage.setItem('offline-track-Old.geojson', '2025-01-01T00:00:00.000Z');
+  storage.setItem('offline-track-New.geojson', JSON.stringify({ id: 'New.geojson', savedAt: '2026-01-01T00:00:00.000Z', tiles: 10, items: { manifest: 1 } }));
+  storage.setItem('theme', 'dark');
+
+  const legacy = getOfflineEntry('Old.geojson', storage);
+  assert.equal(legacy.savedAt, '2025-01-01T00:00:00.000Z');
+  assert.equal(legacy.tiles, null);
+  assert.equal(getOfflineEntry('Missing', storage), null);
+
+  assert.deepEqual(listOfflineEntries(storage).map((e) => e.id), ['New.geojson', 'Old.geojson']);
+  clearOfflineEntries(storage);
+  assert.deepEqual(listOfflineEntries(storage), []);
+  assert.equal(storage.getItem('theme'), 'dark');
+});
+
+test('the offline feature list reflects what was saved', () => {
+  const entry = { id: 'a', savedAt: '2026-01-01T00:00:00.000Z', tiles: 10, items: { geojson: 1, manifest: 1, weather: 2, cesium: 3 } };
+  const byKey = Object.fromEntries(offlineFeatures(entry, [entry]).map((f) => [f.key, f]));
+  assert.equal(byKey.map.available, true);
+  assert.equal(byKey.track.available, true);
+  assert.equal(byKey.list.available, true);
+  assert.equal(byKey.weather.available, true);
+  assert.equal(byKey['3d'].available, false);
+  assert.equal(byKey.gps.available, true);
+
+  const none = Object.fromEntries(offlineFeatures(null, []).map((f) => [f.key, f]));
+  assert.equal(none.map.available, false);
+  assert.equal(none.weather.available, false);
+  assert.equal(none.gps.available, true);
+});
+
+test('removing one trail keeps what other trails share', async () => {
+  const cacheStorage = memoryCaches();
+  const storage = memoryStorage();
+  const other = { ...TRACK, properties: { id: 'Other.geojson', name: 'Other', file: 'Other.geojson' } };
+  const options = { base: BASE, origin: ORIGIN, build: 'dev', cacheStorage, storage };
+  await pinTrackOffline(TRACK, options);
+  await pinTrackOffline(other, options);
+
+  await removeTrackOffline(TRACK, { base: BASE, cacheStorage, storage });
+  const offline = cacheStorage.caches.get(OFFLINE_CACHE);
+  assert.ok(!offline.includes('/trail-viewer/tracks/Lukens.geojson'));
+  assert.ok(offline.includes('/trail-viewer/tracks/Other.geojson'));
+  assert.ok(offline.includes('/trail-viewer/tracks/manifest.json'));
+  assert.equal(getOfflineEntry('Lukens.geojson', storage), null);
+  assert.ok(getOfflineEntry('Other.geojson', storage));
+});
+
+test('evicted tiles are recorded once and reported by the feature list', async () => {
+  const storage = memoryStorage();
+  await pinTrackOffline(TRACK, { base: BASE, origin: ORIGIN, build: 'dev', tiles: 50, cacheStorage: memoryCaches(), storage });
+
+  assert.deepEqual(markTilesEvicted(['Lukens.geojson', 'Unknown'], storage), ['Lukens.geojson']);
+  assert.deepEqual(markTilesEvicted(['Lukens.geojson'], storage), []);
+
+  const entry = getOfflineEntry('Lukens.geojson', storage);
+  assert.equal(entry.tiles, 0);
+  assert.equal(entry.items.geojson, 1);
+  const map = offlineFeatures(entry, [entry]).find((f) => f.key === 'map');
+  assert.equal(map.available, false);
+  assert.match(map.detail, /storage budget/);
+});
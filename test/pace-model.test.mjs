@@ -0,0 +1,115 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  buildTrailPlan,
+  DEFAULT_FLAT_PACE,
+  fitFlatPace,
+  MAX_FLAT_PACE,
+  MIN_FLAT_PACE,
+  parsePace,
+  parsePaceSettings,
+  predictElapsedTimes,
+  resolveStartTime,
+} from '../src/lib/paceModel.js';
+import { cumulativeDistances } from '../src/lib/trackExport.js';
+import { feature, line, STEP_DEG } from './helpers/tracks.mjs';
+
+test('flat ground takes exactly the flat pace under both models', () => {
+  const coords = line(30);
+  const miles = cumulativeDistances(coords).at(-1) / 1609.344;
+  for (const model of ['tobler', 'naismith']) {
+    const times = predictElapsedTimes(coords, { model, flatPace: 900 });
+    assert.equal(times[0], 0);
+    assert.ok(Math.abs(times.at(-1) - miles * 900) < 1e-6, model);
+  }
+});
+
+test('climbing is slower than the flat pace; Naismith adds an hour per 600 m', () => {
+  const flat = line(30);
+  const steep = line(30, 10); // ~6% grade
+  const flatTime = predictElapsedTimes(flat, { model: 'tobler', flatPace: 900 }).at(-1);
+  assert.ok(predictElapsedTimes(steep, { model: 'tobler', flatPace: 900 }).at(-1) > flatTime);
+
+  // Naismith's rule is calibrated at 5 km/h: 600 m of ascent = 5 km = 1 hour
+  const flatPace = 1609.344 / (5000 / 3600);
+  const naismithFlat = predictElapsedTimes(flat, { model: 'naismith', flatPace }).at(-1);
+  const naismithSteep = predictElapsedTimes(steep, { model: 'naismith', flatPace }).at(-1);
+  const climbMeters = 29 * 10;
+  assert.ok(Math.abs(naismithSteep - naismithFlat - (climbMeters / 600) * 3600) < 1);
+});
+
+test('the plan has an arrival time at every mile marker and nearby peak', () => {
+  const track = feature(line(28));
+  const now = new Date(2026, 3, 1, 6, 30);
+  const peaks = [{ name: 'Middle Knob', lat: 34.2 + 15 * STEP_DEG, lon: -118.1, elevation: 1640 }];
+  const plan = buildTrailPlan(track, {
+    settings: { model: 'tobler', flatPace: 900, startTime: '07:15' },
+    peaks,
+    now,
+  });
+
+  assert.equal(plan.start.getHours(), 7);
+  assert.equal(plan.start.getMinutes(), 15);
+  assert.deepEqual(
+    plan.checkpoints.map((c) => c.name),
+    ['Mile 1', 'Middle Knob', 'Mile 2'],
+  );
+
+  const [mile1, peak, mile2] = plan.checkpoints;
+  assert.equal(mile1.mile, 1);
+  assert.ok(Math.abs(mile1.elapsed - 900) < 1e-6);
+  assert.ok(Math.abs(mile2.elapsed - 1800) < 1e-6);
+  assert.ok(peak.elapsed > mile1.elapsed && peak.elapsed < mile2.elapsed);
+  assert.equal(mile1.arrival.getTime(), plan.start.getTime() + 900 * 1000);
+  assert.ok(Math.abs(plan.finish.getTime() - plan.start.getTime() - plan.totalTime * 1000) < 1);
+});
+
+test('fitFlatPace recovers the pace of recorded tracks', () => {
+  const coords = line(30, 5);
+  const truth = predictElapsedTimes(coords, { model: 'tobler', flatPace: 840 });
+  const start = Date.UTC(2026, 3, 1, 8);
+  const recorded = feature(coords, {
+    coordTimes: truth.map((t) => new Date(start + Math.round(t * 1000)).toISOString()),
+  });
+
+  const fit = fitFlatPace([recorded, feature(line(10))], 'tobler');
+  assert.equal(fit.trackCount, 1);
+  assert.ok(Math.abs(fit.flatPace - 840) < 1, `got ${fit.flatPace}`);
+  assert.equal(fitFlatPace([feature(line(10))]), null);
+});
+
+test('fitFlatPace keeps the fitted pace in the range the settings accept', () => {
+  const coords = line(30, 5);
+  const unit = predictElapsedTimes(coords, { model: 'tobler', flatPace: 1 });
+  const start = Date.UTC(2026, 3, 1, 8);
+  const recordedAt = (flatPace) =>
+    feature(coords, {
+      coordTimes: unit.map((t) => new Date(start + Math.round(t * flatPace * 1000)).toISOString()),
+    });
+
+  // A GPS glitch that looks like a 2:00 mile, and a crawl slower than an hour a mile
+  assert.equal(fitFlatPace([recordedAt(120)], 'tobler').flatPace, MIN_FLAT_PACE);
+  assert.equal(fitFlatPace([recordedAt(4200)], 'tobler').flatPace, MAX_FLAT_PACE);
+  assert.equal(parsePaceSettings(JSON.stringify({ flatPace: MAX_FLAT_PACE })).flatPace, MAX_FLAT_PACE);
+});
+
+test('stored settings and typed paces are validated', () => {
+  assert.deepEqual(parsePaceSettings(null), { model: 'tobler', flatPace: DEFAULT_FLAT_PACE, startTime: '' });
+  assert.deepEqual(parsePaceSettings('{"model":"naismith","flatPace":720,"startTime":"06:05"}'), {
+    model: 'naismith',
+    flatPace: 720,
+    startTime: '06:05',
+  });
+  assert.deepEqual(parsePaceSettings('{"model":"warp","flatPace":5,"startTime":"soon"}'), parsePaceSettings(null));
+  assert.deepEqual(parsePaceSettings('not json'), parsePaceSettings(null));
+
+  assert.equal(parsePace('12:30'), 750);
+  assert.equal(parsePace(' 9:05 /mi '), 545);
+  assert.equal(parsePace('12:75'), null);
+  assert.equal(parsePace('fast'), null);
+
+  const now = new Date(2026, 3, 1, 10, 0);
+  assert.equal(resolveStartTime('', now).getTime(), now.getTime());
+  assert.equal(resolveStartTime('5:45', now).getHours(), 5);
+});
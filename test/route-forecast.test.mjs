@@ -0,0 +1,106 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { assessRisks, fetchRouteForecast, riskSegments, sampleRoute } from '../src/lib/routeForecast.js';
+import { predictElapsedTimes } from '../src/lib/paceModel.js';
+import { feature, line } from './helpers/tracks.mjs';
+
+const settings = { model: 'tobler', flatPace: 900, startTime: '07:00' };
+const now = new Date(2026, 6, 1, 5, 0);
+
+// Open-Meteo style response: one location per sample, hourly from midnight
+function fakeFetch(requests, { temperatureAt, aqiOk = true }) {
+  return async (url) => {
+    requests.push(url);
+    const params = new URL(url).searchParams;
+    const count = params.get('latitude').split(',').length;
+    const midnight = new Date(now);
+    midnight.setHours(0, 0, 0, 0);
+    const time = Array.from({ length: 24 * Number(params.get('forecast_days')) }, (_, h) => midnight.getTime() / 1000 + h * 3600);
+    const isAqi = url.includes('air-quality');
+    if (isAqi && !aqiOk) return { ok: false, status: 500 };
+
+    const locations = Array.from({ length: count }, (_, i) => ({
+      hourly: isAqi
+        ? { time, us_aqi: time.map(() => 42.4) }
+        : {
+            time,
+            temperature_2m: time.map((_, h) => temperatureAt(i, h)),
+            apparent_temperature: time.map((_, h) => temperatureAt(i, h)),
+            precipitation_probability: time.map(() => 10),
+            windspeed_10m: time.map(() => 8),
+            windgusts_10m: time.map(() => (i === 0 ? 45 : 12)),
+            weathercode: time.map(() => 1),
+          },
+    }));
+    return { ok: true, status: 200, json: async () => (count === 1 ? locations[0] : locations) };
+  };
+}
+
+test('samples fall every interval with arrival times from the pace model', () => {
+  const coords = line(28); // ~2.8 mi
+  const samples = sampleRoute(feature(coords), { settings, interval: 1, now });
+
+  assert.deepEqual(samples.map((s) => Math.round(s.distance * 10) / 10), [0, 1, 2, 2.8]);
+  assert.equal(samples[0].arrival.getHours(), 7);
+  assert.equal(samples[0].elapsed, 0);
+  assert.ok(Math.abs(samples[1].elapsed - 900) < 1e-6);
+  assert.ok(Math.abs(samples.at(-1).elapsed - predictElapsedTimes(coords, settings).at(-1)) < 1e-6);
+  assert.equal(samples.at(-1).lat, coords.at(-1)[1]);
+
+  const tomorrow = sampleRoute(feature(coords), { settings, interval: 1, day: 1, now });
+  assert.equal(tomorrow[0].arrival.getDate(), 2);
+});
+
+test('each sample reads the forecast hour it is reached', async () => {
+  const slow = { ...settings, flatPace: 3600 }; // an hour per mile
+  const samples = sampleRoute(feature(line(28)), { settings: slow, interval: 1, now });
+  const requests = [];
+  const forecast = await fetchRouteForecast(samples, {
+    now,
+    fetchImpl: fakeFetch(requests, { temperatureAt: (i, h) => 60 + h }),
+  });
+
+  assert.equal(requests.length, 2);
+  assert.match(requests[0], /temperature_unit=fahrenheit/);
+  assert.equal(forecast.length, samples.length);
+  assert.deepEqual(forecast.map((s) => s.temperature), [67, 68, 69, 69]);
+  assert.equal(forecast[0].aqi, 42);
+  assert.deepEqual(forecast[0].risks, ['storm']); // 45 mph gusts
+  assert.deepEqual(forecast[1].risks, []);
+});
+
+test('a failed air quality request leaves aqi empty; a failed forecast throws', async () => {
+  const samples = sampleRoute(feature(line(12)), { settings, interval: 1, now });
+  const forecast = await fetchRouteForecast(samples, {
+    now,
+    fetchImpl: fakeFetch([], { temperatureAt: () => 70, aqiOk: false }),
+  });
+  assert.equal(forecast[0].aqi, null);
+  assert.equal(forecast[0].temperature, 70);
+
+  await assert.rejects(
+    fetchRouteForecast(samples, { now, fetchImpl: async () => ({ ok: false, status: 503 }) }),
+    /Forecast error: 503/,
+  );
+});
+
+test('risk flags and merged risk segments', async () => {
+  assert.deepEqual(assessRisks({ temperature: 85, apparentTemperature: 92 }), ['heat']);
+  assert.deepEqual(assessRisks({ temperature: 70, weatherCode: 95 }), ['storm']);
+  assert.deepEqual(assessRisks({ temperature: null, gusts: null }), []);
+
+  const track = feature(line(48)); // ~4.9 mi, samples at 0..4 and the end
+  const samples = sampleRoute(track, { settings, interval: 1, now });
+  const flags = [[], [], ['heat'], ['heat'], [], []];
+  const forecast = samples.map((s, i) => ({ ...s, risks: flags[i] }));
+
+  const segments = riskSegments(track, forecast);
+  assert.equal(segments.length, 1);
+  assert.equal(segments[0].from, samples[1].distance);
+  assert.equal(segments[0].to, samples[4].distance);
+  assert.deepEqual(segments[0].risks, ['heat']);
+  assert.deepEqual(segments[0].positions[0], [samples[1].lat, samples[1].lon]);
+  assert.deepEqual(segments[0].positions.at(-1), [samples[4].lat, samples[4].lon]);
+  assert.ok(segments[0].positions.length > 20);
+});
@@ -0,0 +1,146 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  availableBackends,
+  createRoutingBackend,
+  getRoutingConfig,
+  routeLegs,
+} from '../src/lib/routing.js';
+import { editorReducer, initialEditorState, MAX_UNDO } from '../src/lib/routeEditor.js';
+
+const A = { lat: 34.2, lng: -118.1 };
+const B = { lat: 34.21, lng: -118.1 };
+const C = { lat: 34.21, lng: -118.09 };
+
+// fetch stand-in that records URLs and answers with `body(url)`
+function fakeFetch(body, { status = 200 } = {}) {
+  const urls = [];
+  const fetchImpl = async (url) => {
+    urls.push(url);
+    return { ok: status < 400, status, json: async () => body(url) };
+  };
+  return { urls, fetchImpl };
+}
+
+test('routing config hides backends that are not set up', () => {
+  const defaults = getRoutingConfig({});
+  assert.equal(defaults.backend, 'osrm');
+  assert.deepEqual(availableBackends(defaults), ['direct', 'osrm', 'brouter']);
+
+  const configured = getRoutingConfig({
+    VITE_ROUTING_BACKEND: 'local',
+    VITE_GRAPHHOPPER_KEY: 'abc',
+    VITE_ROUTING_URL: 'http://localhost:5000/',
+  });
+  assert.equal(configured.backend, 'local');
+  assert.deepEqual(availableBackends(configured), ['direct', 'osrm', 'graphhopper', 'brouter', 'local']);
+
+  assert.equal(getRoutingConfig({ VITE_ROUTING_BACKEND: 'teleport' }).backend, 'osrm');
+});
+
+test('OSRM and local servers use the foot route API', async () => {
+  const { urls, fetchImpl } = fakeFetch(() => ({
+    code: 'Ok',
+    routes: [{ distance: 1234, geometry: { coordinates: [[-118.1, 34.2], [-118.1, 34.205], [-118.1, 34.21]] } }],
+  }));
+  const config = getRoutingConfig({ VITE_ROUTING_URL: 'http://localhost:5000/' });
+
+  const leg = await createRoutingBackend('osrm', config, { fetchImpl }).routeLeg(A, B);
+  assert.equal(leg.distance, 1234);
+  assert.equal(leg.coordinates.length, 3);
+  assert.match(urls[0], /^https:\/\/routing\.openstreetmap\.de\/routed-foot\/route\/v1\/foot\/-118\.100000,34\.200000;-118\.100000,34\.210000\?/);
+
+  await createRoutingBackend('local', config, { fetchImpl }).routeLeg(A, B);
+  assert.match(urls[1], /^http:\/\/localhost:5000\/route\/v1\/foot\//);
+});
+
+test('GraphHopper and BRouter keep the elevation they return', async () => {
+  const gh = fakeFetch(() => ({
+    paths: [{ distance: 1500, points: { coordinates: [[-118.1, 34.2, 500], [-118.1, 34.21, 560]] } }],
+  }));
+  const config = getRoutingConfig({ VITE_GRAPHHOPPER_KEY: 'secret' });
+  const ghLeg = await createRoutingBackend('graphhopper', config, { fetchImpl: gh.fetchImpl }).routeLeg(A, B);
+  assert.deepEqual(ghLeg.coordinates[1], [-118.1, 34.21, 560]);
+  const ghUrl = new URL(gh.urls[0]);
+  assert.deepEqual(ghUrl.searchParams.getAll('point'), ['34.2,-118.1', '34.21,-118.1']);
+  assert.equal(ghUrl.searchParams.get('profile'), 'hike');
+  assert.equal(ghUrl.searchParams.get('key'), 'secret');
+
+  const br = fakeFetch(() => ({
+    type: 'FeatureCollection',
+    features: [{ properties: { 'track-length': '1490' }, geometry: { coordinates: [[-118.1, 34.2, 500], [-118.1, 34.21, 555]] } }],
+  }));
+  const brLeg = await createRoutingBackend('brouter', config, { fetchImpl: br.fetchImpl }).routeLeg(A, B);
+  assert.equal(brLeg.distance, 1490);
+  assert.match(br.urls[0], /lonlats=-118\.100000,34\.200000\|-118\.100000,34\.210000&profile=hiking-mountain/);
+});
+
+test('backend errors carry the server message', async () => {
+  const { fetchImpl } = fakeFetch(() => ({ message: 'Cannot find point 1' }), { status: 400 });
+  const backend = createRoutingBackend('graphhopper', getRoutingConfig({ VITE_GRAPHHOPPER_KEY: 'k' }), { fetchImpl });
+  await assert.rejects(backend.routeLeg(A, B), /GraphHopper: Cannot find point 1/);
+});
+
+test('routeLegs joins legs, reuses cached ones and falls back to straight lines', async () => {
+  const calls = [];
+  const backend = {
+    id: 'test',
+    label: 'Test',
+    routeLeg: async (from, to) => {
+      calls.push([from, to]);
+      if (to === C) throw new Error('no path');
+      return { coordinates: [[from.lng, from.lat], [to.lng, to.lat]], distance: 1000 };
+    },
+  };
+  const elevate = async (coords) => coords.map(([lon, lat]) => [lon, lat, 100]);
+  const cache = new Map();
+
+  const first = await routeLegs([A, B, C], backend, { cache, elevate });
+  assert.equal(first.legs.length, 2);
+  assert.equal(first.legs[0].error, null);
+  assert.equal(first.legs[1].error, 'no path');
+  assert.equal(first.coordinates.length, 3); // shared point not repeated
+  assert.ok(first.coordinates.every((c) => c[2] === 100));
+  assert.ok(first.distance > 1000 && first.distance < 2500);
+
+  // The good leg is cached; the failed one is tried again
+  await routeLegs([A, B, C], backend, { cache, elevate });
+  assert.equal(calls.length, 3);
+  assert.deepEqual(calls[2], [B, C]);
+
+  const direct = await routeLegs([A, B], createRoutingBackend('direct'));
+  assert.ok(Math.abs(direct.distance - 1112) < 5);
+});
+
+test('the waypoint editor undoes and redoes every kind of edit', () => {
+  const apply = (state, ...actions) => actions.reduce(editorReducer, state);
+
+  let state = apply(initialEditorState, { type: 'add', point: A }, { type: 'add', point: C });
+  state = apply(state, { type: 'insert', index: 1, point: B });
+  assert.deepEqual(state.waypoints, [A, B, C]);
+
+  state = apply(state, { type: 'move', index: 2, point: { lat: 1, lng: 2, alt: 5 } });
+  assert.deepEqual(state.waypoints[2], { lat: 1, lng: 2 });
+
+  state = apply(state, { type: 'remove', index: 0 });
+  assert.deepEqual(state.waypoints, [B, { lat: 1, lng: 2 }]);
+
+  state = apply(state, { type: 'undo' }, { type: 'undo' });
+  assert.deepEqual(state.waypoints, [A, B, C]);
+  state = apply(state, { type: 'redo' });
+  assert.equal(state.waypoints[2].lat, 1);
+
+  // A new edit drops the redo stack
+  state = apply(state, { type: 'clear' });
+  assert.deepEqual(state.waypoints, []);
+  assert.equal(state.future.length, 0);
+  assert.equal(apply(state, { type: 'redo' }), state);
+
+  // Out-of-range edits are ignored without a history entry
+  assert.equal(apply(state, { type: 'remove', index: 4 }), state);
+
+  let long = initialEditorState;
+  for (let i = 0; i < MAX_UNDO + 20; i++) long = editorReducer(long, { type: 'add', point: A });
+  assert.equal(long.past.length, MAX_UNDO);
+});
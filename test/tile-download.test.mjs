@@ -0,0 +1,123 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { getBaseLayers, tileUrl } from '../src/lib/baseLayers.js';
+import {
+  clearDownloadJob,
+  corridorTiles,
+  downloadTiles,
+  latLngToTile,
+  loadDownloadJob,
+  planTileDownload,
+  saveDownloadJob,
+} from '../src/lib/tileDownload.js';
+
+// A diagonal ~7 km track
+const COORDS = Array.from({ length: 50 }, (_, i) => [-118.2 + i * 0.001, 34.2 + i * 0.001]);
+
+function memoryStorage() {
+  const map = new Map();
+  return {
+    getItem: (k) => (map.has(k) ? map.get(k) : null),
+    setItem: (k, v) => map.set(k, String(v)),
+    removeItem: (k) => map.delete(k),
+  };
+}
+
+const okResponse = { ok: true, status: 200, blob: async () => new Blob(['png']) };
+
+test('layers needing a key are dropped without one; tile URLs match Leaflet', () => {
+  assert.deepEqual(getBaseLayers({}).map((l) => l.id), ['osm', 'cyclosm']);
+
+  const layers = getBaseLayers({ VITE_THUNDERFOREST_API_KEY: 'abc' });
+  const cycle = layers.find((l) => l.id === 'thunderforest');
+  assert.equal(tileUrl(cycle, { x: 1, y: 2, z: 3 }), 'https://tile.thunderforest.com/cycle/3/1/2.png?apikey=abc');
+
+  // Leaflet: subdomains[Math.abs(x + y) % subdomains.length]
+  const osm = layers[0];
+  assert.equal(tileUrl(osm, { x: 1401, y: 3270, z: 13 }), 'https://a.tile.openstreetmap.org/13/1401/3270.png');
+  assert.equal(tileUrl(osm, { x: 1402, y: 3270, z: 13 }), 'https://b.tile.openstreetmap.org/13/1402/3270.png');
+});
+
+test('the corridor covers the track with far fewer tiles than its bounding box', () => {
+  const zoom = 16;
+  const tiles = corridorTiles(COORDS, { zoom, bufferMeters: 250 });
+  const keys = new Set(tiles.map((t) => `${t.x}/${t.y}`));
+
+  for (const [lon, lat] of COORDS) {
+    const { x, y } = latLngToTile(lat, lon, zoom);
+    assert.ok(keys.has(`${x}/${y}`), `track point ${lat},${lon} is covered`);
+  }
+
+  const a = latLngToTile(COORDS[0][1], COORDS[0][0], zoom);
+  const b = latLngToTile(COORDS.at(-1)[1], COORDS.at(-1)[0], zoom);
+  const bbox = (Math.abs(b.x - a.x) + 1) * (Math.abs(b.y - a.y) + 1);
+  assert.ok(tiles.length < bbox / 2, `${tiles.length} corridor tiles vs ${bbox} in the box`);
+
+  // A wider corridor needs more tiles
+  assert.ok(corridorTiles(COORDS, { zoom, bufferMeters: 1000 }).length > tiles.length);
+});
+
+test('the plan estimates size per zoom and stops at the layer maximum', () => {
+  const [osm] = getBaseLayers({});
+  const plan = planTileDownload(COORDS, { layer: osm, minZoom: 13, maxZoom: 22, bufferMeters: 500 });
+
+  assert.deepEqual(Object.keys(plan.byZoom).map(Number), [13, 14, 15, 16, 17, 18, 19]);
+  assert.equal(plan.count, Object.values(plan.byZoom).reduce((a, b) => a + b, 0));
+  assert.equal(plan.urls.length, plan.count);
+  assert.equal(plan.bytes, plan.count * osm.tileKB * 1024);
+  assert.ok(plan.byZoom[14] > plan.byZoom[13]);
+});
+
+test('downloads resume from a saved index, skip cached tiles and pace each batch', async () => {
+  const urls = Array.from({ length: 7 }, (_, i) => `https://a.tile.openstreetmap.org/16/${i}/0.png`);
+  const fetched = [];
+  const sleeps = [];
+  const progress = [];
+
+  const result = await downloadTiles(urls, {
+    rateLimit: { batchSize: 2, delayMs: 1000 },
+    startAt: 2,
+    isCached: async (url) => url.includes('/16/3/'),
+    fetchImpl: async (url) => {
+      fetched.push(url);
+      return url.includes('/16/5/') ? { ok: false, status: 429 } : okResponse;
+    },
+    onProgress: ({ done }) => progress.push(done),
+    sleep: async (ms) => sleeps.push(ms),
+  });
+
+  assert.deepEqual(fetched.map((u) => u.split('/')[4]), ['2', '4', '5', '6']);
+  assert.deepEqual(progress, [4, 6, 7]);
+  assert.deepEqual(sleeps, [1000, 10000]); // backs off after the 429
+  assert.deepEqual(result, { done: 7, total: 7, saved: 3, skipped: 1, failed: 1, stopped: false });
+});
+
+test('an aborted download stops between batches and its job can be resumed', async () => {
+  const urls = Array.from({ length: 6 }, (_, i) => `https://a.tile.openstreetmap.org/16/${i}/0.png`);
+  const controller = new AbortController();
+  const storage = memoryStorage();
+
+  const result = await downloadTiles(urls, {
+    rateLimit: { batchSize: 2, delayMs: 0 },
+    signal: controller.signal,
+    fetchImpl: async () => okResponse,
+    onProgress: ({ done, total }) => {
+      saveDownloadJob('Lukens.geojson', { layerId: 'osm', minZoom: 13, maxZoom: 16, bufferMeters: 500, total, done }, storage);
+      if (done === 4) controller.abort();
+    },
+    sleep: async () => {},
+  });
+  assert.equal(result.stopped, true);
+  assert.equal(result.done, 4);
+
+  const job = loadDownloadJob('Lukens.geojson', storage);
+  assert.equal(job.done, 4);
+  assert.equal(job.layerId, 'osm');
+  assert.ok(job.updatedAt);
+
+  storage.setItem('offline-download-Broken', '{not json');
+  assert.equal(loadDownloadJob('Broken', storage), null);
+  clearDownloadJob('Lukens.geojson', storage);
+  assert.equal(loadDownloadJob('Lukens.geojson', storage), null);
+});
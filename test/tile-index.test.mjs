@@ -0,0 +1,155 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import 'fake-indexeddb/auto';
+
+import { askServiceWorker, formatBytes, getTileStats, registerTrackTiles } from '../src/lib/tileIndex.js';
+
+// The service worker's script; it defines globalThis.TileIndex
+await import('../public/tile-index.js');
+const { DEFAULT_BUDGET, clear, enforceBudget, planEviction, recordTile, registerTrack, removeTrack, setBudget, stats } =
+  globalThis.TileIndex;
+
+const tile = (url, size, lastUsed, tracks = []) => ({ url, size, lastUsed, tracks });
+
+// Stand-in for navigator.serviceWorker whose worker answers with `respond(message)`
+function fakeContainer(respond) {
+  const received = [];
+  return {
+    received,
+    controller: {
+      postMessage(message, [port]) {
+        received.push(message);
+        port.postMessage(respond(message));
+        port.close();
+      },
+    },
+  };
+}
+
+test('browsed tiles are evicted before offline packs, oldest first', () => {
+  const tiles = [
+    tile('browsed-old', 10, 1),
+    tile('browsed-new', 10, 5),
+    tile('pack-a', 10, 2, ['a']),
+  ];
+  const plan = planEviction({ tiles, packs: [{ trackId: 'a', lastUsed: 2 }], bytes: 30, budget: 15 });
+  assert.deepEqual([...plan.urls], ['browsed-old', 'browsed-new']);
+  assert.deepEqual([...plan.packs], []);
+  assert.equal(plan.freed, 20);
+
+  const under = planEviction({ tiles, packs: [], bytes: 30, budget: 30 });
+  assert.equal(under.urls.length, 0);
+});
+
+test('packs are evicted least recently used first, keeping shared tiles', () => {
+  const tiles = [
+    tile('only-a', 10, 1, ['a']),
+    tile('shared', 10, 1, ['a', 'b']),
+    tile('only-b', 10, 1, ['b']),
+    tile('only-c', 10, 1, ['c']),
+  ];
+  const packs = [
+    { trackId: 'b', lastUsed: 20 },
+    { trackId: 'a', lastUsed: 10 },
+    { trackId: 'c', lastUsed: 30 },
+  ];
+
+  // Evicting a frees only its own tile; the shared one is still b's
+  const plan = planEviction({ tiles, packs, bytes: 40, budget: 30 });
+  assert.deepEqual([...plan.packs], ['a']);
+  assert.deepEqual([...plan.urls], ['only-a']);
+
+  // Once b goes too, the shared tile goes with it
+  const more = planEviction({ tiles, packs, bytes: 40, budget: 15 });
+  assert.deepEqual([...more.packs], ['a', 'b']);
+  assert.deepEqual([...more.urls], ['only-a', 'shared', 'only-b']);
+
+  // The pack just downloaded is never evicted for its own sake
+  const kept = planEviction({ tiles, packs, bytes: 40, budget: 0, keep: ['c'] });
+  assert.ok(!kept.packs.includes('c'));
+  assert.ok(!kept.urls.includes('only-c'));
+});
+
+test('removing a track keeps the tiles another track still uses', async () => {
+  await clear();
+  // "gone" isn't in the tile cache, so the pack skips it
+  const sizeOf = async (url) => (url === 'gone' ? null : 100);
+
+  const a = await registerTrack('a', ['only-a', 'shared', 'gone'], { sizeOf, now: 1 });
+  assert.equal(a.tiles, 2);
+  assert.equal(a.bytes, 200);
+  await registerTrack('b', ['shared', 'only-b'], { sizeOf, now: 2 });
+  let totals = await stats();
+  assert.equal(totals.bytes, 300);
+  assert.equal(totals.tiles, 3);
+  assert.deepEqual(totals.packs.map((p) => p.trackId).sort(), ['a', 'b']);
+
+  assert.deepEqual(await removeTrack('a'), ['only-a']);
+  totals = await stats();
+  assert.equal(totals.bytes, 200);
+  assert.equal(totals.tiles, 2);
+  assert.deepEqual(totals.packs.map((p) => p.trackId), ['b']);
+
+  // b was the last track using the shared tile
+  assert.deepEqual(await removeTrack('b'), ['only-b', 'shared']);
+  totals = await stats();
+  assert.equal(totals.bytes, 0);
+  assert.equal(totals.tiles, 0);
+});
+
+test('recorded and evicted tiles keep the totals in step', async () => {
+  await clear();
+  await setBudget(250);
+  assert.equal(await recordTile('old', 100, 1), false);
+  assert.equal(await recordTile('new', 100, 3), false);
+  // Recording a tile again only counts the change in size
+  assert.equal(await recordTile('old', 120, 2), false);
+  await registerTrack('pack', ['packed'], { sizeOf: async () => 100, now: 4 });
+  assert.equal(await recordTile('newest', 50, 5), true);
+  let totals = await stats();
+  assert.equal(totals.bytes, 370);
+  assert.equal(totals.tiles, 4);
+
+  assert.deepEqual(await enforceBudget({ now: 6 }), { urls: ['old'], packs: [] });
+  totals = await stats();
+  assert.equal(totals.bytes, 250);
+  assert.equal(totals.tiles, 3);
+  assert.deepEqual(await enforceBudget({ now: 6 }), { urls: [], packs: [] });
+
+  await setBudget(60);
+  assert.deepEqual(await enforceBudget({ now: 7 }), { urls: ['new', 'newest', 'packed'], packs: ['pack'] });
+  totals = await stats();
+  assert.equal(totals.bytes, 0);
+  assert.equal(totals.tiles, 0);
+  assert.deepEqual(totals.packs, []);
+  assert.deepEqual(totals.evicted, ['pack']);
+
+  await setBudget(DEFAULT_BUDGET);
+});
+
+test('messages go to the service worker over a channel', async () => {
+  assert.equal(await getTileStats({ container: {} }), null);
+
+  const container = fakeContainer((message) =>
+    message.type === 'GET_CACHE_SIZE'
+      ? { size: 2048, bytes: 2048, tiles: 2, budget: 4096, packs: [], evicted: [] }
+      : { pack: { trackId: message.trackId, tiles: message.urls.length } },
+  );
+  const stats = await getTileStats({ container });
+  assert.equal(stats.size, 2048);
+
+  const pack = await registerTrackTiles('Lukens.geojson', ['u1', 'u2'], { container });
+  assert.deepEqual(pack, { trackId: 'Lukens.geojson', tiles: 2 });
+  assert.deepEqual(container.received.map((m) => m.type), ['GET_CACHE_SIZE', 'REGISTER_TRACK_TILES']);
+
+  await assert.rejects(
+    askServiceWorker({ type: 'REMOVE_TRACK_TILES' }, { container: fakeContainer(() => ({ error: 'no index' })) }),
+    /no index/,
+  );
+});
+
+test('sizes read in MB, or GB from one gigabyte', () => {
+  assert.equal(formatBytes(5.25 * 1024 * 1024), '5.3 MB');
+  assert.equal(formatBytes(500 * 1024 * 1024), '500 MB');
+  assert.equal(formatBytes(2048 * 1024 * 1024), '2.0 GB');
+});
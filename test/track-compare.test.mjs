@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildCompareProfile, compareColor, compareTrackStats, profileKey } from '../src/lib/trackCompare.js';
+import { calculateGradeMetrics, getElevationProfile, GRADE_BINS } from '../src/utils.js';
+import { feature, line } from './helpers/tracks.mjs';
+
+test('profiles share one distance axis and stop at each track end', () => {
+  const long = feature(line(21, 5));
+  const short = feature(line(11, -5));
+  const rows = buildCompareProfile([long, short], { step: 0.25 });
+
+  const longEnd = getElevationProfile(long.geometry.coordinates).at(-1).distance;
+  const shortEnd = getElevationProfile(short.geometry.coordinates).at(-1).distance;
+
+  assert.equal(rows[0].distance, 0);
+  assert.ok(Math.abs(rows[0].e0 - rows[0].e1) < 1e-6, 'both start at 500 m');
+  assert.ok(rows.some((r) => Math.abs(r.distance - shortEnd) < 1e-9 && r.e1 !== null));
+  assert.equal(rows.at(-1).distance, longEnd);
+  assert.equal(rows.at(-1).e1, null);
+
+  // Distances ascend; climbing track rises, descending one falls
+  for (let i = 1; i < rows.length; i++) assert.ok(rows[i].distance > rows[i - 1].distance);
+  const mid = rows.find((r) => r.distance === 0.75);
+  assert.ok(mid.e0 > rows[0].e0 && mid.e1 < rows[0].e1);
+});
+
+test('tracks without elevation give an empty profile', () => {
+  const flat = feature(line(5).map(([lon, lat]) => [lon, lat]));
+  assert.deepEqual(buildCompareProfile([flat, flat]), []);
+});
+
+test('per-track stats include the grade breakdown', () => {
+  const stats = compareTrackStats(feature(line(21, 10), { distance: 2.07, elevationGain: 656 }));
+  assert.equal(stats.distance, 2.07);
+  assert.equal(stats.elevationGain, 656);
+  assert.ok(stats.equivalentDistance > stats.distance);
+  assert.ok(stats.climbFactor > 0);
+  assert.equal(stats.gradeMetrics.rows.length, GRADE_BINS.length);
+});
+
+test('grade metrics add up to the whole track', () => {
+  const metrics = calculateGradeMetrics(line(21, 10));
+  const percent = metrics.rows.reduce((sum, row) => sum + row.percent, 0);
+  const miles = metrics.rows.reduce((sum, row) => sum + row.miles, 0);
+  assert.ok(Math.abs(percent - 100) < 1e-6);
+  assert.ok(Math.abs(miles - metrics.totalMiles) < 1e-9);
+  assert.equal(calculateGradeMetrics([]), null);
+
+  assert.equal(profileKey(2), 'e2');
+  assert.notEqual(compareColor(0), compareColor(1));
+});
@@ -0,0 +1,261 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { createRequire } from 'module';
+import { DOMParser } from 'xmldom';
+
+import {
+  buildWaypoints,
+  exportTrack,
+  exportFilename,
+  toGpx,
+} from '../src/lib/trackExport.js';
+import { parseGpxText } from '../src/lib/gpxImport.js';
+
+const require = createRequire(import.meta.url);
+const { validateGpxFile } = require('../scripts/validate-gpx.cjs');
+
+const NOW = new Date(Date.UTC(2026, 3, 27, 15, 30, 0));
+
+// ~2.4 miles due north with a climb in the middle
+const COORDS = Array.from({ length: 25 }, (_, i) => [
+  -118.1,
+  34.2 + i * 0.0015,
+  500 + Math.round(Math.sin((i / 24) * Math.PI) * 300),
+]);
+
+const TRACK = {
+  type: 'Feature',
+  properties: {
+    name: 'Mt. Lowe & <Echo> Trail',
+    description: 'Up & back',
+    gpxFile: 'Mt_Lowe_Echo.gpx',
+  },
+  geometry: { type: 'LineString', coordinates: COORDS },
+};
+
+const PEAKS = [
+  { name: 'Echo Summit', lat: 34.218, lon: -118.1005, elevation: 2625 },
+  { name: 'Far Away Peak', lat: 35, lon: -117, elevation: 9000 },
+];
+
+async function writeTemp(name, contents) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'trail-viewer-export-'));
+  const file = path.join(dir, name);
+  await fs.writeFile(file, contents);
+  return file;
+}
+
+// The FIT checks below read the bytes without lib/fit, so an encoder bug
+// that its decoder mirrors still fails them
+
+// FIT's CRC-16 (CRC-16/ARC), bit by bit rather than with lib/fit's table
+function crc16(bytes, start = 0, end = bytes.length) {
+  let crc = 0;
+  for (let i = start; i < end; i++) {
+    crc ^= bytes[i];
+    for (let bit = 0; bit < 8; bit++) crc = crc & 1 ? (crc >>> 1) ^ 0xa001 : crc >>> 1;
+  }
+  return crc;
+}
+
+// Global message numbers and the timestamp epoch from the FIT profile
+const FIT = { file_id: 0, lap: 19, record: 20, event: 21, course: 31, course_point: 32 };
+const FIT_EPOCH = Date.UTC(1989, 11, 31) / 1000;
+
+// Walks a FIT file's records; enough to count messages and read fields
+function readFit(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const headerSize = bytes[0];
+  const dataSize = view.getUint32(4, true);
+  const defs = {};
+  const messages = [];
+  let offset = headerSize;
+
+  while (offset < headerSize + dataSize) {
+    const header = bytes[offset++];
+    const local = header & 0x0f;
+    if (header & 0x40) {
+      const globalNum = view.getUint16(offset + 2, true);
+      const count = bytes[offset + 4];
+      offset += 5;
+      const fields = [];
+      for (let i = 0; i < count; i++) {
+        fields.push({ num: bytes[offset], size: bytes[offset + 1], type: bytes[offset + 2] });
+        offset += 3;
+      }
+      defs[local] = { globalNum, fields };
+    } else {
+      const def = defs[local];
+      const values = {};
+      for (const f of def.fields) {
+        if (f.type === 0x07) {
+          values[f.num] = new TextDecoder().decode(bytes.slice(offset, offset + f.size)).replace(/\0.*$/s, '');
+        } else if (f.type === 0x85) values[f.num] = view.getInt32(offset, true);
+        else if (f.type === 0x86) values[f.num] = view.getUint32(offset, true);
+        else if (f.type === 0x84) values[f.num] = view.getUint16(offset, true);
+        else values[f.num] = bytes[offset];
+        offset += f.size;
+      }
+      messages.push({ globalNum: def.globalNum, values });
+    }
+  }
+  return messages;
+}
+
+test('buildWaypoints adds mile markers and only peaks near the track', () => {
+  const waypoints = buildWaypoints(TRACK, { peaks: PEAKS });
+  assert.deepEqual(
+    waypoints.map((w) => w.name),
+    ['Mile 1', 'Echo Summit', 'Mile 2'],
+  );
+  const peak = waypoints[1];
+  assert.equal(peak.kind, 'peak');
+  assert.ok(Math.abs(peak.ele - 800) < 1, 'peak elevation converted from feet');
+  assert.ok(waypoints[0].ele > 500 && waypoints[0].ele < 800, 'mile marker elevation interpolated');
+});
+
+test('GPX export round-trips through validateGpxFile and the importer', async () => {
+  const { data, filename, mimeType } = exportTrack(TRACK, 'gpx', { peaks: PEAKS, now: NOW });
+  assert.equal(filename, 'Mt_Lowe_Echo.gpx');
+  assert.equal(mimeType, 'application/gpx+xml');
+
+  const file = await writeTemp(filename, data);
+  const result = validateGpxFile(file);
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.warnings, []);
+  assert.equal(result.stats.trackPoints, COORDS.length);
+  assert.equal(result.stats.waypoints, 3);
+  assert.equal(result.stats.pointsWithElevation, COORDS.length);
+  assert.deepEqual(result.stats.elevationRange, { min: 500, max: 800 });
+
+  const parsed = parseGpxText(data, { filename, DOMParser });
+  assert.equal(parsed.ok, true);
+  assert.equal(parsed.feature.properties.name, 'Mt. Lowe & <Echo> Trail');
+  assert.equal(parsed.feature.properties.description, 'Up & back');
+  assert.deepEqual(parsed.feature.geometry.coordinates, COORDS);
+});
+
+test('GPX export omits <ele> for points without elevation', async () => {
+  const flat = {
+    ...TRACK,
+    geometry: { type: 'LineString', coordinates: COORDS.map(([lon, lat]) => [lon, lat]) },
+  };
+  const file = await writeTemp('flat.gpx', toGpx(flat, { now: NOW }));
+  const result = validateGpxFile(file);
+  assert.equal(result.ok, true);
+  assert.equal(result.stats.pointsWithElevation, 0);
+  assert.match(result.warnings[0], /No elevation data/);
+});
+
+test('GPX export keeps recorded timestamps', () => {
+  const times = COORDS.map((_, i) => new Date(NOW.getTime() + i * 60000).toISOString());
+  const timed = { ...TRACK, properties: { ...TRACK.properties, coordTimes: times } };
+  const data = toGpx(timed, { now: NOW });
+
+  const parsed = parseGpxText(data, { filename: 'timed.gpx', DOMParser });
+  assert.equal(parsed.ok, true);
+  assert.deepEqual(parsed.feature.properties.coordTimes, times);
+  // Untimed tracks only carry the metadata time
+  assert.doesNotMatch(toGpx(TRACK, { now: NOW }).split('<trk>')[1], /<time>/);
+});
+
+test('KML export has a styled line and waypoint placemarks', () => {
+  const { data, filename } = exportTrack(TRACK, 'kml', { peaks: PEAKS });
+  assert.equal(filename, 'Mt_Lowe_Echo.kml');
+  const doc = new DOMParser().parseFromString(data, 'text/xml');
+  const line = doc.getElementsByTagName('LineString')[0];
+  const coords = line.getElementsByTagName('coordinates')[0].textContent.trim().split(/\s+/);
+  assert.equal(coords.length, COORDS.length);
+  assert.equal(coords[0], '-118.1,34.2,500');
+  assert.equal(doc.getElementsByTagName('Placemark').length, 4);
+  assert.equal(doc.getElementsByTagName('LineStyle')[0].getElementsByTagName('color')[0].textContent, 'ff87b85a');
+});
+
+test('TCX export is a course with timed trackpoints and course points', () => {
+  const { data } = exportTrack(TRACK, 'tcx', { peaks: PEAKS, now: NOW });
+  const doc = new DOMParser().parseFromString(data, 'text/xml');
+  const course = doc.getElementsByTagName('Course')[0];
+  assert.ok(course.getElementsByTagName('Name')[0].textContent.length <= 15);
+
+  const trackpoints = doc.getElementsByTagName('Trackpoint');
+  assert.equal(trackpoints.length, COORDS.length);
+  const times = Array.from({ length: trackpoints.length }, (_, i) =>
+    Date.parse(trackpoints[i].getElementsByTagName('Time')[0].textContent),
+  );
+  assert.equal(times[0], NOW.getTime());
+  assert.ok(times.every((t, i) => i === 0 || t > times[i - 1]));
+
+  const points = doc.getElementsByTagName('CoursePoint');
+  assert.equal(points.length, 3);
+  assert.equal(points[1].getElementsByTagName('PointType')[0].textContent, 'Summit');
+  for (let i = 0; i < points.length; i++) {
+    assert.ok(points[i].getElementsByTagName('Name')[0].textContent.length <= 10);
+  }
+});
+
+test('FIT export is a valid course file', () => {
+  const { data, filename, mimeType } = exportTrack(TRACK, 'fit', { peaks: PEAKS, now: NOW });
+  assert.equal(filename, 'Mt_Lowe_Echo.fit');
+  assert.equal(mimeType, 'application/vnd.ant.fit');
+  assert.ok(data instanceof Uint8Array);
+
+  assert.equal(data[0], 14);
+  assert.equal(new TextDecoder().decode(data.slice(8, 12)), '.FIT');
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  assert.equal(view.getUint32(4, true), data.length - 16);
+  assert.equal(view.getUint16(12, true), crc16(data, 0, 12));
+  assert.equal(view.getUint16(data.length - 2, true), crc16(data, 0, data.length - 2));
+
+  const messages = readFit(data);
+  const byType = (num) => messages.filter((m) => m.globalNum === num);
+
+  const [fileId] = byType(FIT.file_id);
+  assert.equal(fileId.values[0], 6); // course
+
+  const [course] = byType(FIT.course);
+  assert.equal(course.values[5], 'Mt. Lowe & <Ech');
+
+  const records = byType(FIT.record);
+  assert.equal(records.length, COORDS.length);
+  assert.equal(records[0].values[253], NOW.getTime() / 1000 - FIT_EPOCH);
+  assert.ok(Math.abs((records[0].values[0] * 180) / 2 ** 31 - 34.2) < 1e-6);
+  assert.ok(Math.abs((records[0].values[1] * 180) / 2 ** 31 + 118.1) < 1e-6);
+  assert.equal(records[0].values[2] / 5 - 500, 500);
+
+  const coursePoints = byType(FIT.course_point);
+  assert.deepEqual(coursePoints.map((m) => m.values[6]), ['Mile 1', 'Echo Summit', 'Mile 2']);
+  assert.deepEqual(coursePoints.map((m) => m.values[5]), [0, 1, 0]);
+
+  const events = byType(FIT.event);
+  assert.deepEqual(events.map((m) => m.values[1]), [0, 4]);
+});
+
+test('FIT totals skip points without an elevation', () => {
+  const track = {
+    type: 'Feature',
+    properties: { name: 'Gap' },
+    geometry: {
+      type: 'LineString',
+      coordinates: [
+        [-118.1, 34.2, 1000],
+        [-118.1, 34.201],
+        [-118.1, 34.202, 1010],
+      ],
+    },
+  };
+  const { data } = exportTrack(track, 'fit', { mileMarkers: false, now: NOW });
+  const [lap] = readFit(data).filter((m) => m.globalNum === FIT.lap);
+  assert.equal(lap.values[21], 10); // total_ascent
+  assert.equal(lap.values[22], 0); // total_descent
+});
+
+test('exportFilename falls back to a slug of the track name', () => {
+  const drawn = { properties: { name: 'My Drawn Loop!' }, geometry: TRACK.geometry };
+  assert.equal(exportFilename(drawn, 'tcx'), 'my-drawn-loop.tcx');
+  assert.equal(exportFilename({ properties: { name: 'Mt. Baldy' } }, 'kml'), 'mt-baldy.kml');
+  assert.throws(() => exportTrack({ properties: {}, geometry: { type: 'LineString', coordinates: [] } }, 'gpx'), /no geometry/);
+  assert.throws(() => exportTrack(TRACK, 'shp'), /Unknown export format/);
+});
@@ -0,0 +1,119 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  activeFilterCount,
+  distanceFromPosition,
+  EMPTY_FILTERS,
+  facetOptions,
+  filterTracks,
+  regionOf,
+  sortTracks,
+  trackStats,
+} from '../src/lib/trackFilters.js';
+
+// Manifest stubs carry their stats; drawn tracks only have geometry
+const stub = (name, props) => ({
+  isStub: true,
+  properties: { id: name, name, gpxFile: `${name}.gpx`, ...props },
+});
+
+const TRACKS = [
+  stub('Verdugo Peak', {
+    location: 'Verdugo Mtn, Glendale, CA',
+    distance: 11,
+    elevationGain: 1869,
+    climbFactor: 0.138,
+    start: [-118.242, 34.193],
+    tags: ['peak'],
+  }),
+  stub('Mt Wilson', {
+    location: 'San Gabriel Mountains, LA County, CA',
+    distance: 14,
+    elevationGain: 4800,
+    climbFactor: 0.31,
+    start: [-118.05, 34.17],
+    tags: ['peak', 'loop'],
+  }),
+  stub('Brand Park', {
+    location: 'Glendale, CA',
+    description: 'Short loop to the water tank',
+    distance: 3,
+    elevationGain: 600,
+    climbFactor: 0.2,
+    start: [-118.27, 34.18],
+    gpxFile: null,
+    tags: ['loop'],
+  }),
+  {
+    type: 'Feature',
+    properties: { id: 'drawn:1', name: 'Drawn Flat', source: 'drawn', distance: 1.24, elevationGain: 0 },
+    geometry: { type: 'LineString', coordinates: [[-118.3, 34.1, 100], [-118.3, 34.118, 100]] },
+  },
+];
+
+test('regions come from the location unless the manifest names one', () => {
+  assert.equal(regionOf(TRACKS[0]), 'Glendale, CA');
+  assert.equal(regionOf(TRACKS[1]), 'LA County, CA');
+  assert.equal(regionOf({ properties: { location: 'Sierra Madre, CA', region: 'Front Range' } }), 'Front Range');
+  assert.equal(regionOf({ properties: { location: '' } }), null);
+
+  const { regions, tags } = facetOptions(TRACKS);
+  assert.deepEqual(regions, [
+    { value: 'Glendale, CA', count: 2 },
+    { value: 'LA County, CA', count: 1 },
+  ]);
+  assert.deepEqual(tags, [
+    { value: 'loop', count: 2 },
+    { value: 'peak', count: 2 },
+  ]);
+});
+
+test('stats fall back to the geometry for tracks outside the manifest', () => {
+  const drawn = trackStats(TRACKS[3]);
+  assert.equal(drawn.climb, 0);
+  assert.deepEqual(drawn.start, [-118.3, 34.1]);
+  assert.ok(Math.abs(trackStats(TRACKS[1]).climb - 31) < 1e-9);
+  assert.equal(trackStats({ properties: {} }).distance, null);
+});
+
+test('filters combine search, ranges, facets and availability', () => {
+  const names = (filters, options) => filterTracks(TRACKS, filters, options).map((t) => t.properties.name);
+
+  assert.deepEqual(names({ q: 'WATER' }), ['Brand Park']);
+  assert.deepEqual(names({ q: 'loop' }), ['Mt Wilson', 'Brand Park']); // tags are searched too
+  assert.deepEqual(names({ distance: [5, null] }), ['Verdugo Peak', 'Mt Wilson']);
+  assert.deepEqual(names({ gain: [500, 2000], climb: [15, null] }), ['Brand Park']);
+  assert.deepEqual(names({ region: 'Glendale, CA' }), ['Verdugo Peak', 'Brand Park']);
+  assert.deepEqual(names({ tags: ['peak', 'loop'] }), ['Mt Wilson']);
+  assert.deepEqual(names({ gpx: true }), ['Verdugo Peak', 'Mt Wilson']);
+  assert.deepEqual(
+    names({ offline: true }, { isOffline: (t) => t.properties.name === 'Mt Wilson' }),
+    ['Mt Wilson'],
+  );
+  assert.equal(filterTracks(TRACKS, EMPTY_FILTERS).length, TRACKS.length);
+
+  assert.equal(activeFilterCount(EMPTY_FILTERS), 0);
+  assert.equal(activeFilterCount({ q: 'x', sort: '-gain', distance: [null, null] }), 0);
+  assert.equal(activeFilterCount({ distance: [1, null], tags: ['a', 'b'], offline: true }), 4);
+});
+
+test('sorting by stats and by distance from a position', () => {
+  const names = (sort, options) => sortTracks(TRACKS, sort, options).map((t) => t.properties.name);
+
+  assert.deepEqual(names('name'), ['Brand Park', 'Drawn Flat', 'Mt Wilson', 'Verdugo Peak']);
+  assert.deepEqual(names('-gain'), ['Mt Wilson', 'Verdugo Peak', 'Brand Park', 'Drawn Flat']);
+  assert.deepEqual(names('climb'), ['Drawn Flat', 'Verdugo Peak', 'Brand Park', 'Mt Wilson']);
+  assert.deepEqual(names('bogus'), names('name'));
+
+  // Near Mt Wilson's trailhead; without a position the order is kept
+  const position = { lat: 34.17, lng: -118.06 };
+  assert.deepEqual(names('nearby', { position }), ['Mt Wilson', 'Verdugo Peak', 'Brand Park', 'Drawn Flat']);
+  assert.equal(sortTracks(TRACKS, 'nearby'), TRACKS);
+  assert.ok(Math.abs(distanceFromPosition(TRACKS[1], position) - 0.57) < 0.01);
+
+  // Tracks missing the stat go last in both directions
+  const withUnknown = [...TRACKS, stub('Unknown', {})];
+  assert.equal(sortTracks(withUnknown, 'distance').at(-1).properties.name, 'Unknown');
+  assert.equal(sortTracks(withUnknown, '-distance').at(-1).properties.name, 'Unknown');
+});
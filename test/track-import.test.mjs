@@ -0,0 +1,311 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import zlib from 'zlib';
+import { createRequire } from 'module';
+import { DOMParser } from 'xmldom';
+
+import {
+  detectTrackFormat,
+  parseTrackData,
+  trackFormatFromFilename,
+} from '../src/lib/trackImport.js';
+import { createFitWriter, decodeFit, MESSAGES, toFitTimestamp, toSemicircles } from '../src/lib/fit.js';
+import { exportTrack } from '../src/lib/trackExport.js';
+
+const require = createRequire(import.meta.url);
+const { validateTrackFile } = require('../scripts/validate-gpx.cjs');
+
+const parse = (data, filename) => parseTrackData(data, { filename, DOMParser });
+
+const GPX_TWO_SEGMENTS = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1"
+  xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v1">
+  <trk>
+    <name>Two Segments</name>
+    <trkseg>
+      <trkpt lat="34.1" lon="-117.1"><ele>100</ele><time>2026-04-01T10:00:00Z</time>
+        <extensions><gpxtpx:TrackPointExtension><gpxtpx:hr>120</gpxtpx:hr><gpxtpx:cad>80</gpxtpx:cad></gpxtpx:TrackPointExtension></extensions>
+      </trkpt>
+      <trkpt lat="34.2" lon="-117.2"><ele>150</ele><time>2026-04-01T10:01:00Z</time></trkpt>
+    </trkseg>
+    <trkseg>
+      <trkpt lat="34.3" lon="-117.3"><ele>175</ele><time>2026-04-01T10:05:00Z</time>
+        <extensions><gpxtpx:TrackPointExtension><gpxtpx:hr>135</gpxtpx:hr></gpxtpx:TrackPointExtension></extensions>
+      </trkpt>
+      <trkpt lat="34.4" lon="-117.4"><ele>160</ele><time>2026-04-01T10:06:00Z</time></trkpt>
+    </trkseg>
+    <trkseg>
+      <trkpt lat="34.5" lon="-117.5"><ele>150</ele></trkpt>
+    </trkseg>
+  </trk>
+</gpx>`;
+
+const TCX = `<?xml version="1.0" encoding="UTF-8"?>
+<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2"
+  xmlns:ns3="http://www.garmin.com/xmlschemas/ActivityExtension/v2">
+  <Activities>
+    <Activity Sport="Running">
+      <Id>2026-04-01T10:00:00Z</Id>
+      <Lap StartTime="2026-04-01T10:00:00Z">
+        <Track>
+          <Trackpoint>
+            <Time>2026-04-01T10:00:00Z</Time>
+            <Position><LatitudeDegrees>34.1</LatitudeDegrees><LongitudeDegrees>-117.1</LongitudeDegrees></Position>
+            <AltitudeMeters>100</AltitudeMeters>
+            <HeartRateBpm><Value>110</Value></HeartRateBpm>
+            <Extensions><ns3:TPX><ns3:RunCadence>85</ns3:RunCadence></ns3:TPX></Extensions>
+          </Trackpoint>
+          <Trackpoint>
+            <Time>2026-04-01T10:00:30Z</Time>
+            <HeartRateBpm><Value>112</Value></HeartRateBpm>
+          </Trackpoint>
+          <Trackpoint>
+            <Time>2026-04-01T10:01:00Z</Time>
+            <Position><LatitudeDegrees>34.2</LatitudeDegrees><LongitudeDegrees>-117.2</LongitudeDegrees></Position>
+            <AltitudeMeters>140</AltitudeMeters>
+            <HeartRateBpm><Value>118</Value></HeartRateBpm>
+          </Trackpoint>
+        </Track>
+      </Lap>
+      <Notes>Morning run</Notes>
+    </Activity>
+  </Activities>
+</TrainingCenterDatabase>`;
+
+const KML_LINESTRING = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>Doc Name</name>
+    <Placemark><name>Trailhead</name><Point><coordinates>-117.1,34.1,100</coordinates></Point></Placemark>
+    <Placemark>
+      <name>Ridge Line</name>
+      <LineString><coordinates>
+        -117.1,34.1,100 -117.2,34.2,150
+        -117.3,34.3,175
+      </coordinates></LineString>
+    </Placemark>
+  </Document>
+</kml>`;
+
+const KML_GX_TRACK = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">
+  <Document>
+    <Placemark>
+      <name>Recorded</name>
+      <gx:Track>
+        <when>2026-04-01T10:00:00Z</when>
+        <when>2026-04-01T10:01:00Z</when>
+        <gx:coord>-117.1 34.1 100</gx:coord>
+        <gx:coord>-117.2 34.2 150</gx:coord>
+        <ExtendedData><SchemaData schemaUrl="#schema">
+          <gx:SimpleArrayData name="heartrate"><gx:value>101</gx:value><gx:value>104</gx:value></gx:SimpleArrayData>
+        </SchemaData></ExtendedData>
+      </gx:Track>
+    </Placemark>
+  </Document>
+</kml>`;
+
+// A one-entry deflated ZIP, built by hand so the test needs no zip library
+function makeZip(name, text) {
+  const nameBytes = Buffer.from(name);
+  const raw = Buffer.from(text);
+  const data = zlib.deflateRawSync(raw);
+
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(0x04034b50, 0);
+  local.writeUInt16LE(20, 4);
+  local.writeUInt16LE(8, 8);
+  local.writeUInt32LE(data.length, 18);
+  local.writeUInt32LE(raw.length, 22);
+  local.writeUInt16LE(nameBytes.length, 26);
+
+  const central = Buffer.alloc(46);
+  central.writeUInt32LE(0x02014b50, 0);
+  central.writeUInt16LE(20, 4);
+  central.writeUInt16LE(20, 6);
+  central.writeUInt16LE(8, 10);
+  central.writeUInt32LE(data.length, 20);
+  central.writeUInt32LE(raw.length, 24);
+  central.writeUInt16LE(nameBytes.length, 28);
+  central.writeUInt32LE(0, 42);
+
+  const centralOffset = local.length + nameBytes.length + data.length;
+  const centralSize = central.length + nameBytes.length;
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(1, 8);
+  eocd.writeUInt16LE(1, 10);
+  eocd.writeUInt32LE(centralSize, 12);
+  eocd.writeUInt32LE(centralOffset, 16);
+
+  return new Uint8Array(Buffer.concat([local, nameBytes, data, central, nameBytes, eocd]));
+}
+
+// An activity file the way a watch writes it: records with heart rate,
+// cadence and enhanced_altitude (uint32, scale 5, offset 500)
+function makeFitActivity() {
+  const fit = createFitWriter();
+  const start = new Date(Date.UTC(2026, 3, 1, 10, 0, 0));
+  const record = fit.define(MESSAGES.record, [
+    { num: 253, type: 'uint32' },
+    { num: 0, type: 'sint32' },
+    { num: 1, type: 'sint32' },
+    { num: 78, type: 'uint32' },
+    { num: 3, type: 'uint8' },
+    { num: 4, type: 'uint8' },
+  ]);
+  [
+    [34.1, -117.1, 100, 120, 80],
+    [34.2, -117.2, 150, 125, 82],
+  ].forEach(([lat, lon, ele, hr, cad], i) => {
+    fit.write(record, [
+      toFitTimestamp(new Date(start.getTime() + i * 60000)),
+      toSemicircles(lat),
+      toSemicircles(lon),
+      Math.round((ele + 500) * 5),
+      hr,
+      cad,
+    ]);
+  });
+  return fit.finish();
+}
+
+test('GPX segments are joined into one line with aligned times, heart rate and cadence', async () => {
+  const result = await parse(GPX_TWO_SEGMENTS, 'two.gpx');
+  assert.equal(result.ok, true);
+  assert.equal(result.format, 'gpx');
+
+  const { properties, geometry } = result.feature;
+  assert.equal(properties.name, 'Two Segments');
+  assert.equal(geometry.type, 'LineString');
+  // togeojson drops the one-point segment; it isn't a line
+  assert.equal(geometry.coordinates.length, 4);
+  assert.deepEqual(properties.coordTimes, [
+    '2026-04-01T10:00:00.000Z',
+    '2026-04-01T10:01:00.000Z',
+    '2026-04-01T10:05:00.000Z',
+    '2026-04-01T10:06:00.000Z',
+  ]);
+  assert.deepEqual(properties.heartRates, [120, null, 135, null]);
+  assert.deepEqual(properties.cadences, [80, null, null, null]);
+});
+
+test('TCX trackpoints without a position are skipped', async () => {
+  const result = await parse(TCX, 'run.tcx');
+  assert.equal(result.ok, true);
+  assert.equal(result.format, 'tcx');
+  assert.equal(result.stats.trackPoints, 2);
+  assert.deepEqual(result.stats.elevationRange, { min: 100, max: 140 });
+
+  const { properties, geometry } = result.feature;
+  assert.equal(properties.name, 'run');
+  assert.equal(properties.description, 'Morning run');
+  assert.deepEqual(geometry.coordinates, [[-117.1, 34.1, 100], [-117.2, 34.2, 140]]);
+  assert.deepEqual(properties.coordTimes, ['2026-04-01T10:00:00.000Z', '2026-04-01T10:01:00.000Z']);
+  assert.deepEqual(properties.heartRates, [110, 118]);
+  assert.deepEqual(properties.cadences, [85, null]);
+});
+
+test('KML LineString placemarks are read; points are ignored', async () => {
+  const result = await parse(KML_LINESTRING, 'ridge.kml');
+  assert.equal(result.ok, true);
+  assert.equal(result.feature.properties.name, 'Ridge Line');
+  assert.equal(result.feature.geometry.coordinates.length, 3);
+  assert.equal(result.feature.properties.coordTimes, undefined);
+});
+
+test('KML gx:Track keeps timestamps and ExtendedData heart rate', async () => {
+  const result = await parse(KML_GX_TRACK, 'recorded.kml');
+  assert.equal(result.ok, true);
+  assert.equal(result.feature.geometry.type, 'LineString');
+  assert.deepEqual(result.feature.geometry.coordinates, [[-117.1, 34.1, 100], [-117.2, 34.2, 150]]);
+  assert.deepEqual(result.feature.properties.heartRates, [101, 104]);
+  assert.equal(result.feature.properties.coordTimes[1], '2026-04-01T10:01:00.000Z');
+});
+
+test('KMZ archives are unzipped and their doc.kml read', async () => {
+  const result = await parse(makeZip('doc.kml', KML_LINESTRING), 'ridge.kmz');
+  assert.equal(result.ok, true);
+  assert.equal(result.format, 'kmz');
+  assert.equal(result.feature.properties.name, 'Ridge Line');
+
+  const empty = await parse(makeZip('readme.txt', 'nothing here'), 'empty.kmz');
+  assert.equal(empty.ok, false);
+  assert.match(empty.errors[0], /no \.kml file/);
+});
+
+test('FIT activity records become a track with heart rate and cadence', async () => {
+  const data = makeFitActivity();
+  assert.equal(decodeFit(data).crcOk, true);
+
+  const result = await parse(data, 'watch.fit');
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.warnings, []);
+
+  const { properties, geometry } = result.feature;
+  assert.equal(properties.name, 'watch');
+  assert.equal(geometry.coordinates.length, 2);
+  const [lon, lat, ele] = geometry.coordinates[1];
+  assert.ok(Math.abs(lat - 34.2) < 1e-6);
+  assert.ok(Math.abs(lon + 117.2) < 1e-6);
+  assert.equal(ele, 150);
+  assert.deepEqual(properties.heartRates, [120, 125]);
+  assert.deepEqual(properties.cadences, [80, 82]);
+  assert.deepEqual(properties.coordTimes, ['2026-04-01T10:00:00.000Z', '2026-04-01T10:01:00.000Z']);
+});
+
+test('FIT courses exported by the app import back, and damage is reported', async () => {
+  const track = {
+    type: 'Feature',
+    properties: { name: 'Loop' },
+    geometry: { type: 'LineString', coordinates: [[-117.1, 34.1, 100], [-117.2, 34.2, 150]] },
+  };
+  const { data } = exportTrack(track, 'fit');
+
+  const result = await parse(data, 'loop.fit');
+  assert.equal(result.ok, true);
+  assert.equal(result.feature.properties.name, 'Loop');
+  assert.equal(result.stats.trackPoints, 2);
+
+  const damaged = data.slice();
+  damaged[damaged.length - 1] ^= 0xff;
+  const warned = await parse(damaged, 'loop.fit');
+  assert.equal(warned.ok, true);
+  assert.match(warned.warnings[0], /checksum/);
+
+  const truncated = await parse(data.slice(0, 40), 'loop.fit');
+  assert.equal(truncated.ok, false);
+  assert.match(truncated.errors[0], /^Invalid FIT file/);
+});
+
+test('format detection falls back to sniffing and rejects unknown files', async () => {
+  const bytes = (text) => new TextEncoder().encode(text);
+  assert.equal(trackFormatFromFilename('Ride.TCX'), 'tcx');
+  assert.equal(trackFormatFromFilename('notes.txt'), null);
+  assert.equal(detectTrackFormat('download', bytes(GPX_TWO_SEGMENTS)), 'gpx');
+  assert.equal(detectTrackFormat('download', bytes(KML_LINESTRING)), 'kml');
+  assert.equal(detectTrackFormat('download', bytes(TCX)), 'tcx');
+  assert.equal(detectTrackFormat('download', makeFitActivity()), 'fit');
+  assert.equal(detectTrackFormat('download', makeZip('doc.kml', KML_LINESTRING)), 'kmz');
+
+  const unknown = await parse('hello', 'notes.txt');
+  assert.equal(unknown.ok, false);
+  assert.match(unknown.errors[0], /Unsupported file type/);
+
+  const wrongRoot = await parse(GPX_TWO_SEGMENTS, 'mislabelled.tcx');
+  assert.equal(wrongRoot.ok, false);
+  assert.match(wrongRoot.errors[0], /Missing <TrainingCenterDatabase>/);
+});
+
+test('validateTrackFile handles non-GPX files from disk', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'trail-viewer-import-'));
+  const file = path.join(dir, 'run.tcx');
+  await fs.writeFile(file, TCX);
+
+  const result = await validateTrackFile(file);
+  assert.equal(result.ok, true);
+  assert.equal(result.stats.trackPoints, 2);
+});
@@ -0,0 +1,119 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+
+import {
+  buildManifest,
+  buildManifestEntry,
+  MANIFEST_VERSION,
+  normalizeManifest,
+} from '../src/lib/trackManifest.js';
+import { validateJsonSchema } from '../src/lib/jsonSchema.js';
+import { gradeMiles, rateDifficulty } from '../src/lib/difficulty.js';
+import { feature } from './helpers/tracks.mjs';
+
+const SCHEMA = JSON.parse(fs.readFileSync(new URL('../public/tracks/manifest.schema.json', import.meta.url), 'utf8'));
+
+// ~2 mi out and back to a 200 m high point
+const OUT_AND_BACK = [
+  [-118.1, 34.2, 500],
+  [-118.1, 34.215, 700],
+  [-118.1, 34.2, 500],
+];
+const POINT_TO_POINT = [
+  [-118.1, 34.2, 500],
+  [-118.1, 34.215, 600],
+  [-118.08, 34.23, 650],
+];
+
+test('entries carry computed stats and cleaned-up authored properties', () => {
+  const entry = buildManifestEntry(
+    feature(OUT_AND_BACK, {
+      tags: 'peak, views ,peak',
+      region: ' Verdugos ',
+      surface: { dirt: 70, paved: 30 },
+      seasons: ['Autumn', 'winter', 'monsoon'],
+      images: ['summit.jpg', { src: 'https://example.com/a.jpg', caption: 'Start' }, { caption: 'no src' }],
+    }),
+    'test.geojson',
+    { gpxFile: 'test.gpx' },
+  );
+
+  assert.equal(entry.routeType, 'loop');
+  assert.equal(entry.minElevation, 1640);
+  assert.equal(entry.maxElevation, 2297);
+  assert.deepEqual(entry.start, [-118.1, 34.2]);
+  assert.deepEqual(entry.bbox, [-118.1, 34.2, -118.1, 34.215]);
+  assert.deepEqual(
+    entry.difficulty,
+    rateDifficulty({
+      distance: entry.distance,
+      gain: entry.elevationGain,
+      climbFactor: entry.climbFactor,
+      gradeMiles: gradeMiles(OUT_AND_BACK),
+    }),
+  );
+  assert.equal(entry.region, 'Verdugos');
+  assert.deepEqual(entry.tags, ['peak', 'views']);
+  assert.deepEqual(entry.surface, { dirt: 0.7, paved: 0.3 });
+  assert.deepEqual(entry.seasons, ['fall', 'winter']);
+  assert.deepEqual(entry.images, [
+    { src: 'summit.jpg' },
+    { src: 'https://example.com/a.jpg', caption: 'Start' },
+  ]);
+
+  assert.equal(buildManifestEntry(feature(POINT_TO_POINT), 'p.geojson').routeType, 'point-to-point');
+});
+
+test('generated manifests match the schema; broken ones say where', () => {
+  const manifest = buildManifest([
+    buildManifestEntry(feature(OUT_AND_BACK), 'a.geojson', { gpxFile: 'a.gpx' }),
+    buildManifestEntry(feature(POINT_TO_POINT, { seasons: 'spring' }), 'b.geojson'),
+  ]);
+  assert.equal(manifest.version, MANIFEST_VERSION);
+  assert.deepEqual(validateJsonSchema(SCHEMA, manifest), []);
+
+  const broken = structuredClone(manifest);
+  broken.tracks[0].distance = -1;
+  broken.tracks[0].seasons = ['monsoon'];
+  broken.tracks[1].gpxFile = 'b.zip';
+  delete broken.tracks[1].tags;
+  broken.tracks[1].extra = true;
+  assert.deepEqual(validateJsonSchema(SCHEMA, broken), [
+    'tracks[0].distance: must be ≥ 0',
+    'tracks[0].seasons[0]: must be one of "spring", "summer", "fall", "winter"',
+    'tracks[1]: missing "tags"',
+    'tracks[1].gpxFile: must match \\.gpx$',
+    'tracks[1]: unexpected "extra"',
+  ]);
+
+  assert.deepEqual(validateJsonSchema(SCHEMA, { tracks: [] }), ['(root): missing "version"']);
+});
+
+test('the deployed manifest matches the schema', () => {
+  const manifest = JSON.parse(fs.readFileSync(new URL('../public/tracks/manifest.json', import.meta.url), 'utf8'));
+  assert.deepEqual(validateJsonSchema(SCHEMA, manifest), []);
+});
+
+test('version 1 manifests load with the new fields filled in or empty', () => {
+  const { version, tracks } = normalizeManifest({
+    tracks: [
+      { file: 'old.geojson', name: 'Old', location: 'Glendale, CA', description: '', distance: 9, elevationGain: 1800, elevationLoss: 1800 },
+      { name: 'No file' },
+    ],
+  });
+  assert.equal(version, 1);
+  assert.equal(tracks.length, 1);
+  const [old] = tracks;
+  assert.equal(old.gpxFile, 'old.gpx'); // v1 assumed every track had its GPX
+  assert.deepEqual(old.difficulty, rateDifficulty({ distance: 9, gain: 1800 }));
+  assert.equal(old.routeType, null);
+  assert.equal(old.start, null);
+  assert.equal(old.climbFactor, null);
+  assert.deepEqual([old.tags, old.seasons, old.images], [[], [], []]);
+
+  // A v2 entry passes through; a missing GPX stays missing
+  const entry = buildManifestEntry(feature(OUT_AND_BACK), 'a.geojson');
+  assert.deepEqual(normalizeManifest(buildManifest([entry])).tracks[0], entry);
+  assert.deepEqual(normalizeManifest(null), { version: 1, tracks: [] });
+});
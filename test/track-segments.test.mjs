@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { findTurningPoints, segmentTrack, toggleSplit } from '../src/lib/trackSegments.js';
+import { fineLine } from './helpers/tracks.mjs';
+
+// Up 1,000 ft over 2 mi and back down, with 40 ft rollers every ~0.2 mi
+const roller = (i) => 40 * Math.sin((i / 20) * Math.PI);
+const UP_DOWN = fineLine(401, (i) => 3000 + (i <= 200 ? i * 5 : (400 - i) * 5) + roller(i));
+
+test('turning points skip rollers smaller than the change threshold', () => {
+  const turns = findTurningPoints(UP_DOWN);
+  assert.equal(turns.length, 3);
+  assert.equal(turns[0], 0);
+  assert.ok(Math.abs(turns[1] - 200) <= 10);
+  assert.equal(turns[2], 400);
+
+  // With a threshold under their 80 ft swing, every roller turns but the
+  // first 40 ft rise, which is smaller and stays in the first segment
+  const rollers = fineLine(201, (i) => 3000 + roller(i));
+  assert.deepEqual(findTurningPoints(rollers), [0, 200]);
+  assert.deepEqual(findTurningPoints(rollers, { minChangeFt: 50 }), [0, 30, 50, 70, 90, 110, 130, 150, 170, 200]);
+  assert.deepEqual(findTurningPoints(fineLine(50, () => 3000)), [0, 49]);
+});
+
+test('segments carry distance, gain, grades and equivalent flat distance', () => {
+  const [climb, descent] = segmentTrack(UP_DOWN);
+  assert.equal(climb.kind, 'climb');
+  assert.equal(descent.kind, 'descent');
+  assert.equal(climb.startIndex, 0);
+  assert.equal(climb.endIndex, descent.startIndex);
+  assert.ok(Math.abs(climb.distance + descent.distance - 4) < 0.05);
+  assert.ok(Math.abs(climb.to - descent.from) < 1e-9);
+
+  assert.ok(climb.gain > 950 && climb.gain < 1250, `gain ${climb.gain}`);
+  assert.ok(descent.loss > 950 && descent.loss < 1250, `loss ${descent.loss}`);
+  assert.ok(Math.abs(climb.avgGrade - 9.5) < 1, `avg ${climb.avgGrade}`);
+  assert.ok(climb.maxGrade > climb.avgGrade);
+  assert.ok(descent.maxGrade < descent.avgGrade && descent.avgGrade < 0);
+  assert.ok(climb.equivalentDistance > climb.distance);
+});
+
+test('manual splits cut segments with or without automatic ones', () => {
+  const withSplit = segmentTrack(UP_DOWN, { splits: [1] });
+  assert.equal(withSplit.length, 3);
+  assert.ok(Math.abs(withSplit[0].to - 1) < 0.02);
+  assert.equal(withSplit[0].kind, 'climb');
+
+  const manual = segmentTrack(UP_DOWN, { auto: false, splits: [3, 0, 9] });
+  assert.equal(manual.length, 2); // 0 and 9 mi fall outside the track
+  assert.equal(manual[0].startIndex, 0);
+  assert.equal(manual[1].endIndex, 400);
+  assert.equal(segmentTrack(UP_DOWN, { auto: false }).length, 1);
+  assert.equal(segmentTrack(fineLine(50, () => 3000), { auto: false })[0].kind, 'rolling');
+  assert.deepEqual(segmentTrack([]), []);
+});
+
+test('toggleSplit adds a split or removes the one next to it', () => {
+  assert.deepEqual(toggleSplit([2], 1), [1, 2]);
+  assert.deepEqual(toggleSplit([1, 2], 1.01), [2]);
+  assert.deepEqual(toggleSplit([1, 2], 1.5, 0.6), [2]);
+});
@@ -0,0 +1,149 @@
+import test, { mock } from 'node:test';
+import assert from 'node:assert/strict';
+import 'fake-indexeddb/auto';
+
+import {
+  MAX_CACHED_GEOJSON,
+  clearCachedGeoJSON,
+  deleteUserTrack,
+  fromStoredTrack,
+  getCachedGeoJSON,
+  listUserTracks,
+  loadCachedGeoJSON,
+  putCachedGeoJSON,
+  renameUserTrack,
+  saveUserTrack,
+  toStoredTrack,
+} from '../src/lib/trackStore.js';
+import { formatStorageEstimate } from '../src/lib/storageEstimate.js';
+
+const TRACK = {
+  type: 'Feature',
+  properties: {
+    id: 'local:sample.geojson',
+    name: 'Sample',
+    filename: 'sample.geojson',
+    source: 'local',
+    distance: 1.5,
+    elevationGain: 120,
+    importWarnings: [],
+  },
+  geometry: {
+    type: 'LineString',
+    coordinates: [
+      [-117.1, 34.1, 100],
+      [-117.2, 34.2, 150],
+    ],
+  },
+  localFile: { name: 'Sample.gpx', text: '<gpx/>' },
+};
+
+test('stored tracks round-trip with their original file', () => {
+  const record = toStoredTrack(TRACK, 1000);
+  assert.equal(record.id, 'local:sample.geojson');
+  assert.equal(record.source, 'local');
+  assert.equal(record.createdAt, 1000);
+
+  // Must survive structured cloning, which is what IndexedDB does
+  const track = fromStoredTrack(structuredClone(record));
+  assert.deepEqual(track.geometry, TRACK.geometry);
+  assert.deepEqual(track.localFile, TRACK.localFile);
+  assert.equal(track.properties.distance, 1.5);
+  assert.equal(track.properties.createdAt, 1000);
+});
+
+test('re-saving keeps the original createdAt', () => {
+  const first = fromStoredTrack(toStoredTrack(TRACK, 1000));
+  const second = toStoredTrack(first, 5000);
+  assert.equal(second.createdAt, 1000);
+  assert.equal(second.updatedAt, 5000);
+});
+
+test('drawn tracks are stored without a local file', () => {
+  const drawn = { ...TRACK, localFile: undefined, properties: { ...TRACK.properties, source: 'drawn' } };
+  const track = fromStoredTrack(toStoredTrack(drawn));
+  assert.equal(track.localFile, undefined);
+  assert.equal(track.properties.source, 'drawn');
+});
+
+test('formatStorageEstimate reports MB and percent used', () => {
+  assert.deepEqual(formatStorageEstimate({ usage: 5 * 1024 * 1024, quota: 100 * 1024 * 1024 }), {
+    used: '5.0',
+    quota: '100',
+    percent: 5,
+  });
+  assert.equal(formatStorageEstimate({}).percent, 0);
+});
+
+test('user tracks are saved, renamed and deleted in IndexedDB', async () => {
+  const saved = await saveUserTrack(TRACK);
+  assert.equal(saved.properties.name, 'Sample');
+  const drawn = { ...TRACK, localFile: undefined, properties: { ...TRACK.properties, id: 'drawn:1', createdAt: Date.now() + 1 } };
+  await saveUserTrack(drawn);
+
+  // Newest first, with the original file kept
+  let tracks = await listUserTracks();
+  assert.deepEqual(tracks.map((t) => t.properties.id), ['drawn:1', 'local:sample.geojson']);
+  assert.deepEqual(tracks[1].localFile, TRACK.localFile);
+
+  const renamed = await renameUserTrack('local:sample.geojson', 'Renamed');
+  assert.equal(renamed.properties.name, 'Renamed');
+  assert.equal(renamed.properties.createdAt, saved.properties.createdAt);
+  assert.equal(await renameUserTrack('missing', 'Nope'), null);
+
+  await deleteUserTrack('drawn:1');
+  tracks = await listUserTracks();
+  assert.deepEqual(tracks.map((t) => [t.properties.id, t.properties.name]), [['local:sample.geojson', 'Renamed']]);
+  await deleteUserTrack('local:sample.geojson');
+});
+
+test('cached GeoJSON is refetched when the build changes', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const loads = [];
+  const load = (build) => async (filename) => {
+    loads.push(filename);
+    return { type: 'Feature', properties: { build } };
+  };
+
+  const first = await loadCachedGeoJSON('build.geojson', { build: 'a', load: load('a') });
+  assert.equal(first.properties.build, 'a');
+  assert.deepEqual(await getCachedGeoJSON('build.geojson'), { data: first, build: 'a' });
+
+  // Same build: straight from the cache
+  await loadCachedGeoJSON('build.geojson', { build: 'a', load: load('a') });
+  assert.equal(loads.length, 1);
+
+  // New build: fetched again and re-cached
+  const second = await loadCachedGeoJSON('build.geojson', { build: 'b', load: load('b') });
+  assert.equal(second.properties.build, 'b');
+  assert.equal(loads.length, 2);
+  assert.equal((await getCachedGeoJSON('build.geojson')).build, 'b');
+
+  // Offline on a newer build: the older copy is better than nothing
+  const offline = async () => {
+    throw new Error('offline');
+  };
+  assert.equal((await loadCachedGeoJSON('build.geojson', { build: 'c', load: offline })).properties.build, 'b');
+  await assert.rejects(loadCachedGeoJSON('never-cached.geojson', { build: 'c', load: offline }), /offline/);
+});
+
+test('the GeoJSON cache evicts the least recently used file past its limit', async (t) => {
+  await clearCachedGeoJSON();
+  mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+  t.after(() => mock.timers.reset());
+  const names = Array.from({ length: MAX_CACHED_GEOJSON }, (_, i) => `lru-${String(i).padStart(2, '0')}.geojson`);
+
+  for (const name of names) {
+    await putCachedGeoJSON(name, { name }, 'lru');
+    mock.timers.tick(1);
+  }
+  // Reading the oldest makes it the most recently used
+  assert.ok(await getCachedGeoJSON(names[0]));
+  mock.timers.tick(1);
+
+  await putCachedGeoJSON('lru-new.geojson', { name: 'lru-new' }, 'lru');
+  assert.equal(await getCachedGeoJSON(names[1]), null);
+  for (const name of [names[0], ...names.slice(2), 'lru-new.geojson']) {
+    assert.ok(await getCachedGeoJSON(name), name);
+  }
+});
@@ -0,0 +1,93 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildTrailGraph, suggestRoutes, waypointsForLine } from '../src/lib/trailGraph.js';
+
+const O = [-118.1, 34.2];
+const START = { lat: O[1], lng: O[0] };
+const at = (dx, dy, ele = 1000) => [O[0] + dx, O[1] + dy, ele];
+const track = (name, coordinates) => ({
+  type: 'Feature',
+  properties: { name },
+  geometry: { type: 'LineString', coordinates },
+});
+
+// A 2.5 mi loop (North + South) from the start, a spur climbing off the top
+// of the loop, and a creek trail crossing the west side
+const network = () =>
+  buildTrailGraph([
+    track('North', [at(0, 0), at(0, 0.01, 1300), at(0.01, 0.01, 1300)]),
+    track('South', [at(0, 0), at(0.01, 0), at(0.01, 0.01, 1300)]),
+    track('Spur', [at(0.005, 0.01, 1300), at(0.005, 0.02, 1600)]),
+    track('Creek', [at(-0.005, 0.005), at(0.005, 0.005)]),
+  ]);
+
+test('tracks are split where they cross, join or share a stretch', () => {
+  const graph = network();
+  assert.equal(graph.nodes.length, 7);
+  assert.equal(graph.edges.length, 7);
+
+  // North is cut at the creek crossing and where the spur joins
+  const north = graph.edges.filter((e) => e.trails.includes('North'));
+  assert.equal(north.length, 3);
+  assert.equal(graph.edges.filter((e) => e.trails.includes('Creek')).length, 2);
+  assert.ok(Math.abs(north[0].gain - 492) < 1); // ft, half of the 300 m climb
+
+  // The shared stretch is one edge carrying both names
+  const shared = buildTrailGraph([
+    track('Road', [at(0, 0), at(0.01, 0)]),
+    track('Detour', [at(0.002, -0.003), at(0.002, 0.00004), at(0.008, 0.00004), at(0.008, -0.003)]),
+  ]);
+  assert.equal(shared.nodes.length, 6);
+  assert.equal(shared.edges.length, 5);
+  const both = shared.edges.filter((e) => e.trails.length === 2);
+  assert.equal(both.length, 1);
+  assert.deepEqual(both[0].trails, ['Road', 'Detour']);
+});
+
+test('suggestions start at the start point and rank by target distance', () => {
+  const graph = network();
+
+  const loops = suggestRoutes(graph, START, { distance: 2.5, kinds: ['loop'] });
+  assert.equal(loops.length, 1);
+  assert.equal(loops[0].kind, 'loop');
+  assert.deepEqual(loops[0].trails.sort(), ['North', 'South']);
+  assert.ok(Math.abs(loops[0].distance - 2.53) < 0.02);
+
+  const outAndBacks = suggestRoutes(graph, START, { distance: 2, kinds: ['out-and-back'] });
+  assert.ok(outAndBacks.length >= 3);
+  assert.ok(outAndBacks.every((c) => c.kind === 'out-and-back'));
+  assert.ok(Math.abs(outAndBacks[0].distance - 2) < 0.01);
+  for (let i = 1; i < outAndBacks.length; i++) assert.ok(outAndBacks[i].score >= outAndBacks[i - 1].score);
+
+  for (const c of outAndBacks) {
+    assert.deepEqual(c.coordinates[0].slice(0, 2), O);
+    assert.deepEqual(c.coordinates.at(-1), c.coordinates[0]);
+  }
+
+  // The creek dead-ends short of the target, so it ranks last
+  assert.ok(outAndBacks.at(-1).trails.includes('Creek'));
+  assert.ok(outAndBacks.at(-1).distance < 1.5);
+});
+
+test('a gain target breaks ties between routes of the same length', () => {
+  const graph = network();
+  const [flat] = suggestRoutes(graph, START, { distance: 2, gain: 600, kinds: ['out-and-back'] });
+  assert.deepEqual(flat.trails, ['South']);
+  const [steep] = suggestRoutes(graph, START, { distance: 2, gain: 1000, kinds: ['out-and-back'] });
+  assert.ok(steep.trails.includes('North'));
+});
+
+test('starts far from every trail are rejected', () => {
+  assert.throws(() => suggestRoutes(network(), { lat: 34.3, lng: -118.1 }, { distance: 3 }), /No trail near the start point/);
+  assert.throws(() => suggestRoutes(buildTrailGraph([]), START, { distance: 3 }), /No trail near/);
+});
+
+test('waypointsForLine keeps the corners of a route', () => {
+  const [loop] = suggestRoutes(network(), START, { distance: 2.5, kinds: ['loop'] });
+  const waypoints = waypointsForLine(loop.coordinates);
+  assert.equal(waypoints.length, 5);
+  assert.deepEqual(waypoints[0], START);
+  assert.deepEqual(waypoints.at(-1), START);
+  assert.ok(waypoints.some((w) => Math.abs(w.lat - 34.21) < 1e-9 && Math.abs(w.lng - -118.09) < 1e-9));
+});
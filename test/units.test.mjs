@@ -0,0 +1,100 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  celsiusChangeToDisplay,
+  celsiusToDisplay,
+  distanceTicks,
+  formatDistance,
+  formatElevation,
+  fromDisplayPace,
+  KM_PER_MILE,
+  kmhToDisplay,
+  markerInterval,
+  markerName,
+  normalizeUnits,
+  toDisplayTemperature,
+  unitLabels,
+} from '../src/lib/units.js';
+import { getMileMarkers, weatherUrl } from '../src/utils.js';
+import { buildWaypoints } from '../src/lib/trackExport.js';
+import { computeActivityStats, formatPace } from '../src/lib/activityStats.js';
+
+// ~2.07 miles (3.34 km) due north
+const COORDS = Array.from({ length: 21 }, (_, i) => [-118.1, 34.2 + i * 0.0015, 500]);
+const TRACK = { type: 'Feature', properties: { name: 'North' }, geometry: { type: 'LineString', coordinates: COORDS } };
+
+test('unknown unit systems fall back to imperial', () => {
+  assert.equal(normalizeUnits('metric'), 'metric');
+  assert.equal(normalizeUnits('furlongs'), 'imperial');
+  assert.equal(normalizeUnits(null), 'imperial');
+  assert.equal(unitLabels(undefined).distance, 'mi');
+  assert.equal(unitLabels('metric').elevation, 'm');
+});
+
+test('formatters convert miles and feet for display', () => {
+  assert.equal(formatDistance(10, 'imperial'), '10.00 mi');
+  assert.equal(formatDistance(10, 'metric'), '16.09 km');
+  assert.equal(formatDistance(10, 'metric', 0), '16 km');
+  assert.equal(formatDistance(null, 'metric'), '—');
+  assert.equal(formatElevation(1000, 'imperial'), '1,000 ft');
+  assert.equal(formatElevation(1000, 'metric'), '305 m');
+  assert.equal(formatElevation(undefined, 'imperial'), '—');
+  assert.equal(toDisplayTemperature(212, 'metric'), 100);
+  assert.equal(toDisplayTemperature(70, 'imperial'), 70);
+  // Weather map data arrives in °C and km/h
+  assert.equal(celsiusToDisplay(100, 'imperial'), 212);
+  assert.equal(celsiusToDisplay(21, 'metric'), 21);
+  assert.equal(celsiusChangeToDisplay(5, 'imperial'), 9);
+  assert.equal(kmhToDisplay(KM_PER_MILE * 10, 'imperial'), 10);
+  assert.equal(kmhToDisplay(30, 'metric'), 30);
+});
+
+test('distance ticks land on round display values but stay in miles', () => {
+  const miles = distanceTicks([0, 10], 'imperial');
+  assert.deepEqual(miles, [0, 2, 4, 6, 8, 10]);
+
+  const km = distanceTicks([0, 10], 'metric').map((mi) => mi * KM_PER_MILE);
+  assert.deepEqual(km.map((v) => Math.round(v * 1e6) / 1e6), [0, 5, 10, 15]);
+
+  assert.equal(distanceTicks([3, 3], 'metric'), undefined);
+});
+
+test('metric markers are placed every kilometer', () => {
+  const miles = getMileMarkers(COORDS);
+  const kms = getMileMarkers(COORDS, markerInterval('metric'));
+
+  assert.equal(miles.length, 3);
+  assert.equal(kms.length, 4);
+  assert.deepEqual(kms.map((m) => m.number), [0, 1, 2, 3]);
+  assert.ok(Math.abs(kms[2].distance * KM_PER_MILE - 2) < 1e-9);
+  assert.equal(markerName(2, 'metric'), 'Km 2');
+  assert.equal(markerName(2, 'imperial'), 'Mile 2');
+
+  const waypoints = buildWaypoints(TRACK, { units: 'metric' }).filter((w) => w.kind === 'mile');
+  assert.deepEqual(waypoints.map((w) => w.name), ['Km 1', 'Km 2', 'Km 3']);
+  assert.ok(Math.abs(waypoints[0].distance - 1000) < 1e-6);
+});
+
+test('weather is requested in the chosen units', () => {
+  const imperial = new URL(weatherUrl(34.2, -118.1));
+  assert.equal(imperial.searchParams.get('temperature_unit'), 'fahrenheit');
+  assert.equal(imperial.searchParams.get('windspeed_unit'), 'mph');
+
+  const metric = new URL(weatherUrl(34.2, -118.1, 'metric'));
+  assert.equal(metric.searchParams.get('temperature_unit'), 'celsius');
+  assert.equal(metric.searchParams.get('windspeed_unit'), 'kmh');
+  assert.equal(metric.searchParams.get('precipitation_unit'), 'mm');
+});
+
+test('paces and splits follow the unit system', () => {
+  assert.equal(formatPace(600, 'imperial'), '10:00 /mi');
+  assert.equal(formatPace(600 * KM_PER_MILE, 'metric'), '10:00 /km');
+  assert.equal(fromDisplayPace(600, 'metric'), 600 * KM_PER_MILE);
+
+  const start = Date.UTC(2026, 3, 1, 8, 0, 0);
+  const times = COORDS.map((_, i) => new Date(start + i * 60 * 1000).toISOString());
+  const stats = computeActivityStats(COORDS, times, { splitMiles: markerInterval('metric') });
+  assert.equal(stats.splits.length, 4); // three full kilometers and the rest
+  assert.ok(Math.abs(stats.splits[0].distance * KM_PER_MILE - 1) < 1e-9);
+});
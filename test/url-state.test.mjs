@@ -0,0 +1,108 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  parseUrlState,
+  buildUrlSearch,
+  isNavigationChange,
+  EMPTY_URL_STATE,
+} from '../src/lib/urlState.js';
+
+test('a plain track link stays ?track=<file> with %20 for spaces', () => {
+  assert.equal(
+    buildUrlSearch({ track: 'Big Dalton Glendora Trail 10.geojson' }),
+    '?track=Big%20Dalton%20Glendora%20Trail%2010.geojson',
+  );
+  assert.equal(
+    parseUrlState('?track=Big%20Dalton%20Glendora%20Trail%2010.geojson').track,
+    'Big Dalton Glendora Trail 10.geojson',
+  );
+  assert.equal(parseUrlState('?track=Big+Dalton.geojson').track, 'Big Dalton.geojson');
+});
+
+test('full 2D view state round-trips', () => {
+  const state = {
+    ...EMPTY_URL_STATE,
+    track: 'Palm2Lukens_14.geojson',
+    map: { zoom: 13, lat: 34.26812, lon: -118.23911 },
+    grade: true,
+    profile: [1.25, 3.5],
+    weather: 'precipitation',
+    point: 412,
+  };
+  const search = buildUrlSearch(state);
+  assert.equal(
+    search,
+    '?track=Palm2Lukens_14.geojson&map=13/34.26812/-118.23911&grade=1&profile=1.25,3.5&pt=412&wx=precipitation',
+  );
+  assert.deepEqual(parseUrlState(search), state);
+});
+
+test('3D links carry the camera instead of the Leaflet view', () => {
+  const state = {
+    ...EMPTY_URL_STATE,
+    track: 'a.geojson',
+    mode: '3d',
+    map: { zoom: 12, lat: 34, lon: -118 },
+    cam: { lon: -118.1, lat: 34.2, height: 5400, heading: 12.5, pitch: -30 },
+  };
+  const search = buildUrlSearch(state);
+  assert.equal(search, '?track=a.geojson&mode=3d&cam=-118.1,34.2,5400,12.5,-30');
+  const parsed = parseUrlState(search);
+  assert.equal(parsed.mode, '3d');
+  assert.equal(parsed.map, null);
+  assert.deepEqual(parsed.cam, state.cam);
+});
+
+test('malformed values are dropped individually', () => {
+  const parsed = parseUrlState(
+    '?track=a.geojson&mode=4d&map=abc/1/2&cam=1,2&grade=yes&profile=5,1&wx=lava&pt=-3',
+  );
+  assert.deepEqual(parsed, { ...EMPTY_URL_STATE, track: 'a.geojson' });
+  assert.equal(parseUrlState('?map=30/0/0').map, null);
+  assert.equal(parseUrlState('?track=Big%2520Dalton.geojson').track, 'Big Dalton.geojson');
+  assert.equal(parseUrlState('?track=100%25.geojson').track, '100%.geojson');
+});
+
+test('track-specific state is not written without a track', () => {
+  assert.equal(buildUrlSearch({ grade: true, point: 3, profile: [0, 1] }), '');
+});
+
+test('unrelated query parameters are preserved', () => {
+  assert.equal(
+    buildUrlSearch({ track: 'b.geojson' }, '?debug=1&track=a.geojson&pt=4'),
+    '?debug=1&track=b.geojson',
+  );
+});
+
+test('track list filters round-trip and bad values are dropped', () => {
+  const filters = {
+    ...EMPTY_URL_STATE.filters,
+    q: 'verdugo',
+    distance: [5, 12.5],
+    gain: [null, 3000],
+    climb: [10, null],
+    region: 'Glendale, CA',
+    tags: ['loop', 'dog friendly'],
+    gpx: true,
+    offline: true,
+    sort: '-gain',
+  };
+  const search = buildUrlSearch({ track: 'a.geojson', filters });
+  assert.equal(
+    search,
+    '?track=a.geojson&q=verdugo&dist=5-12.5&gain=-3000&climb=10-&region=Glendale,%20CA&tag=loop&tag=dog%20friendly&has=gpx,offline&sort=-gain',
+  );
+  assert.deepEqual(parseUrlState(search).filters, filters);
+
+  const parsed = parseUrlState('?dist=12-5&gain=abc&climb=-&has=zip&sort=-height&tag=');
+  assert.deepEqual(parsed.filters, EMPTY_URL_STATE.filters);
+  assert.equal(buildUrlSearch({ filters: parsed.filters }), '');
+});
+
+test('only track and mode changes count as navigation', () => {
+  const base = { ...EMPTY_URL_STATE, track: 'a.geojson' };
+  assert.equal(isNavigationChange(base, { ...base, grade: true, map: { zoom: 3, lat: 0, lon: 0 } }), false);
+  assert.equal(isNavigationChange(base, { ...base, track: 'b.geojson' }), true);
+  assert.equal(isNavigationChange(base, { ...base, mode: '3d' }), true);
+});
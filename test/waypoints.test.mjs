@@ -0,0 +1,123 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { DOMParser } from 'xmldom';
+
+import { parseGpxText } from '../src/lib/gpxImport.js';
+import { exportTrack } from '../src/lib/trackExport.js';
+import { buildTrailPlan } from '../src/lib/paceModel.js';
+import {
+  checkCutoff,
+  formatCutoff,
+  normalizeStations,
+  parseCutoff,
+  stationLegs,
+  stationWaypoints,
+  stationsFromFeature,
+} from '../src/lib/waypoints.js';
+import { feature, fineLine, FINE_STEP_DEG as STEP_DEG } from './helpers/tracks.mjs';
+
+// 5 mi straight north, climbing 1,000 ft over the first 2 mi, then flat
+const COORDS = fineLine(501, (i) => 3000 + Math.min(i, 200) * 5);
+const TRACK = feature(COORDS, { id: 'race', name: 'Race' });
+
+const gpx = (wpts) => `<?xml version="1.0"?>
+<gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1">
+${wpts}
+  <trk><name>Race</name><trkseg>
+${COORDS.map((c) => `    <trkpt lat="${c[1]}" lon="${c[0]}"><ele>${c[2]}</ele></trkpt>`).join('\n')}
+  </trkseg></trk>
+</gpx>`;
+
+test('GPX waypoints become stations snapped to the track', () => {
+  const result = parseGpxText(
+    gpx(`  <wpt lat="${34.2 + 300 * STEP_DEG}" lon="-118.1001"><name>Water Tank</name></wpt>
+  <wpt lat="${34.2 + 100 * STEP_DEG}" lon="-118.1"><name>Saddle</name><desc>Cutoff 1:30
+Drop bags</desc></wpt>
+  <wpt lat="34.2" lon="-118.1"><name>Start/Finish</name></wpt>
+  <wpt lat="${34.2 + 200 * STEP_DEG}" lon="-118.1"><name>Mile 2</name><type>mile</type></wpt>`),
+    { filename: 'race.gpx', DOMParser },
+  );
+  assert.equal(result.ok, true);
+  assert.equal(result.feature.properties.waypoints.length, 4);
+
+  const stations = stationsFromFeature(result.feature);
+  assert.deepEqual(
+    stations.map(({ name, kind, cutoff, notes }) => ({ name, kind, cutoff, notes })),
+    [
+      { name: 'Saddle', kind: 'aid', cutoff: 5400, notes: 'Drop bags' },
+      { name: 'Water Tank', kind: 'water', cutoff: null, notes: '' },
+    ],
+  );
+  assert.ok(Math.abs(stations[0].distance - 1) < 0.01);
+  assert.ok(Math.abs(stations[1].distance - 3) < 0.01);
+  assert.deepEqual(stationsFromFeature({ ...TRACK }), []);
+});
+
+test('legs give the distance and climbing between stations', () => {
+  const stations = normalizeStations([
+    { id: 'b', name: 'B', kind: 'water', distance: 3 },
+    { id: 'a', name: 'A', kind: 'nope', distance: 1, cutoff: 'x' },
+    { id: 'z', name: 'Past the end', distance: 9 },
+  ]);
+  assert.deepEqual(stations.map((s) => [s.id, s.kind, s.cutoff]), [['a', 'aid', null], ['b', 'water', null], ['z', 'aid', null]]);
+
+  const legs = stationLegs(COORDS, stations);
+  assert.deepEqual(legs.map((l) => l.station?.id ?? 'finish'), ['a', 'b', 'finish']);
+  assert.ok(Math.abs(legs[0].leg - 1) < 0.01);
+  assert.ok(Math.abs(legs[1].leg - 2) < 0.01);
+  assert.ok(Math.abs(legs.reduce((sum, l) => sum + l.leg, 0) - legs[2].distance) < 1e-9);
+  // 500 ft to A, the other 500 ft before B, flat to the finish
+  assert.ok(Math.abs(legs[0].gain - 500) < 20);
+  assert.ok(Math.abs(legs[1].gain - 500) < 20);
+  assert.equal(legs[2].gain, 0);
+});
+
+test('cutoffs parse, format and check against predicted arrivals', () => {
+  assert.equal(parseCutoff('5:30'), 19800);
+  assert.equal(parseCutoff(' 12:05 '), 43500);
+  assert.equal(parseCutoff('5:75'), null);
+  assert.equal(parseCutoff(''), null);
+  assert.equal(formatCutoff(19800), '5:30');
+  assert.equal(formatCutoff(null), '');
+
+  assert.deepEqual(checkCutoff(3600, 1800), { status: 'ok', margin: 1800 });
+  assert.deepEqual(checkCutoff(3600, 3000), { status: 'tight', margin: 600 });
+  assert.deepEqual(checkCutoff(3600, 4000), { status: 'missed', margin: -400 });
+  assert.equal(checkCutoff(null, 1000), null);
+
+  const stations = [{ id: 'a', name: 'A', kind: 'aid', distance: 1, cutoff: 1200, notes: '' }];
+  const plan = buildTrailPlan(TRACK, { stations: stationWaypoints(TRACK, stations), now: new Date(2026, 5, 1, 6) });
+  const checkpoint = plan.checkpoints.find((c) => c.id === 'a');
+  assert.equal(checkpoint.kind, 'aid');
+  assert.ok(Math.abs(checkpoint.distance - 1) < 1e-6);
+  // A mile uphill takes longer than the default flat pace (about 19 min)
+  assert.ok(checkpoint.elapsed > 1150);
+  assert.equal(checkCutoff(stations[0].cutoff, checkpoint.elapsed).status, 'missed');
+});
+
+test('stations export as GPX waypoints that import back', () => {
+  const stations = [
+    { id: 'a', name: 'Aid & Co', kind: 'aid', distance: 1, cutoff: 5400, notes: 'Drop bags' },
+    { id: 'b', name: 'Spring', kind: 'water', distance: 3, cutoff: null, notes: '' },
+  ];
+  const points = stationWaypoints(TRACK, stations);
+  const { data } = exportTrack(TRACK, 'gpx', { mileMarkers: false, stations: points, now: new Date(0) });
+  assert.match(data, /<name>Aid &amp; Co<\/name>\n\s*<desc>Cutoff 1:30\nDrop bags<\/desc>\n\s*<sym>Restaurant<\/sym>\n\s*<type>aid<\/type>/);
+  assert.match(data, /<sym>Drinking Water<\/sym>\n\s*<type>water<\/type>/);
+
+  const result = parseGpxText(data, { filename: 'race.gpx', DOMParser });
+  const back = stationsFromFeature(result.feature);
+  assert.deepEqual(
+    back.map(({ name, kind, cutoff, notes }) => ({ name, kind, cutoff, notes })),
+    stations.map(({ name, kind, cutoff, notes }) => ({ name, kind, cutoff, notes })),
+  );
+  back.forEach((s, i) => assert.ok(Math.abs(s.distance - stations[i].distance) < 0.01));
+
+  const tcx = exportTrack(TRACK, 'tcx', { mileMarkers: false, stations: points, now: new Date(0) }).data;
+  assert.match(tcx, /<PointType>Food<\/PointType>/);
+  assert.match(tcx, /<PointType>Water<\/PointType>/);
+  const kml = exportTrack(TRACK, 'kml', { mileMarkers: false, stations: points }).data;
+  assert.equal(kml.match(/<styleUrl>#station<\/styleUrl>/g).length, 2);
+  const geojson = JSON.parse(exportTrack(TRACK, 'geojson', { stations: points }).data);
+  assert.deepEqual(geojson.properties.waypoints.map((w) => w.type), ['aid', 'water']);
+});